@@ -0,0 +1,60 @@
+import AuditLog from '../src/models/auditLogModel.js';
+import Migration from '../src/models/migrationModel.js';
+
+// Marks audit entries stored before `retained` existed: attendance record
+// history is retained, everything else keeps expiring. Then replaces the old
+// TTL index on `timestamp`, which covered every entry, with the partial one.
+// Like the other migrations, run it programmatically once mongoose is
+// connected. Writes go through the collection, as the model rejects updates.
+
+async function migrate({ runOnceName = null } = {}) {
+  console.log('Migration started: audit log retention');
+
+  let retained = 0;
+  let expiring = 0;
+  try {
+    const kept = await AuditLog.collection.updateMany(
+      { retained: { $exists: false }, context: 'attendance' },
+      { $set: { retained: true } }
+    );
+    const rest = await AuditLog.collection.updateMany(
+      { retained: { $exists: false } },
+      { $set: { retained: false } }
+    );
+    retained = kept.modifiedCount ?? 0;
+    expiring = rest.modifiedCount ?? 0;
+    console.log('retained:', retained, 'expiring:', expiring);
+  } catch (err) {
+    console.error('Failed to mark audit entries:', err);
+  }
+
+  try {
+    const indexes = await AuditLog.collection.indexes();
+    if (indexes.some((index) => index.name === 'timestamp_1')) {
+      await AuditLog.collection.dropIndex('timestamp_1');
+      console.log('Dropped the old timestamp TTL index.');
+    }
+    await AuditLog.createIndexes();
+    console.log('Indexes ensured.');
+  } catch (err) {
+    console.error('Error updating indexes:', err);
+  }
+
+  // Record migration run
+  if (runOnceName) {
+    try {
+      await Migration.findOneAndUpdate(
+        { name: runOnceName },
+        { $set: { appliedAt: new Date(), meta: { retained, expiring } } },
+        { upsert: true }
+      );
+      console.log(`Upserted migration record '${runOnceName}'.`);
+    } catch (err) {
+      console.error('Failed to upsert migration record:', err);
+    }
+  }
+
+  console.log('Migration finished.');
+}
+
+export default migrate;
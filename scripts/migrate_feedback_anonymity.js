@@ -0,0 +1,71 @@
+import Feedback from '../src/models/feedbackModel.js';
+import Migration from '../src/models/migrationModel.js';
+
+// Removes submission times from feedback stored before responses became
+// time-free: copies the session's start time into `sessionDate` (used for
+// date filters instead), then drops createdAt/updatedAt. Like the Stage-1
+// migration, run it programmatically once mongoose is connected.
+//
+// The _id of these older documents still carries their creation time;
+// replacing _ids is left out as nothing references feedback by id.
+
+async function migrate({ runOnceName = null } = {}) {
+  console.log('Migration started: removing timestamps from feedback');
+
+  let backfilled = 0;
+  try {
+    const missing = await Feedback.aggregate([
+      { $match: { sessionDate: { $exists: false } } },
+      { $lookup: { from: 'classsessions', localField: 'classSession', foreignField: '_id', as: 'session' } },
+      { $project: { sessionDate: { $arrayElemAt: ['$session.startTime', 0] } } },
+      { $match: { sessionDate: { $ne: null } } },
+    ]);
+
+    if (missing.length > 0) {
+      const res = await Feedback.bulkWrite(missing.map((doc) => ({
+        updateOne: { filter: { _id: doc._id }, update: { $set: { sessionDate: doc.sessionDate } } },
+      })));
+      backfilled = res.modifiedCount ?? 0;
+    }
+    console.log('sessionDate backfilled for', backfilled, 'feedback documents');
+  } catch (err) {
+    console.error('Failed to backfill sessionDate:', err);
+  }
+
+  let stripped = 0;
+  try {
+    const res = await Feedback.collection.updateMany(
+      { $or: [{ createdAt: { $exists: true } }, { updatedAt: { $exists: true } }] },
+      { $unset: { createdAt: '', updatedAt: '' } }
+    );
+    stripped = res.modifiedCount ?? 0;
+    console.log('timestamps removed from', stripped, 'feedback documents');
+  } catch (err) {
+    console.error('Failed to remove feedback timestamps:', err);
+  }
+
+  try {
+    await Feedback.createIndexes();
+    console.log('Indexes ensured.');
+  } catch (err) {
+    console.error('Error creating indexes:', err);
+  }
+
+  // Record migration run
+  if (runOnceName) {
+    try {
+      await Migration.findOneAndUpdate(
+        { name: runOnceName },
+        { $set: { appliedAt: new Date(), meta: { backfilled, stripped } } },
+        { upsert: true }
+      );
+      console.log(`Upserted migration record '${runOnceName}'.`);
+    } catch (err) {
+      console.error('Failed to upsert migration record:', err);
+    }
+  }
+
+  console.log('Migration finished.');
+}
+
+export default migrate;
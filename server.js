@@ -12,11 +12,16 @@ import { Server } from 'socket.io';
 import { socketAuthMiddleware } from './src/api/_common/middleware/auth.middleware.js';
 import sessionRegistry from './src/api/_common/socket/sessionRegistry.js';
 import { handleConnection } from './src/api/chat/socket/chat.socket.js';
-import { handleAttendanceConnection } from './src/api/college/attendence.socket.js';
+import attendanceSocket from './src/api/attendance/attendance.socket.js';
 
 import mountRoutes from './src/routes/index.js';
 import errorHandler from './src/api/_common/middleware/error.middleware.js';
 import connectDB from './src/connect/database.js';
+import { registerDefaultJobs } from './src/services/scheduler/jobs.js';
+import { startScheduler } from './src/services/scheduler/scheduler.service.js';
+import { registerDefaultHandlers } from './src/services/queue/handlers.js';
+import { startWorker } from './src/services/queue/queue.service.js';
+import codeRotationService from './src/api/attendance/services/codeRotation.service.js';
 
 
 // --- Initial Setup ---
@@ -27,6 +32,27 @@ const server = http.createServer(app); // http server from the app
 connectDB()
   .then(() => {
     console.log('MongoDB connected');
+
+    // Register maintenance jobs (trash purge, share expiry, audit cleanup).
+    // Jobs stay triggerable from /api/admin/scheduler even when the loop is disabled.
+    registerDefaultJobs();
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      const tickSeconds = parseInt(process.env.SCHEDULER_TICK_SECONDS, 10) || 60;
+      startScheduler({ tickMs: tickSeconds * 1000 });
+    }
+
+    // Background job queue (folder ZIP export, bulk purge, bulk class share).
+    // Handlers are always registered so this instance can enqueue; set
+    // JOB_WORKER_ENABLED=false to leave processing to other instances.
+    registerDefaultHandlers();
+    if (process.env.JOB_WORKER_ENABLED !== 'false') {
+      startWorker({ concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY, 10) || 1 });
+    }
+
+    // Resume pushing rotating attendance codes for sessions still open
+    codeRotationService.resumeActive().catch((err) => {
+      console.error('Failed to resume attendance code rotation:', err);
+    });
   })
   .catch((err) => {
     console.error('DB connection error:', err);
@@ -85,6 +111,9 @@ io.on('connection', (socket) => {
     // ignore registry errors
   }
 
+  // Per-user room used for targeted server pushes (job progress, etc.)
+  socket.join(sessionRegistry.getUserRoom(socket.user._id?.toString()));
+
   // Handle disconnect to cleanup registry
   socket.on('disconnect', () => {
     try { sessionRegistry.unregisterSocket(socket.id); } catch(e){}
@@ -93,8 +122,8 @@ io.on('connection', (socket) => {
   // Delegate to the chat handler
   handleConnection(socket, io);
 
-  // Delegate to the attendance handler
-  handleAttendanceConnection(socket);
+  // Delegate to the attendance handler (live session rooms)
+  attendanceSocket.handleConnection(socket);
 });
 
 // --- Core Middleware ---
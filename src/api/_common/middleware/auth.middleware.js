@@ -58,10 +58,12 @@ export const protect = asyncHandler(async (req, res, next) => {
       return res.status(401).json({ message: 'Session token invalid. Please log in again.' });
     }
 
-    const hasSessionByToken = (user.sessions || []).some((s) => s.tokenId === decoded.jti);
-    if (!hasSessionByToken) {
+    const authSession = (user.sessions || []).find((s) => s.tokenId === decoded.jti);
+    if (!authSession) {
       return res.status(401).json({ message: 'Session revoked. Please log in again.' });
     }
+    // The device session this token was issued for (deviceId, ipAddress, ...)
+    req.authSession = authSession;
     // Verified, move to the next middleware
     next();
   } catch (error) {
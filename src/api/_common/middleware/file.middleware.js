@@ -4,45 +4,58 @@ import multer from 'multer';
 const storage = multer.memoryStorage();
 
 /**
- * File filter for general file uploads
- * Allows a variety of common file types including:
+ * MIME types accepted for general file uploads:
  * - Images (JPEG, PNG, GIF, WebP, SVG)
  * - Documents (PDF, Word, PowerPoint, Excel)
  * - Archives (ZIP, RAR, 7z)
  * - Code files (Python, JavaScript, TypeScript, Java, C/C++, etc.)
  * - Text files (Markdown, CSV, JSON, HTML, CSS, etc.)
+ * - Video and audio (lecture recordings; these go through direct-to-S3 uploads)
  */
-const generalFileFilter = (req, file, cb) => {
-    const ALLOWED_MIMETYPES = [
-        // Images
-        'image/jpeg', 'image/png', 'image/gif',
-        'image/webp', 'image/svg+xml',
-        // Documents
-        'application/pdf',
-        'application/msword', 
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        'application/vnd.ms-powerpoint',
-        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        // Archives
-        'application/zip', 'application/x-rar-compressed',
-        'application/vnd.rar', 'application/x-7z-compressed',
-        // Programming & notebooks
-        'text/x-python', // .py
-        'application/x-ipynb+json', // .ipynb
-        'application/typescript', // .ts
-        'text/x-java-source', // .java
-        'text/x-csrc', 'text/x-c++src', // .c, .cpp
-        'text/markdown', // .md
-        'application/x-sh', // .sh
-        // Text files
-        'text/plain', 'text/csv', 'text/javascript', 'text/css', 'text/html', 'application/json',
-        // Fallback
-        'application/octet-stream' // fallback for unrecognized file types
-    ];
+const ALLOWED_MIMETYPES = [
+    // Images
+    'image/jpeg', 'image/png', 'image/gif',
+    'image/webp', 'image/svg+xml',
+    // Documents
+    'application/pdf',
+    'application/msword', 
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    // Archives
+    'application/zip', 'application/x-rar-compressed',
+    'application/vnd.rar', 'application/x-7z-compressed',
+    // Programming & notebooks
+    'text/x-python', // .py
+    'application/x-ipynb+json', // .ipynb
+    'application/typescript', // .ts
+    'text/x-java-source', // .java
+    'text/x-csrc', 'text/x-c++src', // .c, .cpp
+    'text/markdown', // .md
+    'application/x-sh', // .sh
+    // Text files
+    'text/plain', 'text/csv', 'text/javascript', 'text/css', 'text/html', 'application/json',
+    // Video & audio
+    'video/mp4', 'video/webm', 'video/quicktime', 'audio/mpeg', 'audio/mp4', 'audio/wav',
+    // Fallback
+    'application/octet-stream' // fallback for unrecognized file types
+];
+
+/**
+ * Whether a MIME type may be uploaded as a general file
+ * @param {string} mimetype - MIME type
+ * @returns {boolean}
+ */
+export const isAllowedMimeType = (mimetype) =>
+    typeof mimetype === 'string' && (ALLOWED_MIMETYPES.includes(mimetype) || mimetype.startsWith('text/'));
 
-    if (ALLOWED_MIMETYPES.includes(file.mimetype) || file.mimetype.startsWith('text/')) {
+/**
+ * File filter for general file uploads (see ALLOWED_MIMETYPES)
+ */
+const generalFileFilter = (req, file, cb) => {
+    if (isAllowedMimeType(file.mimetype)) {
         cb(null, true); // Accept the file
     } else {
         cb(new Error('Invalid file type.'), false); // Reject the file
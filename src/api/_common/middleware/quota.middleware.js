@@ -1,4 +1,5 @@
 import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
 import File from '../../../models/fileModel.js';
 import User from '../../../models/userModel.js';
 
@@ -33,60 +34,98 @@ export const QUOTAS = {
 };
 
 /**
- * Middleware to check if a user has reached their storage quota based on their role.
- * Enforces both file count and total size limits.
- * Only applies to personal files (context: 'personal').
- * Uses highest-role logic: if a user is a teacher, they get teacher quotas.
- * 
- * Must be used AFTER the 'protect' middleware.
+ * Current personal-storage usage for a user.
+ * Bytes include every retained previous version; versions do not count as extra files.
+ *
+ * @param {ObjectId|string} userId - User ID
+ * @returns {Promise<{ totalSize: number, fileCount: number }>}
  */
-export const checkStorageQuota = asyncHandler(async (req, res, next) => {
-    // Determine effective role from roles array (most permissive)
-    const roles = Array.isArray(req.user?.roles) ? req.user.roles : (req.user?.role ? [req.user.role] : ['user']);
-    const precedence = ['admin', 'hod', 'teacher', 'student', 'user'];
-    const userRole = precedence.find(r => roles.includes(r)) || 'user';
-    const quota = QUOTAS[userRole] || QUOTAS.user; // Default to 'user' quota
-
-    // If quota is unlimited, skip all checks
-    if (quota.maxFiles === Infinity) {
-        return next();
-    }
-
-    // --- Calculate Current Usage (Personal Files Only) ---
+export const getStorageUsage = async (userId) => {
     const usage = await File.aggregate([
         { 
             $match: { 
-                user: req.user._id,
+                user: new mongoose.Types.ObjectId(String(userId)),
                 context: 'personal' // Only count personal files
             } 
         },
         {
             $group: {
                 _id: null,
-                totalSize: { $sum: '$size' },
+                totalSize: { $sum: { $add: ['$size', { $sum: '$versions.size' }] } },
                 fileCount: { $sum: 1 }
             }
         }
     ]);
 
-    const { totalSize, fileCount } = usage[0] || { totalSize: 0, fileCount: 0 };
+    return usage[0] || { totalSize: 0, fileCount: 0 };
+};
 
-    // --- Calculate Incoming Request Size ---
-    const incomingFileCount = req.files ? req.files.length : 0;
-    const incomingSize = req.files ? req.files.reduce((acc, file) => acc + file.size, 0) : 0;
+/**
+ * Throw a 403 if adding the incoming files/bytes would exceed the user's quota.
+ * Shared by the upload middleware and direct-to-S3 uploads, which are checked
+ * before anything is presigned.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} incoming - { fileCount, size }
+ */
+export const assertStorageQuota = async (user, { fileCount: incomingFileCount = 0, size: incomingSize = 0 } = {}) => {
+    // Determine effective role from roles array (most permissive)
+    const roles = Array.isArray(user?.roles) ? user.roles : (user?.role ? [user.role] : ['user']);
+    const precedence = ['admin', 'hod', 'teacher', 'student', 'user'];
+    const userRole = precedence.find(r => roles.includes(r)) || 'user';
+    const quota = QUOTAS[userRole] || QUOTAS.user; // Default to 'user' quota
+
+    // If quota is unlimited, skip all checks
+    if (quota.maxFiles === Infinity) {
+        return;
+    }
+
+    // --- Calculate Current Usage (Personal Files Only) ---
+    const { totalSize, fileCount } = await getStorageUsage(user._id);
 
     // --- Enforce Limits ---
     const quotaBytes = quota.maxSizeMB * 1024 * 1024;
 
     if (fileCount + incomingFileCount > quota.maxFiles) {
-        res.status(403);
-        throw new Error(`Storage limit reached. Your role (${userRole}) is limited to ${quota.maxFiles} files.`);
+        const error = new Error(`Storage limit reached. Your role (${userRole}) is limited to ${quota.maxFiles} files.`);
+        error.statusCode = 403;
+        throw error;
     }
 
     if (totalSize + incomingSize > quotaBytes) {
-        res.status(403);
-        throw new Error(`Storage limit reached. Your role (${userRole}) is limited to ${quota.maxSizeMB}MB.`);
+        const error = new Error(`Storage limit reached. Your role (${userRole}) is limited to ${quota.maxSizeMB}MB.`);
+        error.statusCode = 403;
+        throw error;
     }
+};
+
+/**
+ * Build the quota middleware.
+ * `countsAsNewFiles: false` is for uploads that replace an existing file
+ * (new versions): only their bytes are added to usage.
+ */
+const enforceStorageQuota = ({ countsAsNewFiles = true } = {}) => asyncHandler(async (req, res, next) => {
+    // --- Calculate Incoming Request Size ---
+    const incomingFileCount = req.files && countsAsNewFiles ? req.files.length : 0;
+    const incomingSize = req.files ? req.files.reduce((acc, file) => acc + file.size, 0) : 0;
+
+    await assertStorageQuota(req.user, { fileCount: incomingFileCount, size: incomingSize });
 
     next();
 });
+
+/**
+ * Middleware to check if a user has reached their storage quota based on their role.
+ * Enforces both file count and total size limits.
+ * Only applies to personal files (context: 'personal').
+ * Uses highest-role logic: if a user is a teacher, they get teacher quotas.
+ * 
+ * Must be used AFTER the 'protect' middleware.
+ */
+export const checkStorageQuota = enforceStorageQuota();
+
+/**
+ * Quota check for uploading a new version of an existing file.
+ * Only the incoming bytes count; the file count is unchanged.
+ */
+export const checkVersionQuota = enforceStorageQuota({ countsAsNewFiles: false });
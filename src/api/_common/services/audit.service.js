@@ -3,10 +3,10 @@ import { sanitizeForLog, deepSanitize } from '../utils/sanitize.js';
 
 /**
  * Write a structured AuditLog entry.
- * options: { actor, action, entityType, entityId, before, after, req, context }
+ * options: { actor, action, entityType, entityId, before, after, req, context, reason }
  */
 export const logAudit = async (options = {}) => {
-  const { actor, action, entityType, entityId, before, after, req, context } = options;
+  const { actor, action, entityType, entityId, before, after, req, context, reason } = options;
   try {
     const sBefore = deepSanitize(sanitizeForLog(before));
     const sAfter = deepSanitize(sanitizeForLog(after));
@@ -36,6 +36,7 @@ export const logAudit = async (options = {}) => {
       entityType: entityType || 'unknown',
       entityId: entityId ? String(entityId) : 'unknown',
       context,
+      reason,
       ipAddress: req?.ip || req?.headers?.['x-forwarded-for'] || null,
       userAgent: req?.get ? req.get('User-Agent') : req?.headers?.['user-agent'] || null,
       data: {
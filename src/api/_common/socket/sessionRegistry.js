@@ -13,6 +13,43 @@ let ioRef = null;
 
 export const attachIo = (io) => { ioRef = io; };
 
+/**
+ * Name of the per-user room every authenticated socket joins on connection.
+ */
+export const getUserRoom = (userId) => `user_${userId}`;
+
+/**
+ * Emit an event to all sockets of a user (all devices).
+ * No-op when Socket.IO has not been attached (e.g. tests, workers without a server).
+ */
+export const emitToUser = (userId, event, payload) => {
+  try {
+    if (!ioRef || !userId) return;
+    ioRef.to(getUserRoom(String(userId))).emit(event, payload);
+  } catch (e) {
+    // ignore emit errors
+  }
+};
+
+/**
+ * Emit an event to a named room (e.g. an attendance session room).
+ * No-op when Socket.IO has not been attached.
+ */
+export const emitToRoom = (room, event, payload) => {
+  try {
+    if (!ioRef || !room) return;
+    ioRef.to(room).emit(event, payload);
+  } catch (e) {
+    // ignore emit errors
+  }
+};
+
+/**
+ * Whether Socket.IO has been attached (lets callers skip work whose only
+ * purpose is an emit).
+ */
+export const isIoAttached = () => ioRef !== null;
+
 export const registerSocket = (userId, deviceId, socketId) => {
   if (!userId || !socketId) return;
   const dId = deviceId || 'unknown';
@@ -120,4 +157,8 @@ export default {
   // Expose attachIo and disconnect helper on default export for convenience
   attachIo,
   disconnectDeviceSockets,
+  getUserRoom,
+  emitToUser,
+  emitToRoom,
+  isIoAttached,
 };
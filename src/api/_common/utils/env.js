@@ -0,0 +1,16 @@
+/**
+ * Environment variable helpers
+ */
+
+/**
+ * Read an integer setting, falling back when it is unset or out of range
+ *
+ * @param {string} key - Environment variable name
+ * @param {number} fallback - Value used when the variable is missing or invalid
+ * @param {number} min - Smallest accepted value (default 1; pass 0 to allow zero)
+ * @returns {number} Configured value or the fallback
+ */
+export const envNumber = (key, fallback, min = 1) => {
+    const value = Number.parseInt(process.env[key], 10);
+    return Number.isFinite(value) && value >= min ? value : fallback;
+};
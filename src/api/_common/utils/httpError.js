@@ -0,0 +1,25 @@
+/**
+ * HTTP error helpers
+ * Errors carry a `statusCode` that the global error handler sends back
+ */
+
+/**
+ * Create an error with an HTTP status code
+ *
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @returns {Error} Error with `statusCode` set
+ */
+export const httpError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Create a 400 Bad Request error
+ *
+ * @param {string} message - Error message
+ * @returns {Error} Error with `statusCode` 400
+ */
+export const badRequest = (message) => httpError(message, 400);
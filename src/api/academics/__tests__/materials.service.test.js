@@ -0,0 +1,212 @@
+/**
+ * Materials & Library Service Tests
+ * Unit tests for adding materials, class-scoped browsing, most downloaded and ratings
+ */
+
+import * as materialsService from '../services/materials.service.js';
+import * as libraryService from '../services/library.service.js';
+import File from '../../../models/fileModel.js';
+import ClassShare from '../../../models/classShareModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Materials & Library Services', () => {
+  let subject;
+  let otherSubject;
+  let teacher;
+  let student;
+
+  const createDriveFile = (owner, fileName = 'notes.pdf', overrides = {}) => File.create({
+    user: owner._id,
+    fileName,
+    s3Key: `test/material/${generateObjectId()}`,
+    size: 100,
+    fileType: 'application/pdf',
+    path: ',',
+    ...overrides,
+  });
+
+  const addMaterial = async (overrides = {}) => {
+    const file = await createDriveFile(teacher, `${generateObjectId()}.pdf`);
+    const { material } = await materialsService.createMaterial({
+      fileId: file._id,
+      subject: subject._id,
+      type: 'notes',
+      unit: 1,
+      topic: 'Sorting',
+      ...overrides,
+    }, teacher);
+    return material;
+  };
+
+  const shareWithStudentClass = (material, overrides = {}) => ClassShare.create({
+    fileId: material.file,
+    sharedBy: teacher._id,
+    subject: material.subject,
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    otherSubject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    student = await createTestStudent();
+  });
+
+  describe('createMaterial', () => {
+    it('should register a drive file as an academic material', async () => {
+      const file = await createDriveFile(teacher, 'unit1-slides.pdf');
+
+      const { material } = await materialsService.createMaterial({
+        fileId: file._id,
+        subject: subject._id,
+        type: 'slides',
+        unit: 1,
+      }, teacher);
+
+      const updated = await File.findById(file._id);
+      expect(material.title).toBe('unit1-slides.pdf');
+      expect(updated.context).toBe('academic_material');
+    });
+
+    it('should share with the given classes', async () => {
+      const file = await createDriveFile(teacher);
+
+      const { shares } = await materialsService.createMaterial({
+        fileId: file._id,
+        subject: subject._id,
+        type: 'notes',
+        classes: [{ batch: 2024, semester: 3, section: 'A' }],
+      }, teacher);
+
+      expect(shares.newShares).toBe(1);
+      expect(await ClassShare.isSharedWithClass(file._id, { batch: 2024, semester: 3, section: 'A' })).toBe(true);
+    });
+
+    it('should reject subjects the teacher does not teach', async () => {
+      const file = await createDriveFile(teacher);
+
+      await expect(materialsService.createMaterial({
+        fileId: file._id,
+        subject: otherSubject._id,
+        type: 'notes',
+      }, teacher)).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should reject folders and files already in the library', async () => {
+      const folder = await createDriveFile(teacher, 'Unit 1', { isFolder: true, fileType: 'folder', size: 0 });
+      await expect(materialsService.createMaterial({
+        fileId: folder._id,
+        subject: subject._id,
+        type: 'notes',
+      }, teacher)).rejects.toMatchObject({ statusCode: 400 });
+
+      const material = await addMaterial();
+      await expect(materialsService.createMaterial({
+        fileId: material.file,
+        subject: subject._id,
+        type: 'notes',
+      }, teacher)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('browseLibrary', () => {
+    it('should only show students materials shared with their class', async () => {
+      const shared = await addMaterial({ title: 'Shared' });
+      await addMaterial({ title: 'Not shared' });
+      await shareWithStudentClass(shared);
+
+      const studentView = await libraryService.browseLibrary(student, {});
+      const teacherView = await libraryService.browseLibrary(teacher, {});
+
+      expect(studentView.materials.map(m => m.title)).toEqual(['Shared']);
+      expect(teacherView.pagination.totalItems).toBe(2);
+    });
+
+    it('should hide materials whose file is deleted or whose share has expired', async () => {
+      const deleted = await addMaterial();
+      const expired = await addMaterial();
+      await shareWithStudentClass(deleted);
+      await shareWithStudentClass(expired, { expiresAt: new Date(Date.now() - 1000) });
+      await File.updateOne({ _id: deleted.file }, { isDeleted: true, deletedAt: new Date() });
+
+      const result = await libraryService.browseLibrary(student, {});
+
+      expect(result.materials).toHaveLength(0);
+    });
+
+    it('should filter by type and unit', async () => {
+      await addMaterial({ type: 'slides', unit: 2 });
+      await addMaterial({ type: 'notes', unit: 2 });
+      await addMaterial({ type: 'slides', unit: 3 });
+
+      const result = await libraryService.browseLibrary(teacher, { type: 'slides', unit: 2 });
+
+      expect(result.materials).toHaveLength(1);
+    });
+  });
+
+  describe('getSubjectLibrary', () => {
+    it('should group by unit with materials without a unit last', async () => {
+      await addMaterial({ unit: null, topic: 'Syllabus', type: 'reference' });
+      await addMaterial({ unit: 2, topic: 'Graphs' });
+      await addMaterial({ unit: 1, topic: 'Sorting' });
+
+      const result = await libraryService.getSubjectLibrary(teacher, subject._id);
+
+      expect(result.units.map(u => u.unit)).toEqual([1, 2, null]);
+      expect(result.byType).toMatchObject({ notes: 2, reference: 1, slides: 0 });
+    });
+  });
+
+  describe('getMostDownloaded', () => {
+    it('should order by download count and skip materials never downloaded', async () => {
+      const low = await addMaterial({ title: 'Low' });
+      const high = await addMaterial({ title: 'High' });
+      await addMaterial({ title: 'Never' });
+      await File.updateOne({ _id: low.file }, { downloadCount: 2 });
+      await File.updateOne({ _id: high.file }, { downloadCount: 9 });
+
+      const result = await libraryService.getMostDownloaded(teacher, { subject: subject._id });
+
+      expect(result.map(m => m.title)).toEqual(['High', 'Low']);
+      expect(result[0].downloadCount).toBe(9);
+    });
+  });
+
+  describe('rateMaterial', () => {
+    it('should keep one rating per student and maintain the average', async () => {
+      const material = await addMaterial();
+      await shareWithStudentClass(material);
+      const classmate = await createTestStudent();
+
+      await libraryService.rateMaterial(material, student, { rating: 2 });
+      await libraryService.rateMaterial(material, classmate, { rating: 5 });
+      const result = await libraryService.rateMaterial(material, student, { rating: 4, comment: 'Clear' });
+
+      expect(result.ratingCount).toBe(2);
+      expect(result.ratingAverage).toBe(4.5);
+      expect(result.myRating.comment).toBe('Clear');
+    });
+
+    it('should reject students whose class it is not shared with', async () => {
+      const material = await addMaterial();
+
+      await expect(libraryService.rateMaterial(material, student, { rating: 5 }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -1,34 +1,27 @@
+/**
+ * Academics Module - Main Router
+ *
+ * Sub-routers:
+ * - /materials - Teachers add files from their drive as categorised study materials
+ * - /library   - Browse by subject/unit/topic/type, most downloaded, ratings
+ *
+ * Materials are files (context 'academic_material') delivered to students
+ * through class shares. See README.md.
+ */
+
 import express from 'express';
+import { protect } from '../_common/middleware/auth.middleware.js';
+import { hasRole } from '../_common/middleware/rbac.middleware.js';
+import materialsRoutes from './routes/materials.routes.js';
+import libraryRoutes from './routes/library.routes.js';
 
 const router = express.Router();
 
-/**
- * Academics Domain Routes (Phase 0 - Placeholder)
- * 
- * This is a placeholder for future academic content management features.
- * Currently, academic file sharing is handled by the Shares domain.
- * 
- * See README.md for planned features and implementation roadmap.
- */
+// Apply authentication to all academics routes
+router.use(protect);
+router.use(hasRole(['student', 'teacher', 'admin', 'hod']));
 
-router.get('/', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Academics domain is under development',
-    status: 'placeholder',
-    existingFunctionality: {
-      classSharing: '/api/shares/class',
-      mySharedItems: '/api/shares/class/my-shared-items'
-    },
-    plannedFeatures: [
-      'Study materials management',
-      'Resource library',
-      'Session materials linking',
-      'Content analytics',
-      'Material categorization'
-    ],
-    documentation: 'See /src/api/academics/README.md'
-  });
-});
+router.use('/materials', materialsRoutes);
+router.use('/library', libraryRoutes);
 
 export default router;
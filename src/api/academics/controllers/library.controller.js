@@ -0,0 +1,50 @@
+/**
+ * Library Controller
+ * HTTP request handlers for browsing and rating study materials
+ */
+
+import asyncHandler from 'express-async-handler';
+import * as libraryService from '../services/library.service.js';
+
+/**
+ * @desc    Browse the library
+ * @route   GET /api/academics/library
+ * @access  Private (Student, Teacher, Admin, HOD)
+ */
+export const browseLibrary = asyncHandler(async (req, res) => {
+    const filters = req.validated?.query || req.query;
+    const result = await libraryService.browseLibrary(req.user, filters);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Most downloaded materials
+ * @route   GET /api/academics/library/popular
+ * @access  Private (Student, Teacher, Admin, HOD)
+ */
+export const getMostDownloaded = asyncHandler(async (req, res) => {
+    const options = req.validated?.query || req.query;
+    const materials = await libraryService.getMostDownloaded(req.user, options);
+    res.status(200).json(materials);
+});
+
+/**
+ * @desc    A subject's materials grouped by unit
+ * @route   GET /api/academics/library/:subjectId
+ * @access  Private (Student, Teacher, Admin, HOD)
+ */
+export const getSubjectLibrary = asyncHandler(async (req, res) => {
+    const filters = req.validated?.query || req.query;
+    const result = await libraryService.getSubjectLibrary(req.user, req.params.subjectId, filters);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Rate a material (1-5)
+ * @route   POST /api/academics/library/:id/rate
+ * @access  Private (Student)
+ */
+export const rateMaterial = asyncHandler(async (req, res) => {
+    const result = await libraryService.rateMaterial(req.material, req.user, req.body);
+    res.status(200).json(result);
+});
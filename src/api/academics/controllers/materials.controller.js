@@ -0,0 +1,68 @@
+/**
+ * Materials Controller
+ * HTTP request handlers for managing study materials
+ */
+
+import asyncHandler from 'express-async-handler';
+import * as materialsService from '../services/materials.service.js';
+
+/**
+ * @desc    Add a file from the teacher's drive to the materials library
+ * @route   POST /api/academics/materials
+ * @access  Private (Teacher, Admin)
+ */
+export const createMaterial = asyncHandler(async (req, res) => {
+    const result = await materialsService.createMaterial(req.body, req.user, req);
+    res.status(201).json(result);
+});
+
+/**
+ * @desc    List materials added by the current teacher
+ * @route   GET /api/academics/materials
+ * @access  Private (Teacher, Admin)
+ */
+export const getMyMaterials = asyncHandler(async (req, res) => {
+    const filters = req.validated?.query || req.query;
+    const materials = await materialsService.getMyMaterials(req.user._id, filters);
+    res.status(200).json(materials);
+});
+
+/**
+ * @desc    Get material details
+ * @route   GET /api/academics/materials/:id
+ * @access  Private (Staff, students of a class it is shared with)
+ */
+export const getMaterial = asyncHandler(async (req, res) => {
+    const material = await materialsService.getMaterialDetails(req.material, req.user);
+    res.status(200).json(material);
+});
+
+/**
+ * @desc    Update material categorisation
+ * @route   PATCH /api/academics/materials/:id
+ * @access  Private (Uploader, Admin)
+ */
+export const updateMaterial = asyncHandler(async (req, res) => {
+    const material = await materialsService.updateMaterial(req.material, req.body, req.user, req);
+    res.status(200).json(material);
+});
+
+/**
+ * @desc    Remove a material from the library (the file is kept)
+ * @route   DELETE /api/academics/materials/:id
+ * @access  Private (Uploader, Admin)
+ */
+export const deleteMaterial = asyncHandler(async (req, res) => {
+    const result = await materialsService.deleteMaterial(req.material, req.user, req);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Signed download link (counts the download)
+ * @route   GET /api/academics/materials/:id/download
+ * @access  Private (Staff, students of a class it is shared with)
+ */
+export const getDownloadLink = asyncHandler(async (req, res) => {
+    const result = await materialsService.getMaterialDownloadUrl(req.material, req.user);
+    res.status(200).json(result);
+});
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import Material from '../../../models/materialModel.js';
+import { canAccessMaterial } from '../services/materials.service.js';
+
+// ============================================================================
+// Authorization Policies for Academics Module
+// ============================================================================
+
+/**
+ * Load the material from :id and attach it as req.material
+ */
+export const loadMaterial = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid material ID.' });
+    }
+
+    const material = await Material.findById(req.params.id);
+
+    if (!material) {
+      return res.status(404).json({ message: 'Material not found.' });
+    }
+
+    req.material = material;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only the uploader (or an admin) may change or remove a material
+ */
+export const isMaterialOwner = (req, res, next) => {
+  const isUploader = String(req.material.uploadedBy) === String(req.user._id);
+
+  if (!isUploader && !req.user.roles.includes('admin')) {
+    return res.status(403).json({ message: 'Only the teacher who added this material can do this.' });
+  }
+
+  next();
+};
+
+/**
+ * Staff see the whole library; students only materials shared with their class
+ */
+export const canViewMaterial = async (req, res, next) => {
+  try {
+    if (await canAccessMaterial(req.user, req.material)) {
+      return next();
+    }
+
+    return res.status(403).json({ message: 'This material has not been shared with your class.' });
+  } catch (error) {
+    next(error);
+  }
+};
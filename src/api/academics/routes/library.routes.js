@@ -0,0 +1,51 @@
+/**
+ * Library Routes
+ * Browse, filter and rate study materials
+ */
+
+import express from 'express';
+import * as libraryController from '../controllers/library.controller.js';
+import * as validators from '../validators/academics.validators.js';
+import { loadMaterial } from '../policies/academics.policies.js';
+import { isStudent } from '../../_common/middleware/rbac.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/academics/library
+ * @desc    Browse materials (students: shared with their class)
+ * @query   subject, unit, topic, type, tag, q, sort (recent|rating|downloads), page, limit
+ * @access  Private (Student, Teacher, Admin, HOD)
+ */
+router.get('/', validators.validateLibraryQuery, libraryController.browseLibrary);
+
+/**
+ * @route   GET /api/academics/library/popular
+ * @desc    Most downloaded materials
+ * @query   subject, type, limit
+ * @access  Private (Student, Teacher, Admin, HOD)
+ */
+router.get('/popular', validators.validatePopularQuery, libraryController.getMostDownloaded);
+
+/**
+ * @route   GET /api/academics/library/:subjectId
+ * @desc    A subject's materials grouped by unit, with counts per type
+ * @query   type, sort
+ * @access  Private (Student, Teacher, Admin, HOD)
+ */
+router.get('/:subjectId', validators.validateSubjectLibrary, libraryController.getSubjectLibrary);
+
+/**
+ * @route   POST /api/academics/library/:id/rate
+ * @desc    Rate a material 1-5 with an optional comment (rating again replaces it)
+ * @access  Private (Student)
+ */
+router.post(
+  '/:id/rate',
+  isStudent,
+  validators.validateRateMaterial,
+  loadMaterial,
+  libraryController.rateMaterial
+);
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * Materials Routes
+ * Teachers add files from their drive to the materials library
+ */
+
+import express from 'express';
+import * as materialsController from '../controllers/materials.controller.js';
+import * as validators from '../validators/academics.validators.js';
+import { loadMaterial, isMaterialOwner, canViewMaterial } from '../policies/academics.policies.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+
+const router = express.Router();
+
+const isTeacherOrAdmin = hasRole(['teacher', 'admin']);
+
+/**
+ * @route   POST /api/academics/materials
+ * @desc    Add a file from my drive as a material, optionally sharing it with classes
+ * @access  Private (Teacher, Admin)
+ */
+router.post('/', isTeacherOrAdmin, validators.validateCreateMaterial, materialsController.createMaterial);
+
+/**
+ * @route   GET /api/academics/materials
+ * @desc    Materials I have added, with download and share counts
+ * @query   subject, unit, type
+ * @access  Private (Teacher, Admin)
+ */
+router.get('/', isTeacherOrAdmin, validators.validateMyMaterialsQuery, materialsController.getMyMaterials);
+
+/**
+ * @route   GET /api/academics/materials/:id
+ * @desc    Material details with rating summary (and class shares for staff)
+ * @access  Private (Staff, students of a class it is shared with)
+ */
+router.get(
+  '/:id',
+  validators.validateMaterialParams,
+  loadMaterial,
+  canViewMaterial,
+  materialsController.getMaterial
+);
+
+/**
+ * @route   PATCH /api/academics/materials/:id
+ * @desc    Update title, description, subject, unit, topic, type or tags
+ * @access  Private (Uploader, Admin)
+ */
+router.patch(
+  '/:id',
+  validators.validateUpdateMaterial,
+  loadMaterial,
+  isMaterialOwner,
+  materialsController.updateMaterial
+);
+
+/**
+ * @route   DELETE /api/academics/materials/:id
+ * @desc    Remove from the library (the file and its class shares are kept)
+ * @access  Private (Uploader, Admin)
+ */
+router.delete(
+  '/:id',
+  validators.validateMaterialParams,
+  loadMaterial,
+  isMaterialOwner,
+  materialsController.deleteMaterial
+);
+
+/**
+ * @route   GET /api/academics/materials/:id/download
+ * @desc    Signed download link; increments the file's download count
+ * @access  Private (Staff, students of a class it is shared with)
+ */
+router.get(
+  '/:id/download',
+  validators.validateMaterialParams,
+  loadMaterial,
+  materialsController.getDownloadLink
+);
+
+export default router;
@@ -0,0 +1,275 @@
+/**
+ * Library Service
+ * Browsing, subject views, most-downloaded lists and student ratings for
+ * study materials. Students only ever see materials shared with their class.
+ */
+
+import mongoose from 'mongoose';
+import Material, { MATERIAL_TYPES } from '../../../models/materialModel.js';
+import File from '../../../models/fileModel.js';
+import Subject from '../../../models/subjectModel.js';
+import User from '../../../models/userModel.js';
+import ClassShare from '../../../models/classShareModel.js';
+import { getPaginationMeta, getSkip } from '../../_common/http/pagination.js';
+import { canAccessMaterial } from './materials.service.js';
+
+const SORTS = {
+  recent: { createdAt: -1 },
+  rating: { ratingAverage: -1, ratingCount: -1, createdAt: -1 },
+  downloads: { downloadCount: -1, createdAt: -1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * File ids shared with the student's class, or null for staff (no restriction)
+ */
+const getAccessibleFileIds = async (user) => {
+  if (user.roles.some(r => ['teacher', 'admin', 'hod'].includes(r))) {
+    return null;
+  }
+
+  const { batch, semester, section } = user.studentDetails || {};
+  if (!batch || !semester || !section) {
+    const error = new Error('Student profile is incomplete. Batch, semester and section are required.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return ClassShare.find({
+    batch,
+    semester,
+    section,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  }).distinct('fileId');
+};
+
+/**
+ * Build the $match stage shared by every library query
+ */
+const buildMatch = (fileIds, filters = {}) => {
+  const match = {};
+
+  // $text has to be in the first stage of the pipeline
+  if (filters.q) match.$text = { $search: filters.q };
+  if (fileIds) match.file = { $in: fileIds };
+  if (filters.subject) match.subject = new mongoose.Types.ObjectId(String(filters.subject));
+  if (filters.unit) match.unit = Number(filters.unit);
+  if (filters.type) match.type = filters.type;
+  if (filters.topic) match.topic = new RegExp(`^${escapeRegex(filters.topic)}$`, 'i');
+  if (filters.tag) match.tags = String(filters.tag).toLowerCase();
+
+  return match;
+};
+
+/**
+ * Join live (non-deleted) files, subject and uploader, and shape each material
+ * for listing. Ratings are summarised, never listed.
+ */
+const materialListStages = () => [
+  {
+    $lookup: {
+      from: File.collection.name,
+      localField: 'file',
+      foreignField: '_id',
+      as: 'file',
+    },
+  },
+  { $unwind: '$file' },
+  { $match: { 'file.isDeleted': false } },
+  {
+    $lookup: {
+      from: Subject.collection.name,
+      let: { subjectId: '$subject' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$subjectId'] } } },
+        { $project: { name: 1, subjectCode: 1 } },
+      ],
+      as: 'subject',
+    },
+  },
+  { $unwind: '$subject' },
+  {
+    $lookup: {
+      from: User.collection.name,
+      let: { userId: '$uploadedBy' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+        { $project: { name: 1 } },
+      ],
+      as: 'uploadedBy',
+    },
+  },
+  { $unwind: { path: '$uploadedBy', preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      title: 1,
+      description: 1,
+      unit: 1,
+      topic: 1,
+      type: 1,
+      tags: 1,
+      subject: 1,
+      uploadedBy: 1,
+      ratingAverage: 1,
+      ratingCount: 1,
+      createdAt: 1,
+      downloadCount: { $ifNull: ['$file.downloadCount', 0] },
+      file: {
+        _id: '$file._id',
+        fileName: '$file.fileName',
+        fileType: '$file.fileType',
+        size: '$file.size',
+      },
+    },
+  },
+];
+
+/**
+ * Browse the library with filters, search and sorting
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} filters - { subject, unit, topic, type, tag, q, sort, page, limit }
+ * @returns {Promise<Object>} { materials, pagination }
+ */
+export const browseLibrary = async (user, filters = {}) => {
+  const page = filters.page || 1;
+  const limit = filters.limit || 20;
+  const fileIds = await getAccessibleFileIds(user);
+
+  const [result] = await Material.aggregate([
+    { $match: buildMatch(fileIds, filters) },
+    ...materialListStages(),
+    {
+      $facet: {
+        materials: [
+          { $sort: SORTS[filters.sort] || SORTS.recent },
+          { $skip: getSkip(page, limit) },
+          { $limit: limit },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  return {
+    materials: result.materials,
+    pagination: getPaginationMeta({ page, limit, total }),
+  };
+};
+
+/**
+ * One subject's materials grouped by unit, with per-type counts
+ *
+ * @param {Object} user - Authenticated user
+ * @param {string} subjectId - Subject
+ * @param {Object} filters - { type, sort }
+ */
+export const getSubjectLibrary = async (user, subjectId, filters = {}) => {
+  const subject = await Subject.findById(subjectId).select('name subjectCode semester department').lean();
+
+  if (!subject) {
+    const error = new Error('Subject not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const fileIds = await getAccessibleFileIds(user);
+
+  const materials = await Material.aggregate([
+    { $match: buildMatch(fileIds, { subject: subjectId }) },
+    ...materialListStages(),
+    { $sort: SORTS[filters.sort] || SORTS.recent },
+  ]);
+
+  const byType = Object.fromEntries(MATERIAL_TYPES.map(type => [type, 0]));
+  materials.forEach((material) => { byType[material.type] += 1; });
+
+  const visible = filters.type ? materials.filter(m => m.type === filters.type) : materials;
+
+  // Units in order; materials without a unit (unit: null) are listed last
+  const unitMap = new Map();
+  visible.forEach((material) => {
+    const key = material.unit ?? null;
+    if (!unitMap.has(key)) unitMap.set(key, []);
+    unitMap.get(key).push(material);
+  });
+
+  const units = [...unitMap.entries()]
+    .sort(([a], [b]) => (a === null) - (b === null) || a - b)
+    .map(([unit, unitMaterials]) => {
+      const topics = [...new Set(unitMaterials.map(m => m.topic).filter(Boolean))].sort();
+      return { unit, topics, materials: unitMaterials };
+    });
+
+  return {
+    subject,
+    totalMaterials: materials.length,
+    byType,
+    units,
+  };
+};
+
+/**
+ * Most downloaded materials, optionally for one subject
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} options - { subject, type, limit }
+ */
+export const getMostDownloaded = async (user, options = {}) => {
+  const fileIds = await getAccessibleFileIds(user);
+
+  return Material.aggregate([
+    { $match: buildMatch(fileIds, { subject: options.subject, type: options.type }) },
+    ...materialListStages(),
+    { $match: { downloadCount: { $gt: 0 } } },
+    { $sort: SORTS.downloads },
+    { $limit: options.limit || 10 },
+  ]);
+};
+
+/**
+ * Rate a material (1-5). Rating again replaces the previous rating.
+ *
+ * @param {Object} material - Material document
+ * @param {Object} user - Authenticated student
+ * @param {Object} data - { rating, comment }
+ * @returns {Promise<Object>} { ratingAverage, ratingCount, myRating }
+ */
+export const rateMaterial = async (material, user, data) => {
+  if (!(await canAccessMaterial(user, material))) {
+    const error = new Error('This material has not been shared with your class.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const existing = material.ratings.find(r => String(r.user) === String(user._id));
+
+  if (existing) {
+    existing.rating = data.rating;
+    existing.comment = data.comment;
+    existing.ratedAt = new Date();
+  } else {
+    material.ratings.push({ user: user._id, rating: data.rating, comment: data.comment });
+  }
+
+  const sum = material.ratings.reduce((total, r) => total + r.rating, 0);
+  material.ratingCount = material.ratings.length;
+  material.ratingAverage = round1(sum / material.ratingCount);
+  await material.save();
+
+  const myRating = material.ratings.find(r => String(r.user) === String(user._id));
+
+  return {
+    ratingAverage: material.ratingAverage,
+    ratingCount: material.ratingCount,
+    myRating,
+  };
+};
@@ -0,0 +1,297 @@
+/**
+ * Materials Service
+ * Teacher-side business logic: turning uploaded files into categorised study
+ * materials, sharing them with classes and serving counted downloads.
+ */
+
+import Material from '../../../models/materialModel.js';
+import File from '../../../models/fileModel.js';
+import Subject from '../../../models/subjectModel.js';
+import ClassShare from '../../../models/classShareModel.js';
+import { getDownloadUrl } from '../../../services/s3/s3.service.js';
+import { logAudit } from '../../_common/services/audit.service.js';
+import { AUDIT_ACTIONS } from '../../../constants/auditActions.js';
+import { shareFileWithClassService } from '../../shares/services/shares.service.js';
+
+const STAFF_ROLES = ['teacher', 'admin', 'hod'];
+
+const isStaff = (user) => user.roles.some(r => STAFF_ROLES.includes(r));
+
+const snapshot = (material) => ({
+  title: material.title,
+  subject: material.subject,
+  unit: material.unit,
+  topic: material.topic,
+  type: material.type,
+});
+
+/**
+ * Teachers may only publish materials for subjects they teach; admins for any
+ */
+const assertTeachesSubject = (user, subjectId) => {
+  if (user.roles.includes('admin')) return;
+
+  const teaches = user.teacherDetails?.assignments?.some(
+    assignment => String(assignment.subject) === String(subjectId)
+  );
+
+  if (!teaches) {
+    const error = new Error('You are not assigned to teach this subject.');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+const findSubject = async (subjectId) => {
+  const subject = await Subject.findById(subjectId).select('name subjectCode semester');
+
+  if (!subject) {
+    const error = new Error('Subject not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return subject;
+};
+
+/**
+ * Whether a user can see a material. Staff browse the whole library; students
+ * only see materials whose file is shared with their class.
+ */
+export const canAccessMaterial = async (user, material) => {
+  if (String(material.uploadedBy) === String(user._id) || isStaff(user)) {
+    return true;
+  }
+
+  const { batch, semester, section } = user.studentDetails || {};
+  if (!batch || !semester || !section) return false;
+
+  return ClassShare.isSharedWithClass(material.file, { batch, semester, section });
+};
+
+/**
+ * Register an uploaded file as a study material, optionally sharing it with classes
+ *
+ * @param {Object} data - { fileId, subject, title, description, unit, topic, type, tags, classes }
+ * @param {Object} user - Authenticated teacher/admin
+ * @returns {Promise<Object>} { material, shares }
+ */
+export const createMaterial = async (data, user, req = null) => {
+  const file = await File.findOne({ _id: data.fileId, user: user._id, isDeleted: false });
+
+  if (!file) {
+    const error = new Error('File not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (file.isFolder || file.context === 'assignment') {
+    const error = new Error('Only files from your drive can be added as study materials.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await findSubject(data.subject);
+  assertTeachesSubject(user, data.subject);
+
+  if (await Material.exists({ file: file._id })) {
+    const error = new Error('This file is already in the materials library.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  // Sharing validates each class against the teacher's assignments, so do it first
+  let shares = null;
+  if (Array.isArray(data.classes) && data.classes.length > 0) {
+    const result = await shareFileWithClassService(
+      file._id,
+      user._id,
+      data.classes.map(c => ({ ...c, subjectId: data.subject })),
+      data.description
+    );
+    shares = { newShares: result.newShares, totalShares: result.totalShares };
+  }
+
+  if (file.context === 'personal') {
+    file.context = 'academic_material';
+    await file.save();
+  }
+
+  const material = await Material.create({
+    file: file._id,
+    uploadedBy: user._id,
+    subject: data.subject,
+    title: data.title || file.fileName,
+    description: data.description,
+    unit: data.unit ?? null,
+    topic: data.topic,
+    type: data.type,
+    tags: data.tags || [],
+  });
+
+  try {
+    await logAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.MATERIAL_CREATE,
+      entityType: 'Material',
+      context: 'academic_material',
+      entityId: material._id,
+      after: { ...snapshot(material), file: file._id },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return { material, shares };
+};
+
+/**
+ * List the materials a teacher has published, with download counts
+ *
+ * @param {string} userId - Uploader
+ * @param {Object} filters - { subject, unit, type }
+ */
+export const getMyMaterials = async (userId, filters = {}) => {
+  const query = { uploadedBy: userId };
+  if (filters.subject) query.subject = filters.subject;
+  if (filters.unit) query.unit = filters.unit;
+  if (filters.type) query.type = filters.type;
+
+  const materials = await Material.find(query)
+    .select('-ratings')
+    .populate('file', 'fileName fileType size downloadCount isDeleted')
+    .populate('subject', 'name subjectCode')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const live = materials.filter(m => m.file && !m.file.isDeleted);
+  const shareCounts = await ClassShare.aggregate([
+    { $match: { fileId: { $in: live.map(m => m.file._id) } } },
+    { $group: { _id: '$fileId', count: { $sum: 1 } } },
+  ]);
+  const shareMap = new Map(shareCounts.map(s => [String(s._id), s.count]));
+
+  return live.map(({ file, ...material }) => ({
+    ...material,
+    file: { _id: file._id, fileName: file.fileName, fileType: file.fileType, size: file.size },
+    downloadCount: file.downloadCount || 0,
+    classShareCount: shareMap.get(String(file._id)) || 0,
+  }));
+};
+
+/**
+ * Material details. The uploader and staff also see the class shares;
+ * ratings are summarised, with the caller's own rating if any.
+ */
+export const getMaterialDetails = async (material, user) => {
+  const populated = await Material.findById(material._id)
+    .populate('file', 'fileName fileType size downloadCount isDeleted')
+    .populate('subject', 'name subjectCode semester')
+    .populate('uploadedBy', 'name')
+    .lean();
+
+  if (!populated || !populated.file || populated.file.isDeleted) {
+    const error = new Error('Material not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const { ratings, file, ...rest } = populated;
+  const myRating = ratings.find(r => String(r.user) === String(user._id)) || null;
+
+  const details = {
+    ...rest,
+    file: { _id: file._id, fileName: file.fileName, fileType: file.fileType, size: file.size },
+    downloadCount: file.downloadCount || 0,
+    myRating,
+  };
+
+  if (isStaff(user)) {
+    details.classShares = await ClassShare.findByFile(file._id).lean();
+  }
+
+  return details;
+};
+
+/**
+ * Update a material's categorisation
+ */
+export const updateMaterial = async (material, updates, user, req = null) => {
+  const before = snapshot(material);
+
+  if (updates.subject && String(updates.subject) !== String(material.subject)) {
+    await findSubject(updates.subject);
+    assertTeachesSubject(user, updates.subject);
+  }
+
+  ['title', 'description', 'subject', 'unit', 'topic', 'type', 'tags'].forEach((key) => {
+    if (updates[key] !== undefined) material[key] = updates[key];
+  });
+  await material.save();
+
+  try {
+    await logAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.MATERIAL_UPDATE,
+      entityType: 'Material',
+      context: 'academic_material',
+      entityId: material._id,
+      before,
+      after: snapshot(material),
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return material;
+};
+
+/**
+ * Remove a material from the library. The file stays in the teacher's drive
+ * and class shares are left to the Shares domain.
+ */
+export const deleteMaterial = async (material, user, req = null) => {
+  await Material.deleteOne({ _id: material._id });
+
+  try {
+    await logAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.MATERIAL_DELETE,
+      entityType: 'Material',
+      context: 'academic_material',
+      entityId: material._id,
+      before: snapshot(material),
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return { message: 'Material removed from the library.', id: material._id };
+};
+
+/**
+ * Signed download link for a material. Counts the download on the file.
+ */
+export const getMaterialDownloadUrl = async (material, user) => {
+  const file = await File.findOne({ _id: material.file, isDeleted: false });
+
+  if (!file) {
+    const error = new Error('Material not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!(await canAccessMaterial(user, material))) {
+    const error = new Error('This material has not been shared with your class.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const url = await getDownloadUrl(file.s3Key, file.fileName);
+  await File.updateOne({ _id: file._id }, { $inc: { downloadCount: 1 } });
+
+  return { url, fileName: file.fileName };
+};
@@ -0,0 +1,107 @@
+/**
+ * Academics Validators (Joi)
+ */
+import Joi from 'joi';
+import validate from '../../_common/middleware/validation.middleware.js';
+import { MATERIAL_TYPES } from '../../../models/materialModel.js';
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('Invalid ID format');
+
+const materialFields = {
+  title: Joi.string().trim().min(1).max(200),
+  description: Joi.string().trim().max(1000).allow(''),
+  unit: Joi.number().integer().min(1).max(20).allow(null),
+  topic: Joi.string().trim().max(200).allow(''),
+  type: Joi.string().valid(...MATERIAL_TYPES),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(40)).max(20)
+};
+
+const idParams = Joi.object({ id: mongoId.required() });
+
+export const validateCreateMaterial = [
+  validate({ body: Joi.object({
+    fileId: mongoId.required(),
+    subject: mongoId.required(),
+    title: materialFields.title.optional(),
+    description: materialFields.description.optional(),
+    unit: materialFields.unit.optional(),
+    topic: materialFields.topic.optional(),
+    type: materialFields.type.required(),
+    tags: materialFields.tags.optional(),
+    classes: Joi.array().items(Joi.object({
+      batch: Joi.number().integer().min(2020).max(2035).required(),
+      semester: Joi.number().integer().min(1).max(8).required(),
+      section: Joi.string().trim().uppercase().valid('A', 'B', 'C').required(),
+      expiresAt: Joi.date().iso().greater('now').allow(null)
+    })).max(20).optional()
+  }) })
+];
+
+export const validateUpdateMaterial = [
+  validate({
+    params: idParams,
+    body: Joi.object({
+      title: materialFields.title.optional(),
+      description: materialFields.description.optional(),
+      subject: mongoId.optional(),
+      unit: materialFields.unit.optional(),
+      topic: materialFields.topic.optional(),
+      type: materialFields.type.optional(),
+      tags: materialFields.tags.optional()
+    }).min(1)
+  })
+];
+
+export const validateMaterialParams = [
+  validate({ params: idParams })
+];
+
+export const validateMyMaterialsQuery = [
+  validate({ query: Joi.object({
+    subject: mongoId.optional(),
+    unit: Joi.number().integer().min(1).max(20).optional(),
+    type: materialFields.type.optional()
+  }) })
+];
+
+export const validateLibraryQuery = [
+  validate({ query: Joi.object({
+    subject: mongoId.optional(),
+    unit: Joi.number().integer().min(1).max(20).optional(),
+    topic: Joi.string().trim().max(200).optional(),
+    type: materialFields.type.optional(),
+    tag: Joi.string().trim().lowercase().max(40).optional(),
+    q: Joi.string().trim().min(1).max(100).optional(),
+    sort: Joi.string().valid('recent', 'rating', 'downloads').default('recent'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }) })
+];
+
+export const validateSubjectLibrary = [
+  validate({
+    params: Joi.object({ subjectId: mongoId.required() }),
+    query: Joi.object({
+      type: materialFields.type.optional(),
+      sort: Joi.string().valid('recent', 'rating', 'downloads').default('recent')
+    })
+  })
+];
+
+export const validatePopularQuery = [
+  validate({ query: Joi.object({
+    subject: mongoId.optional(),
+    type: materialFields.type.optional(),
+    limit: Joi.number().integer().min(1).max(50).default(10)
+  }) })
+];
+
+export const validateRateMaterial = [
+  validate({
+    params: idParams,
+    body: Joi.object({
+      rating: Joi.number().integer().min(1).max(5).required(),
+      comment: Joi.string().trim().max(500).allow('')
+    })
+  })
+];
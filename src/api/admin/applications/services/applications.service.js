@@ -3,6 +3,7 @@ import { populateTemplate } from '../../../../utils/emailTemplate.js';
 import { sendEmail } from '../../../../services/email.service.js';
 import { logAuthEvent } from '../../../auth/services/auth.log.service.js';
 import { logAudit } from '../../../_common/services/audit.service.js';
+import { createNotification } from '../../../notifications/services/notifications.service.js';
 
 // ============================================================================
 // Application Services
@@ -102,6 +103,19 @@ export const reviewApplication = async (userId, action, actor, req) => {
 
   await user.save();
 
+  // In-app notification for the applicant (non-blocking)
+  createNotification({
+    user: user._id,
+    type: 'application_reviewed',
+    title: action === 'approve' ? 'Application approved' : 'Application rejected',
+    message: action === 'approve'
+      ? 'Your student application has been approved. You now have access to student features.'
+      : 'Your student application was not approved. You may review your details and apply again.',
+    entity: { model: 'User', id: user._id },
+  }).catch((error) => {
+    console.error('Failed to create application notification:', error);
+  });
+
   // Log role change if approved
   try {
     if (action === 'approve') {
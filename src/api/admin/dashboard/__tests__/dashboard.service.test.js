@@ -127,6 +127,15 @@ describe('Dashboard Service', () => {
   });
 
   describe('getFeedbackDistribution', () => {
+    // Response thresholds are covered separately below and in the feedback domain
+    beforeAll(() => {
+      process.env.FEEDBACK_MIN_RESPONSES = '1';
+    });
+
+    afterAll(() => {
+      delete process.env.FEEDBACK_MIN_RESPONSES;
+    });
+
     it('should return empty distribution when no feedback exists', async () => {
       const result = await dashboardService.getFeedbackDistribution();
 
@@ -170,6 +179,101 @@ describe('Dashboard Service', () => {
       expect(result.summary.averageRatings).toHaveProperty('clarity');
       expect(result.summary.averageRatings).toHaveProperty('engagement');
     });
+
+    it('should summarise answers to the feedback forms', async () => {
+      const teacher = await createTestTeacher();
+      const subject = await createTestSubject();
+      const session = await ClassSession.create({
+        teacher: teacher._id,
+        subject: subject._id,
+        semester: 1,
+        batch: 2024,
+        section: 'A',
+        startTime: new Date(),
+        type: 'Theory',
+        attendanceRecords: [],
+      });
+      const answered = (clarity) => ({
+        teacher: teacher._id,
+        subject: subject._id,
+        classSession: session._id,
+        batch: 2024,
+        semester: 1,
+        released: true,
+        answers: [
+          { questionKey: 'clarity', value: clarity },
+          { questionKey: 'engagement', value: 4 },
+          { questionKey: 'pace', value: 4 },
+          { questionKey: 'knowledge', value: 5 },
+        ],
+      });
+      await Feedback.create([answered(5), answered(2)]);
+
+      const result = await dashboardService.getFeedbackDistribution();
+
+      expect(result.summary).toEqual({
+        totalFeedback: 2,
+        averageRatings: { clarity: 3.5, engagement: 4, pace: 4, knowledge: 5 },
+      });
+      expect(result.breakdown).toEqual([
+        { rating: '1 Star', count: 0 },
+        { rating: '2 Stars', count: 1 },
+        { rating: '3 Stars', count: 0 },
+        { rating: '4 Stars', count: 4 },
+        { rating: '5 Stars', count: 3 },
+      ]);
+    });
+  });
+
+  describe('getFeedbackDistribution thresholds', () => {
+    afterEach(() => {
+      delete process.env.FEEDBACK_MIN_RESPONSES;
+    });
+
+    it('should leave out unreleased feedback and sessions below the minimum responses', async () => {
+      process.env.FEEDBACK_MIN_RESPONSES = '2';
+      const teacher = await createTestTeacher();
+      const subject = await createTestSubject();
+      const createSession = () => ClassSession.create({
+        teacher: teacher._id,
+        subject: subject._id,
+        semester: 1,
+        batch: 2024,
+        section: 'A',
+        startTime: new Date(),
+        type: 'Theory',
+        attendanceRecords: [],
+      });
+      const [session, small] = [await createSession(), await createSession()];
+      const feedback = (classSession, rating, extra = {}) => ({
+        teacher: teacher._id,
+        subject: subject._id,
+        classSession: classSession._id,
+        batch: 2024,
+        semester: 1,
+        ratings: { clarity: rating, engagement: rating, pace: rating, knowledge: rating },
+        ...extra,
+      });
+      await Feedback.create([
+        feedback(session, 5),
+        feedback(session, 5),
+        feedback(session, 1, { released: false }),
+        feedback(small, 1),
+      ]);
+
+      const result = await dashboardService.getFeedbackDistribution();
+
+      expect(result.summary).toEqual({
+        totalFeedback: 3,
+        averageRatings: { clarity: 5, engagement: 5, pace: 5, knowledge: 5 },
+      });
+      expect(result.breakdown.find((b) => b.rating === '1 Star').count).toBe(0);
+
+      process.env.FEEDBACK_MIN_RESPONSES = '5';
+      const hidden = await dashboardService.getFeedbackDistribution();
+      expect(hidden.summary.averageRatings).toEqual({});
+      expect(hidden.breakdown.every((b) => b.count === 0)).toBe(true);
+    });
   });
 
   describe('getRecentActivity', () => {
@@ -3,6 +3,7 @@ import User from '../../../../models/userModel.js';
 import Subject from '../../../../models/subjectModel.js';
 import ClassSession from '../../../../models/classSessionModel.js';
 import Feedback from '../../../../models/feedbackModel.js';
+import feedbackService from '../../../feedback/services/feedback.service.js';
 
 // ============================================================================
 // Dashboard Services
@@ -59,7 +60,8 @@ export const getDashboardStats = async () => {
       createdAt: { $gte: thirtyDaysAgo } 
     }),
     ClassSession.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
-    Feedback.countDocuments({ createdAt: { $gte: thirtyDaysAgo } }),
+    // Feedback has no submission time; count it by session date
+    Feedback.countDocuments({ sessionDate: { $gte: thirtyDaysAgo } }),
     
     // Previous 30 days counts (30-60 days ago)
     User.countDocuments({ 
@@ -76,7 +78,7 @@ export const getDashboardStats = async () => {
       createdAt: { $gte: sixtyDaysAgo, $lt: thirtyDaysAgo } 
     }),
     Feedback.countDocuments({ 
-      createdAt: { $gte: sixtyDaysAgo, $lt: thirtyDaysAgo } 
+      sessionDate: { $gte: sixtyDaysAgo, $lt: thirtyDaysAgo } 
     }),
   ]);
 
@@ -173,72 +175,39 @@ export const getAttendanceTrend = async () => {
 
 /**
  * Get feedback rating distribution for charts
+ * Built on the feedback summary, so it covers every form version and only
+ * released feedback from sessions with at least FEEDBACK_MIN_RESPONSES responses
  * @returns {Promise<Object>} Feedback rating distribution
  */
 export const getFeedbackDistribution = async () => {
-  const distribution = await Feedback.aggregate([
-    {
-      $group: {
-        _id: null,
-        avgClarity: { $avg: '$ratings.clarity' },
-        avgEngagement: { $avg: '$ratings.engagement' },
-        avgPace: { $avg: '$ratings.pace' },
-        avgKnowledge: { $avg: '$ratings.knowledge' },
-        totalFeedback: { $sum: 1 },
-      },
-    },
-    {
-      $project: {
-        _id: 0,
-        totalFeedback: 1,
-        averageRatings: {
-          clarity: { $round: ['$avgClarity', 2] },
-          engagement: { $round: ['$avgEngagement', 2] },
-          pace: { $round: ['$avgPace', 2] },
-          knowledge: { $round: ['$avgKnowledge', 2] },
-        },
-      },
-    },
-  ]);
+  const [summary] = await feedbackService.summarize({}, { minResponses: feedbackService.getMinResponses() });
 
-  // Get rating breakdown (1-5 stars distribution)
-  const ratingBreakdown = await Feedback.aggregate([
-    {
-      $project: {
-        overallRating: {
-          $avg: [
-            '$ratings.clarity',
-            '$ratings.engagement',
-            '$ratings.pace',
-            '$ratings.knowledge',
-          ],
-        },
-      },
-    },
-    {
-      $bucket: {
-        groupBy: '$overallRating',
-        boundaries: [0, 1.5, 2.5, 3.5, 4.5, 5.1],
-        default: 'Other',
-        output: {
-          count: { $sum: 1 },
-        },
-      },
-    },
-  ]);
+  // Likert answers per star, with every scale mapped onto 1-5
+  const starCounts = [0, 0, 0, 0, 0];
+  (summary?.forms || []).forEach((form) => form.questions
+    .filter((question) => question.type === 'likert')
+    .forEach((question) => {
+      const values = Object.keys(question.distribution).map(Number);
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      values.forEach((value) => {
+        const star = Math.round(1 + ((value - min) / (max - min)) * 4);
+        starCounts[star - 1] += question.distribution[value];
+      });
+    }));
 
-  // Map bucket boundaries to star ratings
   const starLabels = ['1 Star', '2 Stars', '3 Stars', '4 Stars', '5 Stars'];
-  const breakdown = starLabels.map((label, index) => {
-    const bucket = ratingBreakdown.find((b, i) => i === index);
-    return {
-      rating: label,
-      count: bucket?.count || 0,
-    };
-  });
+  const breakdown = starLabels.map((label, index) => ({
+    rating: label,
+    count: starCounts[index],
+  }));
 
   return {
-    summary: distribution[0] || { totalFeedback: 0, averageRatings: {} },
+    summary: {
+      totalFeedback: summary?.feedbackCount || 0,
+      // Rating questions across form versions, keyed by question key
+      averageRatings: summary?.averageRatings || {},
+    },
     breakdown,
   };
 };
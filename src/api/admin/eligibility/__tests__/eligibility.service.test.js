@@ -0,0 +1,112 @@
+/**
+ * Admin Eligibility Service Tests
+ * Unit tests for eligibility rule changes and the class eligibility report
+ */
+
+import {
+  listPolicies,
+  updatePolicy,
+  removePolicy,
+  getEligibilityReport,
+} from '../services/eligibility.service.js';
+import sessionService from '../../../attendance/services/session.service.js';
+import {
+  createTestAdmin,
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  createTestUser,
+  generateObjectId,
+} from '../../../../test/utils.js';
+
+describe('Admin Eligibility Service', () => {
+  let admin, hod;
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    hod = await createTestUser({ role: 'hod' });
+  });
+
+  // ============================================================================
+  // Policy Tests
+  // ============================================================================
+  describe('policies', () => {
+    it('should return the defaults until rules are saved', async () => {
+      const { institution, departments } = await listPolicies();
+
+      expect(institution).toMatchObject({ subjectMinimum: 75, overallMinimum: 85 });
+      expect(departments).toHaveLength(0);
+    });
+
+    it('should start department rules from the institution rules', async () => {
+      await updatePolicy({ overallMinimum: 80 }, admin);
+
+      const policy = await updatePolicy({ department: 'Computer Science', subjectMinimum: 70 }, hod);
+
+      expect(policy).toMatchObject({ department: 'Computer Science', subjectMinimum: 70, overallMinimum: 80 });
+    });
+
+    it('should limit HODs to their own department', async () => {
+      await expect(updatePolicy({ subjectMinimum: 60 }, hod))
+        .rejects.toMatchObject({ statusCode: 403 });
+      await expect(updatePolicy({ department: 'Mechanical', subjectMinimum: 60 }, hod))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not remove the institution rules', async () => {
+      const institution = await updatePolicy({ subjectMinimum: 80 }, admin);
+
+      await expect(removePolicy(institution._id, admin))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(removePolicy(generateObjectId(), admin))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  // ============================================================================
+  // Report Tests
+  // ============================================================================
+  describe('getEligibilityReport', () => {
+    it('should list shortages for the class and scope HODs to their department', async () => {
+      const subject = await createTestSubject({ semester: 3, department: 'Computer Science' });
+      const teacher = await createTestTeacher({
+        teacherDetails: {
+          staffId: `STAFF-${generateObjectId()}`,
+          department: 'Computer Science',
+          assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+        },
+      });
+      await createTestStudent({
+        studentDetails: {
+          usn: `USN-${generateObjectId()}`,
+          batch: 2024,
+          semester: 3,
+          section: 'A',
+          applicationStatus: 'approved',
+          isStudentVerified: true,
+          enrolledSubjects: [subject._id],
+        },
+      });
+      await sessionService.createSession({
+        teacher: teacher._id,
+        subject: subject._id.toString(),
+        batch: 2024,
+        semester: 3,
+        section: 'A',
+        topic: 'Sorting',
+        sessionType: 'lecture',
+      });
+
+      const report = await getEligibilityReport({ batch: 2024, semester: 3, section: 'A' }, admin);
+      expect(report.summary.shortage).toBe(1);
+      expect(report.students[0].subjects[0]).toMatchObject({ status: 'shortage', mustAttend: 3 });
+
+      const otherHod = await createTestUser({
+        role: 'hod',
+        teacherDetails: { staffId: `STAFF-${generateObjectId()}`, department: 'Mechanical', assignments: [] },
+      });
+      const scoped = await getEligibilityReport({ batch: 2024, semester: 3, section: 'A' }, otherHod);
+      expect(scoped.students).toHaveLength(0);
+    });
+  });
+});
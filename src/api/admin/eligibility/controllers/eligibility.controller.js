@@ -0,0 +1,66 @@
+import asyncHandler from 'express-async-handler';
+import * as eligibilityService from '../services/eligibility.service.js';
+
+// ============================================================================
+// Policy Controllers
+// ============================================================================
+
+/**
+ * @desc    Get the institution rules and department overrides
+ * @route   GET /api/admin/eligibility/policies
+ * @access  Private/Admin_HOD
+ */
+export const listPolicies = asyncHandler(async (req, res) => {
+  const policies = await eligibilityService.listPolicies();
+
+  res.status(200).json({
+    success: true,
+    data: policies,
+  });
+});
+
+/**
+ * @desc    Set the institution rules or a department's
+ * @route   PUT /api/admin/eligibility/policies
+ * @access  Private/Admin_HOD
+ */
+export const updatePolicy = asyncHandler(async (req, res) => {
+  const policy = await eligibilityService.updatePolicy(req.body, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: policy,
+  });
+});
+
+/**
+ * @desc    Remove a department override
+ * @route   DELETE /api/admin/eligibility/policies/:policyId
+ * @access  Private/Admin_HOD
+ */
+export const removePolicy = asyncHandler(async (req, res) => {
+  const result = await eligibilityService.removePolicy(req.params.policyId, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+// ============================================================================
+// Report Controllers
+// ============================================================================
+
+/**
+ * @desc    Eligibility report for a class section
+ * @route   GET /api/admin/eligibility/report
+ * @access  Private/Admin_HOD
+ */
+export const getEligibilityReport = asyncHandler(async (req, res) => {
+  const report = await eligibilityService.getEligibilityReport(req.query, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
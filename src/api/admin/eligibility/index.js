@@ -0,0 +1,8 @@
+/**
+ * Eligibility Sub-Domain Index
+ * 
+ * This file serves as the main entry point for the eligibility sub-domain.
+ * It exports the router to be mounted by the parent admin router.
+ */
+
+export { default } from './routes/eligibility.routes.js';
@@ -0,0 +1,53 @@
+import express from 'express';
+import * as eligibilityController from '../controllers/eligibility.controller.js';
+import {
+  validate,
+  policySchema,
+  policyIdParamSchema,
+  reportQuerySchema,
+} from '../validators/eligibility.validator.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Policy Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/eligibility/policies
+ * @desc    Effective institution rules and department overrides
+ * @access  Private/Admin_HOD
+ */
+router.get('/policies', eligibilityController.listPolicies);
+
+/**
+ * @route   PUT /api/admin/eligibility/policies
+ * @desc    Set the institution rules (no department) or a department's
+ * @access  Private/Admin_HOD (HODs: own department only)
+ */
+router.put('/policies', validate(policySchema, 'body'), eligibilityController.updatePolicy);
+
+/**
+ * @route   DELETE /api/admin/eligibility/policies/:policyId
+ * @desc    Remove a department override
+ * @access  Private/Admin_HOD (HODs: own department only)
+ */
+router.delete(
+  '/policies/:policyId',
+  validate(policyIdParamSchema, 'params'),
+  eligibilityController.removePolicy
+);
+
+// ============================================================================
+// Report Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/eligibility/report
+ * @desc    Eligibility per student, subject and overall for a class section
+ * @query   batch, semester, section, department, status, excusedRule
+ * @access  Private/Admin_HOD
+ */
+router.get('/report', validate(reportQuerySchema, 'query'), eligibilityController.getEligibilityReport);
+
+export default router;
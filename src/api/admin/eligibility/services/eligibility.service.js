@@ -0,0 +1,121 @@
+import AttendancePolicy from '../../../../models/attendancePolicyModel.js';
+import attendanceEligibilityService from '../../../attendance/services/eligibility.service.js';
+
+const RULE_FIELDS = ['subjectMinimum', 'overallMinimum', 'condonationBand', 'warningBand', 'alertsEnabled'];
+
+/**
+ * HODs (without the admin role) only manage their own department
+ * @param {Object} user - Requesting user
+ * @returns {string|null} The department an HOD is limited to, null for admins
+ */
+const departmentScope = (user) => {
+  const roles = user.roles || [];
+  return roles.includes('admin') ? null : (user.teacherDetails?.department || null);
+};
+
+/**
+ * Ensure the user may change a policy of a department
+ * @param {Object} user - Requesting user
+ * @param {string|null} department - Policy department (null = institution)
+ */
+const assertCanManage = (user, department) => {
+  const roles = user.roles || [];
+  if (roles.includes('admin')) return;
+
+  const own = user.teacherDetails?.department;
+  if (!own || department !== own) {
+    const error = new Error('HODs can only change the rules of their own department');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+// ============================================================================
+// Policy Services
+// ============================================================================
+
+/**
+ * Effective institution rules and the department overrides
+ * @returns {Promise<Object>} { institution, departments }
+ */
+export const listPolicies = async () => {
+  const [policyFor, departments] = await Promise.all([
+    attendanceEligibilityService.loadPolicies(),
+    AttendancePolicy.find({ department: { $ne: null } }).sort({ department: 1 }).lean(),
+  ]);
+
+  return { institution: policyFor(null), departments };
+};
+
+/**
+ * Set the institution rules, or a department's. A new department override
+ * starts from the current institution rules.
+ * @param {Object} data - { department?, subjectMinimum?, overallMinimum?, condonationBand?, warningBand?, alertsEnabled? }
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>} Saved policy
+ */
+export const updatePolicy = async (data, user) => {
+  const department = data.department || null;
+  assertCanManage(user, department);
+
+  let policy = await AttendancePolicy.findOne({ department });
+  if (!policy) {
+    const policyFor = await attendanceEligibilityService.loadPolicies();
+    const { department: _institution, ...institution } = policyFor(null);
+    policy = new AttendancePolicy({ ...institution, department });
+  }
+
+  RULE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) policy[field] = data[field];
+  });
+  policy.updatedBy = user._id;
+
+  return policy.save();
+};
+
+/**
+ * Remove a department override (its subjects fall back to the institution rules)
+ * @param {string} policyId - Policy ID
+ * @param {Object} user - Admin or HOD
+ */
+export const removePolicy = async (policyId, user) => {
+  const policy = await AttendancePolicy.findById(policyId);
+
+  if (!policy) {
+    const error = new Error('Policy not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!policy.department) {
+    const error = new Error('The institution rules cannot be removed');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  assertCanManage(user, policy.department);
+  await policy.deleteOne();
+
+  return { message: 'Policy removed' };
+};
+
+// ============================================================================
+// Report Services
+// ============================================================================
+
+/**
+ * Eligibility of a class section across subjects. HODs see the subjects of
+ * their own department.
+ * @param {Object} query - { batch, semester, section, department?, status?, excusedRule? }
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>} { excusedRule, summary, students }
+ */
+export const getEligibilityReport = async (query, user) => {
+  const { excusedRule, ...filters } = query;
+  const scope = departmentScope(user);
+
+  return attendanceEligibilityService.getClassReport(
+    { ...filters, department: scope || filters.department },
+    { excusedRule }
+  );
+};
@@ -0,0 +1,96 @@
+import Joi from 'joi';
+
+// ============================================================================
+// Validation Schemas
+// ============================================================================
+
+const percent = (label) =>
+  Joi.number()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.min': `${label} must be between 0 and 100`,
+      'number.max': `${label} must be between 0 and 100`,
+    });
+
+/**
+ * Schema for setting the institution rules (no department) or a department's
+ */
+export const policySchema = Joi.object({
+  department: Joi.string().trim().max(100).allow(null).default(null),
+  subjectMinimum: percent('Subject minimum'),
+  overallMinimum: percent('Overall minimum'),
+  condonationBand: percent('Condonation band'),
+  warningBand: percent('Warning band'),
+  alertsEnabled: Joi.boolean(),
+})
+  .or('subjectMinimum', 'overallMinimum', 'condonationBand', 'warningBand', 'alertsEnabled')
+  .messages({
+    'object.missing': 'At least one rule must be provided',
+  });
+
+/**
+ * Schema for policyId parameter validation
+ */
+export const policyIdParamSchema = Joi.object({
+  policyId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({ 'string.pattern.base': 'Invalid policy ID format' }),
+});
+
+/**
+ * Schema for the class eligibility report
+ */
+export const reportQuerySchema = Joi.object({
+  batch: Joi.number().integer().required(),
+  semester: Joi.number().integer().min(1).max(8).required(),
+  section: Joi.string().valid('A', 'B', 'C').required(),
+  department: Joi.string().trim().max(100),
+  status: Joi.string().valid('eligible', 'warning', 'condonable', 'shortage'),
+  excusedRule: Joi.string().valid('exclude', 'present', 'absent'),
+});
+
+// ============================================================================
+// Validation Middleware Helper
+// ============================================================================
+
+/**
+ * Creates validation middleware for a given schema
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Source to validate ('body', 'query', 'params')
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const dataToValidate = req[source];
+
+    const { error, value } = schema.validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessage = error.details
+        .map((detail) => detail.message)
+        .join(', ');
+      return res.status(400).json({ message: errorMessage });
+    }
+
+    // req.query is getter-only in Express 5; merge into it instead of replacing
+    try {
+      if (source === 'query' && req.query && typeof req.query === 'object') {
+        Object.keys(req.query).forEach((k) => {
+          if (!(k in value)) delete req.query[k];
+        });
+        Object.assign(req.query, value);
+      } else {
+        req[source] = value;
+      }
+    } catch (e) {
+      req.validated = req.validated || {};
+      req.validated[source] = value;
+    }
+    next();
+  };
+};
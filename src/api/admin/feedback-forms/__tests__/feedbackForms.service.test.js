@@ -0,0 +1,76 @@
+/**
+ * Admin Feedback Forms Service Tests
+ * Unit tests for form drafts, publishing versions and HOD scoping
+ */
+
+import {
+  listForms,
+  createForm,
+  updateForm,
+  publishForm,
+} from '../services/feedbackForms.service.js';
+import {
+  createTestAdmin,
+  createTestSubject,
+  createTestUser,
+} from '../../../../test/utils.js';
+
+describe('Admin Feedback Forms Service', () => {
+  let admin, hod;
+
+  const questions = [
+    { key: 'clarity', type: 'likert', prompt: 'How clear was it?', scale: { min: 1, max: 7 } },
+    { key: 'comments', type: 'text', prompt: 'Anything else?', required: false },
+  ];
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    hod = await createTestUser({ role: 'hod' });
+  });
+
+  it('should publish drafts as numbered versions without changing earlier ones', async () => {
+    const form = await createForm({ title: 'Session form', questions }, admin);
+    expect(form.version).toBe(0);
+
+    const first = await publishForm(form._id, admin);
+    expect(first.version).toBe(1);
+
+    await updateForm(form._id, { questions: [...questions, { key: 'recommend', type: 'nps', prompt: 'Recommend?' }] }, admin);
+    const second = await publishForm(form._id, admin);
+
+    expect(second.version).toBe(2);
+    expect(second.versions[0].questions).toHaveLength(2);
+    expect(second.versions[1].questions).toHaveLength(3);
+  });
+
+  it('should reject duplicate keys and empty forms', async () => {
+    await expect(createForm({ title: 'Bad', questions: [questions[0], questions[0]] }, admin))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const empty = await createForm({ title: 'Empty' }, admin);
+    await expect(publishForm(empty._id, admin)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should keep HODs to forms and assignments of their own department', async () => {
+    const own = await createTestSubject({ department: 'Computer Science' });
+    const other = await createTestSubject({ department: 'Mechanical' });
+
+    const form = await createForm({
+      title: 'CS form',
+      department: 'Mechanical',
+      assignments: [{ scope: 'subject', subject: own._id.toString() }],
+    }, hod);
+    expect(form.department).toBe('Computer Science');
+
+    await expect(updateForm(form._id, { assignments: [{ scope: 'subject', subject: other._id.toString() }] }, hod))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const institution = await createForm({ title: 'Institution form' }, admin);
+    await expect(updateForm(institution._id, { title: 'Mine now' }, hod))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await createForm({ title: 'Mechanical form', department: 'Mechanical' }, admin);
+    const visible = await listForms({}, hod);
+    expect(visible.map(f => f.title).sort()).toEqual(['CS form', 'Institution form']);
+  });
+});
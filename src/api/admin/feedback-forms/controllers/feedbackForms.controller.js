@@ -0,0 +1,77 @@
+import asyncHandler from 'express-async-handler';
+import * as feedbackFormsService from '../services/feedbackForms.service.js';
+
+// ============================================================================
+// Form Controllers
+// ============================================================================
+
+/**
+ * @desc    List feedback forms
+ * @route   GET /api/admin/feedback-forms
+ * @access  Private/Admin_HOD
+ */
+export const listForms = asyncHandler(async (req, res) => {
+  const forms = await feedbackFormsService.listForms(req.query, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: forms,
+  });
+});
+
+/**
+ * @desc    Get a form with its published versions
+ * @route   GET /api/admin/feedback-forms/:formId
+ * @access  Private/Admin_HOD
+ */
+export const getForm = asyncHandler(async (req, res) => {
+  const form = await feedbackFormsService.getForm(req.params.formId);
+
+  res.status(200).json({
+    success: true,
+    data: form,
+  });
+});
+
+/**
+ * @desc    Create a draft form
+ * @route   POST /api/admin/feedback-forms
+ * @access  Private/Admin_HOD
+ */
+export const createForm = asyncHandler(async (req, res) => {
+  const form = await feedbackFormsService.createForm(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: form,
+  });
+});
+
+/**
+ * @desc    Update a form's draft, assignments or status
+ * @route   PATCH /api/admin/feedback-forms/:formId
+ * @access  Private/Admin_HOD
+ */
+export const updateForm = asyncHandler(async (req, res) => {
+  const form = await feedbackFormsService.updateForm(req.params.formId, req.body, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: form,
+  });
+});
+
+/**
+ * @desc    Publish the draft as a new version
+ * @route   POST /api/admin/feedback-forms/:formId/publish
+ * @access  Private/Admin_HOD
+ */
+export const publishForm = asyncHandler(async (req, res) => {
+  const form = await feedbackFormsService.publishForm(req.params.formId, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: `Version ${form.version} published`,
+    data: form,
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Feedback Forms Sub-Domain Index
+ * 
+ * This file serves as the main entry point for the feedback forms sub-domain.
+ * It exports the router to be mounted by the parent admin router.
+ */
+
+export { default } from './routes/feedbackForms.routes.js';
@@ -0,0 +1,62 @@
+import express from 'express';
+import * as feedbackFormsController from '../controllers/feedbackForms.controller.js';
+import {
+  validate,
+  createFormSchema,
+  updateFormSchema,
+  listQuerySchema,
+  formIdParamSchema,
+} from '../validators/feedbackForms.validator.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Form Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/feedback-forms
+ * @desc    List forms (HODs: institution and own department)
+ * @query   department, isActive
+ * @access  Private/Admin_HOD
+ */
+router.get('/', validate(listQuerySchema, 'query'), feedbackFormsController.listForms);
+
+/**
+ * @route   POST /api/admin/feedback-forms
+ * @desc    Create a draft form
+ * @access  Private/Admin_HOD (HODs: own department only)
+ */
+router.post('/', validate(createFormSchema, 'body'), feedbackFormsController.createForm);
+
+/**
+ * @route   GET /api/admin/feedback-forms/:formId
+ * @desc    Form with its draft and published versions
+ * @access  Private/Admin_HOD
+ */
+router.get('/:formId', validate(formIdParamSchema, 'params'), feedbackFormsController.getForm);
+
+/**
+ * @route   PATCH /api/admin/feedback-forms/:formId
+ * @desc    Update the draft, assignments or status
+ * @access  Private/Admin_HOD (HODs: own department only)
+ */
+router.patch(
+  '/:formId',
+  validate(formIdParamSchema, 'params'),
+  validate(updateFormSchema, 'body'),
+  feedbackFormsController.updateForm
+);
+
+/**
+ * @route   POST /api/admin/feedback-forms/:formId/publish
+ * @desc    Publish the draft as the next version
+ * @access  Private/Admin_HOD (HODs: own department only)
+ */
+router.post(
+  '/:formId/publish',
+  validate(formIdParamSchema, 'params'),
+  feedbackFormsController.publishForm
+);
+
+export default router;
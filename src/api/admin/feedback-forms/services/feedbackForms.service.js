@@ -0,0 +1,182 @@
+import FeedbackForm from '../../../../models/feedbackFormModel.js';
+import Subject from '../../../../models/subjectModel.js';
+import feedbackFormService from '../../../feedback/services/feedbackForm.service.js';
+import { httpError } from '../../../_common/utils/httpError.js';
+
+const EDITABLE_FIELDS = ['title', 'description', 'questions', 'assignments', 'isActive'];
+
+/**
+ * HODs (without the admin role) only manage their own department
+ * @param {Object} user - Requesting user
+ * @returns {string|null} The department an HOD is limited to, null for admins
+ */
+const departmentScope = (user) => {
+  const roles = user.roles || [];
+  return roles.includes('admin') ? null : (user.teacherDetails?.department || null);
+};
+
+/**
+ * Ensure the user may change a form of a department
+ * @param {Object} user - Requesting user
+ * @param {string|null} department - Form department (null = institution)
+ */
+const assertCanManage = (user, department) => {
+  const roles = user.roles || [];
+  if (roles.includes('admin')) return;
+
+  const own = user.teacherDetails?.department;
+  if (!own || department !== own) {
+    throw httpError('HODs can only manage the forms of their own department', 403);
+  }
+};
+
+/**
+ * Check assignments against the form's department: a department form can
+ * only be assigned within that department
+ * @param {Array} assignments - [{ scope, subject?, department?, sessionType? }]
+ * @param {string|null} department - Form department
+ * @returns {Promise<Array>} Assignments with only the field of their scope
+ */
+const checkAssignments = async (assignments, department) => {
+  const subjectIds = assignments.filter((a) => a.scope === 'subject').map((a) => a.subject);
+  const subjects = await Subject.find({ _id: { $in: subjectIds } }).select('department').lean();
+
+  return assignments.map((assignment) => {
+    const { scope } = assignment;
+
+    if (scope === 'subject') {
+      const subject = subjects.find((s) => String(s._id) === String(assignment.subject));
+      if (!subject) throw httpError('Assigned subject not found', 404);
+      if (department && subject.department !== department) {
+        throw httpError(`Subject is not in the ${department} department`, 400);
+      }
+      return { scope, subject: assignment.subject };
+    }
+
+    if (scope === 'department') {
+      if (department && assignment.department !== department) {
+        throw httpError(`A ${department} form can only be assigned to its own department`, 400);
+      }
+      return { scope, department: assignment.department };
+    }
+
+    return { scope, sessionType: assignment.sessionType };
+  });
+};
+
+const findForm = async (formId) => {
+  const form = await FeedbackForm.findById(formId);
+  if (!form) throw httpError('Feedback form not found', 404);
+  return form;
+};
+
+// ============================================================================
+// Form Services
+// ============================================================================
+
+/**
+ * Forms visible to the user: all for admins; institution forms and their
+ * own department's for HODs
+ * @param {Object} query - { department?, isActive? }
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Array>} Forms without their version history
+ */
+export const listForms = async (query, user) => {
+  const scope = departmentScope(user);
+  const filter = {};
+
+  if (query.department !== undefined) filter.department = query.department || null;
+  if (scope) filter.$and = [{ department: { $in: [null, scope] } }];
+  if (query.isActive !== undefined) filter.isActive = query.isActive;
+
+  return FeedbackForm.find(filter)
+    .select('-versions')
+    .populate('assignments.subject', 'name subjectCode')
+    .sort({ department: 1, title: 1 })
+    .lean();
+};
+
+/**
+ * A form with its draft and published versions
+ * @param {string} formId - Form ID
+ * @returns {Promise<Object>}
+ */
+export const getForm = async (formId) => {
+  const form = await FeedbackForm.findById(formId)
+    .populate('assignments.subject', 'name subjectCode')
+    .lean();
+  if (!form) throw httpError('Feedback form not found', 404);
+  return form;
+};
+
+/**
+ * Create a draft form. HODs' forms always belong to their department.
+ * @param {Object} data - { title, description?, department?, questions?, assignments?, isActive? }
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>} Saved form (unpublished)
+ */
+export const createForm = async (data, user) => {
+  const department = departmentScope(user) || data.department || null;
+  assertCanManage(user, department);
+
+  const questions = data.questions || [];
+  feedbackFormService.validateQuestions(questions);
+
+  return FeedbackForm.create({
+    title: data.title,
+    description: data.description,
+    department,
+    questions,
+    assignments: await checkAssignments(data.assignments || [], department),
+    isActive: data.isActive ?? true,
+    createdBy: user._id,
+    updatedBy: user._id,
+  });
+};
+
+/**
+ * Update a form's draft, assignments or status. Question changes reach
+ * students only once published.
+ * @param {string} formId - Form ID
+ * @param {Object} data - Any of title, description, questions, assignments, isActive
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>} Saved form
+ */
+export const updateForm = async (formId, data, user) => {
+  const form = await findForm(formId);
+  assertCanManage(user, form.department);
+
+  if (data.questions) feedbackFormService.validateQuestions(data.questions);
+  if (data.assignments) data.assignments = await checkAssignments(data.assignments, form.department);
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (data[field] !== undefined) form[field] = data[field];
+  });
+  form.updatedBy = user._id;
+
+  return form.save();
+};
+
+/**
+ * Publish the draft as the next version; sessions resolving to this form
+ * collect answers against it from now on
+ * @param {string} formId - Form ID
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>} Saved form
+ */
+export const publishForm = async (formId, user) => {
+  const form = await findForm(formId);
+  assertCanManage(user, form.department);
+
+  const questions = form.questions.map((question) => question.toObject());
+  if (questions.length === 0) {
+    throw httpError('A form needs at least one question to be published', 400);
+  }
+  feedbackFormService.validateQuestions(questions);
+
+  form.version += 1;
+  form.versions.push({ version: form.version, questions, publishedAt: new Date(), publishedBy: user._id });
+  form.updatedBy = user._id;
+
+  return form.save();
+};
@@ -0,0 +1,137 @@
+import Joi from 'joi';
+import { QUESTION_TYPES, ASSIGNMENT_SCOPES } from '../../../../models/feedbackFormModel.js';
+
+// ============================================================================
+// Validation Schemas
+// ============================================================================
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': `Invalid ${label} ID format` });
+
+const questionSchema = Joi.object({
+  key: Joi.string()
+    .trim()
+    .pattern(/^[A-Za-z][A-Za-z0-9_]*$/)
+    .max(50)
+    .required()
+    .messages({ 'string.pattern.base': 'Question keys use letters, digits and underscores' }),
+  type: Joi.string().valid(...QUESTION_TYPES).required(),
+  prompt: Joi.string().trim().max(500).required(),
+  required: Joi.boolean().default(true),
+  scale: Joi.when('type', {
+    is: 'likert',
+    then: Joi.object({
+      min: Joi.number().integer().default(1),
+      max: Joi.number().integer().default(5),
+      minLabel: Joi.string().trim().max(100),
+      maxLabel: Joi.string().trim().max(100),
+    }),
+    otherwise: Joi.forbidden(),
+  }),
+  options: Joi.when('type', {
+    is: 'multiple_choice',
+    then: Joi.array()
+      .items(Joi.object({
+        value: Joi.string().trim().max(50).required(),
+        label: Joi.string().trim().max(200).required(),
+      }))
+      .min(2)
+      .max(20)
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  allowMultiple: Joi.when('type', { is: 'multiple_choice', then: Joi.boolean(), otherwise: Joi.forbidden() }),
+  maxLength: Joi.when('type', { is: 'text', then: Joi.number().integer().min(1).max(2000), otherwise: Joi.forbidden() }),
+});
+
+const assignmentSchema = Joi.object({
+  scope: Joi.string().valid(...ASSIGNMENT_SCOPES).required(),
+  subject: Joi.when('scope', { is: 'subject', then: objectId('subject').required(), otherwise: Joi.forbidden() }),
+  department: Joi.when('scope', { is: 'department', then: Joi.string().trim().max(100).required(), otherwise: Joi.forbidden() }),
+  sessionType: Joi.when('scope', { is: 'sessionType', then: Joi.string().trim().max(50).required(), otherwise: Joi.forbidden() }),
+});
+
+const formFields = {
+  title: Joi.string().trim().max(200),
+  description: Joi.string().trim().max(1000).allow(''),
+  questions: Joi.array().items(questionSchema).max(50),
+  assignments: Joi.array().items(assignmentSchema).max(100),
+  isActive: Joi.boolean(),
+};
+
+/**
+ * Schema for creating a form (HODs' department is set from their profile)
+ */
+export const createFormSchema = Joi.object({
+  ...formFields,
+  title: formFields.title.required(),
+  department: Joi.string().trim().max(100).allow(null).default(null),
+});
+
+/**
+ * Schema for updating a form's draft, assignments or status
+ */
+export const updateFormSchema = Joi.object(formFields)
+  .min(1)
+  .messages({ 'object.min': 'At least one field must be provided' });
+
+/**
+ * Schema for listing forms
+ */
+export const listQuerySchema = Joi.object({
+  department: Joi.string().trim().max(100).allow(''),
+  isActive: Joi.boolean(),
+});
+
+/**
+ * Schema for formId parameter validation
+ */
+export const formIdParamSchema = Joi.object({
+  formId: objectId('form').required(),
+});
+
+// ============================================================================
+// Validation Middleware Helper
+// ============================================================================
+
+/**
+ * Creates validation middleware for a given schema
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Source to validate ('body', 'query', 'params')
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const dataToValidate = req[source];
+
+    const { error, value } = schema.validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessage = error.details
+        .map((detail) => detail.message)
+        .join(', ');
+      return res.status(400).json({ message: errorMessage });
+    }
+
+    // req.query is getter-only in Express 5; merge into it instead of replacing
+    try {
+      if (source === 'query' && req.query && typeof req.query === 'object') {
+        Object.keys(req.query).forEach((k) => {
+          if (!(k in value)) delete req.query[k];
+        });
+        Object.assign(req.query, value);
+      } else {
+        req[source] = value;
+      }
+    } catch (e) {
+      req.validated = req.validated || {};
+      req.validated[source] = value;
+    }
+    next();
+  };
+};
@@ -5,6 +5,7 @@ import { sendEmail } from '../../../../services/email.service.js';
 import { logAuthEvent } from '../../../auth/services/auth.log.service.js';
 import { logAudit } from '../../../_common/services/audit.service.js';
 import sessionRegistry from '../../../_common/socket/sessionRegistry.js';
+import { createNotification } from '../../../notifications/services/notifications.service.js';
 
 // ============================================================================
 // User Management Services
@@ -223,6 +224,17 @@ export const promoteToFaculty = async (userId, promotionData, actor, req) => {
     console.error('Failed to send promotion email:', error);
   });
 
+  // In-app notification (non-blocking)
+  createNotification({
+    user: user._id,
+    type: 'role_changed',
+    title: 'Your role has been updated',
+    message: `You have been promoted to ${user.roles.join(', ')}.`,
+    entity: { model: 'User', id: user._id },
+  }).catch((error) => {
+    console.error('Failed to create promotion notification:', error);
+  });
+
   // Log role change
   try {
     await logAuthEvent({
@@ -265,7 +277,7 @@ export const promoteToFaculty = async (userId, promotionData, actor, req) => {
 /**
  * Update a student's details by an admin
  * @param {string} studentId - The student's user ID
- * @param {Object} updateData - Data to update (usn, batch, section, semester)
+ * @param {Object} updateData - Data to update (usn, batch, section, semester, mentor)
  * @returns {Promise<Object>} Updated student details
  * @throws {Error} If validation fails
  */
@@ -276,6 +288,14 @@ export const updateStudentDetails = async (studentId, updateData) => {
     throw new Error('Student not found.');
   }
 
+  // A mentor must be faculty
+  if (updateData.mentor) {
+    const isFaculty = await User.exists({ _id: updateData.mentor, roles: { $in: ['teacher', 'hod'] } });
+    if (!isFaculty) {
+      throw new Error('Mentor must be a teacher or HOD.');
+    }
+  }
+
   // If semester is being changed, wipe existing enrollments
   const newSemester = updateData.semester;
   const currentSemester = student.studentDetails.semester;
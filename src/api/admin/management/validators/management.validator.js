@@ -12,11 +12,13 @@ export const updateStudentDetailsSchema = Joi.object({
   batch: Joi.number().integer().min(2000).optional(),
   section: Joi.string().trim().valid('A', 'B', 'C').optional(),
   semester: Joi.number().integer().min(1).max(4).optional(),
+  mentor: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional()
+    .messages({ 'string.pattern.base': 'Invalid mentor ID format' }),
 })
   .min(1)
   .messages({
     'object.min':
-      'At least one field (usn, batch, semester or section) must be provided to update.',
+      'At least one field (usn, batch, semester, section or mentor) must be provided to update.',
   });
 
 /**
@@ -0,0 +1,140 @@
+/**
+ * Admin Reflections Service Tests
+ * Unit tests for the HOD review workflow, department scoping and the
+ * department report against student feedback
+ */
+
+import {
+  listQueue,
+  reviewReflection,
+  getDepartmentReport,
+} from '../services/reflections.service.js';
+import reflectionService from '../../../feedback/services/reflection.service.js';
+import ClassSession from '../../../../models/classSessionModel.js';
+import Feedback from '../../../../models/feedbackModel.js';
+import TeacherSessionReflection from '../../../../models/teacherSessionReflectionModel.js';
+import { createTestUser, createTestSubject } from '../../../../test/utils.js';
+
+describe('Admin Reflections Service', () => {
+  let hod, teacher, subject;
+
+  const DAY = 24 * 60 * 60 * 1000;
+
+  const createSession = (overrides = {}) => ClassSession.create({
+    teacher: teacher._id,
+    subject: subject._id,
+    semester: 3,
+    section: 'A',
+    batch: 2024,
+    type: 'Theory',
+    status: 'completed',
+    startTime: new Date(),
+    ...overrides,
+  });
+
+  const reflect = (session, effectiveness = 4) => TeacherSessionReflection.create({
+    classSession: session._id,
+    teacher: session.teacher,
+    selfAssessment: { effectiveness, studentEngagement: effectiveness, pace: 'Just Right' },
+    sessionHighlights: 'Covered the topic',
+  });
+
+  beforeAll(() => {
+    process.env.FEEDBACK_MIN_RESPONSES = '1';
+  });
+
+  afterAll(() => {
+    delete process.env.FEEDBACK_MIN_RESPONSES;
+  });
+
+  beforeEach(async () => {
+    hod = await createTestUser({ role: 'hod', name: 'Head' });
+    teacher = await createTestUser({ role: 'teacher', name: 'Teacher' });
+    subject = await createTestSubject();
+  });
+
+  it('should move a reflection through review, acknowledgement and action', async () => {
+    const session = await createSession();
+    await reflectionService.upsertReflection(session._id, teacher._id, {
+      selfAssessment: { effectiveness: 3, studentEngagement: 4, pace: 'Too Fast' },
+      sessionHighlights: 'Finished the proofs',
+    });
+
+    const queue = await listQueue({}, hod);
+    expect(queue).toHaveLength(1);
+
+    const reviewed = await reviewReflection(queue[0]._id, {
+      comment: 'Slow down for the proofs',
+      actionItems: [{ text: 'Add a worked example', dueDate: new Date(Date.now() + 7 * DAY) }],
+    }, hod);
+    expect(reviewed.status).toBe('Reviewed');
+
+    await expect(reflectionService.upsertReflection(session._id, teacher._id, { sessionHighlights: 'Changed' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const acknowledged = await reflectionService.acknowledgeReview(session._id, teacher._id);
+    expect(acknowledged.status).toBe('Reviewed');
+
+    const done = await reflectionService.completeActionItem(
+      session._id, teacher._id, reviewed.actionItems[0]._id, { response: 'Added to the slides' }
+    );
+    expect(done.status).toBe('ActionTaken');
+
+    const again = await reviewReflection(queue[0]._id, { comment: 'Thanks, looks good' }, hod);
+    expect(again.toObject()).toMatchObject({ status: 'Reviewed', acknowledgedAt: null });
+    expect(again.reviewComments).toHaveLength(2);
+    await expect(listQueue({ status: 'Reviewed' }, hod)).resolves.toHaveLength(1);
+  });
+
+  it("should keep HODs to reflections of their own department's teachers", async () => {
+    const mechanical = await createTestUser({
+      role: 'teacher',
+      teacherDetails: { staffId: `STAFF-${Date.now()}`, department: 'Mechanical', assignments: [] },
+    });
+    const own = await reflect(await createSession({ teacher: hod._id }));
+    const other = await reflect(await createSession({ teacher: mechanical._id }));
+    await reflect(await createSession());
+
+    const queue = await listQueue({}, hod);
+    expect(queue.map((r) => r.teacher.name)).toEqual(['Teacher']);
+
+    await expect(reviewReflection(other._id, { comment: 'Looks fine' }, hod))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(reviewReflection(own._id, { comment: 'Well done me' }, hod))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('should compare self-assessments with student feedback of the same sessions', async () => {
+    const ratings = [2, 3, 5];
+    for (const rating of ratings) {
+      const session = await createSession();
+      await reflect(session, rating);
+      await Feedback.create({
+        classSession: session._id,
+        teacher: teacher._id,
+        subject: subject._id,
+        batch: 2024,
+        semester: 3,
+        sessionDate: session.startTime,
+        ratings: { clarity: rating, engagement: rating, pace: rating, knowledge: rating },
+      });
+    }
+    await createSession(); // no reflection yet
+
+    const report = await getDepartmentReport({}, hod);
+
+    expect(report.department).toBe('Computer Science');
+    expect(report.totals).toMatchObject({
+      sessions: 4,
+      reflections: 3,
+      reflectionRate: 75,
+      matchedSessions: 3,
+      gap: 0,
+      correlation: { effectiveness: 1, engagement: 1 },
+    });
+    expect(report.teachers.find((t) => t.teacherId.equals(teacher._id))).toMatchObject({
+      selfEffectiveness: 3.33,
+      studentRating: 3.33,
+    });
+  });
+});
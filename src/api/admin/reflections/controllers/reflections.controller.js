@@ -0,0 +1,68 @@
+import asyncHandler from 'express-async-handler';
+import * as reflectionsService from '../services/reflections.service.js';
+
+// ============================================================================
+// Review Queue Controllers
+// ============================================================================
+
+/**
+ * @desc    Reflections waiting for review (or in another status)
+ * @route   GET /api/admin/reflections
+ * @access  Private/Admin_HOD
+ */
+export const listQueue = asyncHandler(async (req, res) => {
+  const reflections = await reflectionsService.listQueue(req.query, req.user);
+
+  res.status(200).json({
+    success: true,
+    count: reflections.length,
+    data: reflections,
+  });
+});
+
+/**
+ * @desc    Get a reflection with the student feedback of its session
+ * @route   GET /api/admin/reflections/:reflectionId
+ * @access  Private/Admin_HOD
+ */
+export const getReflection = asyncHandler(async (req, res) => {
+  const reflection = await reflectionsService.getReflection(req.params.reflectionId, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: reflection,
+  });
+});
+
+/**
+ * @desc    Review a reflection with comments and action items
+ * @route   POST /api/admin/reflections/:reflectionId/review
+ * @access  Private/Admin_HOD
+ */
+export const reviewReflection = asyncHandler(async (req, res) => {
+  const reflection = await reflectionsService.reviewReflection(req.params.reflectionId, req.body, req.user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Reflection reviewed',
+    data: reflection,
+  });
+});
+
+// ============================================================================
+// Report Controllers
+// ============================================================================
+
+/**
+ * @desc    Department report of reflections against student feedback
+ * @route   GET /api/admin/reflections/report
+ * @access  Private/Admin_HOD
+ */
+export const getDepartmentReport = asyncHandler(async (req, res) => {
+  const report = await reflectionsService.getDepartmentReport(req.query, req.user);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
@@ -0,0 +1,56 @@
+import express from 'express';
+import * as reflectionsController from '../controllers/reflections.controller.js';
+import {
+  validate,
+  queueQuerySchema,
+  reviewSchema,
+  reportQuerySchema,
+  reflectionIdParamSchema,
+} from '../validators/reflections.validator.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Review Queue Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/reflections
+ * @desc    Review queue, oldest first (HODs: their department's teachers)
+ * @query   status (default Submitted), teacherId, subjectId, overdue, limit
+ * @access  Private/Admin_HOD
+ */
+router.get('/', validate(queueQuerySchema, 'query'), reflectionsController.listQueue);
+
+/**
+ * @route   GET /api/admin/reflections/report
+ * @desc    Reflections of a department's teachers against student feedback
+ * @query   department (admins), subjectId, startDate, endDate
+ * @access  Private/Admin_HOD
+ */
+router.get('/report', validate(reportQuerySchema, 'query'), reflectionsController.getDepartmentReport);
+
+/**
+ * @route   GET /api/admin/reflections/:reflectionId
+ * @desc    Reflection, its reviews and the session's student feedback
+ * @access  Private/Admin_HOD
+ */
+router.get(
+  '/:reflectionId',
+  validate(reflectionIdParamSchema, 'params'),
+  reflectionsController.getReflection
+);
+
+/**
+ * @route   POST /api/admin/reflections/:reflectionId/review
+ * @desc    Add review comments and action items (status becomes Reviewed)
+ * @access  Private/Admin_HOD
+ */
+router.post(
+  '/:reflectionId/review',
+  validate(reflectionIdParamSchema, 'params'),
+  validate(reviewSchema, 'body'),
+  reflectionsController.reviewReflection
+);
+
+export default router;
@@ -0,0 +1,319 @@
+import TeacherSessionReflection from '../../../../models/teacherSessionReflectionModel.js';
+import ClassSession from '../../../../models/classSessionModel.js';
+import User from '../../../../models/userModel.js';
+import reflectionService from '../../../feedback/services/reflection.service.js';
+import feedbackService from '../../../feedback/services/feedback.service.js';
+import { createNotification } from '../../../notifications/services/notifications.service.js';
+import { httpError } from '../../../_common/utils/httpError.js';
+
+const STATUSES = ['Submitted', 'Reviewed', 'ActionTaken'];
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+const isAdmin = (user) => (user.roles || []).includes('admin');
+
+/**
+ * Teachers whose reflections the user reviews
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Array|null>} null (everyone) for admins; the other
+ *   teachers of their own department for HODs
+ */
+const reviewableTeachers = async (user) => {
+  if (isAdmin(user)) return null;
+
+  const department = user.teacherDetails?.department;
+  if (!department) return [];
+
+  return User.find({ 'teacherDetails.department': department, _id: { $ne: user._id } }).distinct('_id');
+};
+
+const findReviewable = async (reflectionId, user) => {
+  const reflection = await TeacherSessionReflection.findById(reflectionId);
+  if (!reflection) throw httpError('Reflection not found', 404);
+
+  if (reflection.teacher.equals(user._id)) {
+    throw httpError('You cannot review your own reflection', 403);
+  }
+
+  const teachers = await reviewableTeachers(user);
+  if (teachers && !teachers.some((id) => id.equals(reflection.teacher))) {
+    throw httpError("HODs can only review reflections of their own department's teachers", 403);
+  }
+
+  return reflection;
+};
+
+const SESSION_POPULATE = {
+  path: 'classSession',
+  select: 'topic sessionType startTime endedAt batch semester section subject',
+  populate: { path: 'subject', select: 'name subjectCode' },
+};
+
+/**
+ * Students' ratings of a session on the 1-5 scale of self-assessments: the
+ * mean of every Likert question, and of the `engagement` question
+ * @param {Array} forms - Forms from feedbackService.summarize
+ * @returns {Object} { overall, engagement } (null without answers)
+ */
+const studentRatings = (forms) => {
+  const overall = { sum: 0, responses: 0 };
+  const engagement = { sum: 0, responses: 0 };
+
+  forms.forEach((form) => form.questions.forEach((question) => {
+    if (question.type !== 'likert' || !question.responses) return;
+
+    const points = Object.keys(question.distribution).map(Number);
+    const min = Math.min(...points);
+    const max = Math.max(...points);
+    const scaled = (1 + ((question.average - min) / (max - min)) * 4) * question.responses;
+
+    overall.sum += scaled;
+    overall.responses += question.responses;
+    if (question.key === 'engagement') {
+      engagement.sum += scaled;
+      engagement.responses += question.responses;
+    }
+  }));
+
+  const average = ({ sum, responses }) => (responses ? sum / responses : null);
+  return { overall: average(overall), engagement: average(engagement) };
+};
+
+/**
+ * Pearson correlation of [x, y] pairs; null below three pairs or without variation
+ */
+const correlation = (pairs) => {
+  if (pairs.length < 3) return null;
+
+  const mx = mean(pairs.map(([x]) => x));
+  const my = mean(pairs.map(([, y]) => y));
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  pairs.forEach(([x, y]) => {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  });
+
+  return sxx && syy ? round(sxy / Math.sqrt(sxx * syy)) : null;
+};
+
+/**
+ * Counts and self-assessment vs student rating comparison of a set of
+ * sessions' reflections
+ * @param {number} sessionCount - Completed sessions
+ * @param {Array} rows - [{ reflection, ratings }] one per reflection
+ * @param {Date} now
+ * @returns {Object}
+ */
+const summarizeRows = (sessionCount, rows, now) => {
+  const status = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+  let openActionItems = 0;
+  let overdueActionItems = 0;
+
+  rows.forEach(({ reflection }) => {
+    status[reflection.status] += 1;
+    reflection.actionItems.forEach((item) => {
+      if (item.completedAt) return;
+      openActionItems += 1;
+      if (item.dueDate < now) overdueActionItems += 1;
+    });
+  });
+
+  // Sessions with a reflection and student ratings that may be shown
+  const matched = rows.filter(({ ratings }) => ratings?.overall != null);
+  const effectiveness = matched.map(({ reflection, ratings }) => [reflection.selfAssessment.effectiveness, ratings.overall]);
+  const engagement = matched
+    .filter(({ ratings }) => ratings.engagement != null)
+    .map(({ reflection, ratings }) => [reflection.selfAssessment.studentEngagement, ratings.engagement]);
+
+  const selfEffectiveness = mean(effectiveness.map(([self]) => self));
+  const studentRating = mean(effectiveness.map(([, students]) => students));
+
+  return {
+    sessions: sessionCount,
+    reflections: rows.length,
+    reflectionRate: sessionCount ? round((rows.length / sessionCount) * 100) : 0,
+    status,
+    openActionItems,
+    overdueActionItems,
+    matchedSessions: matched.length,
+    selfEffectiveness: round(selfEffectiveness),
+    studentRating: round(studentRating),
+    // Positive: teachers rate the sessions higher than their students do
+    gap: matched.length ? round(selfEffectiveness - studentRating) : null,
+    correlation: {
+      effectiveness: correlation(effectiveness),
+      engagement: correlation(engagement),
+    },
+  };
+};
+
+// ============================================================================
+// Review Queue Services
+// ============================================================================
+
+/**
+ * Reflections to review, oldest first. HODs see their department's teachers.
+ * @param {Object} query - { status, teacherId?, subjectId?, overdue?, limit }
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Array>}
+ */
+export const listQueue = async (query, user) => {
+  const teachers = await reviewableTeachers(user);
+  const filter = { status: query.status || 'Submitted' };
+
+  if (teachers) filter.teacher = { $in: teachers };
+  if (query.teacherId) filter.$and = [{ teacher: query.teacherId }];
+  if (query.subjectId) {
+    filter.classSession = { $in: await ClassSession.find({ subject: query.subjectId }).distinct('_id') };
+  }
+  if (query.overdue === true || query.overdue === 'true') {
+    filter.actionItems = { $elemMatch: { completedAt: null, dueDate: { $lt: new Date() } } };
+  }
+
+  return TeacherSessionReflection.find(filter)
+    .populate('teacher', 'name email teacherDetails.department')
+    .populate(SESSION_POPULATE)
+    .sort({ createdAt: 1 })
+    .limit(parseInt(query.limit, 10) || 50)
+    .lean();
+};
+
+/**
+ * A reflection with its review history and the released student feedback
+ * of the same session
+ * @param {string} reflectionId - Reflection ID
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>}
+ */
+export const getReflection = async (reflectionId, user) => {
+  const reflection = await findReviewable(reflectionId, user);
+  await reflection.populate([
+    { path: 'teacher', select: 'name email teacherDetails.department' },
+    { path: 'reviewComments.author', select: 'name' },
+    SESSION_POPULATE,
+  ]);
+
+  return {
+    ...reflection.toObject(),
+    // Hidden until released and above FEEDBACK_MIN_RESPONSES, as for the teacher
+    studentFeedback: await feedbackService.getSessionSummary(reflection.classSession),
+  };
+};
+
+/**
+ * Review a reflection: add a comment and/or action items. The reflection
+ * becomes Reviewed and the teacher has to acknowledge the review again.
+ * @param {string} reflectionId - Reflection ID
+ * @param {Object} data - { comment?, actionItems?: [{ text, dueDate }] }
+ * @param {Object} user - Admin or HOD
+ * @returns {Promise<Object>} Saved reflection
+ */
+export const reviewReflection = async (reflectionId, data, user) => {
+  const reflection = await findReviewable(reflectionId, user);
+  const now = new Date();
+
+  if (data.comment) {
+    reflection.reviewComments.push({ author: user._id, text: data.comment, createdAt: now });
+  }
+  (data.actionItems || []).forEach((item) => {
+    reflection.actionItems.push({ text: item.text, dueDate: item.dueDate, createdBy: user._id, createdAt: now });
+  });
+
+  reflection.reviewedBy = user._id;
+  reflection.reviewedAt = now;
+  reflection.acknowledgedAt = null;
+  reflection.status = reflectionService.getStatus(reflection);
+  await reflection.save();
+
+  const items = data.actionItems?.length || 0;
+  await createNotification({
+    user: reflection.teacher,
+    type: 'reflection_reviewed',
+    title: `${user.name} reviewed your session reflection`,
+    message: items
+      ? `${items} action item${items === 1 ? '' : 's'} to complete`
+      : (data.comment || '').slice(0, 120),
+    link: `/feedback/sessions/${reflection.classSession}/reflection`,
+  });
+
+  return reflection;
+};
+
+// ============================================================================
+// Report Services
+// ============================================================================
+
+/**
+ * Reflections of a department's teachers against the student feedback of
+ * the same sessions. Student ratings come from released feedback above
+ * FEEDBACK_MIN_RESPONSES only, rescaled to the 1-5 self-assessment scale.
+ * @param {Object} query - { department? (admins), subjectId?, startDate?, endDate? }
+ * @param {Object} user - Admin or HOD (always their own department)
+ * @returns {Promise<Object>} { department, minResponses, totals, teachers }
+ */
+export const getDepartmentReport = async (query, user) => {
+  const department = isAdmin(user) ? query.department || null : user.teacherDetails?.department;
+  if (!isAdmin(user) && !department) {
+    throw httpError('Your account has no department', 403);
+  }
+
+  const teachers = await User.find({
+    roles: 'teacher',
+    ...(department && { 'teacherDetails.department': department }),
+  })
+    .select('name')
+    .sort({ name: 1 })
+    .lean();
+
+  const sessionFilter = { teacher: { $in: teachers.map((t) => t._id) }, status: 'completed' };
+  if (query.subjectId) sessionFilter.subject = query.subjectId;
+  if (query.startDate || query.endDate) {
+    sessionFilter.startTime = {};
+    if (query.startDate) sessionFilter.startTime.$gte = new Date(query.startDate);
+    if (query.endDate) sessionFilter.startTime.$lte = new Date(query.endDate);
+  }
+
+  const sessions = await ClassSession.find(sessionFilter).select('teacher').lean();
+  const sessionIds = sessions.map((s) => s._id);
+  const minResponses = feedbackService.getMinResponses();
+
+  const [reflections, feedback] = await Promise.all([
+    TeacherSessionReflection.find({ classSession: { $in: sessionIds } })
+      .select('classSession teacher selfAssessment status actionItems')
+      .lean(),
+    feedbackService.summarize({ classSession: { $in: sessionIds } }, { groupBy: ['classSession'], minResponses }),
+  ]);
+
+  const ratingsBySession = new Map(feedback
+    .filter((group) => !group.hidden)
+    .map((group) => [String(group.group.classSession), studentRatings(group.forms)]));
+  const rows = reflections.map((reflection) => ({
+    reflection,
+    ratings: ratingsBySession.get(String(reflection.classSession)),
+  }));
+
+  const now = new Date();
+
+  return {
+    department,
+    minResponses,
+    totals: summarizeRows(sessions.length, rows, now),
+    teachers: teachers.map((teacher) => {
+      const own = (id) => teacher._id.equals(id);
+      return {
+        teacherId: teacher._id,
+        teacherName: teacher.name,
+        ...summarizeRows(
+          sessions.filter((session) => own(session.teacher)).length,
+          rows.filter(({ reflection }) => own(reflection.teacher)),
+          now
+        ),
+      };
+    }),
+  };
+};
@@ -0,0 +1,101 @@
+import Joi from 'joi';
+
+// ============================================================================
+// Validation Schemas
+// ============================================================================
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({ 'string.pattern.base': `Invalid ${label} ID format` });
+
+/**
+ * Schema for the review queue
+ */
+export const queueQuerySchema = Joi.object({
+  status: Joi.string().valid('Submitted', 'Reviewed', 'ActionTaken').default('Submitted'),
+  teacherId: objectId('teacher'),
+  subjectId: objectId('subject'),
+  overdue: Joi.boolean(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+});
+
+/**
+ * Schema for a review: comments and/or action items
+ */
+export const reviewSchema = Joi.object({
+  comment: Joi.string().trim().max(1000),
+  actionItems: Joi.array()
+    .items(
+      Joi.object({
+        text: Joi.string().trim().max(500).required(),
+        dueDate: Joi.date().iso().greater('now').required()
+          .messages({ 'date.greater': 'Action item due dates must be in the future' }),
+      })
+    )
+    .min(1)
+    .max(20),
+})
+  .or('comment', 'actionItems')
+  .messages({ 'object.missing': 'A review needs a comment or action items' });
+
+/**
+ * Schema for the department report
+ */
+export const reportQuerySchema = Joi.object({
+  department: Joi.string().trim().max(100),
+  subjectId: objectId('subject'),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+});
+
+/**
+ * Schema for reflectionId parameter validation
+ */
+export const reflectionIdParamSchema = Joi.object({
+  reflectionId: objectId('reflection').required(),
+});
+
+// ============================================================================
+// Validation Middleware Helper
+// ============================================================================
+
+/**
+ * Creates validation middleware for a given schema
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Source to validate ('body', 'query', 'params')
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const dataToValidate = req[source];
+
+    const { error, value } = schema.validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessage = error.details
+        .map((detail) => detail.message)
+        .join(', ');
+      return res.status(400).json({ message: errorMessage });
+    }
+
+    // req.query is getter-only in Express 5; merge into it instead of replacing
+    try {
+      if (source === 'query' && req.query && typeof req.query === 'object') {
+        Object.keys(req.query).forEach((k) => {
+          if (!(k in value)) delete req.query[k];
+        });
+        Object.assign(req.query, value);
+      } else {
+        req[source] = value;
+      }
+    } catch (e) {
+      req.validated = req.validated || {};
+      req.validated[source] = value;
+    }
+    next();
+  };
+};
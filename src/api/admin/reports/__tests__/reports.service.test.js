@@ -19,6 +19,15 @@ import { createTestUser, createTestSubject } from '../../../../test/utils.js';
 describe('Reports Service', () => {
   let teacher, student, subject;
 
+  // Response thresholds are covered separately below and in the feedback domain
+  beforeAll(() => {
+    process.env.FEEDBACK_MIN_RESPONSES = '1';
+  });
+
+  afterAll(() => {
+    delete process.env.FEEDBACK_MIN_RESPONSES;
+  });
+
   beforeEach(async () => {
     // Create common test data
     teacher = await createTestUser({ role: 'teacher', name: 'Test Teacher' });
@@ -173,6 +182,22 @@ describe('Reports Service', () => {
       expect(result.studentFeedbackSummary.averageRatings.engagement).toBe(4.5);
     });
 
+    it('should hide ratings below the minimum responses and before release', async () => {
+      process.env.FEEDBACK_MIN_RESPONSES = '3';
+      const session = await createClassSession();
+      await createFeedback(session._id);
+      await createFeedback(session._id);
+
+      let result = await getFeedbackReport(session._id.toString());
+      expect(result.studentFeedbackSummary).toMatchObject({ status: 'insufficient', feedbackCount: 2, averageRatings: {} });
+
+      await createFeedback(session._id, { released: false });
+      result = await getFeedbackReport(session._id.toString());
+      expect(result.studentFeedbackSummary).toMatchObject({ status: 'pending', feedbackCount: 2, averageRatings: {} });
+
+      process.env.FEEDBACK_MIN_RESPONSES = '1';
+    });
+
     it('should include teacher reflection if exists', async () => {
       const session = await createClassSession();
       await TeacherSessionReflection.create({
@@ -247,6 +272,49 @@ describe('Reports Service', () => {
       expect(result.feedback).toBeDefined();
     });
 
+    it('should average the answers to the feedback forms per subject', async () => {
+      const session = await createClassSession();
+      await createFeedback(session._id);
+      await createFeedback(session._id, {
+        ratings: undefined,
+        answers: [
+          { questionKey: 'clarity', value: 2 },
+          { questionKey: 'engagement', value: 3 },
+          { questionKey: 'pace', value: 4 },
+          { questionKey: 'knowledge', value: 5 },
+        ],
+      });
+
+      const result = await getTeacherReport(teacher._id.toString());
+
+      expect(result.feedback[0].subjectId.toString()).toBe(subject._id.toString());
+      expect(result.feedback).toEqual([
+        expect.objectContaining({
+          feedbackCount: 2,
+          hidden: false,
+          averageRatings: { clarity: 3, engagement: 4, pace: 4, knowledge: 5 },
+        }),
+      ]);
+    });
+
+    it('should leave unreleased feedback and small sessions out of the averages', async () => {
+      process.env.FEEDBACK_MIN_RESPONSES = '2';
+      const session = await createClassSession();
+      const small = await createClassSession({ topic: 'Session 2' });
+      await createFeedback(session._id, { ratings: { clarity: 4, engagement: 4, pace: 4, knowledge: 4 } });
+      await createFeedback(session._id, { ratings: { clarity: 4, engagement: 4, pace: 4, knowledge: 4 } });
+      await createFeedback(session._id, { released: false, ratings: { clarity: 1, engagement: 1, pace: 1, knowledge: 1 } });
+      await createFeedback(small._id, { ratings: { clarity: 1, engagement: 1, pace: 1, knowledge: 1 } });
+
+      const result = await getTeacherReport(teacher._id.toString());
+
+      expect(result.feedback).toEqual([
+        expect.objectContaining({ feedbackCount: 3, averageRatings: { clarity: 4, engagement: 4, pace: 4, knowledge: 4 } }),
+      ]);
+
+      process.env.FEEDBACK_MIN_RESPONSES = '1';
+    });
+
     it('should throw error for non-existent teacher', async () => {
       const fakeId = new mongoose.Types.ObjectId();
 
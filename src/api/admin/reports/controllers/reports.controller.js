@@ -1,17 +1,36 @@
 import asyncHandler from 'express-async-handler';
 import * as reportsService from '../services/reports.service.js';
+import { streamTable } from '../../../../services/export.service.js';
 
 // ============================================================================
 // Reports Controllers
 // ============================================================================
 
+/**
+ * Streams an export table; once the download has started an error can only
+ * abort the response
+ */
+const sendTable = async (res, format, table) => {
+  try {
+    await streamTable(res, format, table);
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    res.destroy(error);
+  }
+};
+
 /**
  * @desc    Get aggregated attendance statistics
  * @route   GET /api/admin/reports/attendance-stats
  * @access  Private/Admin_HOD
  */
 export const getAttendanceStats = asyncHandler(async (req, res) => {
-  const filters = req.query;
+  const { format = 'json', ...filters } = req.query;
+
+  if (format !== 'json') {
+    const table = await reportsService.getAttendanceStatsTable(filters);
+    return sendTable(res, format, table);
+  }
 
   const stats = await reportsService.getAttendanceStats(filters);
 
@@ -22,6 +41,27 @@ export const getAttendanceStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get the attendance register of a class section
+ * @route   GET /api/admin/reports/attendance-register
+ * @access  Private/Admin_HOD
+ */
+export const getAttendanceRegister = asyncHandler(async (req, res) => {
+  const { format = 'json', ...filters } = req.query;
+
+  if (format !== 'json') {
+    const table = await reportsService.getAttendanceRegisterTable(filters);
+    return sendTable(res, format, table);
+  }
+
+  const register = await reportsService.getAttendanceRegister(filters);
+
+  res.status(200).json({
+    success: true,
+    data: register,
+  });
+});
+
 /**
  * @desc    Get a comprehensive feedback report for a class session
  * @route   GET /api/admin/reports/feedback-report/:classSessionId
@@ -55,6 +95,25 @@ export const getFeedbackSummary = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    Get AI themes and sentiment of feedback comments
+ * @route   GET /api/admin/reports/feedback-insights
+ * @access  Private/Admin_HOD
+ */
+export const getFeedbackInsights = asyncHandler(async (req, res) => {
+  const { refresh, ...params } = req.query;
+
+  const insights = await reportsService.getFeedbackInsights({
+    ...params,
+    refresh: refresh === true || refresh === 'true',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: insights,
+  });
+});
+
 /**
  * @desc    Get a detailed report for a specific teacher
  * @route   GET /api/admin/reports/teacher/:teacherId
@@ -1,5 +1,11 @@
 import express from 'express';
 import * as reportsController from '../controllers/reports.controller.js';
+import {
+  validate,
+  attendanceStatsQuerySchema,
+  attendanceRegisterQuerySchema,
+  feedbackInsightsQuerySchema,
+} from '../validators/reports.validator.js';
 
 const router = express.Router();
 
@@ -10,10 +16,27 @@ const router = express.Router();
 /**
  * @route   GET /api/admin/reports/attendance-stats
  * @desc    Get aggregated attendance statistics
- * @query   teacherId, subjectId, semester (all optional)
+ * @query   teacherId, subjectId, semester, format (json | csv | xlsx | pdf; all optional)
+ * @access  Private/Admin_HOD
+ */
+router.get(
+  '/attendance-stats',
+  validate(attendanceStatsQuerySchema, 'query'),
+  reportsController.getAttendanceStats
+);
+
+/**
+ * @route   GET /api/admin/reports/attendance-register
+ * @desc    Attendance register of a class section (students by sessions)
+ * @query   batch, semester, section (required); subjectId, teacherId, startDate, endDate,
+ *          excusedRule, format (json | csv | xlsx | pdf)
  * @access  Private/Admin_HOD
  */
-router.get('/attendance-stats', reportsController.getAttendanceStats);
+router.get(
+  '/attendance-register',
+  validate(attendanceRegisterQuerySchema, 'query'),
+  reportsController.getAttendanceRegister
+);
 
 /**
  * @route   GET /api/admin/reports/feedback-summary
@@ -23,6 +46,18 @@ router.get('/attendance-stats', reportsController.getAttendanceStats);
  */
 router.get('/feedback-summary', reportsController.getFeedbackSummary);
 
+/**
+ * @route   GET /api/admin/reports/feedback-insights
+ * @desc    AI themes, sentiment and liked / to-improve points of feedback comments
+ * @query   scope (session | subject | term), sessionId, subjectId, termId, teacherId, refresh
+ * @access  Private/Admin_HOD
+ */
+router.get(
+  '/feedback-insights',
+  validate(feedbackInsightsQuerySchema, 'query'),
+  reportsController.getFeedbackInsights
+);
+
 /**
  * @route   GET /api/admin/reports/feedback-report/:classSessionId
  * @desc    Get a comprehensive feedback report for a class session
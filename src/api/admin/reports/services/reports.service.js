@@ -1,8 +1,12 @@
 import mongoose from 'mongoose';
 import User from '../../../../models/userModel.js';
 import ClassSession from '../../../../models/classSessionModel.js';
-import Feedback from '../../../../models/feedbackModel.js';
+import Subject from '../../../../models/subjectModel.js';
 import TeacherSessionReflection from '../../../../models/teacherSessionReflectionModel.js';
+import registerService from '../../../attendance/services/register.service.js';
+import feedbackService from '../../../feedback/services/feedback.service.js';
+import insightsService from '../../../feedback/services/insights.service.js';
+import { fromArray } from '../../../../services/export.service.js';
 
 // ============================================================================
 // Reports Services
@@ -110,6 +114,62 @@ export const getAttendanceStats = async (filters) => {
   return stats;
 };
 
+/**
+ * Attendance statistics as an export table
+ * @param {Object} filters - Query filters (teacherId, subjectId, semester)
+ * @returns {Promise<Object>} Export table for the export service
+ */
+export const getAttendanceStatsTable = async (filters) => {
+  const stats = await getAttendanceStats(filters);
+
+  return {
+    title: 'Attendance Statistics',
+    subtitle: `${stats.length} class${stats.length === 1 ? '' : 'es'}`,
+    sheetName: 'Attendance',
+    fileName: 'attendance-stats',
+    columns: [
+      { header: 'Teacher', width: 22, key: true },
+      { header: 'Subject', width: 26, key: true },
+      { header: 'Batch', width: 8, align: 'center' },
+      { header: 'Semester', width: 9, align: 'center' },
+      { header: 'Section', width: 8, align: 'center' },
+      { header: 'Records', width: 9, align: 'right' },
+      { header: 'Present', width: 9, align: 'right' },
+      { header: '%', width: 7, align: 'right' },
+    ],
+    rows: fromArray(stats.map((row) => [
+      row.teacherName || '',
+      row.subjectName || '',
+      row.batch,
+      row.semester,
+      row.section,
+      row.totalStudents,
+      row.presentStudents,
+      row.attendancePercentage,
+    ])),
+  };
+};
+
+/**
+ * Attendance register of a class section (students by sessions)
+ * @param {Object} filters - batch, semester, section, subjectId?, teacherId?, startDate?, endDate?, excusedRule?
+ * @returns {Promise<Object>} Register with column headers and rows
+ */
+export const getAttendanceRegister = async (filters) => {
+  const { excusedRule, ...params } = filters;
+  return registerService.getRegister(params, { excusedRule });
+};
+
+/**
+ * Attendance register as an export table (rows are streamed)
+ * @param {Object} filters - See getAttendanceRegister
+ * @returns {Promise<Object>} Export table for the export service
+ */
+export const getAttendanceRegisterTable = async (filters) => {
+  const { excusedRule, ...params } = filters;
+  return registerService.buildRegister(params, { excusedRule });
+};
+
 /**
  * Get a comprehensive feedback report for a class session
  * @param {string} classSessionId - The class session ID
@@ -117,77 +177,24 @@ export const getAttendanceStats = async (filters) => {
  * @throws {Error} If class session not found
  */
 export const getFeedbackReport = async (classSessionId) => {
-  // 1. Fetch Session Details
-  const sessionDetailsPromise = ClassSession.findById(classSessionId)
-    .populate('teacher', 'name')
-    .populate('subject', 'name subjectCode');
-
-  // 2. Aggregate Anonymous Student Feedback
-  const studentFeedbackPromise = Feedback.aggregate([
-    { $match: { classSession: new mongoose.Types.ObjectId(classSessionId) } },
-    {
-      $group: {
-        _id: '$classSession',
-        feedbackCount: { $sum: 1 },
-        avgClarity: { $avg: '$ratings.clarity' },
-        avgEngagement: { $avg: '$ratings.engagement' },
-        avgPace: { $avg: '$ratings.pace' },
-        avgKnowledge: { $avg: '$ratings.knowledge' },
-        positiveComments: { $push: '$positiveFeedback' },
-        improvementSuggestions: { $push: '$improvementSuggestions' },
-      },
-    },
-    {
-      $project: {
-        _id: 0,
-        feedbackCount: 1,
-        averageRatings: {
-          clarity: { $round: ['$avgClarity', 2] },
-          engagement: { $round: ['$avgEngagement', 2] },
-          pace: { $round: ['$avgPace', 2] },
-          knowledge: { $round: ['$avgKnowledge', 2] },
-        },
-        positiveComments: {
-          $filter: {
-            input: '$positiveComments',
-            as: 'comment',
-            cond: { $ne: ['$$comment', ''] },
-          },
-        },
-        improvementSuggestions: {
-          $filter: {
-            input: '$improvementSuggestions',
-            as: 'suggestion',
-            cond: { $ne: ['$$suggestion', ''] },
-          },
-        },
-      },
-    },
-  ]);
-
-  // 3. Fetch Teacher's Reflection
-  const teacherReflectionPromise = TeacherSessionReflection.findOne({
-    classSession: classSessionId,
-  });
-
-  // Execute all promises in parallel
-  const [session, studentFeedback, teacherReflection] = await Promise.all([
-    sessionDetailsPromise,
-    studentFeedbackPromise,
-    teacherReflectionPromise,
+  // 1. Fetch Session Details and Teacher's Reflection in parallel
+  const [session, teacherReflection] = await Promise.all([
+    ClassSession.findById(classSessionId)
+      .populate('teacher', 'name')
+      .populate('subject', 'name subjectCode'),
+    TeacherSessionReflection.findOne({ classSession: classSessionId }),
   ]);
 
   if (!session) {
     throw new Error('Class session not found.');
   }
 
+  // 2. Released anonymous student feedback (hidden below the minimum responses)
+  const { totalResponses, ...studentFeedback } = await feedbackService.getSessionSummary(session);
+
   return {
     sessionDetails: session,
-    studentFeedbackSummary: studentFeedback[0] || {
-      feedbackCount: 0,
-      averageRatings: {},
-      comments: [],
-    },
+    studentFeedbackSummary: { feedbackCount: totalResponses, ...studentFeedback },
     teacherReflection: teacherReflection || null,
   };
 };
@@ -206,68 +213,46 @@ export const getFeedbackSummary = async (filters) => {
   if (subjectId) matchQuery.subject = new mongoose.Types.ObjectId(subjectId);
   if (semester) matchQuery.semester = parseInt(semester, 10);
 
-  const summary = await Feedback.aggregate([
-    // Stage 1: Filter on the server
-    { $match: matchQuery },
-
-    // Stage 2: Group by teacher and subject
-    {
-      $group: {
-        _id: { subject: '$subject', teacher: '$teacher' },
-        feedbackCount: { $sum: 1 },
-        avgClarity: { $avg: '$ratings.clarity' },
-        avgEngagement: { $avg: '$ratings.engagement' },
-        avgPace: { $avg: '$ratings.pace' },
-        avgKnowledge: { $avg: '$ratings.knowledge' },
-      },
-    },
-
-    // Stage 3: Populate details from other collections
-    {
-      $lookup: {
-        from: 'users',
-        localField: '_id.teacher',
-        foreignField: '_id',
-        as: 'teacherDetails',
-      },
-    },
-    {
-      $lookup: {
-        from: 'subjects',
-        localField: '_id.subject',
-        foreignField: '_id',
-        as: 'subjectDetails',
-      },
-    },
+  const groups = await feedbackService.summarize(matchQuery, {
+    groupBy: ['teacher', 'subject'],
+    minResponses: feedbackService.getMinResponses(),
+  });
 
-    // Stage 4: Project the final shape of the data
-    {
-      $project: {
-        _id: 0,
-        // Create a stable, unique ID for the DataGrid
-        id: {
-          $concat: [{ $toString: '$_id.teacher' }, '-', { $toString: '$_id.subject' }],
-        },
-        teacherId: '$_id.teacher',
-        subjectId: '$_id.subject',
-        teacherName: { $arrayElemAt: ['$teacherDetails.name', 0] },
-        subjectName: { $arrayElemAt: ['$subjectDetails.name', 0] },
-        feedbackCount: 1,
-        // Project the individual average ratings
-        averageRatings: {
-          clarity: { $round: ['$avgClarity', 2] },
-          engagement: { $round: ['$avgEngagement', 2] },
-          pace: { $round: ['$avgPace', 2] },
-          knowledge: { $round: ['$avgKnowledge', 2] },
-        },
-      },
-    },
-    { $sort: { feedbackCount: -1 } },
+  // Populate names
+  const [teachers, subjects] = await Promise.all([
+    User.find({ _id: { $in: groups.map((g) => g.group.teacher) } }).select('name').lean(),
+    Subject.find({ _id: { $in: groups.map((g) => g.group.subject) } }).select('name').lean(),
   ]);
+  const nameOf = (docs, id) => docs.find((doc) => doc._id.equals(id))?.name;
+
+  const summary = groups
+    .map(({ group, feedbackCount, hidden, averageRatings, forms }) => ({
+      // Create a stable, unique ID for the DataGrid
+      id: `${group.teacher}-${group.subject}`,
+      teacherId: group.teacher,
+      subjectId: group.subject,
+      teacherName: nameOf(teachers, group.teacher),
+      subjectName: nameOf(subjects, group.subject),
+      feedbackCount,
+      hidden, // Fewer responses than FEEDBACK_MIN_RESPONSES
+      // Rating questions across form versions, keyed by question key
+      averageRatings,
+      forms,
+    }))
+    .sort((a, b) => b.feedbackCount - a.feedbackCount);
 
   return summary;
 };
 
+/**
+ * Get AI themes and sentiment of the feedback comments in a session, subject or term
+ * @param {Object} params - scope, sessionId, subjectId, termId, teacherId (optional), refresh
+ * @returns {Promise<Object>} Insight with its status (ready, insufficient, no_comments)
+ */
+export const getFeedbackInsights = async (params) => {
+  return insightsService.getInsights(params);
+};
+
 /**
  * Get a detailed report for a specific teacher
  * @param {string} teacherId - The teacher's user ID
@@ -320,35 +305,16 @@ export const getTeacherReport = async (teacherId, filters = {}) => {
     },
   ]);
 
-  // 2. Aggregate feedback data for the teacher
-  const feedbackPromise = Feedback.aggregate([
-    { $match: matchQuery },
-    {
-      $group: {
-        _id: '$subject',
-        feedbackCount: { $sum: 1 },
-        avgClarity: { $avg: '$ratings.clarity' },
-        avgEngagement: { $avg: '$ratings.engagement' },
-      },
-    },
-    {
-      $lookup: {
-        from: 'subjects',
-        localField: '_id',
-        foreignField: '_id',
-        as: 'subjectDetails',
-      },
-    },
-    {
-      $project: {
-        _id: 0,
-        subjectId: '$_id',
-        feedbackCount: 1,
-        avgClarity: { $round: ['$avgClarity', 2] },
-        avgEngagement: { $round: ['$avgEngagement', 2] },
-      },
-    },
-  ]);
+  // 2. Summarise feedback per subject, for whichever forms were answered
+  const feedbackPromise = feedbackService
+    .summarize(matchQuery, { groupBy: ['subject'], minResponses: feedbackService.getMinResponses() })
+    .then((groups) => groups.map(({ group, feedbackCount, hidden, averageRatings, forms }) => ({
+      subjectId: group.subject,
+      feedbackCount,
+      hidden, // Fewer responses than FEEDBACK_MIN_RESPONSES
+      averageRatings,
+      forms,
+    })));
 
   // 3. Get Teacher's own details
   const teacherDetailsPromise = User.findById(teacherId).select(
@@ -0,0 +1,100 @@
+import Joi from 'joi';
+
+// ============================================================================
+// Validation Schemas
+// ============================================================================
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': `Invalid ${label} ID format`,
+      'any.required': `${label} ID is required`,
+    });
+
+const format = (...formats) =>
+  Joi.string()
+    .valid(...formats)
+    .default(formats[0])
+    .messages({ 'any.only': `format must be one of ${formats.join(', ')}` });
+
+/**
+ * Schema for the attendance statistics report
+ */
+export const attendanceStatsQuerySchema = Joi.object({
+  teacherId: objectId('Teacher'),
+  subjectId: objectId('Subject'),
+  semester: Joi.number().integer().min(1).max(8),
+  format: format('json', 'csv', 'xlsx', 'pdf'),
+});
+
+/**
+ * Schema for the attendance register of a class section
+ */
+export const attendanceRegisterQuerySchema = Joi.object({
+  batch: Joi.number().integer().min(2000).max(2100).required(),
+  semester: Joi.number().integer().min(1).max(8).required(),
+  section: Joi.string().valid('A', 'B', 'C').required(),
+  subjectId: objectId('Subject'),
+  teacherId: objectId('Teacher'),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  excusedRule: Joi.string().valid('exclude', 'present', 'absent'),
+  format: format('json', 'csv', 'xlsx', 'pdf'),
+});
+
+/**
+ * Schema for AI themes and sentiment of feedback comments
+ */
+export const feedbackInsightsQuerySchema = Joi.object({
+  scope: Joi.string().valid('session', 'subject', 'term').required(),
+  sessionId: objectId('Session').when('scope', { is: 'session', then: Joi.required() }),
+  subjectId: objectId('Subject').when('scope', { is: 'subject', then: Joi.required() }),
+  termId: objectId('Term').when('scope', { is: 'term', then: Joi.required() }),
+  teacherId: objectId('Teacher'),
+  refresh: Joi.boolean().default(false),
+});
+
+// ============================================================================
+// Validation Middleware Helper
+// ============================================================================
+
+/**
+ * Creates validation middleware for a given schema
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Source to validate ('body', 'query', 'params')
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const dataToValidate = req[source];
+
+    const { error, value } = schema.validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessage = error.details
+        .map((detail) => detail.message)
+        .join(', ');
+      return res.status(400).json({ message: errorMessage });
+    }
+
+    // req.query is getter-only in Express 5; merge into it instead of replacing
+    try {
+      if (source === 'query' && req.query && typeof req.query === 'object') {
+        Object.keys(req.query).forEach((k) => {
+          if (!(k in value)) delete req.query[k];
+        });
+        Object.assign(req.query, value);
+      } else {
+        req[source] = value;
+      }
+    } catch (e) {
+      req.validated = req.validated || {};
+      req.validated[source] = value;
+    }
+    next();
+  };
+};
@@ -11,6 +11,11 @@
  * - /subjects          - Subject CRUD and management (Admin only)
  * - /reports           - Statistics, reports, and analytics (Admin & HOD)
  * - /dashboard         - Dashboard statistics and charts (Admin & HOD)
+ * - /scheduler         - Background job status, run history, manual triggers (Admin only)
+ * - /timetable         - Terms, holidays, weekly slots, missed-class report (Admin & HOD)
+ * - /eligibility       - Attendance eligibility rules and class report (Admin & HOD)
+ * - /feedback-forms    - Student feedback questionnaires and their versions (Admin & HOD)
+ * - /reflections       - Review of teacher session reflections, department report (Admin & HOD)
  */
 
 import express from 'express';
@@ -24,6 +29,11 @@ import teacherAssignmentsRoutes from '../teacher-assignments/routes/teacher-assi
 import subjectsRoutes from '../subjects/routes/subjects.routes.js';
 import reportsRoutes from '../reports/routes/reports.routes.js';
 import dashboardRoutes from '../dashboard/routes/dashboard.routes.js';
+import schedulerRoutes from '../scheduler/routes/scheduler.routes.js';
+import timetableRoutes from '../timetable/routes/timetable.routes.js';
+import eligibilityRoutes from '../eligibility/routes/eligibility.routes.js';
+import feedbackFormsRoutes from '../feedback-forms/routes/feedbackForms.routes.js';
+import reflectionsRoutes from '../reflections/routes/reflections.routes.js';
 
 const router = express.Router();
 
@@ -76,4 +86,41 @@ router.use('/subjects', isAdmin, subjectsRoutes);
  */
 router.use('/reports', isAdminOrHOD, reportsRoutes);
 
+/**
+ * Background Job Scheduler
+ * Lists scheduled maintenance jobs, their run history, and triggers runs
+ * Access: Admin only
+ */
+router.use('/scheduler', isAdmin, schedulerRoutes);
+
+/**
+ * Timetable
+ * Terms, holiday calendars, weekly class slots and the missed-class report
+ * Access: Admin & HOD
+ */
+router.use('/timetable', isAdminOrHOD, timetableRoutes);
+
+/**
+ * Attendance Eligibility
+ * Minimum attendance rules (institution and department) and the class report
+ * Access: Admin & HOD
+ */
+router.use('/eligibility', isAdminOrHOD, eligibilityRoutes);
+
+/**
+ * Feedback Forms
+ * Questionnaires students answer after a session, assigned per subject,
+ * department or session type
+ * Access: Admin & HOD
+ */
+router.use('/feedback-forms', isAdminOrHOD, feedbackFormsRoutes);
+
+/**
+ * Reflections
+ * HOD review queue of teachers' session reflections (comments, action items)
+ * and the department report against student feedback
+ * Access: Admin & HOD
+ */
+router.use('/reflections', isAdminOrHOD, reflectionsRoutes);
+
 export default router;
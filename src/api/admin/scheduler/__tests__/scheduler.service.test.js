@@ -0,0 +1,191 @@
+/**
+ * Scheduler Service Tests
+ * Unit tests for the job scheduler core and its admin service
+ */
+
+import * as schedulerAdminService from '../services/scheduler.service.js';
+import {
+  registerJob,
+  unregisterJob,
+  runJob,
+  acquireLock,
+  getJob,
+} from '../../../../services/scheduler/scheduler.service.js';
+import { cleanOldAuditLogs } from '../../../../services/scheduler/jobs.js';
+import SchedulerLock from '../../../../models/schedulerLockModel.js';
+import SchedulerRun from '../../../../models/schedulerRunModel.js';
+import AuditLog from '../../../../models/auditLogModel.js';
+import { createTestAdmin } from '../../../../test/utils.js';
+
+describe('Scheduler Service', () => {
+  let admin;
+  let calls;
+  let failWith;
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    calls = 0;
+    failWith = null;
+    registerJob({
+      name: 'test-job',
+      description: 'Test job',
+      intervalMs: 60 * 1000,
+      handler: async () => {
+        calls += 1;
+        if (failWith) throw failWith;
+        return { deletedCount: 2 };
+      },
+    });
+  });
+
+  afterEach(() => {
+    unregisterJob('test-job');
+  });
+
+  describe('runJob', () => {
+    it('should run a due job and record a successful run', async () => {
+      const run = await runJob('test-job');
+
+      expect(calls).toBe(1);
+      expect(run.status).toBe('success');
+      expect(run.result).toEqual({ deletedCount: 2 });
+      expect(run.durationMs).toBeGreaterThanOrEqual(0);
+
+      const lock = await SchedulerLock.findOne({ name: 'test-job' });
+      expect(lock.owner).toBeNull();
+      expect(lock.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should skip a scheduled run that is not yet due', async () => {
+      await runJob('test-job');
+      const second = await runJob('test-job');
+
+      expect(second).toBeNull();
+      expect(calls).toBe(1);
+    });
+
+    it('should run a manual trigger even when not due', async () => {
+      await runJob('test-job');
+      const run = await runJob('test-job', { trigger: 'manual', triggeredBy: admin._id });
+
+      expect(run.trigger).toBe('manual');
+      expect(calls).toBe(2);
+    });
+
+    it('should record failures without throwing', async () => {
+      failWith = new Error('boom');
+
+      const run = await runJob('test-job');
+
+      expect(run.status).toBe('failed');
+      expect(run.error).toBe('boom');
+
+      const lock = await SchedulerLock.findOne({ name: 'test-job' });
+      expect(lock.lockedUntil).toBeNull();
+    });
+
+    it('should not run when another instance holds the lock', async () => {
+      await SchedulerLock.create({
+        name: 'test-job',
+        owner: 'other-instance',
+        lockedUntil: new Date(Date.now() + 60 * 1000),
+      });
+
+      expect(await runJob('test-job')).toBeNull();
+      await expect(runJob('test-job', { trigger: 'manual' })).rejects.toMatchObject({ statusCode: 409 });
+      expect(calls).toBe(0);
+    });
+
+    it('should throw 404 for unknown jobs', async () => {
+      await expect(runJob('missing-job')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('acquireLock', () => {
+    it('should take over an expired lock', async () => {
+      await SchedulerLock.create({
+        name: 'test-job',
+        owner: 'crashed-instance',
+        lockedUntil: new Date(Date.now() - 1000),
+      });
+
+      const acquired = await acquireLock(getJob('test-job'));
+
+      expect(acquired).toBe(true);
+    });
+  });
+
+  describe('listJobs', () => {
+    it('should include the last run for each job', async () => {
+      await runJob('test-job');
+
+      const jobs = await schedulerAdminService.listJobs();
+      const job = jobs.find((j) => j.name === 'test-job');
+
+      expect(job).toBeDefined();
+      expect(job.lastRun.status).toBe('success');
+      expect(job.nextRunAt).toBeDefined();
+      expect(job.isLocked).toBe(false);
+    });
+  });
+
+  describe('getJobRuns', () => {
+    it('should return paginated history newest first', async () => {
+      await runJob('test-job', { trigger: 'manual' });
+      await runJob('test-job', { trigger: 'manual' });
+
+      const result = await schedulerAdminService.getJobRuns('test-job', { page: 1, limit: 1 });
+
+      expect(result.runs).toHaveLength(1);
+      expect(result.pagination.total).toBe(2);
+      expect(result.pagination.hasMore).toBe(true);
+    });
+
+    it('should throw 404 for unknown jobs', async () => {
+      await expect(schedulerAdminService.getJobRuns('missing-job')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('triggerJob', () => {
+    it('should run the job manually and attribute it to the admin', async () => {
+      const run = await schedulerAdminService.triggerJob('test-job', admin);
+
+      expect(run.status).toBe('success');
+      expect(run.trigger).toBe('manual');
+      expect(run.triggeredBy.toString()).toBe(admin._id.toString());
+      expect(await SchedulerRun.countDocuments({ job: 'test-job' })).toBe(1);
+    });
+  });
+
+  describe('cleanOldAuditLogs', () => {
+    it('should delete only entries older than the retention window', async () => {
+      const old = new Date();
+      old.setDate(old.getDate() - 100);
+      await AuditLog.create([
+        { action: 'x', entityType: 'File', entityId: '1', timestamp: old },
+        { action: 'x', entityType: 'File', entityId: '2' },
+      ]);
+
+      const result = await cleanOldAuditLogs(90);
+
+      expect(result.deletedCount).toBe(1);
+      expect(await AuditLog.countDocuments()).toBe(1);
+    });
+
+    it('should keep attendance record history', async () => {
+      const old = new Date();
+      old.setDate(old.getDate() - 100);
+      await AuditLog.create([
+        { action: 'ATTENDANCE_RECORD_UPDATED', entityType: 'AttendanceRecord', entityId: '1', context: 'attendance', timestamp: old },
+        { action: 'x', entityType: 'File', entityId: '2', context: 'personal', timestamp: old },
+      ]);
+
+      const result = await cleanOldAuditLogs(90);
+
+      expect(result.deletedCount).toBe(1);
+      expect(await AuditLog.find().lean()).toEqual([
+        expect.objectContaining({ entityType: 'AttendanceRecord', retained: true }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import asyncHandler from 'express-async-handler';
+import * as schedulerService from '../services/scheduler.service.js';
+
+// ============================================================================
+// Scheduler Controllers
+// ============================================================================
+
+/**
+ * @desc    List registered background jobs with their last run
+ * @route   GET /api/admin/scheduler/jobs
+ * @access  Private/Admin
+ */
+export const listJobs = asyncHandler(async (req, res) => {
+  const jobs = await schedulerService.listJobs();
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    data: jobs,
+  });
+});
+
+/**
+ * @desc    Get run history for a job
+ * @route   GET /api/admin/scheduler/jobs/:name/runs
+ * @access  Private/Admin
+ */
+export const getJobRuns = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  const { runs, pagination } = await schedulerService.getJobRuns(name, req.query);
+
+  res.status(200).json({
+    success: true,
+    count: runs.length,
+    pagination,
+    data: runs,
+  });
+});
+
+/**
+ * @desc    Trigger a job manually
+ * @route   POST /api/admin/scheduler/jobs/:name/run
+ * @access  Private/Admin
+ */
+export const triggerJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  const run = await schedulerService.triggerJob(name, req.user, req);
+
+  res.status(200).json({
+    success: true,
+    message: `Job "${name}" finished with status "${run.status}"`,
+    data: run,
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Scheduler Sub-Domain Index
+ * 
+ * This file serves as the main entry point for the scheduler sub-domain.
+ * It exports the router to be mounted by the parent admin router.
+ */
+
+export { default } from './routes/scheduler.routes.js';
@@ -0,0 +1,46 @@
+import express from 'express';
+import * as schedulerController from '../controllers/scheduler.controller.js';
+import {
+  validate,
+  jobNameParamSchema,
+  jobRunsQuerySchema,
+} from '../validators/scheduler.validator.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Scheduler Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/scheduler/jobs
+ * @desc    List registered background jobs with schedule state and last run
+ * @access  Private/Admin
+ */
+router.get('/jobs', schedulerController.listJobs);
+
+/**
+ * @route   GET /api/admin/scheduler/jobs/:name/runs
+ * @desc    Get paginated run history for a job
+ * @query   page, limit, status (all optional)
+ * @access  Private/Admin
+ */
+router.get(
+  '/jobs/:name/runs',
+  validate(jobNameParamSchema, 'params'),
+  validate(jobRunsQuerySchema, 'query'),
+  schedulerController.getJobRuns
+);
+
+/**
+ * @route   POST /api/admin/scheduler/jobs/:name/run
+ * @desc    Trigger a job immediately (waits for the run to finish)
+ * @access  Private/Admin
+ */
+router.post(
+  '/jobs/:name/run',
+  validate(jobNameParamSchema, 'params'),
+  schedulerController.triggerJob
+);
+
+export default router;
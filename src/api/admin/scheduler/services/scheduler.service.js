@@ -0,0 +1,138 @@
+import SchedulerRun from '../../../../models/schedulerRunModel.js';
+import SchedulerLock from '../../../../models/schedulerLockModel.js';
+import {
+  getJob,
+  getRegisteredJobs,
+  runJob,
+} from '../../../../services/scheduler/scheduler.service.js';
+import { logAudit } from '../../../_common/services/audit.service.js';
+import { AUDIT_ACTIONS } from '../../../../constants/auditActions.js';
+
+// ============================================================================
+// Scheduler Admin Services
+// ============================================================================
+
+/**
+ * Ensure a job is registered, otherwise throw a 404
+ * @param {string} name - Job name
+ */
+const assertJobExists = (name) => {
+  if (!getJob(name)) {
+    const error = new Error(`Job "${name}" not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+};
+
+/**
+ * List all registered jobs with their schedule state and latest run
+ * @returns {Promise<Array>} Jobs with lastRun and lock/schedule details
+ */
+export const listJobs = async () => {
+  const jobs = getRegisteredJobs();
+  const names = jobs.map((job) => job.name);
+
+  const [locks, lastRuns] = await Promise.all([
+    SchedulerLock.find({ name: { $in: names } }).lean(),
+    SchedulerRun.aggregate([
+      { $match: { job: { $in: names } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$job', run: { $first: '$$ROOT' } } },
+    ]),
+  ]);
+
+  const lockByName = new Map(locks.map((lock) => [lock.name, lock]));
+  const runByName = new Map(lastRuns.map((entry) => [entry._id, entry.run]));
+
+  return jobs.map((job) => {
+    const lock = lockByName.get(job.name);
+    const lastRun = runByName.get(job.name) || null;
+    const isLocked = !!(lock?.lockedUntil && lock.lockedUntil > new Date());
+
+    return {
+      ...job,
+      isLocked,
+      lockedBy: isLocked ? lock.owner : null,
+      lastRunAt: lock?.lastRunAt || null,
+      nextRunAt: lock?.nextRunAt || null,
+      lastRun: lastRun
+        ? {
+            id: lastRun._id,
+            status: lastRun.status,
+            trigger: lastRun.trigger,
+            startedAt: lastRun.startedAt,
+            finishedAt: lastRun.finishedAt,
+            durationMs: lastRun.durationMs,
+            result: lastRun.result,
+            error: lastRun.error,
+          }
+        : null,
+    };
+  });
+};
+
+/**
+ * Get paginated run history for a job
+ * @param {string} name - Job name
+ * @param {Object} options - { page, limit, status }
+ * @returns {Promise<Object>} { runs, pagination }
+ */
+export const getJobRuns = async (name, options = {}) => {
+  assertJobExists(name);
+
+  const page = parseInt(options.page, 10) || 1;
+  const limit = parseInt(options.limit, 10) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = { job: name };
+  if (options.status) query.status = options.status;
+
+  const [runs, total] = await Promise.all([
+    SchedulerRun.find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('triggeredBy', 'name email')
+      .lean(),
+    SchedulerRun.countDocuments(query),
+  ]);
+
+  return {
+    runs,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
+/**
+ * Trigger a job immediately, bypassing its schedule (still lock-protected)
+ * @param {string} name - Job name
+ * @param {Object} actor - Admin user triggering the job
+ * @param {Object} req - Express request (for audit logging)
+ * @returns {Promise<Object>} The completed run record
+ */
+export const triggerJob = async (name, actor, req) => {
+  assertJobExists(name);
+
+  const run = await runJob(name, { trigger: 'manual', triggeredBy: actor?._id || null });
+
+  try {
+    await logAudit({
+      actor: actor || null,
+      action: AUDIT_ACTIONS.SCHEDULER_JOB_TRIGGER,
+      entityType: 'SchedulerJob',
+      entityId: name,
+      after: { runId: run._id, status: run.status },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return run.toObject();
+};
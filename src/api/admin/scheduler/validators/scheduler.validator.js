@@ -0,0 +1,74 @@
+import Joi from 'joi';
+
+// ============================================================================
+// Validation Schemas
+// ============================================================================
+
+/**
+ * Schema for job name parameter validation
+ */
+export const jobNameParamSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-z0-9-]+$/)
+    .max(64)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid job name format',
+      'any.required': 'Job name is required',
+    }),
+});
+
+/**
+ * Schema for run history query parameters
+ */
+export const jobRunsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('running', 'success', 'failed').optional().messages({
+    'any.only': 'Status must be one of: running, success, failed',
+  }),
+});
+
+// ============================================================================
+// Validation Middleware Helper
+// ============================================================================
+
+/**
+ * Creates validation middleware for a given schema
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Source to validate ('body', 'query', 'params')
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const dataToValidate = req[source];
+
+    const { error, value } = schema.validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessage = error.details
+        .map((detail) => detail.message)
+        .join(', ');
+      return res.status(400).json({ message: errorMessage });
+    }
+
+    // req.query is getter-only in Express 5; merge into it instead of replacing
+    try {
+      if (source === 'query' && req.query && typeof req.query === 'object') {
+        Object.keys(req.query).forEach((k) => {
+          if (!(k in value)) delete req.query[k];
+        });
+        Object.assign(req.query, value);
+      } else {
+        req[source] = value;
+      }
+    } catch (e) {
+      req.validated = req.validated || {};
+      req.validated[source] = value;
+    }
+    next();
+  };
+};
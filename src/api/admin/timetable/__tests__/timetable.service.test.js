@@ -0,0 +1,116 @@
+/**
+ * Admin Timetable Service Tests
+ * Unit tests for term calendars and timetable slot checks
+ */
+
+import {
+  createTerm,
+  addHoliday,
+  createSlot,
+  removeSlot,
+  listSlots,
+} from '../services/timetable.service.js';
+import TimetableSlot from '../../../../models/timetableSlotModel.js';
+import {
+  createTestTeacher,
+  createTestSubject,
+  generateObjectId,
+} from '../../../../test/utils.js';
+
+describe('Admin Timetable Service', () => {
+  let term, subject, teacher;
+
+  const slotData = (overrides = {}) => ({
+    term: term._id.toString(),
+    teacher: teacher._id.toString(),
+    subject: subject._id.toString(),
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    dayOfWeek: 1,
+    startTime: '09:00',
+    endTime: '10:00',
+    room: 'LH-101',
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A', 'B'] }],
+      },
+    });
+    term = await createTerm({
+      name: 'Odd Semester 2025',
+      startDate: new Date('2025-08-01'),
+      endDate: new Date('2025-12-15'),
+    });
+  });
+
+  // ============================================================================
+  // Term Tests
+  // ============================================================================
+  describe('terms', () => {
+    it('should reject a term that ends before it starts', async () => {
+      await expect(createTerm({
+        name: 'Broken',
+        startDate: new Date('2025-08-01'),
+        endDate: new Date('2025-07-01'),
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should only add holidays inside the term, once per day', async () => {
+      const updated = await addHoliday(term._id, { date: new Date('2025-10-02'), name: 'Gandhi Jayanti' });
+      expect(updated.holidays).toHaveLength(1);
+
+      await expect(addHoliday(term._id, { date: new Date('2025-10-02'), name: 'Again' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+      await expect(addHoliday(term._id, { date: new Date('2026-01-26'), name: 'Republic Day' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  // ============================================================================
+  // Slot Tests
+  // ============================================================================
+  describe('slots', () => {
+    it('should create a slot for an assigned teacher', async () => {
+      const slot = await createSlot(slotData());
+
+      expect(slot.sessionMode).toBe('suggest');
+      expect(slot.type).toBe('Theory');
+    });
+
+    it('should reject teachers not assigned to the subject and class', async () => {
+      const other = await createTestSubject({ semester: 3 });
+
+      await expect(createSlot(slotData({ subject: other._id.toString() })))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject clashes for the teacher, the class and the room', async () => {
+      await createSlot(slotData());
+
+      // Same teacher, other section
+      await expect(createSlot(slotData({ section: 'B', room: 'LH-102', startTime: '09:30', endTime: '10:30' })))
+        .rejects.toMatchObject({ statusCode: 409 });
+
+      // Back-to-back is fine
+      await expect(createSlot(slotData({ startTime: '10:00', endTime: '11:00' }))).resolves.toBeDefined();
+    });
+
+    it('should keep removed slots out of the timetable', async () => {
+      const slot = await createSlot(slotData());
+
+      await removeSlot(slot._id);
+
+      const stored = await TimetableSlot.findById(slot._id);
+      expect(stored.isActive).toBe(false);
+      expect(stored.removedAt).toBeInstanceOf(Date);
+      expect(await listSlots({ term: term._id })).toHaveLength(0);
+    });
+  });
+});
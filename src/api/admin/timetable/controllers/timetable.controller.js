@@ -0,0 +1,158 @@
+import asyncHandler from 'express-async-handler';
+import * as timetableService from '../services/timetable.service.js';
+
+// ============================================================================
+// Term & Holiday Controllers
+// ============================================================================
+
+/**
+ * @desc    Create a term
+ * @route   POST /api/admin/timetable/terms
+ * @access  Private/Admin_HOD
+ */
+export const createTerm = asyncHandler(async (req, res) => {
+  const term = await timetableService.createTerm(req.body, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    data: term,
+  });
+});
+
+/**
+ * @desc    List terms
+ * @route   GET /api/admin/timetable/terms
+ * @access  Private/Admin_HOD
+ */
+export const listTerms = asyncHandler(async (req, res) => {
+  const terms = await timetableService.listTerms();
+
+  res.status(200).json({
+    success: true,
+    count: terms.length,
+    data: terms,
+  });
+});
+
+/**
+ * @desc    Update a term
+ * @route   PATCH /api/admin/timetable/terms/:termId
+ * @access  Private/Admin_HOD
+ */
+export const updateTerm = asyncHandler(async (req, res) => {
+  const term = await timetableService.updateTerm(req.params.termId, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: term,
+  });
+});
+
+/**
+ * @desc    Add a holiday to a term
+ * @route   POST /api/admin/timetable/terms/:termId/holidays
+ * @access  Private/Admin_HOD
+ */
+export const addHoliday = asyncHandler(async (req, res) => {
+  const term = await timetableService.addHoliday(req.params.termId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: term,
+  });
+});
+
+/**
+ * @desc    Remove a holiday from a term
+ * @route   DELETE /api/admin/timetable/terms/:termId/holidays/:holidayId
+ * @access  Private/Admin_HOD
+ */
+export const removeHoliday = asyncHandler(async (req, res) => {
+  const { termId, holidayId } = req.params;
+
+  const term = await timetableService.removeHoliday(termId, holidayId);
+
+  res.status(200).json({
+    success: true,
+    data: term,
+  });
+});
+
+// ============================================================================
+// Timetable Slot Controllers
+// ============================================================================
+
+/**
+ * @desc    Create a weekly timetable slot
+ * @route   POST /api/admin/timetable/slots
+ * @access  Private/Admin_HOD
+ */
+export const createSlot = asyncHandler(async (req, res) => {
+  const slot = await timetableService.createSlot(req.body);
+
+  res.status(201).json({
+    success: true,
+    data: slot,
+  });
+});
+
+/**
+ * @desc    List timetable slots
+ * @route   GET /api/admin/timetable/slots
+ * @access  Private/Admin_HOD
+ */
+export const listSlots = asyncHandler(async (req, res) => {
+  const slots = await timetableService.listSlots(req.query);
+
+  res.status(200).json({
+    success: true,
+    count: slots.length,
+    data: slots,
+  });
+});
+
+/**
+ * @desc    Update a timetable slot
+ * @route   PATCH /api/admin/timetable/slots/:slotId
+ * @access  Private/Admin_HOD
+ */
+export const updateSlot = asyncHandler(async (req, res) => {
+  const slot = await timetableService.updateSlot(req.params.slotId, req.body);
+
+  res.status(200).json({
+    success: true,
+    data: slot,
+  });
+});
+
+/**
+ * @desc    Remove a timetable slot
+ * @route   DELETE /api/admin/timetable/slots/:slotId
+ * @access  Private/Admin_HOD
+ */
+export const removeSlot = asyncHandler(async (req, res) => {
+  const result = await timetableService.removeSlot(req.params.slotId);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+// ============================================================================
+// Report Controllers
+// ============================================================================
+
+/**
+ * @desc    Get scheduled classes that ended without an attendance session
+ * @route   GET /api/admin/timetable/missed-classes
+ * @access  Private/Admin_HOD
+ */
+export const getMissedClasses = asyncHandler(async (req, res) => {
+  const report = await timetableService.getMissedClasses(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * Timetable Sub-Domain Index
+ * 
+ * This file serves as the main entry point for the timetable sub-domain.
+ * It exports the router to be mounted by the parent admin router.
+ */
+
+export { default } from './routes/timetable.routes.js';
@@ -0,0 +1,126 @@
+import express from 'express';
+import * as timetableController from '../controllers/timetable.controller.js';
+import {
+  validate,
+  createTermSchema,
+  updateTermSchema,
+  holidaySchema,
+  termIdParamSchema,
+  holidayIdParamSchema,
+  createSlotSchema,
+  updateSlotSchema,
+  slotIdParamSchema,
+  listSlotsQuerySchema,
+  missedClassesQuerySchema,
+} from '../validators/timetable.validator.js';
+
+const router = express.Router();
+
+// ============================================================================
+// Term & Holiday Routes
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/timetable/terms
+ * @desc    Create a term (with optional holidays)
+ * @access  Private/Admin_HOD
+ */
+router.post('/terms', validate(createTermSchema, 'body'), timetableController.createTerm);
+
+/**
+ * @route   GET /api/admin/timetable/terms
+ * @desc    List terms with their holiday calendars
+ * @access  Private/Admin_HOD
+ */
+router.get('/terms', timetableController.listTerms);
+
+/**
+ * @route   PATCH /api/admin/timetable/terms/:termId
+ * @desc    Update a term's name or dates
+ * @access  Private/Admin_HOD
+ */
+router.patch(
+  '/terms/:termId',
+  validate(termIdParamSchema, 'params'),
+  validate(updateTermSchema, 'body'),
+  timetableController.updateTerm
+);
+
+/**
+ * @route   POST /api/admin/timetable/terms/:termId/holidays
+ * @desc    Add a holiday to a term
+ * @access  Private/Admin_HOD
+ */
+router.post(
+  '/terms/:termId/holidays',
+  validate(termIdParamSchema, 'params'),
+  validate(holidaySchema, 'body'),
+  timetableController.addHoliday
+);
+
+/**
+ * @route   DELETE /api/admin/timetable/terms/:termId/holidays/:holidayId
+ * @desc    Remove a holiday from a term
+ * @access  Private/Admin_HOD
+ */
+router.delete(
+  '/terms/:termId/holidays/:holidayId',
+  validate(holidayIdParamSchema, 'params'),
+  timetableController.removeHoliday
+);
+
+// ============================================================================
+// Timetable Slot Routes
+// ============================================================================
+
+/**
+ * @route   POST /api/admin/timetable/slots
+ * @desc    Create a weekly slot (checks assignment and clashes)
+ * @access  Private/Admin_HOD
+ */
+router.post('/slots', validate(createSlotSchema, 'body'), timetableController.createSlot);
+
+/**
+ * @route   GET /api/admin/timetable/slots
+ * @desc    List slots
+ * @query   term, teacher, subject, batch, semester, section, dayOfWeek (all optional)
+ * @access  Private/Admin_HOD
+ */
+router.get('/slots', validate(listSlotsQuerySchema, 'query'), timetableController.listSlots);
+
+/**
+ * @route   PATCH /api/admin/timetable/slots/:slotId
+ * @desc    Update a slot
+ * @access  Private/Admin_HOD
+ */
+router.patch(
+  '/slots/:slotId',
+  validate(slotIdParamSchema, 'params'),
+  validate(updateSlotSchema, 'body'),
+  timetableController.updateSlot
+);
+
+/**
+ * @route   DELETE /api/admin/timetable/slots/:slotId
+ * @desc    Remove a slot (kept for past reports)
+ * @access  Private/Admin_HOD
+ */
+router.delete('/slots/:slotId', validate(slotIdParamSchema, 'params'), timetableController.removeSlot);
+
+// ============================================================================
+// Report Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/admin/timetable/missed-classes
+ * @desc    Scheduled classes that ended without an attendance session
+ * @query   from, to (default: last 7 days), teacher, subject, batch, semester, section
+ * @access  Private/Admin_HOD
+ */
+router.get(
+  '/missed-classes',
+  validate(missedClassesQuerySchema, 'query'),
+  timetableController.getMissedClasses
+);
+
+export default router;
@@ -0,0 +1,256 @@
+import AcademicTerm from '../../../../models/academicTermModel.js';
+import TimetableSlot from '../../../../models/timetableSlotModel.js';
+import sessionService from '../../../attendance/services/session.service.js';
+import attendanceTimetableService from '../../../attendance/services/timetable.service.js';
+
+// ============================================================================
+// Term & Holiday Services
+// ============================================================================
+
+/**
+ * Find a term or throw a 404
+ * @param {string} termId - Term ID
+ * @returns {Promise<Object>} Term document
+ */
+const findTerm = async (termId) => {
+  const term = await AcademicTerm.findById(termId);
+  if (!term) {
+    const error = new Error('Term not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return term;
+};
+
+/**
+ * Ensure a term's dates are in order
+ * @param {Object} term - Term with startDate and endDate
+ */
+const assertTermDates = ({ startDate, endDate }) => {
+  if (new Date(endDate) < new Date(startDate)) {
+    const error = new Error('Term end date must be on or after its start date');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Create a term
+ * @param {Object} data - { name, startDate, endDate, holidays? }
+ * @param {string} userId - Creating admin/HOD
+ * @returns {Promise<Object>} Created term
+ */
+export const createTerm = async (data, userId) => {
+  assertTermDates(data);
+  return AcademicTerm.create({ ...data, createdBy: userId });
+};
+
+/**
+ * List terms, newest first
+ * @returns {Promise<Array>} Terms
+ */
+export const listTerms = async () => {
+  return AcademicTerm.find().sort({ startDate: -1 }).lean();
+};
+
+/**
+ * Update a term's name or dates
+ * @param {string} termId - Term ID
+ * @param {Object} data - { name?, startDate?, endDate? }
+ * @returns {Promise<Object>} Updated term
+ */
+export const updateTerm = async (termId, data) => {
+  const term = await findTerm(termId);
+  Object.assign(term, data);
+  assertTermDates(term);
+  return term.save();
+};
+
+/**
+ * Add a holiday to a term's calendar
+ * @param {string} termId - Term ID
+ * @param {Object} holiday - { date, name }
+ * @returns {Promise<Object>} Updated term
+ */
+export const addHoliday = async (termId, { date, name }) => {
+  const term = await findTerm(termId);
+  const day = new Date(date);
+
+  if (day < term.startDate || day > term.endDate) {
+    const error = new Error('Holiday must fall within the term');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (term.holidays.some((h) => h.date.getTime() === day.getTime())) {
+    const error = new Error('A holiday is already set for this date');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  term.holidays.push({ date: day, name });
+  term.holidays.sort((a, b) => a.date - b.date);
+  return term.save();
+};
+
+/**
+ * Remove a holiday from a term's calendar
+ * @param {string} termId - Term ID
+ * @param {string} holidayId - Holiday subdocument ID
+ * @returns {Promise<Object>} Updated term
+ */
+export const removeHoliday = async (termId, holidayId) => {
+  const term = await findTerm(termId);
+
+  if (!term.holidays.id(holidayId)) {
+    const error = new Error('Holiday not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  term.holidays.pull(holidayId);
+  return term.save();
+};
+
+// ============================================================================
+// Timetable Slot Services
+// ============================================================================
+
+/**
+ * Check a slot before saving: the term exists, the times are in order, the
+ * teacher is assigned to the subject and class (teacherDetails.assignments),
+ * and it does not overlap another slot of the same term for the teacher,
+ * the class, or the room
+ * @param {Object} slot - Slot fields
+ * @param {string} [excludeId] - Slot being updated
+ */
+const assertSlotIsValid = async (slot, excludeId) => {
+  await findTerm(slot.term);
+
+  if (slot.endTime <= slot.startTime) {
+    const error = new Error('Slot end time must be after its start time');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const isAssigned = await sessionService.verifyTeacherAssignment(
+    slot.teacher,
+    slot.subject,
+    slot.batch,
+    slot.semester,
+    slot.section
+  );
+
+  if (!isAssigned) {
+    const error = new Error('Teacher is not assigned to this subject and class');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const clashes = [
+    { teacher: slot.teacher },
+    { batch: slot.batch, semester: slot.semester, section: slot.section },
+  ];
+  if (slot.room) clashes.push({ room: slot.room });
+
+  const clash = await TimetableSlot.findOne({
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    term: slot.term,
+    dayOfWeek: slot.dayOfWeek,
+    isActive: true,
+    startTime: { $lt: slot.endTime },
+    endTime: { $gt: slot.startTime },
+    $or: clashes,
+  }).lean();
+
+  if (clash) {
+    let reason = 'The room is already booked';
+    if (String(clash.teacher) === String(slot.teacher)) reason = 'The teacher already has a class';
+    else if (clash.batch === slot.batch && clash.semester === slot.semester && clash.section === slot.section) {
+      reason = 'The class already has a slot';
+    }
+
+    const error = new Error(`${reason} from ${clash.startTime} to ${clash.endTime} on this day`);
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Find an active slot or throw a 404
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Slot document
+ */
+const findSlot = async (slotId) => {
+  const slot = await TimetableSlot.findOne({ _id: slotId, isActive: true });
+  if (!slot) {
+    const error = new Error('Timetable slot not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  return slot;
+};
+
+/**
+ * Create a weekly timetable slot
+ * @param {Object} data - Slot fields
+ * @returns {Promise<Object>} Created slot
+ */
+export const createSlot = async (data) => {
+  await assertSlotIsValid(data);
+  return TimetableSlot.create(data);
+};
+
+/**
+ * List active slots
+ * @param {Object} filters - { term, teacher, subject, batch, semester, section, dayOfWeek }
+ * @returns {Promise<Array>} Slots ordered by weekday and time
+ */
+export const listSlots = async (filters = {}) => {
+  return TimetableSlot.find({ ...filters, isActive: true })
+    .populate('subject', 'name subjectCode')
+    .populate('teacher', 'name email')
+    .sort({ dayOfWeek: 1, startTime: 1 })
+    .lean();
+};
+
+/**
+ * Update a slot
+ * @param {string} slotId - Slot ID
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated slot
+ */
+export const updateSlot = async (slotId, data) => {
+  const slot = await findSlot(slotId);
+  Object.assign(slot, data);
+  await assertSlotIsValid(slot.toObject(), slot._id);
+  return slot.save();
+};
+
+/**
+ * Remove a slot from the timetable. The slot is kept (inactive) so sessions
+ * and reports for its past occurrences still resolve.
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object>} Success message
+ */
+export const removeSlot = async (slotId) => {
+  const slot = await findSlot(slotId);
+  slot.isActive = false;
+  slot.removedAt = new Date();
+  await slot.save();
+
+  return { message: 'Timetable slot removed successfully.' };
+};
+
+// ============================================================================
+// Reports
+// ============================================================================
+
+/**
+ * Missed-class report across the timetable
+ * @param {Object} filters - { from, to, teacher, subject, batch, semester, section }
+ * @returns {Promise<Object>} Report
+ */
+export const getMissedClasses = async (filters) => {
+  return attendanceTimetableService.getMissedClasses(filters);
+};
@@ -0,0 +1,178 @@
+import Joi from 'joi';
+
+// ============================================================================
+// Validation Schemas
+// ============================================================================
+
+const objectId = (label) =>
+  Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': `Invalid ${label} ID format`,
+      'any.required': `${label} ID is required`,
+    });
+
+const time = (label) =>
+  Joi.string()
+    .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .messages({
+      'string.pattern.base': `${label} must be a 24-hour time (HH:mm)`,
+      'any.required': `${label} is required`,
+    });
+
+/**
+ * Schema for creating a term
+ */
+export const createTermSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().required(),
+  holidays: Joi.array()
+    .items(Joi.object({
+      date: Joi.date().iso().required(),
+      name: Joi.string().trim().max(100).required(),
+    }))
+    .default([]),
+});
+
+/**
+ * Schema for updating a term
+ */
+export const updateTermSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso(),
+}).min(1);
+
+/**
+ * Schema for adding a holiday
+ */
+export const holidaySchema = Joi.object({
+  date: Joi.date().iso().required(),
+  name: Joi.string().trim().max(100).required(),
+});
+
+/**
+ * Schema for termId parameter validation
+ */
+export const termIdParamSchema = Joi.object({
+  termId: objectId('Term').required(),
+});
+
+/**
+ * Schema for termId + holidayId parameter validation
+ */
+export const holidayIdParamSchema = Joi.object({
+  termId: objectId('Term').required(),
+  holidayId: objectId('Holiday').required(),
+});
+
+const slotFields = {
+  term: objectId('Term'),
+  teacher: objectId('Teacher'),
+  subject: objectId('Subject'),
+  batch: Joi.number().integer(),
+  semester: Joi.number().integer().min(1).max(4),
+  section: Joi.string().valid('A', 'B'),
+  dayOfWeek: Joi.number().integer().min(0).max(6).messages({
+    'number.min': 'Day of week must be 0 (Sunday) to 6 (Saturday)',
+    'number.max': 'Day of week must be 0 (Sunday) to 6 (Saturday)',
+  }),
+  startTime: time('Start time'),
+  endTime: time('End time'),
+  room: Joi.string().trim().max(50).allow(''),
+  type: Joi.string().valid('Theory', 'Lab'),
+  sessionMode: Joi.string().valid('manual', 'suggest', 'auto'),
+};
+
+/**
+ * Schema for creating a timetable slot
+ */
+export const createSlotSchema = Joi.object({
+  ...slotFields,
+}).fork(
+  ['term', 'teacher', 'subject', 'batch', 'semester', 'section', 'dayOfWeek', 'startTime', 'endTime'],
+  (schema) => schema.required()
+);
+
+/**
+ * Schema for updating a timetable slot (the term cannot change)
+ */
+export const updateSlotSchema = Joi.object(slotFields).fork(['term'], (schema) => schema.forbidden()).min(1);
+
+/**
+ * Schema for slotId parameter validation
+ */
+export const slotIdParamSchema = Joi.object({
+  slotId: objectId('Slot').required(),
+});
+
+/**
+ * Schema for listing slots
+ */
+export const listSlotsQuerySchema = Joi.object({
+  term: objectId('Term'),
+  teacher: objectId('Teacher'),
+  subject: objectId('Subject'),
+  batch: Joi.number().integer(),
+  semester: Joi.number().integer().min(1).max(4),
+  section: Joi.string().valid('A', 'B'),
+  dayOfWeek: Joi.number().integer().min(0).max(6),
+});
+
+/**
+ * Schema for the missed-class report (defaults to the last 7 days)
+ */
+export const missedClassesQuerySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  teacher: objectId('Teacher'),
+  subject: objectId('Subject'),
+  batch: Joi.number().integer(),
+  semester: Joi.number().integer().min(1).max(4),
+  section: Joi.string().valid('A', 'B'),
+});
+
+// ============================================================================
+// Validation Middleware Helper
+// ============================================================================
+
+/**
+ * Creates validation middleware for a given schema
+ * @param {Joi.Schema} schema - Joi validation schema
+ * @param {string} source - Source to validate ('body', 'query', 'params')
+ * @returns {Function} Express middleware function
+ */
+export const validate = (schema, source = 'body') => {
+  return (req, res, next) => {
+    const dataToValidate = req[source];
+
+    const { error, value } = schema.validate(dataToValidate, {
+      abortEarly: false,
+      stripUnknown: true,
+    });
+
+    if (error) {
+      const errorMessage = error.details
+        .map((detail) => detail.message)
+        .join(', ');
+      return res.status(400).json({ message: errorMessage });
+    }
+
+    // req.query is getter-only in Express 5; merge into it instead of replacing
+    try {
+      if (source === 'query' && req.query && typeof req.query === 'object') {
+        Object.keys(req.query).forEach((k) => {
+          if (!(k in value)) delete req.query[k];
+        });
+        Object.assign(req.query, value);
+      } else {
+        req[source] = value;
+      }
+    } catch (e) {
+      req.validated = req.validated || {};
+      req.validated[source] = value;
+    }
+    next();
+  };
+};
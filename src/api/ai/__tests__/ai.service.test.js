@@ -0,0 +1,126 @@
+/**
+ * AI Service Tests
+ *
+ * Tests for task plan previews, refinements and saving generated tasks,
+ * run against the mock LLM provider and its bundled fixtures.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    getAIPlanPreview,
+    generateAndSaveTasks,
+} from '../services/ai.service.js';
+import Task from '../../../models/taskModel.js';
+import Prompt from '../../../models/promptModel.js';
+import { embedTexts } from '../../../services/llm.service.js';
+import { resetLLMProvider } from '../../../services/llm/llm.provider.js';
+import { createTestUser } from '../../../test/utils.js';
+
+describe('AI Service', () => {
+    let testUser;
+
+    beforeAll(() => {
+        process.env.LLM_PROVIDER = 'mock';
+        resetLLMProvider();
+    });
+
+    afterAll(() => {
+        delete process.env.LLM_PROVIDER;
+        resetLLMProvider();
+    });
+
+    beforeEach(async () => {
+        testUser = await createTestUser();
+    });
+
+    it('should preview a plan and carry the conversation into refinements', async () => {
+        const first = await getAIPlanPreview(testUser._id, {
+            prompt: 'Plan my term paper',
+            sessionId: 'paper-session',
+        });
+
+        expect(first.plan.tasks).toHaveLength(2);
+        expect(first.refinementCount).toBe(1);
+        expect(first.history.map((turn) => turn.role)).toEqual(['user', 'model']);
+        expect(JSON.parse(first.history[1].parts[0].text)).toEqual(first.plan);
+
+        const refined = await getAIPlanPreview(testUser._id, {
+            prompt: 'Make the deadlines later',
+            sessionId: 'paper-session',
+            history: first.history,
+        });
+
+        expect(refined.refinementCount).toBe(2);
+        expect(refined.history).toHaveLength(4);
+        expect(refined.history.slice(0, 2)).toEqual(first.history);
+        await expect(Prompt.countDocuments({ sessionId: 'paper-session', isInitialPrompt: false })).resolves.toBe(1);
+    });
+
+    it('should accept a history of { role, content } turns', async () => {
+        const result = await getAIPlanPreview(testUser._id, {
+            prompt: 'Shorter please',
+            sessionId: 'content-session',
+            history: [
+                { role: 'user', content: 'Plan my week' },
+                { role: 'assistant', content: '{"tasks":[]}' },
+            ],
+        });
+
+        expect(result.history[1]).toEqual({ role: 'model', parts: [{ text: '{"tasks":[]}' }] });
+        expect(result.refinementCount).toBe(2);
+    });
+
+    it('should save generated tasks for the user', async () => {
+        const tasks = await generateAndSaveTasks(testUser._id, 'Write a research paper');
+
+        expect(tasks.map((task) => task.title)).toEqual(['Research the topic', 'Write the first draft']);
+        await expect(Task.countDocuments({ user: testUser._id, status: 'To Do' })).resolves.toBe(2);
+    });
+
+    it('should send schema problems back to the model once and report corrections', async () => {
+        const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+        const writeFixture = (file, fixture) => fs.writeFileSync(path.join(fixturesDir, file), JSON.stringify(fixture));
+        // Read in file name order: the repair prompt also mentions "main tasks"
+        writeFixture('1-repair.json', {
+            match: ['does not match the required task plan format'],
+            response: { tasks: [{ title: 'Revise', priority: 'HIGH', dueDate: 'soon' }] },
+        });
+        writeFixture('2-plan.json', {
+            match: ['main tasks'],
+            response: { tasks: [{ title: 'Revise', priority: 'Urgent' }] },
+        });
+        process.env.LLM_MOCK_FIXTURES = fixturesDir;
+        resetLLMProvider();
+
+        try {
+            const result = await getAIPlanPreview(testUser._id, {
+                prompt: 'Plan my exam revision',
+                sessionId: 'repair-session',
+            });
+
+            expect(result.repaired).toBe(true);
+            expect(result.plan).toEqual({ tasks: [{ title: 'Revise', priority: 'High' }] });
+            expect(result.corrections).toEqual([
+                { path: 'tasks[0].dueDate', action: 'dropped', from: 'soon' },
+                { path: 'tasks[0].priority', action: 'coerced', from: 'HIGH', to: 'High' },
+            ]);
+            // The repair exchange is not a refinement
+            expect(result.refinementCount).toBe(1);
+            expect(JSON.parse(result.history[1].parts[0].text)).toEqual(result.plan);
+        } finally {
+            delete process.env.LLM_MOCK_FIXTURES;
+            resetLLMProvider();
+            fs.rmSync(fixturesDir, { recursive: true, force: true });
+        }
+    });
+
+    it('should give equal texts equal embeddings', async () => {
+        const [a, b, c] = await embedTexts(['pace', 'clarity', 'pace']);
+
+        expect(a).toEqual(c);
+        expect(a).not.toEqual(b);
+        expect(Math.hypot(...a)).toBeCloseTo(1);
+    });
+});
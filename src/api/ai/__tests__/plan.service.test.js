@@ -0,0 +1,60 @@
+/**
+ * AI Plan Service Tests
+ *
+ * Tests for validating AI task plans against the bulk task schema and
+ * coercing, dropping and truncating what does not fit.
+ */
+
+import { getMaxAITasks, getPlanIssues, normalizePlan } from '../services/plan.service.js';
+
+describe('AI Plan Service', () => {
+    afterEach(() => {
+        delete process.env.MAX_AI_TASKS;
+    });
+
+    it('should report no issues for a valid plan', () => {
+        const plan = {
+            tasks: [{ title: 'Read chapter 3', priority: 'High', dueDate: '2030-01-10T09:00:00.000Z', subTasks: [{ text: 'Take notes' }] }],
+        };
+
+        expect(getPlanIssues(plan, 5)).toEqual([]);
+        expect(normalizePlan(plan, 5)).toEqual({ plan, corrections: [] });
+    });
+
+    it('should coerce fixable fields and drop the rest', () => {
+        const { plan, corrections } = normalizePlan({
+            tasks: [
+                { title: 'Revise', priority: 'high', dueDate: 'next friday', tags: 'exams, maths', subTasks: ['Past papers'], status: 'Done' },
+                { title: '   ', priority: 'Low' },
+                { title: 'Submit', dueDate: 1893456000000 },
+                'not a task',
+            ],
+        }, 5);
+
+        expect(plan.tasks).toEqual([
+            { title: 'Revise', priority: 'High', tags: ['exams', 'maths'], subTasks: [{ text: 'Past papers' }] },
+            { title: 'Submit', dueDate: '2030-01-01T00:00:00.000Z' },
+        ]);
+        expect(corrections).toEqual(expect.arrayContaining([
+            { path: 'tasks[0].priority', action: 'coerced', from: 'high', to: 'High' },
+            { path: 'tasks[0].dueDate', action: 'dropped', from: 'next friday' },
+            { path: 'tasks[0].status', action: 'dropped', from: 'Done' },
+            { path: 'tasks[1]', action: 'dropped', reason: 'missing or invalid title' },
+            { path: 'tasks[3]', action: 'dropped', reason: 'not a task object' },
+        ]));
+    });
+
+    it('should enforce MAX_AI_TASKS, capped at the bulk create limit', () => {
+        process.env.MAX_AI_TASKS = '2';
+        const tasks = ['One', 'Two', 'Three'].map((title) => ({ title }));
+
+        expect(getPlanIssues({ tasks })).toHaveLength(1);
+        expect(normalizePlan({ tasks })).toEqual({
+            plan: { tasks: tasks.slice(0, 2) },
+            corrections: [{ path: 'tasks', action: 'truncated', from: 3, to: 2 }],
+        });
+
+        process.env.MAX_AI_TASKS = '100';
+        expect(getMaxAITasks()).toBe(15);
+    });
+});
@@ -7,12 +7,22 @@ import Task from '../../../models/taskModel.js';
 import Prompt from '../../../models/promptModel.js';
 import User from '../../../models/userModel.js';
 import { generateTasksFromPrompt, generateOrRefineTasks } from '../../../services/llm.service.js';
+import { getMaxAITasks, getPlanIssues, normalizePlan } from './plan.service.js';
 
 const REFINEMENT_LIMIT = parseInt(process.env.CONVERSATION_REFINEMENT_LIMIT, 10) || 5;
 const MAX_PROMPT_LENGTH = 1000;
 
+const invalidPlanError = () => {
+    const error = new Error('The AI could not generate a valid plan. Please try a different prompt');
+    error.statusCode = 500;
+    return error;
+};
+
 /**
- * Get AI-generated task plan preview or refine existing plan
+ * Get AI-generated task plan preview or refine existing plan.
+ * The plan is checked against the bulk task schema: problems go back to the
+ * model in one repair turn, then remaining bad fields are coerced or dropped
+ * and listed in `corrections`.
  */
 export const getAIPlanPreview = async (userId, previewData) => {
     const { prompt: refinementPrompt, editedPlan, history, sessionId } = previewData;
@@ -71,13 +81,30 @@ export const getAIPlanPreview = async (userId, previewData) => {
     }
 
     // Call the conversational LLM service
-    const result = await generateOrRefineTasks(fullPromptForAI, history);
+    const maxTasks = getMaxAITasks();
+    const result = await generateOrRefineTasks(fullPromptForAI, history, {
+        maxTasks,
+        validatePlan: (plan) => getPlanIssues(plan, maxTasks),
+    });
+
+    const { plan, corrections } = normalizePlan(result.plan, maxTasks);
+    if (plan.tasks.length === 0) {
+        throw invalidPlanError();
+    }
+
+    // Continue the conversation from the plan the user actually sees
+    const updatedHistory = [
+        ...result.history.slice(0, -1),
+        { role: 'model', parts: [{ text: JSON.stringify(plan) }] },
+    ];
 
     return {
-        plan: result.plan,
-        history: result.history,
-        refinementCount: Math.floor(result.history.length / 2),
-        refinementLimit: REFINEMENT_LIMIT
+        plan,
+        history: updatedHistory,
+        refinementCount: Math.floor(updatedHistory.length / 2),
+        refinementLimit: REFINEMENT_LIMIT,
+        repaired: result.repaired,
+        corrections
     };
 };
 
@@ -92,16 +119,17 @@ export const generateAndSaveTasks = async (userId, prompt) => {
     }
 
     // Get structured task data from LLM service
-    const aiGeneratedPlan = await generateTasksFromPrompt(prompt);
+    const maxTasks = getMaxAITasks();
+    const aiGeneratedPlan = await generateTasksFromPrompt(prompt, { maxTasks });
 
-    if (!aiGeneratedPlan || !aiGeneratedPlan.tasks || aiGeneratedPlan.tasks.length === 0) {
-        const error = new Error('The AI could not generate a valid plan. Please try a different prompt');
-        error.statusCode = 500;
-        throw error;
+    // No conversation to repair in: coerce or drop invalid fields
+    const { plan } = normalizePlan(aiGeneratedPlan, maxTasks);
+    if (plan.tasks.length === 0) {
+        throw invalidPlanError();
     }
 
     // Add user ID to each task
-    const tasksToCreate = aiGeneratedPlan.tasks.map(task => ({
+    const tasksToCreate = plan.tasks.map(task => ({
         ...task,
         user: userId,
         status: 'To Do',
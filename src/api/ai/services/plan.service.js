@@ -0,0 +1,124 @@
+/**
+ * AI Plan Service
+ * Validates AI-generated task plans against the bulk task schema
+ */
+
+import Joi from 'joi';
+import { bulkTaskSchema, MAX_BULK_TASKS } from '../../tasks/validators/tasks.validator.js';
+
+const PRIORITIES = ['Low', 'Medium', 'High'];
+
+/**
+ * Most main tasks a plan may have: MAX_AI_TASKS, never above what the bulk
+ * create endpoint accepts
+ */
+export const getMaxAITasks = () => {
+    const max = parseInt(process.env.MAX_AI_TASKS, 10);
+    return max > 0 ? Math.min(max, MAX_BULK_TASKS) : MAX_BULK_TASKS;
+};
+
+const planSchema = (maxTasks) => Joi.object({
+    tasks: Joi.array().items(bulkTaskSchema).min(1).max(maxTasks).required(),
+});
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Replacement for an invalid field, or undefined to drop it
+ */
+const FIXERS = {
+    title: (value) => (typeof value === 'number' ? String(value) : typeof value === 'string' ? value.trim().slice(0, 200) : undefined),
+    description: (value) => (typeof value === 'string' ? value.trim().slice(0, 2000) : undefined),
+    dueDate: (value) => {
+        if (typeof value !== 'string' && typeof value !== 'number') return undefined;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date.toISOString();
+    },
+    priority: (value) => PRIORITIES.find((p) => p.toLowerCase() === String(value).trim().toLowerCase()),
+    tags: (value) => (typeof value === 'string' ? value.split(',') : Array.isArray(value) ? value : [])
+        .filter((tag) => typeof tag === 'string' && tag.trim())
+        .map((tag) => tag.trim().slice(0, 50)),
+    subTasks: (value) => (Array.isArray(value) ? value : [])
+        .map((subTask) => (typeof subTask === 'string' ? { text: subTask } : subTask))
+        .filter((subTask) => typeof subTask?.text === 'string' && subTask.text.trim())
+        .map((subTask) => ({ text: subTask.text.trim().slice(0, 200) })),
+};
+
+/**
+ * Problems with a plan, as Joi messages (which name the path) for a repair turn
+ * @param {Object} plan - Parsed model output
+ * @param {number} [maxTasks] - Defaults to getMaxAITasks()
+ * @returns {Array<string>} Empty when the plan is valid
+ */
+export const getPlanIssues = (plan, maxTasks = getMaxAITasks()) => {
+    const { error } = planSchema(maxTasks).validate(plan, { abortEarly: false });
+    return error ? error.details.map((detail) => detail.message) : [];
+};
+
+/**
+ * Fix one task: invalid fields are coerced when possible and dropped
+ * otherwise. Tasks without a usable title are dropped.
+ * @returns {Object|null} Valid task, or null
+ */
+const normalizeTask = (task, index, corrections) => {
+    const path = `tasks[${index}]`;
+    if (!isObject(task)) {
+        corrections.push({ path, action: 'dropped', reason: 'not a task object' });
+        return null;
+    }
+
+    const candidate = { ...task };
+    const { error } = bulkTaskSchema.validate(candidate, { abortEarly: false });
+    const fields = error ? [...new Set(error.details.map((detail) => String(detail.path[0])))] : [];
+
+    for (const field of fields) {
+        const fixed = FIXERS[field]?.(candidate[field]);
+        const valid = fixed !== undefined && !bulkTaskSchema.extract(field).validate(fixed).error;
+
+        if (field === 'title' && !valid) {
+            corrections.push({ path, action: 'dropped', reason: 'missing or invalid title' });
+            return null;
+        }
+
+        if (valid) {
+            corrections.push({ path: `${path}.${field}`, action: 'coerced', from: candidate[field], to: fixed });
+            candidate[field] = fixed;
+        } else {
+            corrections.push({ path: `${path}.${field}`, action: 'dropped', from: candidate[field] });
+            delete candidate[field];
+        }
+    }
+
+    const { value } = bulkTaskSchema.validate(candidate);
+    // Keep the plan JSON-shaped for the preview and the conversation history
+    if (value.dueDate instanceof Date) value.dueDate = value.dueDate.toISOString();
+    return value;
+};
+
+/**
+ * Make a plan valid for bulk creation: coerce or drop invalid fields, drop
+ * unusable tasks and keep at most `maxTasks` tasks
+ * @param {Object} plan - Parsed model output
+ * @param {number} [maxTasks] - Defaults to getMaxAITasks()
+ * @returns {{ plan: { tasks: Array }, corrections: Array }} corrections are
+ *   { path, action: 'coerced' | 'dropped' | 'truncated', from?, to?, reason? }
+ */
+export const normalizePlan = (plan, maxTasks = getMaxAITasks()) => {
+    const corrections = [];
+    let tasks = isObject(plan) ? plan.tasks : plan;
+
+    if (!Array.isArray(tasks)) {
+        corrections.push({ path: 'tasks', action: 'dropped', reason: 'no task list in the AI response' });
+        tasks = [];
+    }
+
+    const valid = tasks
+        .map((task, index) => normalizeTask(task, index, corrections))
+        .filter(Boolean);
+
+    if (valid.length > maxTasks) {
+        corrections.push({ path: 'tasks', action: 'truncated', from: valid.length, to: maxTasks });
+    }
+
+    return { plan: { tasks: valid.slice(0, maxTasks) }, corrections };
+};
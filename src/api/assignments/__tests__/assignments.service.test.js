@@ -0,0 +1,167 @@
+/**
+ * Assignments Service Tests
+ * Unit tests for assignment creation, draft folders, submission and roster
+ */
+
+import * as assignmentService from '../services/assignment.service.js';
+import * as submissionService from '../services/submission.service.js';
+import File from '../../../models/fileModel.js';
+import Submission from '../../../models/submissionModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Assignments Service', () => {
+  let subject;
+  let teacher;
+  let student;
+  let otherStudent;
+
+  const futureDate = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  const createAssignment = (overrides = {}) => assignmentService.createAssignment({
+    title: 'Lab Report 1',
+    instructions: 'Submit your report as PDF',
+    subject: subject._id,
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    dueDate: futureDate(7),
+    ...overrides,
+  }, teacher);
+
+  const addDraftFile = async (assignment, owner, fileName = 'report.pdf') => {
+    const submission = await submissionService.getOrCreateSubmission(assignment, owner);
+    const folder = await File.findById(submission.folder);
+    return File.create({
+      user: owner._id,
+      fileName,
+      s3Key: `test/assignment/${generateObjectId()}`,
+      size: 100,
+      fileType: 'application/pdf',
+      context: 'assignment',
+      parentId: folder._id,
+      path: `${folder.path}${folder._id},`,
+    });
+  };
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    student = await createTestStudent();
+    otherStudent = await createTestStudent({ email: `other-${generateObjectId()}@test.com` });
+  });
+
+  describe('createAssignment', () => {
+    it('should create the assignment with a master folder', async () => {
+      const assignment = await createAssignment();
+      const folder = await File.findById(assignment.folder);
+
+      expect(folder.isFolder).toBe(true);
+      expect(folder.context).toBe('assignment');
+      expect(String(folder.user)).toBe(String(teacher._id));
+    });
+
+    it('should reject classes the teacher is not assigned to', async () => {
+      await expect(createAssignment({ section: 'B' })).rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+
+  describe('submissions', () => {
+    it('should create a draft folder inside the master folder', async () => {
+      const assignment = await createAssignment();
+
+      const submission = await submissionService.getOrCreateSubmission(assignment, student);
+      const again = await submissionService.getOrCreateSubmission(assignment, student);
+      const folder = await File.findById(submission.folder);
+
+      expect(String(again._id)).toBe(String(submission._id));
+      expect(String(folder.parentId)).toBe(String(assignment.folder));
+      expect(String(folder.user)).toBe(String(student._id));
+    });
+
+    it('should not submit an empty draft', async () => {
+      const assignment = await createAssignment();
+
+      await expect(submissionService.submitAssignment(assignment, student))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should submit and lock the draft', async () => {
+      const assignment = await createAssignment();
+      const file = await addDraftFile(assignment, student);
+
+      const submission = await submissionService.submitAssignment(assignment, student);
+
+      expect(submission.status).toBe('submitted');
+      expect(submission.isLate).toBe(false);
+      await expect(submissionService.removeSubmissionFile(assignment, student, file._id))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should flag late submissions', async () => {
+      const assignment = await createAssignment();
+      await addDraftFile(assignment, student);
+      assignment.dueDate = new Date(Date.now() - 60 * 1000);
+
+      const submission = await submissionService.submitAssignment(assignment, student);
+
+      expect(submission.isLate).toBe(true);
+    });
+  });
+
+  describe('getSubmissionRoster', () => {
+    it('should split the class into submitted and not submitted', async () => {
+      const assignment = await createAssignment();
+      await addDraftFile(assignment, student);
+      await submissionService.submitAssignment(assignment, student);
+
+      const roster = await assignmentService.getSubmissionRoster(assignment);
+
+      expect(roster.summary.totalStudents).toBe(2);
+      expect(roster.summary.submitted).toBe(1);
+      expect(roster.submitted[0].fileCount).toBe(1);
+      expect(String(roster.notSubmitted[0].student._id)).toBe(String(otherStudent._id));
+      expect(roster.notSubmitted[0].status).toBe('not_started');
+    });
+  });
+
+  describe('deleteAssignment', () => {
+    it('should refuse once a student has started', async () => {
+      const assignment = await createAssignment();
+      await submissionService.getOrCreateSubmission(assignment, student);
+
+      await expect(assignmentService.deleteAssignment(assignment, teacher))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should move the master folder to trash', async () => {
+      const assignment = await createAssignment();
+
+      await assignmentService.deleteAssignment(assignment, teacher);
+      const folder = await File.findById(assignment.folder);
+
+      expect(folder.isDeleted).toBe(true);
+      expect(await Submission.countDocuments({ assignment: assignment._id })).toBe(0);
+    });
+  });
+
+  describe('getAssignmentFileDownloadUrl', () => {
+    it('should hide a student\'s files from classmates', async () => {
+      const assignment = await createAssignment();
+      const file = await addDraftFile(assignment, student);
+
+      await expect(assignmentService.getAssignmentFileDownloadUrl(assignment, file._id, otherStudent))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Grading Service Tests
+ * Unit tests for rubric scoring, late penalties, returns and publishing
+ */
+
+import * as assignmentService from '../services/assignment.service.js';
+import * as submissionService from '../services/submission.service.js';
+import * as gradingService from '../services/grading.service.js';
+import File from '../../../models/fileModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Grading Service', () => {
+  const HOUR = 60 * 60 * 1000;
+  let subject;
+  let teacher;
+  let student;
+
+  const createAssignment = (overrides = {}) => assignmentService.createAssignment({
+    title: 'Essay',
+    subject: subject._id,
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    dueDate: new Date(Date.now() + 24 * HOUR),
+    maxPoints: 50,
+    ...overrides,
+  }, teacher);
+
+  const submitWithFile = async (assignment) => {
+    const submission = await submissionService.getOrCreateSubmission(assignment, student);
+    const folder = await File.findById(submission.folder);
+    await File.create({
+      user: student._id,
+      fileName: `essay-${generateObjectId()}.pdf`,
+      s3Key: `test/assignment/${generateObjectId()}`,
+      size: 100,
+      fileType: 'application/pdf',
+      context: 'assignment',
+      parentId: folder._id,
+      path: `${folder.path}${folder._id},`,
+    });
+    return submissionService.submitAssignment(assignment, student);
+  };
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    student = await createTestStudent();
+  });
+
+  describe('computeLatePenalty', () => {
+    const assignment = {
+      dueDate: new Date('2025-01-10T12:00:00Z'),
+      latePolicy: { gracePeriodMinutes: 30, penaltyPercentPerDay: 10 },
+    };
+
+    it('should not penalise within the grace period', () => {
+      const result = gradingService.computeLatePenalty(assignment, new Date('2025-01-10T12:20:00Z'));
+
+      expect(result).toEqual({ isLate: false, daysLate: 0, penaltyPercent: 0 });
+    });
+
+    it('should charge every started day', () => {
+      const result = gradingService.computeLatePenalty(assignment, new Date('2025-01-11T13:00:00Z'));
+
+      expect(result.daysLate).toBe(2);
+      expect(result.penaltyPercent).toBe(20);
+    });
+  });
+
+  describe('computeRubricScore', () => {
+    it('should weight criteria and scale to maxPoints', async () => {
+      const assignment = await createAssignment({
+        rubric: [
+          { title: 'Content', weight: 3, maxScore: 10 },
+          { title: 'Style', weight: 1, maxScore: 5 },
+        ],
+      });
+      const [content, style] = assignment.rubric;
+
+      const score = gradingService.computeRubricScore(assignment, [
+        { criterion: content._id, score: 10 },
+        { criterion: style._id, score: 0 },
+      ]);
+
+      expect(score).toBe(37.5);
+    });
+
+    it('should require a score for every criterion', async () => {
+      const assignment = await createAssignment({
+        rubric: [{ title: 'Content', weight: 1, maxScore: 10 }],
+      });
+
+      expect(() => gradingService.computeRubricScore(assignment, [])).toThrow(/Missing scores/);
+    });
+  });
+
+  describe('gradeSubmission', () => {
+    it('should apply the late penalty fixed at submission', async () => {
+      const assignment = await createAssignment({ latePolicy: { penaltyPercentPerDay: 10 } });
+      assignment.dueDate = new Date(Date.now() - HOUR);
+      const submission = await submitWithFile(assignment);
+
+      const graded = await gradingService.gradeSubmission(assignment, submission._id, { score: 40 }, teacher);
+
+      expect(graded.latePenaltyPercent).toBe(10);
+      expect(graded.grade.finalScore).toBe(36);
+      expect(graded.grade.isPublished).toBe(false);
+    });
+
+    it('should hide the grade from the student until published', async () => {
+      const assignment = await createAssignment();
+      const submission = await submitWithFile(assignment);
+      await gradingService.gradeSubmission(assignment, submission._id, { score: 45 }, teacher);
+
+      const hidden = await submissionService.getMySubmission(assignment, student);
+      const { publishedCount } = await gradingService.publishGrades(assignment, undefined, teacher);
+      const visible = await submissionService.getMySubmission(assignment, student);
+
+      expect(hidden.grade).toBeUndefined();
+      expect(publishedCount).toBe(1);
+      expect(visible.grade.finalScore).toBe(45);
+    });
+  });
+
+  describe('late policy enforcement', () => {
+    it('should reject submissions after the cutoff', async () => {
+      const assignment = await createAssignment();
+      const submission = await submissionService.getOrCreateSubmission(assignment, student);
+      assignment.dueDate = new Date(Date.now() - 2 * HOUR);
+      assignment.latePolicy.cutoffDate = new Date(Date.now() - HOUR);
+
+      await expect(submissionService.submitAssignment(assignment, student)).rejects.toMatchObject({ statusCode: 403 });
+      await expect(submissionService.uploadSubmissionFiles(assignment, student, []))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(submission.status).toBe('draft');
+    });
+  });
+
+  describe('returnSubmission', () => {
+    it('should reopen the submission and allow resubmission after the cutoff', async () => {
+      const assignment = await createAssignment();
+      const submission = await submitWithFile(assignment);
+      await gradingService.gradeSubmission(assignment, submission._id, { score: 20 }, teacher);
+
+      const returned = await gradingService.returnSubmission(assignment, submission._id, 'Add references', teacher);
+      assignment.latePolicy.cutoffDate = new Date(Date.now() - HOUR);
+      assignment.dueDate = new Date(Date.now() - 2 * HOUR);
+      const resubmitted = await submissionService.submitAssignment(assignment, student);
+
+      expect(returned.status).toBe('returned');
+      expect(returned.grade?.gradedAt).toBeUndefined();
+      expect(resubmitted.status).toBe('submitted');
+      expect(resubmitted.isLate).toBe(false);
+    });
+  });
+});
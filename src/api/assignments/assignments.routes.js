@@ -1,70 +0,0 @@
-import express from 'express';
-
-const router = express.Router();
-
-/**
- * Assignments Domain Routes (Phase 0 - Placeholder)
- * 
- * This is a placeholder for future assignment management features.
- * 
- * See README.md for:
- * - Planned features and functionality
- * - Data models and architecture
- * - Implementation roadmap
- * - Integration points with existing domains
- */
-
-router.get('/', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Assignments domain is not yet implemented',
-    status: 'placeholder',
-    plannedFeatures: {
-      assignmentManagement: [
-        'Create assignments with due dates and instructions',
-        'Attach resources and files',
-        'Configure submission types and restrictions',
-        'Late submission policies'
-      ],
-      studentSubmissions: [
-        'File uploads for submissions',
-        'Text-based submissions',
-        'Link submissions (GitHub, Google Docs)',
-        'Draft and final submissions',
-        'Edit before deadline'
-      ],
-      grading: [
-        'Grade submissions with points/marks',
-        'Provide written feedback',
-        'Rubric-based grading',
-        'Grade distribution analytics',
-        'Bulk grading actions'
-      ],
-      analytics: [
-        'Submission rate tracking',
-        'Grade distribution charts',
-        'Student performance trends',
-        'Late submission analytics',
-        'Export reports'
-      ],
-      advancedFeatures: [
-        'Peer review system',
-        'Group assignments',
-        'Auto-grading',
-        'Plagiarism detection',
-        'Version control'
-      ]
-    },
-    implementationPhases: {
-      phase1: 'Basic assignment management and submissions',
-      phase2: 'Grading system with feedback',
-      phase3: 'Advanced features and analytics',
-      phase4: 'Premium features (plagiarism, auto-grade)'
-    },
-    estimatedTimeline: '8-12 weeks for full implementation',
-    documentation: 'See /src/api/assignments/README.md',
-    priority: 'Medium-High'
-  });
-});
-
-export default router;
@@ -0,0 +1,224 @@
+/**
+ * Assignments Controller
+ * HTTP request handlers for assignments and submissions
+ */
+
+import asyncHandler from 'express-async-handler';
+import * as assignmentService from '../services/assignment.service.js';
+import * as submissionService from '../services/submission.service.js';
+import * as gradingService from '../services/grading.service.js';
+
+// ============================================================================
+// Assignments
+// ============================================================================
+
+/**
+ * @desc    List assignments (teachers: created by them; students: for their class)
+ * @route   GET /api/assignments
+ * @access  Private (Teacher, Student)
+ */
+export const getAssignments = asyncHandler(async (req, res) => {
+    const filters = req.validated?.query || req.query;
+
+    if (req.user.roles.includes('teacher')) {
+        const assignments = await assignmentService.getTeacherAssignments(req.user._id, filters);
+        return res.status(200).json(assignments);
+    }
+
+    const assignments = await submissionService.getStudentAssignments(req.user, filters);
+    res.status(200).json(assignments);
+});
+
+/**
+ * @desc    Create an assignment
+ * @route   POST /api/assignments
+ * @access  Private (Teacher)
+ */
+export const createAssignment = asyncHandler(async (req, res) => {
+    const assignment = await assignmentService.createAssignment(req.body, req.user, req);
+    res.status(201).json(assignment);
+});
+
+/**
+ * @desc    Get assignment details
+ * @route   GET /api/assignments/:id
+ * @access  Private (Creator, class students, Admin/HOD)
+ */
+export const getAssignment = asyncHandler(async (req, res) => {
+    const assignment = await assignmentService.getAssignmentDetails(req.assignment._id);
+    res.status(200).json(assignment);
+});
+
+/**
+ * @desc    Update an assignment
+ * @route   PATCH /api/assignments/:id
+ * @access  Private (Creator)
+ */
+export const updateAssignment = asyncHandler(async (req, res) => {
+    const assignment = await assignmentService.updateAssignment(req.assignment, req.body, req.user, req);
+    res.status(200).json(assignment);
+});
+
+/**
+ * @desc    Delete an assignment without submissions
+ * @route   DELETE /api/assignments/:id
+ * @access  Private (Creator)
+ */
+export const deleteAssignment = asyncHandler(async (req, res) => {
+    const result = await assignmentService.deleteAssignment(req.assignment, req.user, req);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Upload attachments
+ * @route   POST /api/assignments/:id/attachments
+ * @access  Private (Creator)
+ */
+export const addAttachments = asyncHandler(async (req, res) => {
+    const files = await assignmentService.addAttachments(req.assignment, req.files, req.user);
+    res.status(201).json(files);
+});
+
+/**
+ * @desc    Remove an attachment
+ * @route   DELETE /api/assignments/:id/attachments/:fileId
+ * @access  Private (Creator)
+ */
+export const removeAttachment = asyncHandler(async (req, res) => {
+    const result = await assignmentService.removeAttachment(req.assignment, req.params.fileId);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Who has and hasn't submitted
+ * @route   GET /api/assignments/:id/submissions
+ * @access  Private (Creator)
+ */
+export const getSubmissionRoster = asyncHandler(async (req, res) => {
+    const roster = await assignmentService.getSubmissionRoster(req.assignment);
+    res.status(200).json(roster);
+});
+
+/**
+ * @desc    Download link for an attachment or submission file
+ * @route   GET /api/assignments/:id/files/:fileId/download
+ * @access  Private
+ */
+export const getFileDownloadLink = asyncHandler(async (req, res) => {
+    const result = await assignmentService.getAssignmentFileDownloadUrl(
+        req.assignment,
+        req.params.fileId,
+        req.user
+    );
+    res.status(200).json(result);
+});
+
+// ============================================================================
+// Grading
+// ============================================================================
+
+/**
+ * @desc    Get a submission with files and grade
+ * @route   GET /api/assignments/:id/submissions/:submissionId
+ * @access  Private (Creator)
+ */
+export const getSubmission = asyncHandler(async (req, res) => {
+    const submission = await gradingService.getSubmissionDetail(req.assignment, req.params.submissionId);
+    res.status(200).json(submission);
+});
+
+/**
+ * @desc    Grade a submission (rubric scores or a single score)
+ * @route   PUT /api/assignments/:id/submissions/:submissionId/grade
+ * @access  Private (Creator)
+ */
+export const gradeSubmission = asyncHandler(async (req, res) => {
+    const submission = await gradingService.gradeSubmission(
+        req.assignment,
+        req.params.submissionId,
+        req.body,
+        req.user,
+        req
+    );
+    res.status(200).json(submission);
+});
+
+/**
+ * @desc    Return a submission for resubmission
+ * @route   POST /api/assignments/:id/submissions/:submissionId/return
+ * @access  Private (Creator)
+ */
+export const returnSubmission = asyncHandler(async (req, res) => {
+    const submission = await gradingService.returnSubmission(
+        req.assignment,
+        req.params.submissionId,
+        req.body.reason,
+        req.user,
+        req
+    );
+    res.status(200).json(submission);
+});
+
+/**
+ * @desc    Publish grades to students
+ * @route   POST /api/assignments/:id/grades/publish
+ * @access  Private (Creator)
+ */
+export const publishGrades = asyncHandler(async (req, res) => {
+    const result = await gradingService.publishGrades(req.assignment, req.body.submissionIds, req.user, req);
+    res.status(200).json(result);
+});
+
+// ============================================================================
+// Student Submission
+// ============================================================================
+
+/**
+ * @desc    Get my submission and its files
+ * @route   GET /api/assignments/:id/submission
+ * @access  Private (Student of the class)
+ */
+export const getMySubmission = asyncHandler(async (req, res) => {
+    const submission = await submissionService.getMySubmission(req.assignment, req.user);
+    res.status(200).json(submission);
+});
+
+/**
+ * @desc    Upload files into my draft folder
+ * @route   POST /api/assignments/:id/submission/files
+ * @access  Private (Student of the class)
+ */
+export const uploadSubmissionFiles = asyncHandler(async (req, res) => {
+    const result = await submissionService.uploadSubmissionFiles(req.assignment, req.user, req.files);
+    res.status(201).json(result);
+});
+
+/**
+ * @desc    Remove a file from my draft
+ * @route   DELETE /api/assignments/:id/submission/files/:fileId
+ * @access  Private (Student of the class)
+ */
+export const removeSubmissionFile = asyncHandler(async (req, res) => {
+    const result = await submissionService.removeSubmissionFile(req.assignment, req.user, req.params.fileId);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Submit my draft
+ * @route   POST /api/assignments/:id/submission/submit
+ * @access  Private (Student of the class)
+ */
+export const submitAssignment = asyncHandler(async (req, res) => {
+    const submission = await submissionService.submitAssignment(req.assignment, req.user, req);
+    res.status(200).json(submission);
+});
+
+/**
+ * @desc    Return my submission to draft (before the due date)
+ * @route   POST /api/assignments/:id/submission/unsubmit
+ * @access  Private (Student of the class)
+ */
+export const unsubmitAssignment = asyncHandler(async (req, res) => {
+    const submission = await submissionService.unsubmitAssignment(req.assignment, req.user);
+    res.status(200).json(submission);
+});
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import Assignment from '../../../models/assignmentModel.js';
+import { isStudentInClass } from '../services/assignment.service.js';
+
+// ============================================================================
+// Authorization Policies for Assignments Module
+// ============================================================================
+
+const isStaffViewer = (user) => user.roles.some(r => ['admin', 'hod'].includes(r));
+
+/**
+ * Load the assignment from :id and attach it as req.assignment
+ */
+export const loadAssignment = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid assignment ID.' });
+    }
+
+    const assignment = await Assignment.findById(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json({ message: 'Assignment not found.' });
+    }
+
+    req.assignment = assignment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only the teacher who created the assignment (or an admin) may manage it
+ */
+export const isAssignmentTeacher = (req, res, next) => {
+  const isCreator = String(req.assignment.teacher) === String(req.user._id);
+
+  if (!isCreator && !req.user.roles.includes('admin')) {
+    return res.status(403).json({ message: 'Only the teacher who created this assignment can do this.' });
+  }
+
+  next();
+};
+
+/**
+ * The creating teacher, admins/HODs and students of the class may view it
+ */
+export const canViewAssignment = (req, res, next) => {
+  const isCreator = String(req.assignment.teacher) === String(req.user._id);
+
+  if (isCreator || isStaffViewer(req.user) || isStudentInClass(req.user, req.assignment)) {
+    return next();
+  }
+
+  return res.status(403).json({ message: 'You do not have access to this assignment.' });
+};
+
+/**
+ * Only students of the assignment's class may submit to it
+ */
+export const isAssignedStudent = (req, res, next) => {
+  if (!req.user.roles.includes('student') || !isStudentInClass(req.user, req.assignment)) {
+    return res.status(403).json({ message: 'This assignment is not assigned to your class.' });
+  }
+
+  next();
+};
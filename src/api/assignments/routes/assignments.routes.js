@@ -0,0 +1,242 @@
+/**
+ * Assignments Routes
+ * Teacher-created assignments and student submissions
+ */
+
+import express from 'express';
+import * as assignmentsController from '../controllers/assignments.controller.js';
+import * as validators from '../validators/assignments.validator.js';
+import {
+  loadAssignment,
+  isAssignmentTeacher,
+  canViewAssignment,
+  isAssignedStudent,
+} from '../policies/assignments.policies.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole, isTeacher, isStudent } from '../../_common/middleware/rbac.middleware.js';
+import { uploadFiles } from '../../_common/middleware/file.middleware.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(protect);
+
+// ============================================================================
+// Assignment Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/assignments
+ * @desc    Teachers: assignments they created; students: assignments for their class
+ * @query   subject, batch, semester, section
+ * @access  Private (Teacher, Student)
+ */
+router.get(
+  '/',
+  hasRole(['teacher', 'student']),
+  validators.validateAssignmentQuery,
+  assignmentsController.getAssignments
+);
+
+/**
+ * @route   POST /api/assignments
+ * @desc    Create an assignment for one of the teacher's classes
+ * @access  Private (Teacher)
+ */
+router.post('/', isTeacher, validators.validateCreateAssignment, assignmentsController.createAssignment);
+
+/**
+ * @route   GET /api/assignments/:id
+ * @desc    Get assignment details with attachments
+ * @access  Private (Creator, class students, Admin/HOD)
+ */
+router.get('/:id', loadAssignment, canViewAssignment, assignmentsController.getAssignment);
+
+/**
+ * @route   PATCH /api/assignments/:id
+ * @desc    Update title, instructions, due date, max points, rubric or late policy
+ * @access  Private (Creator)
+ */
+router.patch(
+  '/:id',
+  validators.validateUpdateAssignment,
+  loadAssignment,
+  isAssignmentTeacher,
+  assignmentsController.updateAssignment
+);
+
+/**
+ * @route   DELETE /api/assignments/:id
+ * @desc    Delete an assignment that has no submissions
+ * @access  Private (Creator)
+ */
+router.delete('/:id', loadAssignment, isAssignmentTeacher, assignmentsController.deleteAssignment);
+
+/**
+ * @route   POST /api/assignments/:id/attachments
+ * @desc    Upload attachments (multipart field "files")
+ * @access  Private (Creator)
+ */
+router.post(
+  '/:id/attachments',
+  loadAssignment,
+  isAssignmentTeacher,
+  uploadFiles,
+  assignmentsController.addAttachments
+);
+
+/**
+ * @route   DELETE /api/assignments/:id/attachments/:fileId
+ * @desc    Remove an attachment
+ * @access  Private (Creator)
+ */
+router.delete(
+  '/:id/attachments/:fileId',
+  validators.validateFileParams,
+  loadAssignment,
+  isAssignmentTeacher,
+  assignmentsController.removeAttachment
+);
+
+/**
+ * @route   GET /api/assignments/:id/submissions
+ * @desc    Submission roster: who has and hasn't submitted
+ * @access  Private (Creator)
+ */
+router.get('/:id/submissions', loadAssignment, isAssignmentTeacher, assignmentsController.getSubmissionRoster);
+
+/**
+ * @route   GET /api/assignments/:id/files/:fileId/download
+ * @desc    Signed download link for an attachment or a submission file
+ * @access  Private (Attachments: anyone who can view; submission files: owner and teacher)
+ */
+router.get(
+  '/:id/files/:fileId/download',
+  validators.validateFileParams,
+  loadAssignment,
+  canViewAssignment,
+  assignmentsController.getFileDownloadLink
+);
+
+// ============================================================================
+// Grading Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/assignments/:id/submissions/:submissionId
+ * @desc    Submission detail with files and grade
+ * @access  Private (Creator)
+ */
+router.get(
+  '/:id/submissions/:submissionId',
+  validators.validateSubmissionParams,
+  loadAssignment,
+  isAssignmentTeacher,
+  assignmentsController.getSubmission
+);
+
+/**
+ * @route   PUT /api/assignments/:id/submissions/:submissionId/grade
+ * @desc    Grade a submission (unpublished until grades are published)
+ * @access  Private (Creator)
+ */
+router.put(
+  '/:id/submissions/:submissionId/grade',
+  validators.validateGradeSubmission,
+  loadAssignment,
+  isAssignmentTeacher,
+  assignmentsController.gradeSubmission
+);
+
+/**
+ * @route   POST /api/assignments/:id/submissions/:submissionId/return
+ * @desc    Return a submission to the student for resubmission
+ * @access  Private (Creator)
+ */
+router.post(
+  '/:id/submissions/:submissionId/return',
+  validators.validateReturnSubmission,
+  loadAssignment,
+  isAssignmentTeacher,
+  assignmentsController.returnSubmission
+);
+
+/**
+ * @route   POST /api/assignments/:id/grades/publish
+ * @desc    Publish graded submissions (all, or the given submissionIds)
+ * @access  Private (Creator)
+ */
+router.post(
+  '/:id/grades/publish',
+  validators.validatePublishGrades,
+  loadAssignment,
+  isAssignmentTeacher,
+  assignmentsController.publishGrades
+);
+
+// ============================================================================
+// Student Submission Routes
+// ============================================================================
+
+/**
+ * @route   GET /api/assignments/:id/submission
+ * @desc    Get my submission and its files
+ * @access  Private (Student of the class)
+ */
+router.get('/:id/submission', isStudent, loadAssignment, isAssignedStudent, assignmentsController.getMySubmission);
+
+/**
+ * @route   POST /api/assignments/:id/submission/files
+ * @desc    Upload files into my draft folder (multipart field "files")
+ * @access  Private (Student of the class)
+ */
+router.post(
+  '/:id/submission/files',
+  isStudent,
+  loadAssignment,
+  isAssignedStudent,
+  uploadFiles,
+  assignmentsController.uploadSubmissionFiles
+);
+
+/**
+ * @route   DELETE /api/assignments/:id/submission/files/:fileId
+ * @desc    Remove a file from my draft
+ * @access  Private (Student of the class)
+ */
+router.delete(
+  '/:id/submission/files/:fileId',
+  isStudent,
+  validators.validateFileParams,
+  loadAssignment,
+  isAssignedStudent,
+  assignmentsController.removeSubmissionFile
+);
+
+/**
+ * @route   POST /api/assignments/:id/submission/submit
+ * @desc    Submit my draft (late submissions are flagged)
+ * @access  Private (Student of the class)
+ */
+router.post(
+  '/:id/submission/submit',
+  isStudent,
+  loadAssignment,
+  isAssignedStudent,
+  assignmentsController.submitAssignment
+);
+
+/**
+ * @route   POST /api/assignments/:id/submission/unsubmit
+ * @desc    Return my submission to draft (before the due date)
+ * @access  Private (Student of the class)
+ */
+router.post(
+  '/:id/submission/unsubmit',
+  isStudent,
+  loadAssignment,
+  isAssignedStudent,
+  assignmentsController.unsubmitAssignment
+);
+
+export default router;
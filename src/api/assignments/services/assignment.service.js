@@ -0,0 +1,525 @@
+/**
+ * Assignment Service
+ * Teacher-side business logic: assignments, attachments and the submission roster
+ */
+
+import mongoose from 'mongoose';
+import Assignment from '../../../models/assignmentModel.js';
+import Submission from '../../../models/submissionModel.js';
+import File from '../../../models/fileModel.js';
+import User from '../../../models/userModel.js';
+import Subject from '../../../models/subjectModel.js';
+import { uploadFile as uploadToS3, getDownloadUrl } from '../../../services/s3/s3.service.js';
+import { logAudit } from '../../_common/services/audit.service.js';
+import { AUDIT_ACTIONS } from '../../../constants/auditActions.js';
+import { notifyUsers } from '../../notifications/services/notifications.service.js';
+import { assertRubricEditable } from './grading.service.js';
+
+const FILE_CONTEXT = 'assignment';
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const isTeacherAssignedTo = (user, { subject, batch, semester, section }) =>
+  user.teacherDetails?.assignments?.some(
+    assignment =>
+      String(assignment.subject) === String(subject) &&
+      assignment.batch === batch &&
+      assignment.semester === semester &&
+      assignment.sections.includes(section)
+  );
+
+/**
+ * Whether a student belongs to the assignment's class
+ */
+export const isStudentInClass = (user, assignment) =>
+  Boolean(user?.studentDetails) &&
+  user.studentDetails.batch === assignment.batch &&
+  user.studentDetails.semester === assignment.semester &&
+  user.studentDetails.section === assignment.section;
+
+const masterFolderName = (title, assignmentId) => `${title} [${assignmentId}]`;
+
+const assertValidCutoff = (dueDate, latePolicy) => {
+  const cutoffDate = latePolicy?.cutoffDate;
+  if (cutoffDate && new Date(cutoffDate) < new Date(dueDate)) {
+    const error = new Error('The cutoff date cannot be before the due date.');
+    error.statusCode = 400;
+    throw error;
+  }
+};
+
+/**
+ * Create a folder with File.context 'assignment'
+ */
+export const createAssignmentFolder = async ({ ownerId, fileName, parentFolder = null }) => {
+  return File.create({
+    user: ownerId,
+    fileName,
+    isFolder: true,
+    context: FILE_CONTEXT,
+    parentId: parentFolder ? parentFolder._id : null,
+    path: parentFolder ? `${parentFolder.path}${parentFolder._id},` : ',',
+    // Required fields for schema (not relevant for folders)
+    s3Key: new mongoose.Types.ObjectId().toString(),
+    fileType: 'folder',
+    size: 0,
+  });
+};
+
+/**
+ * Upload multer files to S3 and record them inside an assignment folder
+ *
+ * @param {Object[]} files - Files from multer
+ * @param {string} ownerId - Owner of the new File documents
+ * @param {Object} folder - Target folder document
+ * @returns {Promise<Object[]>} Created File documents
+ */
+export const uploadToAssignmentFolder = async (files, ownerId, folder) => {
+  if (!files || files.length === 0) {
+    const error = new Error('No files uploaded.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const path = `${folder.path}${folder._id},`;
+
+  const filesMetadata = await Promise.all(files.map(async (file) => {
+    const s3Key = await uploadToS3({ file, context: FILE_CONTEXT, ownerId });
+
+    return {
+      user: ownerId,
+      fileName: file.originalname,
+      s3Key,
+      fileType: file.mimetype,
+      size: file.size,
+      context: FILE_CONTEXT,
+      isFolder: false,
+      parentId: folder._id,
+      path,
+    };
+  }));
+
+  try {
+    return await File.insertMany(filesMetadata, { ordered: true });
+  } catch (err) {
+    if (err && (err.code === 11000 || (err.writeErrors && err.writeErrors.some(e => e.code === 11000)))) {
+      const error = new Error('A file with that name already exists. Rename it or remove the existing file first.');
+      error.statusCode = 409;
+      throw error;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Soft-delete a file so the trash purge job removes it from S3 later
+ */
+export const softDeleteFile = async (fileId) => {
+  await File.updateOne({ _id: fileId }, { $set: { isDeleted: true, deletedAt: new Date() } });
+};
+
+const getClassStudents = (assignment) =>
+  User.find({
+    roles: 'student',
+    'studentDetails.batch': assignment.batch,
+    'studentDetails.semester': assignment.semester,
+    'studentDetails.section': assignment.section,
+  })
+    .select('name email avatar studentDetails.usn')
+    .sort({ 'studentDetails.usn': 1, name: 1 })
+    .lean();
+
+// ============================================================================
+// Assignment CRUD
+// ============================================================================
+
+/**
+ * Create an assignment for one of the teacher's classes
+ *
+ * @param {Object} data - { title, instructions, subject, batch, semester, section, dueDate, maxPoints, rubric, latePolicy }
+ * @param {Object} user - Authenticated teacher
+ * @param {Object} req - Express request (for audit)
+ * @returns {Promise<Object>} Created assignment
+ */
+export const createAssignment = async (data, user, req = null) => {
+  const { title, instructions, subject, batch, semester, section, dueDate, maxPoints, rubric, latePolicy } = data;
+
+  assertValidCutoff(dueDate, latePolicy);
+
+  const subjectDoc = await Subject.findById(subject).select('name subjectCode');
+  if (!subjectDoc) {
+    const error = new Error('Subject not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (!isTeacherAssignedTo(user, { subject, batch, semester, section })) {
+    const error = new Error(
+      `You are not assigned to teach this subject for Batch ${batch}, Semester ${semester}, Section ${section}.`
+    );
+    error.statusCode = 403;
+    throw error;
+  }
+
+  const assignmentId = new mongoose.Types.ObjectId();
+  const folder = await createAssignmentFolder({
+    ownerId: user._id,
+    fileName: masterFolderName(title, assignmentId),
+  });
+
+  const assignment = await Assignment.create({
+    _id: assignmentId,
+    title,
+    instructions,
+    teacher: user._id,
+    subject,
+    batch,
+    semester,
+    section,
+    dueDate,
+    maxPoints,
+    rubric,
+    latePolicy,
+    folder: folder._id,
+  });
+
+  try {
+    await logAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.ASSIGNMENT_CREATE,
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      after: { title, subject, batch, semester, section, dueDate },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  // Notify the class (non-blocking)
+  getClassStudents(assignment)
+    .then(students => notifyUsers(students.map(s => s._id), {
+      type: 'new_assignment',
+      title: `New assignment in ${subjectDoc.name}`,
+      message: `${title} is due on ${new Date(dueDate).toDateString()}.`,
+      link: `/assignments/${assignment._id}`,
+      entity: { model: 'Assignment', id: assignment._id },
+    }))
+    .catch(err => {
+      console.error('Failed to send new assignment notifications:', err);
+    });
+
+  return assignment;
+};
+
+/**
+ * List assignments created by a teacher with submission counts
+ *
+ * @param {string} teacherId - Teacher user ID
+ * @param {Object} filters - { subject, batch, semester, section }
+ * @returns {Promise<Object[]>} Assignments with `submittedCount`
+ */
+export const getTeacherAssignments = async (teacherId, filters = {}) => {
+  const query = { teacher: teacherId };
+  ['subject', 'batch', 'semester', 'section'].forEach((key) => {
+    if (filters[key] !== undefined) query[key] = filters[key];
+  });
+
+  const assignments = await Assignment.find(query)
+    .populate('subject', 'name subjectCode')
+    .sort({ dueDate: -1 })
+    .lean();
+
+  const counts = await Submission.aggregate([
+    { $match: { assignment: { $in: assignments.map(a => a._id) }, status: 'submitted' } },
+    { $group: { _id: '$assignment', count: { $sum: 1 } } },
+  ]);
+  const countMap = new Map(counts.map(c => [String(c._id), c.count]));
+
+  return assignments.map(assignment => ({
+    ...assignment,
+    submittedCount: countMap.get(String(assignment._id)) || 0,
+  }));
+};
+
+/**
+ * Get full assignment details, including attachment metadata
+ */
+export const getAssignmentDetails = async (assignmentId) => {
+  const assignment = await Assignment.findById(assignmentId)
+    .populate('subject', 'name subjectCode')
+    .populate('teacher', 'name email avatar')
+    .populate({
+      path: 'attachments',
+      match: { isDeleted: false },
+      select: 'fileName fileType size createdAt',
+    })
+    .lean();
+
+  if (!assignment) {
+    const error = new Error('Assignment not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return assignment;
+};
+
+/**
+ * Update an assignment's editable fields
+ *
+ * @param {Object} assignment - Assignment document (loaded by policy)
+ * @param {Object} updates - { title, instructions, dueDate, maxPoints, rubric, latePolicy }
+ */
+export const updateAssignment = async (assignment, updates, user, req = null) => {
+  const snapshot = () => ({
+    title: assignment.title,
+    instructions: assignment.instructions,
+    dueDate: assignment.dueDate,
+    maxPoints: assignment.maxPoints,
+    rubric: assignment.rubric.map(c => ({ title: c.title, weight: c.weight, maxScore: c.maxScore })),
+    latePolicy: { ...assignment.latePolicy?.toObject?.() },
+  });
+  const before = snapshot();
+
+  // Scores depend on the rubric and max points, so both are frozen once grading starts
+  if (updates.rubric !== undefined || updates.maxPoints !== undefined) {
+    await assertRubricEditable(assignment);
+  }
+
+  ['title', 'instructions', 'dueDate', 'maxPoints', 'rubric'].forEach((key) => {
+    if (updates[key] !== undefined) assignment[key] = updates[key];
+  });
+
+  if (updates.latePolicy !== undefined) {
+    Object.entries(updates.latePolicy).forEach(([key, value]) => {
+      assignment.set(`latePolicy.${key}`, value);
+    });
+  }
+
+  assertValidCutoff(assignment.dueDate, assignment.latePolicy);
+
+  await assignment.save();
+
+  // Keep the master folder name in sync with the title
+  if (updates.title !== undefined && updates.title !== before.title) {
+    await File.updateOne(
+      { _id: assignment.folder },
+      { $set: { fileName: masterFolderName(assignment.title, assignment._id) } }
+    );
+  }
+
+  try {
+    await logAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.ASSIGNMENT_UPDATE,
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      before,
+      after: snapshot(),
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return assignment;
+};
+
+/**
+ * Delete an assignment that nobody has started working on.
+ * The master folder and attachments are moved to the teacher's trash.
+ */
+export const deleteAssignment = async (assignment, user, req = null) => {
+  const hasSubmissions = await Submission.exists({ assignment: assignment._id });
+  if (hasSubmissions) {
+    const error = new Error('Cannot delete an assignment that students have already started submitting to.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const folder = await File.findById(assignment.folder).select('path');
+  if (folder) {
+    await File.updateMany(
+      {
+        user: assignment.teacher,
+        isDeleted: false,
+        $or: [{ _id: folder._id }, { path: { $regex: `^${folder.path}${folder._id},` } }],
+      },
+      { $set: { isDeleted: true, deletedAt: new Date() } }
+    );
+  }
+
+  await assignment.deleteOne();
+
+  try {
+    await logAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.ASSIGNMENT_DELETE,
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      before: { title: assignment.title, subject: assignment.subject, dueDate: assignment.dueDate },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return { message: 'Assignment deleted.', id: assignment._id };
+};
+
+// ============================================================================
+// Attachments
+// ============================================================================
+
+/**
+ * Upload attachments into the assignment's master folder
+ */
+export const addAttachments = async (assignment, files, user) => {
+  const folder = await File.findById(assignment.folder);
+  if (!folder || folder.isDeleted) {
+    const error = new Error('Assignment folder not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const newFiles = await uploadToAssignmentFolder(files, user._id, folder);
+
+  assignment.attachments.push(...newFiles.map(f => f._id));
+  await assignment.save();
+
+  return newFiles;
+};
+
+/**
+ * Remove an attachment (moved to the teacher's trash)
+ */
+export const removeAttachment = async (assignment, fileId) => {
+  const isAttachment = assignment.attachments.some(id => String(id) === String(fileId));
+  if (!isAttachment) {
+    const error = new Error('Attachment not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  assignment.attachments.pull(fileId);
+  await assignment.save();
+  await softDeleteFile(fileId);
+
+  return { message: 'Attachment removed.', id: fileId };
+};
+
+// ============================================================================
+// Roster & Downloads
+// ============================================================================
+
+/**
+ * Who has and hasn't submitted
+ *
+ * @param {Object} assignment - Assignment document
+ * @returns {Promise<Object>} { summary, submitted[], notSubmitted[] }
+ */
+export const getSubmissionRoster = async (assignment) => {
+  const [students, submissions] = await Promise.all([
+    getClassStudents(assignment),
+    Submission.find({ assignment: assignment._id }).lean(),
+  ]);
+
+  const fileCounts = await File.aggregate([
+    {
+      $match: {
+        parentId: { $in: submissions.map(s => s.folder) },
+        isFolder: false,
+        isDeleted: false,
+      },
+    },
+    { $group: { _id: '$parentId', count: { $sum: 1 } } },
+  ]);
+  const fileCountMap = new Map(fileCounts.map(c => [String(c._id), c.count]));
+  const submissionMap = new Map(submissions.map(s => [String(s.student), s]));
+
+  const submitted = [];
+  const notSubmitted = [];
+
+  students.forEach((student) => {
+    const submission = submissionMap.get(String(student._id));
+    const entry = {
+      student: {
+        _id: student._id,
+        name: student.name,
+        email: student.email,
+        avatar: student.avatar,
+        usn: student.studentDetails?.usn,
+      },
+      status: submission ? submission.status : 'not_started',
+      submissionId: submission?._id || null,
+      submittedAt: submission?.submittedAt || null,
+      isLate: submission?.isLate || false,
+      latePenaltyPercent: submission?.latePenaltyPercent || 0,
+      fileCount: submission ? fileCountMap.get(String(submission.folder)) || 0 : 0,
+      grade: submission?.grade?.gradedAt
+        ? {
+          finalScore: submission.grade.finalScore,
+          isPublished: submission.grade.isPublished,
+          gradedAt: submission.grade.gradedAt,
+        }
+        : null,
+    };
+
+    if (entry.status === 'submitted') submitted.push(entry);
+    else notSubmitted.push(entry);
+  });
+
+  return {
+    summary: {
+      totalStudents: students.length,
+      submitted: submitted.length,
+      late: submitted.filter(s => s.isLate).length,
+      drafts: notSubmitted.filter(s => s.status === 'draft').length,
+      returned: notSubmitted.filter(s => s.status === 'returned').length,
+      notStarted: notSubmitted.filter(s => s.status === 'not_started').length,
+      graded: submitted.filter(s => s.grade).length,
+      published: submitted.filter(s => s.grade?.isPublished).length,
+    },
+    submitted,
+    notSubmitted,
+  };
+};
+
+/**
+ * Signed download URL for an attachment or a submission file.
+ * Attachments are visible to everyone who can view the assignment; submission
+ * files only to their owner and to the assignment's teacher (or admin/HOD).
+ */
+export const getAssignmentFileDownloadUrl = async (assignment, fileId, user) => {
+  const file = await File.findOne({ _id: fileId, isFolder: false, isDeleted: false });
+  const notFound = () => {
+    const error = new Error('File not found.');
+    error.statusCode = 404;
+    return error;
+  };
+
+  if (!file) throw notFound();
+
+  const isAttachment = assignment.attachments.some(id => String(id) === String(file._id));
+
+  if (!isAttachment) {
+    const submission = await Submission.findOne({ assignment: assignment._id, folder: file.parentId }).lean();
+    if (!submission) throw notFound();
+
+    const isOwner = String(submission.student) === String(user._id);
+    const isStaff = String(assignment.teacher) === String(user._id) ||
+      user.roles.some(r => ['admin', 'hod'].includes(r));
+
+    if (!isOwner && !isStaff) {
+      const error = new Error('You do not have permission to access this file.');
+      error.statusCode = 403;
+      throw error;
+    }
+  }
+
+  const url = await getDownloadUrl(file.s3Key, file.fileName);
+  return { url, fileName: file.fileName };
+};
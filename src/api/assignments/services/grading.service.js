@@ -0,0 +1,305 @@
+/**
+ * Grading Service
+ * Rubric scoring, late penalties, return-for-resubmission and grade publishing
+ */
+
+import Submission from '../../../models/submissionModel.js';
+import File from '../../../models/fileModel.js';
+import { logAudit } from '../../_common/services/audit.service.js';
+import { AUDIT_ACTIONS } from '../../../constants/auditActions.js';
+import { createNotification, notifyUsers } from '../../notifications/services/notifications.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ============================================================================
+// Late Policy
+// ============================================================================
+
+/**
+ * Whether the hard cutoff has passed
+ */
+export const isPastCutoff = (assignment, now = new Date()) =>
+  Boolean(assignment.latePolicy?.cutoffDate) && now > assignment.latePolicy.cutoffDate;
+
+/**
+ * Lateness and penalty for a submission made at `submittedAt`.
+ * Every started day after due date + grace period costs `penaltyPercentPerDay`.
+ *
+ * @returns {{ isLate: boolean, daysLate: number, penaltyPercent: number }}
+ */
+export const computeLatePenalty = (assignment, submittedAt = new Date()) => {
+  const graceMs = (assignment.latePolicy?.gracePeriodMinutes || 0) * 60 * 1000;
+  const lateMs = submittedAt.getTime() - (new Date(assignment.dueDate).getTime() + graceMs);
+
+  if (lateMs <= 0) {
+    return { isLate: false, daysLate: 0, penaltyPercent: 0 };
+  }
+
+  const daysLate = Math.ceil(lateMs / DAY_MS);
+  const penaltyPercent = Math.min(100, daysLate * (assignment.latePolicy?.penaltyPercentPerDay || 0));
+
+  return { isLate: true, daysLate, penaltyPercent };
+};
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Compute the raw score (out of assignment.maxPoints) from rubric scores.
+ * Each criterion contributes (score / maxScore) of its weight.
+ */
+export const computeRubricScore = (assignment, rubricScores = []) => {
+  const scoreMap = new Map(rubricScores.map(s => [String(s.criterion), s]));
+
+  const missing = assignment.rubric.filter(c => !scoreMap.has(String(c._id)));
+  if (missing.length > 0) {
+    const error = new Error(`Missing scores for: ${missing.map(c => c.title).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const unknown = rubricScores.filter(s => !assignment.rubric.some(c => String(c._id) === String(s.criterion)));
+  if (unknown.length > 0) {
+    const error = new Error('Scores reference criteria that are not in this rubric.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let totalWeight = 0;
+  let weighted = 0;
+
+  assignment.rubric.forEach((criterion) => {
+    const { score } = scoreMap.get(String(criterion._id));
+    if (score > criterion.maxScore) {
+      const error = new Error(`Score for "${criterion.title}" cannot exceed ${criterion.maxScore}.`);
+      error.statusCode = 400;
+      throw error;
+    }
+    totalWeight += criterion.weight;
+    weighted += (score / criterion.maxScore) * criterion.weight;
+  });
+
+  if (totalWeight === 0) return 0;
+
+  return round2((weighted / totalWeight) * assignment.maxPoints);
+};
+
+const findSubmission = async (assignment, submissionId) => {
+  const submission = await Submission.findOne({ _id: submissionId, assignment: assignment._id });
+
+  if (!submission) {
+    const error = new Error('Submission not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return submission;
+};
+
+/**
+ * Rubrics can only change while nothing has been graded
+ */
+export const assertRubricEditable = async (assignment) => {
+  const graded = await Submission.exists({ assignment: assignment._id, 'grade.gradedAt': { $ne: null } });
+
+  if (graded) {
+    const error = new Error('The rubric cannot be changed after grading has started.');
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+// ============================================================================
+// Teacher Operations
+// ============================================================================
+
+/**
+ * Get a submission with its files and grade (teacher view)
+ */
+export const getSubmissionDetail = async (assignment, submissionId) => {
+  const submission = await Submission.findOne({ _id: submissionId, assignment: assignment._id })
+    .populate('student', 'name email avatar studentDetails.usn')
+    .lean();
+
+  if (!submission) {
+    const error = new Error('Submission not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const files = await File.find({ parentId: submission.folder, isFolder: false, isDeleted: false })
+    .select('fileName fileType size createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return { ...submission, files };
+};
+
+/**
+ * Grade a submitted submission. Regrading replaces the previous grade and
+ * unpublishes it until the teacher publishes again.
+ *
+ * @param {Object} gradeData - { rubricScores: [{ criterion, score, comment }], score, feedback }
+ */
+export const gradeSubmission = async (assignment, submissionId, gradeData, teacher, req = null) => {
+  const submission = await findSubmission(assignment, submissionId);
+
+  if (submission.status !== 'submitted') {
+    const error = new Error('Only submitted work can be graded.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  let rawScore;
+  let rubricScores = [];
+
+  if (assignment.rubric.length > 0) {
+    rubricScores = gradeData.rubricScores || [];
+    rawScore = computeRubricScore(assignment, rubricScores);
+  } else {
+    if (gradeData.score === undefined || gradeData.score === null) {
+      const error = new Error('A score is required when the assignment has no rubric.');
+      error.statusCode = 400;
+      throw error;
+    }
+    if (gradeData.score > assignment.maxPoints) {
+      const error = new Error(`Score cannot exceed ${assignment.maxPoints}.`);
+      error.statusCode = 400;
+      throw error;
+    }
+    rawScore = gradeData.score;
+  }
+
+  const finalScore = round2(rawScore * (1 - (submission.latePenaltyPercent || 0) / 100));
+  const before = submission.grade?.gradedAt ? { rawScore: submission.grade.rawScore, finalScore: submission.grade.finalScore } : null;
+
+  submission.grade = {
+    rubricScores,
+    rawScore,
+    finalScore,
+    feedback: gradeData.feedback,
+    gradedBy: teacher._id,
+    gradedAt: new Date(),
+    isPublished: false,
+    publishedAt: null,
+  };
+  await submission.save();
+
+  try {
+    await logAudit({
+      actor: teacher,
+      action: AUDIT_ACTIONS.ASSIGNMENT_GRADE,
+      entityType: 'Submission',
+      entityId: submission._id,
+      before,
+      after: { rawScore, finalScore, latePenaltyPercent: submission.latePenaltyPercent },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return submission;
+};
+
+/**
+ * Return a submission to the student for resubmission
+ */
+export const returnSubmission = async (assignment, submissionId, reason, teacher, req = null) => {
+  const submission = await findSubmission(assignment, submissionId);
+
+  if (submission.status !== 'submitted') {
+    const error = new Error('Only submitted work can be returned.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  submission.status = 'returned';
+  submission.returnedAt = new Date();
+  submission.returnReason = reason;
+  submission.returnCount += 1;
+  submission.grade = undefined;
+  await submission.save();
+
+  try {
+    await logAudit({
+      actor: teacher,
+      action: AUDIT_ACTIONS.ASSIGNMENT_RETURN,
+      entityType: 'Submission',
+      entityId: submission._id,
+      after: { reason },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  createNotification({
+    user: submission.student,
+    type: 'assignment_rejected',
+    title: `${assignment.title} was returned`,
+    message: reason || 'Your teacher returned your submission for changes. Please resubmit.',
+    link: `/assignments/${assignment._id}`,
+    entity: { model: 'Assignment', id: assignment._id },
+  }).catch(err => {
+    console.error('Failed to send return notification:', err);
+  });
+
+  return submission;
+};
+
+/**
+ * Publish grades so students can see them
+ *
+ * @param {Array} [submissionIds] - Limit to these submissions; all graded ones otherwise
+ * @returns {Promise<Object>} { publishedCount }
+ */
+export const publishGrades = async (assignment, submissionIds, teacher, req = null) => {
+  const query = {
+    assignment: assignment._id,
+    status: 'submitted',
+    'grade.gradedAt': { $ne: null },
+    'grade.isPublished': false,
+  };
+  if (Array.isArray(submissionIds) && submissionIds.length > 0) {
+    query._id = { $in: submissionIds };
+  }
+
+  const toPublish = await Submission.find(query).select('student').lean();
+  if (toPublish.length === 0) {
+    return { publishedCount: 0 };
+  }
+
+  await Submission.updateMany(
+    { _id: { $in: toPublish.map(s => s._id) } },
+    { $set: { 'grade.isPublished': true, 'grade.publishedAt': new Date() } }
+  );
+
+  try {
+    await logAudit({
+      actor: teacher,
+      action: AUDIT_ACTIONS.ASSIGNMENT_GRADES_PUBLISH,
+      entityType: 'Assignment',
+      entityId: assignment._id,
+      after: { publishedCount: toPublish.length },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  notifyUsers(toPublish.map(s => s.student), {
+    type: 'grade_published',
+    title: `Grade available for ${assignment.title}`,
+    message: 'Your teacher has published your grade.',
+    link: `/assignments/${assignment._id}`,
+    entity: { model: 'Assignment', id: assignment._id },
+  }).catch(err => {
+    console.error('Failed to send grade notifications:', err);
+  });
+
+  return { publishedCount: toPublish.length };
+};
@@ -0,0 +1,296 @@
+/**
+ * Submission Service
+ * Student-side business logic: draft folder, file uploads, submit/unsubmit.
+ * The late policy's hard cutoff is enforced here, at upload and submit time.
+ */
+
+import Assignment from '../../../models/assignmentModel.js';
+import Submission from '../../../models/submissionModel.js';
+import File from '../../../models/fileModel.js';
+import { logAudit } from '../../_common/services/audit.service.js';
+import { AUDIT_ACTIONS } from '../../../constants/auditActions.js';
+import {
+  createAssignmentFolder,
+  uploadToAssignmentFolder,
+  softDeleteFile,
+} from './assignment.service.js';
+import { isPastCutoff, computeLatePenalty } from './grading.service.js';
+
+const getSubmissionFiles = (submission) =>
+  File.find({ parentId: submission.folder, isFolder: false, isDeleted: false })
+    .select('fileName fileType size createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+const assertEditable = (submission) => {
+  if (submission.status === 'submitted') {
+    const error = new Error('This assignment has already been submitted. Unsubmit it before changing files.');
+    error.statusCode = 409;
+    throw error;
+  }
+};
+
+/**
+ * Reject changes after the hard cutoff. Work returned for resubmission is exempt.
+ */
+const assertBeforeCutoff = (assignment, submission) => {
+  if (isPastCutoff(assignment) && submission?.status !== 'returned') {
+    const error = new Error('The submission deadline for this assignment has passed.');
+    error.statusCode = 403;
+    throw error;
+  }
+};
+
+// Students only see their grade once it is published
+const toStudentView = (submission) => {
+  if (!submission.grade?.isPublished) {
+    const { grade, ...rest } = submission;
+    return rest;
+  }
+  return submission;
+};
+
+/**
+ * List the assignments for a student's class with their own submission status
+ *
+ * @param {Object} student - Authenticated student
+ * @param {Object} filters - { subject }
+ * @returns {Promise<Object[]>}
+ */
+export const getStudentAssignments = async (student, filters = {}) => {
+  const { batch, semester, section } = student.studentDetails || {};
+  if (!batch || !semester || !section) {
+    const error = new Error('Student profile is incomplete. Batch, semester and section are required.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const query = { batch, semester, section };
+  if (filters.subject) query.subject = filters.subject;
+
+  const assignments = await Assignment.find(query)
+    .select('-attachments -folder')
+    .populate('subject', 'name subjectCode')
+    .populate('teacher', 'name')
+    .sort({ dueDate: 1 })
+    .lean();
+
+  const submissions = await Submission.find({
+    student: student._id,
+    assignment: { $in: assignments.map(a => a._id) },
+  }).lean();
+  const submissionMap = new Map(submissions.map(s => [String(s.assignment), s]));
+
+  return assignments.map((assignment) => {
+    const submission = submissionMap.get(String(assignment._id));
+    return {
+      ...assignment,
+      mySubmission: {
+        status: submission ? submission.status : 'not_started',
+        submittedAt: submission?.submittedAt || null,
+        isLate: submission?.isLate || false,
+        finalScore: submission?.grade?.isPublished ? submission.grade.finalScore : null,
+      },
+    };
+  });
+};
+
+/**
+ * Get the student's submission, creating it and its draft folder on first use
+ *
+ * @param {Object} assignment - Assignment document
+ * @param {Object} student - Authenticated student
+ * @returns {Promise<Object>} Submission document
+ */
+export const getOrCreateSubmission = async (assignment, student) => {
+  const existing = await Submission.findOne({ assignment: assignment._id, student: student._id });
+  if (existing) return existing;
+
+  const masterFolder = await File.findById(assignment.folder);
+  if (!masterFolder || masterFolder.isDeleted) {
+    const error = new Error('Assignment folder not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  // Folder names are unique per parent, so include the USN (or id)
+  const label = student.studentDetails?.usn || String(student._id);
+  let folder;
+  try {
+    folder = await createAssignmentFolder({
+      ownerId: student._id,
+      fileName: `${student.name} (${label})`,
+      parentFolder: masterFolder,
+    });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      // A concurrent request created the folder first
+      const concurrent = await Submission.findOne({ assignment: assignment._id, student: student._id });
+      if (concurrent) return concurrent;
+    }
+    throw err;
+  }
+
+  try {
+    return await Submission.create({
+      assignment: assignment._id,
+      student: student._id,
+      folder: folder._id,
+    });
+  } catch (err) {
+    if (err && err.code === 11000) {
+      await File.deleteOne({ _id: folder._id });
+      return Submission.findOne({ assignment: assignment._id, student: student._id });
+    }
+    throw err;
+  }
+};
+
+/**
+ * Get the student's own submission with its files
+ */
+export const getMySubmission = async (assignment, student) => {
+  const submission = await Submission.findOne({ assignment: assignment._id, student: student._id }).lean();
+
+  if (!submission) {
+    return { status: 'not_started', files: [] };
+  }
+
+  const files = await getSubmissionFiles(submission);
+  return { ...toStudentView(submission), files };
+};
+
+/**
+ * Upload files into the student's draft folder
+ */
+export const uploadSubmissionFiles = async (assignment, student, files) => {
+  const existing = await Submission.findOne({ assignment: assignment._id, student: student._id });
+  assertBeforeCutoff(assignment, existing);
+
+  const submission = existing || await getOrCreateSubmission(assignment, student);
+  assertEditable(submission);
+
+  const folder = await File.findById(submission.folder);
+  const newFiles = await uploadToAssignmentFolder(files, student._id, folder);
+
+  return { submissionId: submission._id, files: newFiles };
+};
+
+/**
+ * Remove a file from the student's draft (moved to their trash)
+ */
+export const removeSubmissionFile = async (assignment, student, fileId) => {
+  const submission = await Submission.findOne({ assignment: assignment._id, student: student._id });
+  if (!submission) {
+    const error = new Error('Submission not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+  assertEditable(submission);
+
+  const file = await File.findOne({
+    _id: fileId,
+    parentId: submission.folder,
+    user: student._id,
+    isDeleted: false,
+  });
+  if (!file) {
+    const error = new Error('File not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  await softDeleteFile(file._id);
+  return { message: 'File removed from submission.', id: file._id };
+};
+
+/**
+ * Turn the draft into a submission. Late submissions are accepted until the
+ * cutoff; the late penalty is fixed at the first submission.
+ */
+export const submitAssignment = async (assignment, student, req = null) => {
+  const submission = await Submission.findOne({ assignment: assignment._id, student: student._id });
+  if (!submission) {
+    const error = new Error('Upload at least one file before submitting.');
+    error.statusCode = 400;
+    throw error;
+  }
+  assertEditable(submission);
+  assertBeforeCutoff(assignment, submission);
+
+  const files = await getSubmissionFiles(submission);
+  if (files.length === 0) {
+    const error = new Error('Upload at least one file before submitting.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+  const isResubmission = submission.status === 'returned';
+
+  if (!isResubmission) {
+    const { isLate, penaltyPercent } = computeLatePenalty(assignment, now);
+    submission.isLate = isLate;
+    submission.latePenaltyPercent = penaltyPercent;
+  }
+
+  submission.status = 'submitted';
+  submission.submittedAt = now;
+  await submission.save();
+
+  try {
+    await logAudit({
+      actor: student,
+      action: AUDIT_ACTIONS.ASSIGNMENT_SUBMIT,
+      entityType: 'Submission',
+      entityId: submission._id,
+      after: {
+        assignment: assignment._id,
+        fileCount: files.length,
+        isLate: submission.isLate,
+        latePenaltyPercent: submission.latePenaltyPercent,
+        isResubmission,
+      },
+      req,
+    });
+  } catch (e) {
+    // swallow
+  }
+
+  return { ...toStudentView(submission.toObject()), files };
+};
+
+/**
+ * Move a submission back to draft. Only allowed before the due date and
+ * before the teacher has graded it.
+ */
+export const unsubmitAssignment = async (assignment, student) => {
+  const submission = await Submission.findOne({ assignment: assignment._id, student: student._id });
+  if (!submission || submission.status !== 'submitted') {
+    const error = new Error('Nothing to unsubmit.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (new Date() > assignment.dueDate) {
+    const error = new Error('The due date has passed; the submission can no longer be changed.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (submission.grade?.gradedAt) {
+    const error = new Error('This submission has already been graded.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  submission.status = submission.returnCount > 0 ? 'returned' : 'draft';
+  submission.submittedAt = null;
+  if (submission.returnCount === 0) {
+    submission.isLate = false;
+    submission.latePenaltyPercent = 0;
+  }
+  await submission.save();
+
+  return toStudentView(submission.toObject());
+};
@@ -0,0 +1,106 @@
+/**
+ * Assignments Validators (Joi)
+ */
+import Joi from 'joi';
+import validate from '../../_common/middleware/validation.middleware.js';
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('Invalid ID format');
+
+const assignmentFields = {
+  title: Joi.string().trim().min(1).max(200),
+  instructions: Joi.string().trim().max(5000).allow(''),
+  dueDate: Joi.date().iso().greater('now').messages({ 'date.greater': 'Due date must be in the future' }),
+  maxPoints: Joi.number().integer().min(1).max(1000),
+  rubric: Joi.array().items(Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    description: Joi.string().trim().max(1000).allow(''),
+    weight: Joi.number().min(0).required(),
+    maxScore: Joi.number().min(1).required()
+  })).max(20),
+  latePolicy: Joi.object({
+    gracePeriodMinutes: Joi.number().integer().min(0).max(7 * 24 * 60),
+    penaltyPercentPerDay: Joi.number().min(0).max(100),
+    cutoffDate: Joi.date().iso().allow(null)
+  })
+};
+
+export const validateCreateAssignment = [
+  validate({ body: Joi.object({
+    title: assignmentFields.title.required(),
+    instructions: assignmentFields.instructions.optional(),
+    subject: mongoId.required(),
+    batch: Joi.number().integer().min(2000).max(2100).required(),
+    semester: Joi.number().integer().min(1).max(8).required(),
+    section: Joi.string().trim().uppercase().valid('A', 'B', 'C').required(),
+    dueDate: assignmentFields.dueDate.required(),
+    maxPoints: assignmentFields.maxPoints.optional(),
+    rubric: assignmentFields.rubric.optional(),
+    latePolicy: assignmentFields.latePolicy.optional()
+  }) })
+];
+
+export const validateUpdateAssignment = [
+  validate({
+    params: Joi.object({ id: mongoId.required() }),
+    body: Joi.object({
+      title: assignmentFields.title.optional(),
+      instructions: assignmentFields.instructions.optional(),
+      dueDate: assignmentFields.dueDate.optional(),
+      maxPoints: assignmentFields.maxPoints.optional(),
+      rubric: assignmentFields.rubric.optional(),
+      latePolicy: assignmentFields.latePolicy.optional()
+    }).min(1)
+  })
+];
+
+export const validateAssignmentQuery = [
+  validate({ query: Joi.object({
+    subject: mongoId.optional(),
+    batch: Joi.number().integer().optional(),
+    semester: Joi.number().integer().min(1).max(8).optional(),
+    section: Joi.string().trim().uppercase().valid('A', 'B', 'C').optional()
+  }) })
+];
+
+export const validateFileParams = [
+  validate({ params: Joi.object({ id: mongoId.required(), fileId: mongoId.required() }) })
+];
+
+const submissionParams = Joi.object({ id: mongoId.required(), submissionId: mongoId.required() });
+
+export const validateSubmissionParams = [
+  validate({ params: submissionParams })
+];
+
+export const validateGradeSubmission = [
+  validate({
+    params: submissionParams,
+    body: Joi.object({
+      rubricScores: Joi.array().items(Joi.object({
+        criterion: mongoId.required(),
+        score: Joi.number().min(0).required(),
+        comment: Joi.string().trim().max(1000).allow('')
+      })),
+      score: Joi.number().min(0),
+      feedback: Joi.string().trim().max(5000).allow('')
+    }).or('rubricScores', 'score')
+  })
+];
+
+export const validateReturnSubmission = [
+  validate({
+    params: submissionParams,
+    body: Joi.object({
+      reason: Joi.string().trim().min(1).max(1000).required()
+    })
+  })
+];
+
+export const validatePublishGrades = [
+  validate({
+    params: Joi.object({ id: mongoId.required() }),
+    body: Joi.object({
+      submissionIds: Joi.array().items(mongoId).optional()
+    })
+  })
+];
@@ -0,0 +1,147 @@
+/**
+ * Anti-Proxy Tests
+ * Unit tests for device binding, one account per device, the classroom network
+ * heuristic and the suspicious-attempt log shown on the roster
+ */
+
+import antiProxyService from '../services/antiProxy.service.js';
+import sessionService from '../services/session.service.js';
+import markingService from '../services/marking.service.js';
+import User from '../../../models/userModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Attendance Anti-Proxy Checks', () => {
+  let subject;
+  let teacher;
+
+  const createClassStudent = () => createTestStudent({
+    studentDetails: {
+      usn: `USN-${generateObjectId()}`,
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      applicationStatus: 'approved',
+      isStudentVerified: true,
+      enrolledSubjects: [subject._id],
+    },
+  });
+
+  const createSession = (antiProxy) => sessionService.createSession({
+    teacher: teacher._id,
+    subject: subject._id.toString(),
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    topic: 'Graphs',
+    sessionType: 'lecture',
+    antiProxy,
+    teacherIp: '10.1.2.5',
+  });
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+  });
+
+  describe('isOnClassroomNetwork', () => {
+    afterEach(() => {
+      delete process.env.ATTENDANCE_CAMPUS_NETWORKS;
+    });
+
+    it('should accept the teacher\'s subnet and configured campus networks', () => {
+      expect(antiProxyService.isOnClassroomNetwork('::ffff:10.1.2.77', '10.1.2.5')).toBe(true);
+      expect(antiProxyService.isOnClassroomNetwork('10.1.3.7', '10.1.2.5')).toBe(false);
+
+      process.env.ATTENDANCE_CAMPUS_NETWORKS = '10.0.0.0/8';
+      expect(antiProxyService.isOnClassroomNetwork('10.1.3.7', '10.1.2.5')).toBe(true);
+    });
+  });
+
+  describe('markWithCode', () => {
+    it('should bind the first device and reject marks from another one', async () => {
+      const student = await createClassStudent();
+      const first = await createSession({ deviceBinding: true });
+
+      await markingService.markWithCode(student._id, first.attendanceCode, { deviceId: 'phone-1' });
+      const bound = await User.findById(student._id);
+      expect(bound.studentDetails.attendanceDeviceId).toBe('phone-1');
+
+      await sessionService.finalizeSession(first.session._id, teacher._id);
+      const second = await createSession({ deviceBinding: true });
+
+      await expect(markingService.markWithCode(student._id, second.attendanceCode, { deviceId: 'laptop-2' }))
+        .rejects.toMatchObject({ statusCode: 403, reason: 'device_mismatch' });
+    });
+
+    it('should let a device mark for only one student per session', async () => {
+      const student = await createClassStudent();
+      const friend = await createClassStudent();
+      const { attendanceCode } = await createSession({ oneAccountPerDevice: true });
+
+      await markingService.markWithCode(student._id, attendanceCode, { deviceId: 'phone-1' });
+
+      await expect(markingService.markWithCode(friend._id, attendanceCode, { deviceId: 'phone-1' }))
+        .rejects.toMatchObject({ statusCode: 403, reason: 'device_shared' });
+    });
+
+    it('should reject marks from outside the classroom network', async () => {
+      const student = await createClassStudent();
+      const { attendanceCode } = await createSession({ networkCheck: true });
+
+      await expect(markingService.markWithCode(student._id, attendanceCode, { ip: '203.0.113.9' }))
+        .rejects.toMatchObject({ statusCode: 403, reason: 'network_mismatch' });
+
+      const result = await markingService.markWithCode(student._id, attendanceCode, { ip: '10.1.2.40' });
+      expect(result.record.status).toBe('present');
+    });
+
+    it('should list rejected attempts for the teacher', async () => {
+      const student = await createClassStudent();
+      const { attendanceCode, session } = await createSession({ deviceBinding: true });
+
+      await expect(markingService.markWithCode(student._id, attendanceCode, {}))
+        .rejects.toMatchObject({ reason: 'unknown_device' });
+
+      const attempts = await sessionService.getSuspiciousAttempts(session._id, teacher._id);
+
+      expect(attempts).toHaveLength(1);
+      expect(attempts[0]).toMatchObject({ reason: 'unknown_device' });
+      expect(String(attempts[0].student._id)).toBe(String(student._id));
+    });
+  });
+
+  describe('resetDeviceBinding', () => {
+    it('should clear the bound device for a teacher of the student\'s class', async () => {
+      const student = await createClassStudent();
+      await User.updateOne({ _id: student._id }, { 'studentDetails.attendanceDeviceId': 'phone-1' });
+
+      const result = await antiProxyService.resetDeviceBinding(student._id, teacher._id);
+
+      const updated = await User.findById(student._id);
+      expect(result.previousDeviceId).toBe('phone-1');
+      expect(updated.studentDetails.attendanceDeviceId).toBeUndefined();
+    });
+
+    it('should reject teachers of other classes', async () => {
+      const student = await createClassStudent();
+      const otherTeacher = await createTestTeacher({
+        email: `teacher-${generateObjectId()}@test.com`,
+        teacherDetails: { staffId: `STAFF-${generateObjectId()}`, department: 'Computer Science', assignments: [] },
+      });
+
+      await expect(antiProxyService.resetDeviceBinding(student._id, otherTeacher._id))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Rotating Attendance Code Tests
+ * Unit tests for TOTP code generation, the drift window and marking with rotating codes
+ */
+
+import codeRotationService from '../services/codeRotation.service.js';
+import sessionService from '../services/session.service.js';
+import markingService from '../services/marking.service.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Rotating Attendance Codes', () => {
+  describe('codeRotationService', () => {
+    // RFC 6238 test secret ("12345678901234567890"), 30-second steps
+    const rfcSecret = Buffer.from('12345678901234567890').toString('hex');
+
+    it('should produce the RFC 6238 8-digit codes', () => {
+      expect(codeRotationService.getCodeForStep(rfcSecret, Math.floor(59 / 30))).toBe('94287082');
+      expect(codeRotationService.getCodeForStep(rfcSecret, Math.floor(1111111109 / 30))).toBe('07081804');
+    });
+
+    it('should accept codes within the drift window only', () => {
+      const secret = codeRotationService.generateSecret();
+      const now = Date.now();
+      const step = codeRotationService.getStep(15, now);
+
+      const previous = codeRotationService.getCodeForStep(secret, step - 1);
+      const stale = codeRotationService.getCodeForStep(secret, step - 3);
+
+      expect(codeRotationService.verifyCode(secret, 15, previous, now)).toBe(true);
+      expect(codeRotationService.verifyCode(secret, 15, stale, now)).toBe(false);
+      expect(codeRotationService.verifyCode(secret, 15, '1234', now)).toBe(false);
+    });
+  });
+
+  describe('rotating sessions', () => {
+    let subject;
+    let teacher;
+    let student;
+
+    beforeEach(async () => {
+      subject = await createTestSubject({ semester: 3 });
+      teacher = await createTestTeacher({
+        teacherDetails: {
+          staffId: `STAFF-${generateObjectId()}`,
+          department: 'Computer Science',
+          assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+        },
+      });
+      student = await createTestStudent({
+        studentDetails: {
+          usn: `USN-${generateObjectId()}`,
+          batch: 2024,
+          semester: 3,
+          section: 'A',
+          applicationStatus: 'approved',
+          isStudentVerified: true,
+          enrolledSubjects: [subject._id],
+        },
+      });
+    });
+
+    afterEach(() => {
+      codeRotationService.timers.forEach((_, sessionId) => codeRotationService.stop(sessionId));
+    });
+
+    const createRotatingSession = () => sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: 'Heaps',
+      sessionType: 'lecture',
+      codeMode: 'rotating',
+      rotationSeconds: 15,
+    });
+
+    it('should create a session with a secret that is never returned', async () => {
+      const result = await createRotatingSession();
+
+      expect(result.codeMode).toBe('rotating');
+      expect(result.attendanceCode).toMatch(/^\d{8}$/);
+      expect(result.session.codeSecret).toBeUndefined();
+      expect(codeRotationService.timers.has(String(result.session._id))).toBe(true);
+    });
+
+    it('should mark attendance with the current code', async () => {
+      const { attendanceCode, session } = await createRotatingSession();
+
+      const result = await markingService.markWithCode(student._id, attendanceCode);
+
+      expect(String(result.session._id)).toBe(String(session._id));
+      expect(result.record.status).toBe('present');
+    });
+
+    it('should reject codes issued before a regeneration', async () => {
+      const { attendanceCode, session } = await createRotatingSession();
+
+      const regenerated = await sessionService.regenerateAttendanceCode(session._id, teacher._id);
+
+      expect(regenerated.attendanceCode).not.toBe(attendanceCode);
+      await expect(markingService.markWithCode(student._id, attendanceCode))
+        .rejects.toThrow('Invalid or expired attendance code');
+    });
+
+    it('should stop rotating when the session is finalized', async () => {
+      const { session } = await createRotatingSession();
+
+      await sessionService.finalizeSession(session._id, teacher._id);
+
+      const stored = await ClassSession.findById(session._id);
+      expect(stored.status).toBe('completed');
+      expect(codeRotationService.timers.has(String(session._id))).toBe(false);
+    });
+  });
+});
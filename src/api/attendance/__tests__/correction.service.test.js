@@ -0,0 +1,153 @@
+/**
+ * Correction Tests
+ * Unit tests for the record audit trail, student disputes and HOD approval
+ * of edits after the lock period
+ */
+
+import correctionService from '../services/correction.service.js';
+import markingService from '../services/marking.service.js';
+import sessionService from '../services/session.service.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import AuditLog from '../../../models/auditLogModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Correction Service', () => {
+  let subject;
+  let teacher;
+  let hod;
+  let student;
+  let session;
+  let record;
+
+  const finalize = (endedAt = new Date()) => ClassSession.updateOne(
+    { _id: session._id },
+    { status: 'completed', endedAt }
+  );
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3, department: 'Computer Science' });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    hod = await createTestTeacher({
+      email: `hod-${generateObjectId()}@test.com`,
+      roles: ['teacher', 'hod'],
+      teacherDetails: { staffId: `STAFF-${generateObjectId()}`, department: 'Computer Science' },
+    });
+    student = await createTestStudent({
+      studentDetails: {
+        usn: `USN-${generateObjectId()}`,
+        batch: 2024,
+        semester: 3,
+        section: 'A',
+        applicationStatus: 'approved',
+        isStudentVerified: true,
+        enrolledSubjects: [subject._id],
+      },
+    });
+
+    ({ session } = await sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: 'Heaps',
+      sessionType: 'lecture',
+    }));
+    record = await AttendanceRecord.findOne({ classSession: session._id, student: student._id });
+  });
+
+  it('should write a before/after entry with the reason for each edit', async () => {
+    await finalize();
+
+    await expect(markingService.markManually(record._id, 'present', teacher._id))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const { record: updated, correction } = await markingService.markManually(
+      record._id, 'present', teacher._id, { actor: teacher, reason: 'Marked on paper' }
+    );
+
+    expect(correction).toBeNull();
+    expect(updated.status).toBe('present');
+
+    const entries = await AuditLog.find({ entityType: 'AttendanceRecord', entityId: String(record._id) });
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ action: 'ATTENDANCE_RECORD_UPDATED', context: 'attendance', reason: 'Marked on paper' });
+    expect(entries[0].data.before.status).toBe('absent');
+    expect(entries[0].data.after.status).toBe('present');
+
+    await expect(AuditLog.updateOne({ _id: entries[0]._id }, { reason: 'changed' })).rejects.toThrow();
+  });
+
+  it('should answer 404 and 403 for records the teacher cannot edit', async () => {
+    await expect(markingService.markManually(generateObjectId(), 'present', teacher._id))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(markingService.markManually(record._id, 'present', hod._id))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    await ClassSession.deleteOne({ _id: session._id });
+    await expect(markingService.markManually(record._id, 'present', teacher._id))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should hold edits to locked records for HOD approval', async () => {
+    await finalize(new Date(Date.now() - 10 * DAY_MS));
+
+    const { correction } = await markingService.markManually(
+      record._id, 'present', teacher._id, { actor: teacher, reason: 'Late entry from lab' }
+    );
+
+    expect(correction).toMatchObject({ type: 'late_edit', status: 'pending_hod' });
+    expect((await AttendanceRecord.findById(record._id)).status).toBe('absent');
+
+    await expect(correctionService.reviewCorrection(correction._id, teacher, { decision: 'approved' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    const queue = await correctionService.getReviewQueue(hod);
+    expect(queue.map(c => String(c._id))).toContain(String(correction._id));
+
+    const approved = await correctionService.reviewCorrection(correction._id, hod, { decision: 'approved' });
+    expect(approved.status).toBe('approved');
+    expect((await AttendanceRecord.findById(record._id)).status).toBe('present');
+  });
+
+  it('should let the teacher resolve a student dispute', async () => {
+    const dispute = await correctionService.raiseDispute(student, { recordId: record._id, reason: 'I was in class' });
+    expect(dispute).toMatchObject({ type: 'dispute', status: 'pending', previousStatus: 'absent' });
+
+    await expect(correctionService.raiseDispute(student, { recordId: record._id, reason: 'Again' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const resolved = await correctionService.reviewCorrection(dispute._id, teacher, { decision: 'approved', comment: 'Checked' });
+    expect(resolved.status).toBe('approved');
+
+    const { history, corrections } = await correctionService.getRecordHistory(record._id, student);
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ reason: 'Dispute: I was in class (Checked)' });
+    expect(history[0]).not.toHaveProperty('ipAddress');
+    expect(corrections).toHaveLength(1);
+  });
+
+  it('should send an approved dispute on a locked record on to an HOD', async () => {
+    await finalize(new Date(Date.now() - 10 * DAY_MS));
+
+    const dispute = await correctionService.raiseDispute(student, { recordId: record._id, reason: 'I was in class' });
+    const reviewed = await correctionService.reviewCorrection(dispute._id, teacher, { decision: 'approved' });
+
+    expect(reviewed.status).toBe('pending_hod');
+    expect((await AttendanceRecord.findById(record._id)).status).toBe('absent');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Eligibility Tests
+ * Unit tests for eligibility statuses, the classes-you-can-miss projection,
+ * department rules and shortage alerts
+ */
+
+import eligibilityService, { DEFAULT_POLICY } from '../services/eligibility.service.js';
+import sessionService from '../services/session.service.js';
+import AttendancePolicy from '../../../models/attendancePolicyModel.js';
+import Notification from '../../../models/notificationModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Eligibility Service', () => {
+  describe('evaluate', () => {
+    it('should project the classes that can still be missed', () => {
+      const result = eligibilityService.evaluate(
+        { totalClasses: 20, presentCount: 16, excusedCount: 0 }, 75, DEFAULT_POLICY, 'exclude'
+      );
+
+      // 16/21 = 76.2%, 16/22 = 72.7%
+      expect(result).toMatchObject({ percentage: 80, status: 'eligible', canMiss: 1, mustAttend: 0 });
+    });
+
+    it('should count the classes needed to recover and apply the bands', () => {
+      const stats = { totalClasses: 20, presentCount: 14, excusedCount: 0 };
+
+      // 18/24 = 75%
+      expect(eligibilityService.evaluate(stats, 75, DEFAULT_POLICY, 'exclude'))
+        .toMatchObject({ percentage: 70, status: 'shortage', canMiss: 0, mustAttend: 4 });
+      expect(eligibilityService.evaluate(stats, 75, { ...DEFAULT_POLICY, condonationBand: 10 }, 'exclude').status)
+        .toBe('condonable');
+      expect(eligibilityService.evaluate(stats, 68, DEFAULT_POLICY, 'exclude').status).toBe('warning');
+    });
+
+    it('should leave excused classes out under the exclude rule', () => {
+      const stats = { totalClasses: 10, presentCount: 6, excusedCount: 2 };
+
+      expect(eligibilityService.evaluate(stats, 75, DEFAULT_POLICY, 'exclude').percentage).toBe(75);
+      expect(eligibilityService.evaluate(stats, 75, DEFAULT_POLICY, 'absent').percentage).toBe(60);
+    });
+  });
+
+  describe('with attendance records', () => {
+    let subject;
+    let teacher;
+    let student;
+
+    const createSession = () => sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: 'Hashing',
+      sessionType: 'lecture',
+    });
+
+    beforeEach(async () => {
+      subject = await createTestSubject({ semester: 3, department: 'Computer Science' });
+      teacher = await createTestTeacher({
+        teacherDetails: {
+          staffId: `STAFF-${generateObjectId()}`,
+          department: 'Computer Science',
+          assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+        },
+      });
+      student = await createTestStudent({
+        studentDetails: {
+          usn: `USN-${generateObjectId()}`,
+          batch: 2024,
+          semester: 3,
+          section: 'A',
+          applicationStatus: 'approved',
+          isStudentVerified: true,
+          enrolledSubjects: [subject._id],
+          mentor: teacher._id,
+        },
+      });
+    });
+
+    it('should use department rules over the institution rules', async () => {
+      await AttendancePolicy.create({ department: null, overallMinimum: 80 });
+      await AttendancePolicy.create({ department: 'Computer Science', subjectMinimum: 70, overallMinimum: 90 });
+
+      expect(await eligibilityService.getMinimum(subject._id)).toBe(70);
+      expect(await eligibilityService.getMinimum()).toBe(80);
+
+      await createSession();
+      const eligibility = await eligibilityService.getStudentEligibility(student._id);
+
+      expect(eligibility.subjects[0].policy.minimum).toBe(70);
+      expect(eligibility.overall.policy.minimum).toBe(90);
+    });
+
+    it('should alert the student and mentor once per worse band', async () => {
+      await createSession();
+      await createSession();
+
+      const eligibility = await eligibilityService.getStudentEligibility(student._id);
+      expect(eligibility.subjects[0]).toMatchObject({ status: 'shortage', mustAttend: 6, recentPercentage: 0 });
+
+      expect(await eligibilityService.evaluateStudent(student._id)).toBe(2);
+      expect(await eligibilityService.evaluateStudent(student._id)).toBe(0);
+
+      expect(await Notification.countDocuments({ user: student._id, type: 'attendance_alert' })).toBe(1);
+      expect(await Notification.countDocuments({ user: teacher._id, type: 'attendance_alert' })).toBe(1);
+    });
+
+    it('should not alert when alerts are turned off', async () => {
+      await AttendancePolicy.create({ department: null, alertsEnabled: false });
+      await createSession();
+
+      const result = await eligibilityService.runAlerts(new Date(Date.now() - 60 * 1000));
+
+      expect(result).toMatchObject({ checked: 1, alerted: 0, failed: 0 });
+      expect(await Notification.countDocuments({ type: 'attendance_alert' })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Leave Tests
+ * Unit tests for leave and medical excuse requests, their review and how
+ * excused absences count towards attendance statistics
+ */
+
+import leaveService from '../services/leave.service.js';
+import sessionService from '../services/session.service.js';
+import markingService from '../services/marking.service.js';
+import statsService from '../services/stats.service.js';
+import correctionService from '../services/correction.service.js';
+import AttendanceCorrection from '../../../models/attendanceCorrectionModel.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  createTestUser,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe('Leave Service', () => {
+  let subject;
+  let otherSubject;
+  let teacher;
+  let student;
+
+  const createSession = () => sessionService.createSession({
+    teacher: teacher._id,
+    subject: subject._id.toString(),
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    topic: 'Heaps',
+    sessionType: 'lecture',
+  });
+
+  const requestLeave = (overrides = {}) => leaveService.createRequest(student, {
+    type: 'leave',
+    reason: 'Family function',
+    fromDate: today(),
+    toDate: today(),
+    subjects: [subject._id.toString()],
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.TIMETABLE_TIMEZONE = 'UTC';
+  });
+
+  afterAll(() => {
+    delete process.env.TIMETABLE_TIMEZONE;
+  });
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    otherSubject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    student = await createTestStudent({
+      studentDetails: {
+        usn: `USN-${generateObjectId()}`,
+        batch: 2024,
+        semester: 3,
+        section: 'A',
+        applicationStatus: 'approved',
+        isStudentVerified: true,
+        enrolledSubjects: [subject._id, otherSubject._id],
+      },
+    });
+  });
+
+  describe('createRequest', () => {
+    it('should reject overlapping requests', async () => {
+      await requestLeave();
+
+      await expect(requestLeave({ subjects: [otherSubject._id.toString()] }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should require a document for medical excuses', async () => {
+      await expect(requestLeave({ type: 'medical' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject subjects the student is not enrolled in', async () => {
+      const notEnrolled = await createTestSubject({ semester: 3 });
+
+      await expect(requestLeave({ subjects: [notEnrolled._id.toString()] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('reviewRequest', () => {
+    it('should excuse absences in covered sessions on approval', async () => {
+      const { session } = await createSession();
+      const request = await requestLeave();
+
+      const reviewed = await leaveService.reviewRequest(request._id, teacher, { decision: 'approved' });
+
+      expect(reviewed.status).toBe('approved');
+      expect(reviewed.excusedCount).toBe(1);
+      const record = await AttendanceRecord.findOne({ classSession: session._id, student: student._id });
+      expect(record.status).toBe('excused');
+      expect(String(record.leaveRequest)).toBe(String(request._id));
+    });
+
+    it('should audit excused records and hold locked sessions for an HOD', async () => {
+      const { session: open } = await createSession();
+      const { session: locked } = await createSession();
+      await ClassSession.updateOne(
+        { _id: locked._id },
+        { status: 'completed', endedAt: new Date(Date.now() - 10 * 24 * 60 * 60 * 1000) }
+      );
+      const request = await requestLeave();
+
+      const reviewed = await leaveService.reviewRequest(request._id, teacher, { decision: 'approved' });
+      expect(reviewed).toMatchObject({ excusedCount: 1, pendingHodCount: 1 });
+
+      const record = await AttendanceRecord.findOne({ classSession: open._id, student: student._id });
+      const { history } = await correctionService.getRecordHistory(record._id, teacher);
+      expect(history).toEqual([expect.objectContaining({
+        reason: `leave:${request._id}`,
+        before: expect.objectContaining({ status: 'absent' }),
+        after: expect.objectContaining({ status: 'excused', markedMethod: 'leave' }),
+      })]);
+
+      const lockedRecord = await AttendanceRecord.findOne({ classSession: locked._id, student: student._id });
+      expect(lockedRecord.status).toBe('absent');
+      const correction = await AttendanceCorrection.findOne({ record: lockedRecord._id });
+      expect(correction).toMatchObject({ type: 'late_edit', status: 'pending_hod', requestedStatus: 'excused' });
+
+      const hod = await createTestUser({ role: 'hod' });
+      await correctionService.reviewCorrection(correction._id, hod, { decision: 'approved' });
+      const excused = await AttendanceRecord.findById(lockedRecord._id);
+      expect(excused).toMatchObject({ status: 'excused', markedMethod: 'leave' });
+      expect(String(excused.leaveRequest)).toBe(String(request._id));
+    });
+
+    it('should start sessions created during approved leave as excused', async () => {
+      const request = await requestLeave();
+      await leaveService.reviewRequest(request._id, teacher, { decision: 'approved' });
+
+      const { session } = await createSession();
+
+      const record = await AttendanceRecord.findOne({ classSession: session._id, student: student._id });
+      expect(record.status).toBe('excused');
+      expect(record.markedMethod).toBe('leave');
+    });
+
+    it('should leave multi-subject requests to HODs', async () => {
+      const hod = await createTestUser({ role: 'hod' });
+      const request = await requestLeave({ subjects: [subject._id.toString(), otherSubject._id.toString()] });
+
+      expect(request.reviewerRole).toBe('hod');
+      await expect(leaveService.reviewRequest(request._id, teacher, { decision: 'approved' }))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(await leaveService.getReviewQueue(teacher)).toHaveLength(0);
+
+      const queue = await leaveService.getReviewQueue(hod);
+      expect(queue).toHaveLength(1);
+
+      const reviewed = await leaveService.reviewRequest(request._id, hod, { decision: 'rejected', comment: 'No reason given' });
+      expect(reviewed.status).toBe('rejected');
+      await expect(leaveService.reviewRequest(request._id, hod, { decision: 'approved' }))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('excused rule', () => {
+    afterEach(() => {
+      delete process.env.ATTENDANCE_EXCUSED_RULE;
+    });
+
+    it('should count excused classes according to the rule', async () => {
+      await createSession();
+      const request = await requestLeave();
+      await leaveService.reviewRequest(request._id, teacher, { decision: 'approved' });
+
+      // Attends a later class despite the leave
+      const second = await createSession();
+      await markingService.markWithCode(student._id, second.attendanceCode);
+
+      const excluded = await statsService.getStudentOverallStats(student._id);
+      expect(excluded).toMatchObject({ totalClasses: 2, presentCount: 1, excusedCount: 1, attendancePercentage: 100 });
+
+      const asAbsent = await statsService.getStudentOverallStats(student._id, { excusedRule: 'absent' });
+      expect(asAbsent.attendancePercentage).toBe(50);
+
+      process.env.ATTENDANCE_EXCUSED_RULE = 'present';
+      const asPresent = await statsService.getStudentOverallStats(student._id);
+      expect(asPresent.attendancePercentage).toBe(100);
+    });
+  });
+});
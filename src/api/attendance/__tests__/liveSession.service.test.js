@@ -0,0 +1,94 @@
+/**
+ * Live Session Tests
+ * Unit tests for socket room authorisation and the resync state
+ */
+
+import liveSessionService from '../services/liveSession.service.js';
+import sessionService from '../services/session.service.js';
+import markingService from '../services/marking.service.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Live Session Service', () => {
+  let subject;
+  let teacher;
+  let student;
+  let session;
+  let code;
+
+  const studentDetails = (section) => ({
+    usn: `USN-${generateObjectId()}`,
+    batch: 2024,
+    semester: 3,
+    section,
+    applicationStatus: 'approved',
+    isStudentVerified: true,
+    enrolledSubjects: [subject._id],
+  });
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    student = await createTestStudent({ studentDetails: studentDetails('A') });
+
+    const created = await sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: 'Graphs',
+      sessionType: 'lecture',
+    });
+    session = created.session;
+    code = created.attendanceCode;
+  });
+
+  it('should only let the owning teacher and enrolled students join', async () => {
+    const otherTeacher = await createTestTeacher({
+      email: `other-${generateObjectId()}@test.com`,
+      teacherDetails: { staffId: `STAFF-${generateObjectId()}` },
+    });
+    const otherStudent = await createTestStudent({
+      email: `b-${generateObjectId()}@test.com`,
+      studentDetails: studentDetails('B'),
+    });
+
+    await expect(liveSessionService.authorizeJoin(teacher, session._id.toString())).resolves.toBe('teacher');
+    await expect(liveSessionService.authorizeJoin(student, session._id.toString())).resolves.toBe('student');
+
+    await expect(liveSessionService.authorizeJoin(otherTeacher, session._id.toString()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(liveSessionService.authorizeJoin(otherStudent, session._id.toString()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(liveSessionService.authorizeJoin(teacher, generateObjectId().toString()))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(liveSessionService.authorizeJoin(teacher, 'not-an-id'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should send the teacher the roster, counter and code, and a student only their record', async () => {
+    await markingService.markWithCode(student._id, code);
+
+    const teacherState = await liveSessionService.getSessionState(session._id, teacher, 'teacher');
+    expect(teacherState).toMatchObject({ status: 'active', summary: { totalStudents: 1, presentCount: 1 } });
+    expect(teacherState.records).toEqual([
+      expect.objectContaining({ status: 'present', markedMethod: 'code' }),
+    ]);
+    expect(teacherState.code).toMatchObject({ codeMode: 'static', attendanceCode: code });
+
+    const studentState = await liveSessionService.getSessionState(session._id, student, 'student');
+    expect(studentState.record).toMatchObject({ status: 'present' });
+    expect(studentState).not.toHaveProperty('records');
+    expect(studentState).not.toHaveProperty('code');
+  });
+});
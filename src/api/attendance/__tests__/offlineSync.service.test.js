@@ -0,0 +1,174 @@
+/**
+ * Offline Sync Tests
+ * Unit tests for signed offline batches, idempotent replays and conflicts
+ * with code marks
+ */
+
+import offlineSyncService from '../services/offlineSync.service.js';
+import sessionService from '../services/session.service.js';
+import markingService from '../services/marking.service.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import AttendanceSyncBatch from '../../../models/attendanceSyncBatchModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Offline Sync Service', () => {
+  let subject;
+  let teacher;
+  let students;
+  let session;
+
+  const signed = (roster, updates, overrides = {}) => {
+    const batch = {
+      batchId: `batch-${generateObjectId()}`,
+      syncToken: roster.syncToken,
+      updates,
+      ...overrides,
+    };
+    const signature = offlineSyncService.signBatch(roster.signingKey, { ...batch, sessionId: session._id });
+    return { ...batch, signature };
+  };
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+
+    const studentDetails = () => ({
+      usn: `USN-${generateObjectId()}`,
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      applicationStatus: 'approved',
+      isStudentVerified: true,
+      enrolledSubjects: [subject._id],
+    });
+
+    students = [
+      await createTestStudent({ studentDetails: studentDetails() }),
+      await createTestStudent({ studentDetails: studentDetails() }),
+    ];
+
+    ({ session } = await sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: 'Sorting lab',
+      sessionType: 'lab',
+    }));
+
+    // Records created in the same millisecond as the download would count as changed
+    await pause(5);
+  });
+
+  const recordOf = (roster, student) => roster.records
+    .find((r) => r.student._id.toString() === student._id.toString());
+
+  it('should apply a signed batch once and replay the result on retry', async () => {
+    const roster = await offlineSyncService.getOfflineRoster(session._id, teacher._id);
+    expect(roster.records).toHaveLength(2);
+
+    const batch = signed(roster, [
+      { recordId: recordOf(roster, students[0]).recordId.toString(), status: 'present', markedAt: new Date().toISOString() },
+      { recordId: recordOf(roster, students[1]).recordId.toString(), status: 'late', markedAt: new Date().toISOString() },
+    ]);
+
+    const first = await offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch);
+    expect(first).toMatchObject({ replayed: false, conflicts: [], rejected: [] });
+    expect(first.records).toHaveLength(2);
+
+    const record = await AttendanceRecord.findOne({ classSession: session._id, student: students[0]._id });
+    expect(record).toMatchObject({ status: 'present', markedMethod: 'offline' });
+
+    const retry = await offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch);
+    expect(retry.replayed).toBe(true);
+    expect(retry.applied.map(String).sort()).toEqual(first.applied.map(String).sort());
+  });
+
+  it('should take over a batch left processing once its lease has ended', async () => {
+    const roster = await offlineSyncService.getOfflineRoster(session._id, teacher._id);
+    const batch = signed(roster, [
+      { recordId: recordOf(roster, students[0]).recordId.toString(), status: 'present' },
+    ]);
+    await offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch);
+
+    // As if the process died between claiming the batch and completing it
+    const claim = { teacher: teacher._id, batchId: batch.batchId };
+    await AttendanceSyncBatch.updateOne(claim, { status: 'processing', result: null });
+    await expect(offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    await AttendanceSyncBatch.updateOne(claim, { updatedAt: new Date(Date.now() - 10 * 60 * 1000) }, { timestamps: false });
+    const retry = await offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch);
+
+    expect(retry.replayed).toBe(false);
+    expect(await AttendanceSyncBatch.findOne(claim).lean()).toMatchObject({ status: 'completed' });
+  });
+
+  it('should report a code mark made after the download as a conflict', async () => {
+    const roster = await offlineSyncService.getOfflineRoster(session._id, teacher._id);
+    const recordId = recordOf(roster, students[0]).recordId.toString();
+
+    await pause(5);
+    const record = await AttendanceRecord.findById(recordId);
+    await record.markPresent('code');
+
+    const result = await offlineSyncService.syncBatch(session._id.toString(), teacher._id, signed(roster, [
+      { recordId, status: 'absent', markedAt: new Date(Date.now() - 60 * 1000).toISOString() },
+      { recordId: generateObjectId().toString(), status: 'present' },
+    ]));
+
+    expect(result.records).toHaveLength(0);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ type: 'code_mark', resolution: 'server' }),
+    ]);
+    expect(result.rejected).toEqual([expect.objectContaining({ reason: 'not_found' })]);
+    expect((await AttendanceRecord.findById(recordId)).status).toBe('present');
+  });
+
+  it('should reject a batch whose contents do not match the signature', async () => {
+    const roster = await offlineSyncService.getOfflineRoster(session._id, teacher._id);
+    const batch = signed(roster, [
+      { recordId: recordOf(roster, students[0]).recordId.toString(), status: 'absent' },
+    ]);
+    batch.updates[0].status = 'present';
+
+    await expect(offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should return 404 for a batch whose session was deleted', async () => {
+    const roster = await offlineSyncService.getOfflineRoster(session._id, teacher._id);
+    const batch = signed(roster, [
+      { recordId: recordOf(roster, students[0]).recordId.toString(), status: 'absent' },
+    ]);
+    await ClassSession.deleteOne({ _id: session._id });
+
+    await expect(offlineSyncService.syncBatch(session._id.toString(), teacher._id, batch))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should keep bulk updates all-or-nothing without the sync options', async () => {
+    const roster = await offlineSyncService.getOfflineRoster(session._id, teacher._id);
+
+    await expect(markingService.bulkUpdateAttendance([
+      { recordId: recordOf(roster, students[0]).recordId.toString(), status: 'present' },
+      { recordId: generateObjectId().toString(), status: 'present' },
+    ], teacher._id)).rejects.toMatchObject({ statusCode: 404 });
+
+    expect(await AttendanceRecord.countDocuments({ classSession: session._id, status: 'present' })).toBe(0);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Register Tests
+ * Unit tests for the attendance register (students by sessions) and its
+ * CSV export
+ */
+
+import { Writable } from 'stream';
+import registerService from '../services/register.service.js';
+import sessionService from '../services/session.service.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import { streamTable } from '../../../services/export.service.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+/**
+ * Minimal response that collects the streamed body
+ */
+const collectResponse = () => {
+  const chunks = [];
+  const res = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  res.headers = {};
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.body = () => Buffer.concat(chunks).toString('utf8');
+  return res;
+};
+
+describe('Register Service', () => {
+  let subject;
+  let teacher;
+  let students;
+
+  const createSession = (by = teacher) => sessionService.createSession({
+    teacher: by._id,
+    subject: subject._id.toString(),
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    topic: 'Graphs',
+    sessionType: 'lecture',
+  }).then(({ session }) => session);
+
+  const setStatus = (session, student, status) => AttendanceRecord.updateOne(
+    { classSession: session._id, student: student._id },
+    { status }
+  );
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3, subjectCode: 'CS305' });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+
+    const studentDetails = (usn) => ({
+      usn,
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      applicationStatus: 'approved',
+      isStudentVerified: true,
+      enrolledSubjects: [subject._id],
+    });
+
+    students = [
+      await createTestStudent({ name: 'Bala R', studentDetails: studentDetails('1MS24CS002') }),
+      await createTestStudent({ name: 'Asha K', studentDetails: studentDetails('1MS24CS001') }),
+    ];
+  });
+
+  it('should build one row of marks and totals per student, ordered by name', async () => {
+    const first = await createSession();
+    const second = await createSession();
+    await setStatus(first, students[1], 'present');
+    await setStatus(second, students[1], 'excused');
+    await setStatus(first, students[0], 'late');
+
+    const register = await registerService.getRegister(
+      { batch: 2024, semester: 3, section: 'A', subjectId: subject._id.toString() },
+      { excusedRule: 'exclude' }
+    );
+
+    expect(register.columns).toHaveLength(2 + 2 + 6);
+    expect(register.rows).toEqual([
+      ['1MS24CS001', 'Asha K', 'P', 'E', 1, 0, 0, 1, 2, 100],
+      ['1MS24CS002', 'Bala R', 'L', 'A', 0, 1, 1, 0, 2, 0],
+    ]);
+  });
+
+  it('should limit the register to one teacher\'s sessions', async () => {
+    const other = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    await createSession();
+    await createSession(other);
+
+    const register = await registerService.buildRegister({
+      batch: 2024, semester: 3, section: 'A', teacherId: teacher._id.toString(),
+    });
+
+    expect(register.sessions).toHaveLength(1);
+    expect(register.title).toContain('CS305');
+  });
+
+  it('should stream the register as CSV', async () => {
+    const session = await createSession();
+    await setStatus(session, students[1], 'present');
+
+    const register = await registerService.buildRegister({ batch: 2024, semester: 3, section: 'A' });
+    const res = collectResponse();
+    await streamTable(res, 'csv', register);
+
+    expect(res.headers['content-type']).toContain('text/csv');
+    expect(res.headers['content-disposition']).toContain('attendance-register-2024-3A-CS305.csv');
+
+    const lines = res.body().replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+    expect(lines.some((line) => line.startsWith('USN,Name,'))).toBe(true);
+    expect(lines).toContain('1MS24CS001,Asha K,P,1,0,0,0,1,100');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Stats Tests
+ * Unit tests for the student calendar and the class heatmap
+ */
+
+import statsService from '../services/stats.service.js';
+import sessionService from '../services/session.service.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Stats Service', () => {
+  let subject;
+  let teacher;
+  let students;
+  let sessions;
+
+  const classParams = () => ({ batch: 2024, semester: 3, section: 'A', subjectId: subject._id.toString() });
+
+  const createSessionAt = async (startTime, sessionType) => {
+    const { session } = await sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: `Topic ${startTime}`,
+      sessionType,
+    });
+    await ClassSession.updateOne({ _id: session._id }, { startTime: new Date(startTime), status: 'completed' });
+    return session;
+  };
+
+  const mark = (session, student, status) => AttendanceRecord.updateOne(
+    { classSession: session._id, student: student._id },
+    { status }
+  );
+
+  beforeAll(() => {
+    process.env.TIMETABLE_TIMEZONE = 'UTC';
+  });
+
+  afterAll(() => {
+    delete process.env.TIMETABLE_TIMEZONE;
+  });
+
+  beforeEach(async () => {
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+
+    const studentDetails = () => ({
+      usn: `USN-${generateObjectId()}`,
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      applicationStatus: 'approved',
+      isStudentVerified: true,
+      enrolledSubjects: [subject._id],
+    });
+
+    students = [
+      await createTestStudent({ name: 'Asha', studentDetails: studentDetails() }),
+      await createTestStudent({ name: 'Ravi', studentDetails: studentDetails() }),
+    ];
+
+    // Wednesday and Monday of consecutive weeks, and one in April
+    sessions = [
+      await createSessionAt('2025-03-05T09:00:00Z', 'lecture'),
+      await createSessionAt('2025-03-10T11:00:00Z', 'lab'),
+      await createSessionAt('2025-04-02T09:00:00Z', 'lecture'),
+    ];
+
+    await mark(sessions[0], students[0], 'present');
+    await mark(sessions[1], students[0], 'late');
+    await mark(sessions[1], students[1], 'present');
+  });
+
+  it('should return one cell per session, grouped by day, for the month', async () => {
+    const calendar = await statsService.getStudentCalendar(students[0]._id, { month: '2025-03' });
+
+    expect(calendar).toMatchObject({ from: '2025-03-01', to: '2025-03-31', timeZone: 'UTC' });
+    expect(calendar.days.map(day => day.date)).toEqual(['2025-03-05', '2025-03-10']);
+    expect(calendar.days[0]).toMatchObject({ totalClasses: 1, presentCount: 1 });
+    expect(calendar.days[1].cells).toEqual([
+      expect.objectContaining({
+        status: 'late',
+        sessionType: 'lab',
+        subject: expect.objectContaining({ name: subject.name }),
+        teacher: expect.objectContaining({ name: teacher.name }),
+      }),
+    ]);
+
+    await expect(statsService.getStudentCalendar(students[0]._id, { from: '2025-01-01', to: '2025-06-30' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('should build a students × weeks heatmap starting on a Monday', async () => {
+    const heatmap = await statsService.getClassHeatmap(classParams(), teacher._id, { from: '2025-03-05', to: '2025-03-16' });
+
+    expect(heatmap.weeks).toEqual(['2025-03-03', '2025-03-10']);
+    expect(heatmap.students.map(s => s.studentName)).toEqual(['Asha', 'Ravi']);
+
+    const [asha, ravi] = heatmap.students;
+    expect(asha).toMatchObject({ totalClasses: 2, presentCount: 1, lateCount: 1, attendancePercentage: 50 });
+    expect(asha.cells[0]).toMatchObject({ week: '2025-03-03', presentCount: 1, attendancePercentage: 100 });
+    expect(ravi.cells[0]).toMatchObject({ absentCount: 1, attendancePercentage: 0 });
+    expect(ravi.cells[1]).toMatchObject({ presentCount: 1 });
+
+    const otherTeacher = await createTestTeacher({
+      email: `other-${generateObjectId()}@test.com`,
+      teacherDetails: { staffId: `STAFF-${generateObjectId()}` },
+    });
+    await expect(statsService.getClassHeatmap(classParams(), otherTeacher._id))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Timetable Tests
+ * Unit tests for slot occurrences, starting sessions from the timetable,
+ * the slot-time scheduler job and the missed-class report
+ */
+
+import timetableService from '../services/timetable.service.js';
+import sessionService from '../services/session.service.js';
+import AcademicTerm from '../../../models/academicTermModel.js';
+import TimetableSlot from '../../../models/timetableSlotModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import Notification from '../../../models/notificationModel.js';
+import {
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10);
+const addDays = (dateKey, days) => new Date(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+const at = (dateKey, time) => new Date(`${dateKey}T${time}:00Z`);
+
+describe('Timetable Service', () => {
+  let subject;
+  let teacher;
+  let term;
+  let day; // a class day a week from now
+
+  const createSlot = (overrides = {}) => TimetableSlot.create({
+    term: term._id,
+    teacher: teacher._id,
+    subject: subject._id,
+    batch: 2024,
+    semester: 3,
+    section: 'A',
+    dayOfWeek: new Date(`${day}T00:00:00Z`).getUTCDay(),
+    startTime: '09:00',
+    endTime: '10:00',
+    room: 'LH-101',
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.TIMETABLE_TIMEZONE = 'UTC';
+  });
+
+  afterAll(() => {
+    delete process.env.TIMETABLE_TIMEZONE;
+  });
+
+  beforeEach(async () => {
+    day = dayFromNow(8);
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        department: 'Computer Science',
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+    await createTestStudent({
+      studentDetails: {
+        usn: `USN-${generateObjectId()}`,
+        batch: 2024,
+        semester: 3,
+        section: 'A',
+        applicationStatus: 'approved',
+        isStudentVerified: true,
+        enrolledSubjects: [subject._id],
+      },
+    });
+    term = await AcademicTerm.create({
+      name: 'Odd Semester',
+      startDate: new Date(`${dayFromNow(-1)}T00:00:00Z`),
+      endDate: new Date(`${dayFromNow(60)}T00:00:00Z`),
+      holidays: [{ date: new Date(`${addDays(day, 7)}T00:00:00Z`), name: 'Founders Day' }],
+    });
+  });
+
+  describe('getOccurrences', () => {
+    it('should repeat weekly and skip holidays', async () => {
+      const slot = await createSlot();
+
+      const occurrences = await timetableService.getOccurrences({ _id: slot._id }, day, addDays(day, 14));
+
+      expect(occurrences.map(o => o.date)).toEqual([day, addDays(day, 14)]);
+      expect(occurrences[0].start).toEqual(at(day, '09:00'));
+      expect(occurrences[0].end).toEqual(at(day, '10:00'));
+    });
+  });
+
+  describe('startSlotSession', () => {
+    it('should link the session to the slot occurrence once', async () => {
+      const slot = await createSlot();
+      const now = at(day, '09:05');
+
+      const result = await timetableService.startSlotSession(slot._id, teacher._id, { topic: 'Trees' }, now);
+
+      expect(String(result.session.timetableSlot)).toBe(String(slot._id));
+      expect(result.session.scheduledStart).toEqual(at(day, '09:00'));
+
+      await expect(timetableService.startSlotSession(slot._id, teacher._id, {}, now))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should reject starting a class outside its time', async () => {
+      const slot = await createSlot();
+
+      await expect(timetableService.startSlotSession(slot._id, teacher._id, {}, at(day, '07:00')))
+        .rejects.toMatchObject({ statusCode: 400 });
+      await expect(timetableService.startSlotSession(slot._id, teacher._id, {}, at(addDays(day, 1), '09:05')))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('triggerDueSlots', () => {
+    it('should create the session for auto slots once', async () => {
+      const slot = await createSlot({ sessionMode: 'auto' });
+
+      const first = await timetableService.triggerDueSlots(at(day, '08:50'));
+      const second = await timetableService.triggerDueSlots(at(day, '08:55'));
+
+      expect(first.created).toBe(1);
+      expect(second.created).toBe(0);
+      expect(await ClassSession.countDocuments({ timetableSlot: slot._id })).toBe(1);
+    });
+
+    it('should remind the teacher for suggest slots', async () => {
+      await createSlot({ sessionMode: 'suggest' });
+
+      const result = await timetableService.triggerDueSlots(at(day, '09:00'));
+
+      expect(result.suggested).toBe(1);
+      expect(await Notification.countDocuments({ user: teacher._id, type: 'class_reminder' })).toBe(1);
+      expect(await ClassSession.countDocuments({ teacher: teacher._id })).toBe(0);
+    });
+  });
+
+  describe('getMissedClasses', () => {
+    it('should count ad hoc sessions in the slot time and report the rest', async () => {
+      await createSlot();
+      const adHoc = await sessionService.createSession({
+        teacher: teacher._id,
+        subject: subject._id.toString(),
+        batch: 2024,
+        semester: 3,
+        section: 'A',
+        topic: 'Trees',
+        sessionType: 'lecture',
+      });
+      await ClassSession.updateOne({ _id: adHoc.session._id }, { startTime: at(day, '09:10') });
+
+      const report = await timetableService.getMissedClasses(
+        { teacher: teacher._id, from: day, to: addDays(day, 21) },
+        at(addDays(day, 21), '12:00')
+      );
+
+      // day: held, day + 7: holiday, day + 14 and day + 21: missed
+      expect(report.scheduled).toBe(3);
+      expect(report.held).toBe(1);
+      expect(report.classes.map(c => c.date)).toEqual([addDays(day, 14), addDays(day, 21)]);
+      expect(report.byTeacher[0]).toMatchObject({ scheduled: 3, missed: 2 });
+    });
+
+    it('should reject ranges that are out of order', async () => {
+      await expect(timetableService.getMissedClasses({ from: day, to: addDays(day, -1) }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
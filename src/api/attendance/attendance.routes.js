@@ -2,6 +2,8 @@ import express from 'express';
 import teacherRoutes from './routes/teacher.routes.js';
 import studentRoutes from './routes/student.routes.js';
 import statsRoutes from './routes/stats.routes.js';
+import leaveRoutes from './routes/leave.routes.js';
+import correctionRoutes from './routes/correction.routes.js';
 
 const router = express.Router();
 
@@ -20,4 +22,10 @@ router.use('/student', studentRoutes);
 // Stats routes
 router.use('/stats', statsRoutes);
 
+// Leave & medical excuse routes
+router.use('/leave', leaveRoutes);
+
+// Disputes, locked-record approvals and record history
+router.use('/corrections', correctionRoutes);
+
 export default router;
@@ -1,105 +1,205 @@
 /**
- * Attendance Socket Handler (Phase 0 - Attendance Domain)
- * 
- * Handles real-time attendance updates via Socket.IO
+ * Attendance Socket Handler (Attendance Domain)
+ *
+ * Live session dashboard over Socket.IO. Each session has two rooms:
+ * - `session_<id>`: the owning teacher's screens. Every mark and edit, the
+ *   running counter, regenerated static codes and finalisation.
+ * - `session_<id>_students`: enrolled students. Finalisation only; changes to
+ *   a student's own record go to their user room.
+ * Joins are checked by LiveSessionService.authorizeJoin. The join reply and
+ * `resync-session` carry the current state, so clients rejoin after a
+ * reconnect instead of replaying missed events. Rotating codes are pushed by
+ * codeRotation.service.js to the teacher's user room.
  */
 
+import AttendanceRecord from '../../models/attendanceRecordModel.js';
+import { emitToRoom, emitToUser, isIoAttached } from '../_common/socket/sessionRegistry.js';
+import liveSessionService from './services/liveSession.service.js';
+
+// Marks arrive in bursts when a code goes up; recount at most this often
+const COUNTER_DELAY_MS = 500;
+
+/**
+ * Answer through the acknowledgement callback when the client sent one,
+ * otherwise with an event
+ */
+const reply = (socket, ack, event, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  } else {
+    socket.emit(event, payload);
+  }
+};
+
+const fail = (socket, ack, sessionId, error) => {
+  if (!error.statusCode) {
+    console.error('[Attendance] Socket error:', error);
+  }
+  reply(socket, ack, 'error', {
+    success: false,
+    sessionId,
+    message: error.statusCode ? error.message : 'Could not load the session'
+  });
+};
+
+// Legacy clients (college module) send the bare session ID
+const readSessionId = (data) => String((typeof data === 'string' ? data : data?.sessionId) || '');
+
 class AttendanceSocketHandler {
+  constructor() {
+    // sessionId -> pending counter timeout
+    this.counterTimers = new Map();
+  }
+
+  /**
+   * @param {string} sessionId - Class session ID
+   * @returns {string} Teacher room
+   */
+  getRoom(sessionId) {
+    return `session_${sessionId}`;
+  }
+
+  /**
+   * @param {string} sessionId - Class session ID
+   * @returns {string} Student room
+   */
+  getStudentRoom(sessionId) {
+    return `session_${sessionId}_students`;
+  }
+
   /**
-   * Initialize socket handlers
-   * @param {object} io - Socket.IO server instance
+   * Register the attendance events on a connected socket
+   * @param {object} socket - Authenticated socket (socket.user)
    */
-  initialize(io) {
-    io.on('connection', (socket) => {
-      console.log(`Socket connected: ${socket.id}`);
-      
-      // Join session room (for teacher to receive real-time updates)
-      socket.on('join-session-room', (data) => {
-        const { sessionId, userRole } = data;
-        
-        if (!sessionId) {
-          socket.emit('error', { message: 'Session ID is required' });
-          return;
-        }
-        
-        const roomName = `session_${sessionId}`;
+  handleConnection(socket) {
+    // sessionId -> role, for resync
+    const joined = new Map();
+
+    socket.on('join-session-room', async (data, ack) => {
+      const sessionId = readSessionId(data);
+
+      try {
+        const role = await liveSessionService.authorizeJoin(socket.user, sessionId);
+        const roomName = role === 'teacher' ? this.getRoom(sessionId) : this.getStudentRoom(sessionId);
+
         socket.join(roomName);
-        
-        console.log(`${userRole || 'User'} joined session room: ${roomName}`);
-        
-        socket.emit('joined-session-room', {
-          sessionId,
-          roomName,
-          message: 'Successfully joined session room'
-        });
-      });
-      
-      // Leave session room
-      socket.on('leave-session-room', (data) => {
-        const { sessionId } = data;
-        
-        if (!sessionId) {
-          socket.emit('error', { message: 'Session ID is required' });
-          return;
-        }
-        
-        const roomName = `session_${sessionId}`;
-        socket.leave(roomName);
-        
-        console.log(`User left session room: ${roomName}`);
-        
-        socket.emit('left-session-room', {
-          sessionId,
-          roomName,
-          message: 'Successfully left session room'
-        });
-      });
-      
-      // Disconnect handler
-      socket.on('disconnect', () => {
-        console.log(`Socket disconnected: ${socket.id}`);
-      });
+        // The college module still emits 'student-checked-in' to the bare ID
+        if (role === 'teacher' && typeof data === 'string') socket.join(sessionId);
+        joined.set(sessionId, role);
+
+        const state = await liveSessionService.getSessionState(sessionId, socket.user, role);
+        reply(socket, ack, 'joined-session-room', { success: true, sessionId, roomName, role, state });
+      } catch (error) {
+        fail(socket, ack, sessionId, error);
+      }
     });
+
+    socket.on('resync-session', async (data, ack) => {
+      const sessionId = readSessionId(data);
+      const role = joined.get(sessionId);
+
+      if (!role) {
+        const error = new Error('Join the session room first');
+        error.statusCode = 403;
+        fail(socket, ack, sessionId, error);
+        return;
+      }
+
+      try {
+        const state = await liveSessionService.getSessionState(sessionId, socket.user, role);
+        reply(socket, ack, 'session-state', { success: true, ...state });
+      } catch (error) {
+        fail(socket, ack, sessionId, error);
+      }
+    });
+
+    socket.on('leave-session-room', (data, ack) => {
+      const sessionId = readSessionId(data);
+
+      socket.leave(this.getRoom(sessionId));
+      socket.leave(this.getStudentRoom(sessionId));
+      socket.leave(sessionId);
+      joined.delete(sessionId);
+
+      reply(socket, ack, 'left-session-room', { success: true, sessionId });
+    });
+  }
+
+  /**
+   * A student marked themselves with the code
+   * @param {string} sessionId - Class session ID
+   * @param {object} record - AttendanceRecord
+   */
+  emitAttendanceMarked(sessionId, record) {
+    emitToRoom(this.getRoom(sessionId), 'attendance-marked', {
+      sessionId: String(sessionId),
+      ...liveSessionService.toLiveRecord(record)
+    });
+    this.scheduleCounter(sessionId);
   }
-  
+
+  /**
+   * A teacher changed a record (manual, bulk, offline sync or an approved
+   * correction)
+   * @param {string} sessionId - Class session ID
+   * @param {object} record - AttendanceRecord
+   */
+  emitAttendanceUpdated(sessionId, record) {
+    const data = { sessionId: String(sessionId), ...liveSessionService.toLiveRecord(record) };
+
+    emitToRoom(this.getRoom(sessionId), 'attendance-updated', data);
+    emitToUser(record.student?._id || record.student, 'attendance-updated', data);
+    this.scheduleCounter(sessionId);
+  }
+
   /**
-   * Emit attendance marked event
-   * @param {object} io - Socket.IO server instance
    * @param {string} sessionId - Class session ID
-   * @param {object} data - { recordId, studentId, status, markedAt }
+   * @param {object} attendanceSummary - AttendanceRecord.getSessionSummary
    */
-  emitAttendanceMarked(io, sessionId, data) {
-    io.to(`session_${sessionId}`).emit('attendance-marked', data);
+  emitSessionFinalized(sessionId, attendanceSummary) {
+    clearTimeout(this.counterTimers.get(String(sessionId)));
+    this.counterTimers.delete(String(sessionId));
+
+    emitToRoom(this.getRoom(sessionId), 'session-finalized', { sessionId: String(sessionId), attendanceSummary });
+    emitToRoom(this.getStudentRoom(sessionId), 'session-finalized', { sessionId: String(sessionId) });
   }
-  
+
   /**
-   * Emit attendance updated event
-   * @param {object} io - Socket.IO server instance
+   * A teacher regenerated the code. Rotating codes are pushed by
+   * codeRotation.service.js on every step.
    * @param {string} sessionId - Class session ID
-   * @param {object} data - { recordId, studentId, status }
+   * @param {object} code - SessionService.getCurrentCode
    */
-  emitAttendanceUpdated(io, sessionId, data) {
-    io.to(`session_${sessionId}`).emit('attendance-updated', data);
+  emitCodeRegenerated(sessionId, code) {
+    emitToRoom(this.getRoom(sessionId), 'code-regenerated', { sessionId: String(sessionId), ...code });
   }
-  
+
   /**
-   * Emit session finalized event
-   * @param {object} io - Socket.IO server instance
+   * Send the present/absent counter to the teacher room once the current
+   * burst of changes settles
    * @param {string} sessionId - Class session ID
-   * @param {object} data - { sessionId, attendanceSummary }
    */
-  emitSessionFinalized(io, sessionId, data) {
-    io.to(`session_${sessionId}`).emit('session-finalized', data);
+  scheduleCounter(sessionId) {
+    const key = String(sessionId);
+    if (!isIoAttached() || this.counterTimers.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.counterTimers.delete(key);
+      this.emitCounter(key).catch(err => {
+        console.error('Failed to send attendance counter:', err);
+      });
+    }, COUNTER_DELAY_MS);
+    timer.unref?.();
+
+    this.counterTimers.set(key, timer);
   }
-  
+
   /**
-   * Emit code regenerated event
-   * @param {object} io - Socket.IO server instance
    * @param {string} sessionId - Class session ID
-   * @param {object} data - { attendanceCode, codeExpiresAt }
    */
-  emitCodeRegenerated(io, sessionId, data) {
-    io.to(`session_${sessionId}`).emit('code-regenerated', data);
+  async emitCounter(sessionId) {
+    const summary = await AttendanceRecord.getSessionSummary(sessionId);
+    emitToRoom(this.getRoom(sessionId), 'attendance-counter', { sessionId: String(sessionId), ...summary });
   }
 }
 
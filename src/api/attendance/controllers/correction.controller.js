@@ -0,0 +1,121 @@
+import correctionService from '../services/correction.service.js';
+
+/**
+ * Correction Controller (Attendance Domain)
+ * 
+ * Handles attendance disputes, edits awaiting HOD approval and record history
+ */
+
+class CorrectionController {
+  /**
+   * Dispute one of the student's records
+   * POST /api/attendance/corrections
+   * Body: { recordId, reason, requestedStatus? }
+   */
+  async raiseDispute(req, res, next) {
+    try {
+      const correction = await correctionService.raiseDispute(req.user, req.body);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Dispute submitted',
+        data: { correction }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the user's own corrections (disputes, or edits awaiting approval)
+   * GET /api/attendance/corrections/mine
+   */
+  async getMyCorrections(req, res, next) {
+    try {
+      const corrections = await correctionService.getOwnCorrections(req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        data: { corrections }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Withdraw an open correction
+   * POST /api/attendance/corrections/:correctionId/cancel
+   */
+  async cancelCorrection(req, res, next) {
+    try {
+      const correction = await correctionService.cancelCorrection(req.params.correctionId, req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Correction cancelled',
+        data: { correction }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get corrections waiting for the teacher or HOD
+   * GET /api/attendance/corrections/review-queue
+   * Query: ?status=pending
+   */
+  async getReviewQueue(req, res, next) {
+    try {
+      const corrections = await correctionService.getReviewQueue(req.user, { status: req.query.status });
+      
+      res.status(200).json({
+        success: true,
+        data: { corrections }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve or reject a correction
+   * PATCH /api/attendance/corrections/:correctionId/review
+   * Body: { decision: 'approved'|'rejected', comment? }
+   */
+  async reviewCorrection(req, res, next) {
+    try {
+      const correction = await correctionService.reviewCorrection(req.params.correctionId, req.user, req.body, req);
+      
+      res.status(200).json({
+        success: true,
+        message: correction.status === 'pending_hod'
+          ? 'The record is locked; the correction was sent for HOD approval'
+          : `Correction ${correction.status}`,
+        data: { correction }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a record's change history and corrections
+   * GET /api/attendance/corrections/records/:recordId/history
+   */
+  async getRecordHistory(req, res, next) {
+    try {
+      const history = await correctionService.getRecordHistory(req.params.recordId, req.user);
+      
+      res.status(200).json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new CorrectionController();
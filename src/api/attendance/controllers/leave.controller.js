@@ -0,0 +1,119 @@
+import leaveService from '../services/leave.service.js';
+
+/**
+ * Leave Controller (Attendance Domain)
+ * 
+ * Handles leave and medical excuse requests
+ */
+
+class LeaveController {
+  /**
+   * File a leave or medical excuse request
+   * POST /api/attendance/leave
+   * Body: { type, reason, fromDate, toDate, subjects?, attachment? }
+   */
+  async createRequest(req, res, next) {
+    try {
+      const request = await leaveService.createRequest(req.user, req.body);
+      
+      res.status(201).json({
+        success: true,
+        message: 'Leave request submitted',
+        data: { request }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the student's own requests
+   * GET /api/attendance/leave/mine
+   */
+  async getMyRequests(req, res, next) {
+    try {
+      const requests = await leaveService.getStudentRequests(req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        data: { requests }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Cancel a pending request
+   * POST /api/attendance/leave/:requestId/cancel
+   */
+  async cancelRequest(req, res, next) {
+    try {
+      const request = await leaveService.cancelRequest(req.params.requestId, req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Leave request cancelled',
+        data: { request }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get requests the teacher or HOD can review
+   * GET /api/attendance/leave/review-queue
+   * Query: ?status=pending
+   */
+  async getReviewQueue(req, res, next) {
+    try {
+      const requests = await leaveService.getReviewQueue(req.user, { status: req.query.status });
+      
+      res.status(200).json({
+        success: true,
+        data: { requests }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Approve or reject a request
+   * PATCH /api/attendance/leave/:requestId/review
+   * Body: { decision: 'approved'|'rejected', comment? }
+   */
+  async reviewRequest(req, res, next) {
+    try {
+      const request = await leaveService.reviewRequest(req.params.requestId, req.user, req.body, req);
+      
+      res.status(200).json({
+        success: true,
+        message: `Leave request ${request.status}`,
+        data: { request }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a download link for the request's attachment
+   * GET /api/attendance/leave/:requestId/attachment
+   */
+  async getAttachment(req, res, next) {
+    try {
+      const attachment = await leaveService.getAttachmentUrl(req.params.requestId, req.user);
+      
+      res.status(200).json({
+        success: true,
+        data: attachment
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+export default new LeaveController();
@@ -1,4 +1,7 @@
 import statsService from '../services/stats.service.js';
+import eligibilityService from '../services/eligibility.service.js';
+import registerService from '../services/register.service.js';
+import { streamTable } from '../../../services/export.service.js';
 
 /**
  * Stats Controller (Phase 0 - Attendance Domain)
@@ -10,12 +13,12 @@ class StatsController {
   /**
    * Get class attendance statistics
    * GET /api/attendance/stats/class
-   * Query: ?batch=2020&semester=5&section=A&subjectId=xxx
+   * Query: ?batch=2020&semester=5&section=A&subjectId=xxx&excusedRule=exclude
    */
   async getClassStats(req, res, next) {
     try {
       const teacherId = req.user._id;
-      const { batch, semester, section, subjectId } = req.query;
+      const { batch, semester, section, subjectId, excusedRule } = req.query;
       
       if (!batch || !semester || !section || !subjectId) {
         return res.status(400).json({
@@ -31,11 +34,66 @@ class StatsController {
         subjectId
       };
       
-      const stats = await statsService.getClassStats(classParams, teacherId);
+      const rule = statsService.getExcusedRule(excusedRule);
+      const stats = await statsService.getClassStats(classParams, teacherId, { excusedRule: rule });
       
       res.status(200).json({
         success: true,
-        data: { stats }
+        data: { stats, excusedRule: rule }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get class eligibility for a subject
+   * GET /api/attendance/stats/eligibility
+   * Query: ?batch=2020&semester=5&section=A&subjectId=xxx&status=shortage&excusedRule=exclude
+   */
+  async getClassEligibility(req, res, next) {
+    try {
+      const { batch, semester, section, subjectId, status, excusedRule } = req.query;
+      
+      const classParams = {
+        batch: parseInt(batch),
+        semester: parseInt(semester),
+        section,
+        subjectId
+      };
+      
+      const eligibility = await eligibilityService.getClassEligibility(classParams, req.user._id, { status, excusedRule });
+      
+      res.status(200).json({
+        success: true,
+        data: eligibility
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get class heatmap (students × weeks)
+   * GET /api/attendance/stats/heatmap
+   * Query: ?batch=2020&semester=5&section=A&subjectId=xxx&from=2025-01-06&to=2025-03-30&excusedRule=exclude
+   */
+  async getClassHeatmap(req, res, next) {
+    try {
+      const { batch, semester, section, subjectId, from, to, excusedRule } = req.query;
+      
+      const classParams = {
+        batch: parseInt(batch),
+        semester: parseInt(semester),
+        section,
+        subjectId
+      };
+      
+      const heatmap = await statsService.getClassHeatmap(classParams, req.user._id, { from, to, excusedRule });
+      
+      res.status(200).json({
+        success: true,
+        data: heatmap
       });
     } catch (error) {
       next(error);
@@ -64,16 +122,17 @@ class StatsController {
   /**
    * Get low attendance students
    * GET /api/attendance/stats/low-attendance
-   * Query: ?threshold=75&batch=2020&semester=5&section=A&subjectId=xxx
+   * Query: ?threshold=75&batch=2020&semester=5&section=A&subjectId=xxx&excusedRule=exclude
+   * threshold defaults to the eligibility minimum (subject minimum with subjectId, else overall)
    */
   async getLowAttendanceStudents(req, res, next) {
     try {
-      const { threshold, batch, semester, section, subjectId } = req.query;
+      const { threshold, batch, semester, section, subjectId, excusedRule } = req.query;
       
-      if (!threshold || !batch || !semester || !section) {
+      if (!batch || !semester || !section) {
         return res.status(400).json({
           success: false,
-          message: 'threshold, batch, semester, and section are required'
+          message: 'batch, semester, and section are required'
         });
       }
       
@@ -87,14 +146,17 @@ class StatsController {
         classParams.subjectId = subjectId;
       }
       
+      const rule = statsService.getExcusedRule(excusedRule);
+      const limit = threshold ? parseFloat(threshold) : await eligibilityService.getMinimum(subjectId);
       const students = await statsService.getLowAttendanceStudents(
-        parseFloat(threshold),
-        classParams
+        limit,
+        classParams,
+        { excusedRule: rule }
       );
       
       res.status(200).json({
         success: true,
-        data: { students, threshold: parseFloat(threshold) }
+        data: { students, threshold: limit, excusedRule: rule }
       });
     } catch (error) {
       next(error);
@@ -104,18 +166,13 @@ class StatsController {
   /**
    * Export attendance data
    * GET /api/attendance/stats/export
-   * Query: ?batch=2020&semester=5&section=A&subjectId=xxx&startDate=xxx&endDate=xxx
+   * Query: ?batch=2020&semester=5&section=A&subjectId=xxx&startDate=xxx&endDate=xxx&format=csv
+   * format: json (default, record list) or csv | xlsx | pdf (register of the teacher's
+   * sessions, streamed as a download)
    */
   async exportAttendanceData(req, res, next) {
     try {
-      const { batch, semester, section, subjectId, startDate, endDate } = req.query;
-      
-      if (!batch || !semester || !section) {
-        return res.status(400).json({
-          success: false,
-          message: 'batch, semester, and section are required'
-        });
-      }
+      const { batch, semester, section, subjectId, startDate, endDate, format = 'json', excusedRule } = req.query;
       
       const params = {
         batch: parseInt(batch),
@@ -127,6 +184,12 @@ class StatsController {
       if (startDate) params.startDate = startDate;
       if (endDate) params.endDate = endDate;
       
+      if (format !== 'json') {
+        const register = await registerService.buildRegister({ ...params, teacherId: req.user._id }, { excusedRule });
+        await streamTable(res, format, register);
+        return;
+      }
+      
       const data = await statsService.exportAttendanceData(params);
       
       res.status(200).json({
@@ -134,6 +197,8 @@ class StatsController {
         data: { records: data, total: data.length }
       });
     } catch (error) {
+      // Once a download has started the response can only be aborted
+      if (res.headersSent) return res.destroy(error);
       next(error);
     }
   }
@@ -1,5 +1,7 @@
 import markingService from '../services/marking.service.js';
 import statsService from '../services/stats.service.js';
+import timetableService from '../services/timetable.service.js';
+import eligibilityService from '../services/eligibility.service.js';
 
 /**
  * Student Controller (Phase 0 - Attendance Domain)
@@ -26,17 +28,11 @@ class StudentController {
         });
       }
       
-      const result = await markingService.markWithCode(studentId, attendanceCode);
-      
-      // Emit socket event for real-time update
-      if (req.io) {
-        req.io.to(`session_${result.session._id}`).emit('attendance-marked', {
-          recordId: result.record._id,
-          studentId,
-          status: result.record.status,
-          markedAt: result.record.markedAt
-        });
-      }
+      const result = await markingService.markWithCode(studentId, attendanceCode, {
+        deviceId: req.authSession?.deviceId,
+        ip: req.ip,
+        req
+      });
       
       res.status(200).json({
         success: true,
@@ -67,6 +63,23 @@ class StudentController {
     }
   }
 
+  /**
+   * Get weekly timetable for the student's section and subjects
+   * GET /api/attendance/student/timetable
+   */
+  async getTimetable(req, res, next) {
+    try {
+      const slots = await timetableService.getStudentTimetable(req.user);
+      
+      res.status(200).json({
+        success: true,
+        data: { slots }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get student's overall attendance statistics
    * GET /api/attendance/student/stats
@@ -118,6 +131,23 @@ class StudentController {
     }
   }
 
+  /**
+   * Get eligibility per subject and overall, with classes that can still be missed
+   * GET /api/attendance/student/eligibility
+   */
+  async getEligibility(req, res, next) {
+    try {
+      const eligibility = await eligibilityService.getStudentEligibility(req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        data: eligibility
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get student's attendance trend over time
    * GET /api/attendance/student/trend
@@ -143,6 +173,26 @@ class StudentController {
     }
   }
 
+  /**
+   * Get student's month calendar (one cell per session)
+   * GET /api/attendance/student/calendar
+   * Query: ?month=2025-03 or ?from=2025-03-01&to=2025-03-31, &subjectId=xxx
+   */
+  async getCalendar(req, res, next) {
+    try {
+      const { month, from, to, subjectId } = req.query;
+      
+      const calendar = await statsService.getStudentCalendar(req.user._id, { month, from, to, subjectId });
+      
+      res.status(200).json({
+        success: true,
+        data: calendar
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get student profile with attendance summary
    * GET /api/attendance/student/profile
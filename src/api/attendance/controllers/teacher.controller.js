@@ -1,5 +1,9 @@
 import sessionService from '../services/session.service.js';
 import markingService from '../services/marking.service.js';
+import antiProxyService from '../services/antiProxy.service.js';
+import timetableService from '../services/timetable.service.js';
+import offlineSyncService from '../services/offlineSync.service.js';
+import attendanceSocket from '../attendance.socket.js';
 
 /**
  * Teacher Controller (Phase 0 - Attendance Domain)
@@ -30,12 +34,12 @@ class TeacherController {
   /**
    * Create a new class session
    * POST /api/attendance/teacher/sessions
-   * Body: { subject, batch, semester, section, topic, sessionType }
+   * Body: { subject, batch, semester, section, topic, sessionType, codeMode?, rotationSeconds?, antiProxy? }
    */
   async createSession(req, res, next) {
     try {
       const teacherId = req.user._id;
-      const { subject, batch, semester, section, topic, sessionType } = req.body;
+      const { subject, batch, semester, section, topic, sessionType, codeMode, rotationSeconds, antiProxy } = req.body;
       
       const result = await sessionService.createSession({
         teacher: teacherId,
@@ -44,7 +48,11 @@ class TeacherController {
         semester,
         section,
         topic,
-        sessionType
+        sessionType,
+        codeMode,
+        rotationSeconds,
+        antiProxy,
+        teacherIp: req.ip
       });
       
       res.status(201).json({
@@ -93,10 +101,11 @@ class TeacherController {
       const { sessionId } = req.params;
       
       const roster = await sessionService.getSessionRoster(sessionId, teacherId);
+      const suspiciousAttempts = await sessionService.getSuspiciousAttempts(sessionId, teacherId);
       
       res.status(200).json({
         success: true,
-        data: { roster }
+        data: { roster, suspiciousAttempts }
       });
     } catch (error) {
       next(error);
@@ -106,22 +115,25 @@ class TeacherController {
   /**
    * Update attendance manually
    * PATCH /api/attendance/teacher/records/:recordId
-   * Body: { status }
+   * Body: { status, reason? } (reason required once the session has ended)
    */
   async updateAttendanceRecord(req, res, next) {
     try {
       const teacherId = req.user._id;
       const { recordId } = req.params;
-      const { status } = req.body;
+      const { status, reason } = req.body;
       
-      const record = await markingService.markManually(recordId, status, teacherId);
+      const { record, correction } = await markingService.markManually(recordId, status, teacherId, {
+        actor: req.user,
+        reason,
+        req
+      });
       
-      // Emit socket event for real-time update
-      if (req.io) {
-        req.io.to(`session_${record.classSession}`).emit('attendance-updated', {
-          recordId: record._id,
-          studentId: record.student,
-          status: record.status
+      if (correction) {
+        return res.status(202).json({
+          success: true,
+          message: 'The record is locked; the change was sent for HOD approval',
+          data: { record, correction }
         });
       }
       
@@ -138,12 +150,12 @@ class TeacherController {
   /**
    * Bulk update attendance records
    * PATCH /api/attendance/teacher/records/bulk
-   * Body: { updates: [{ recordId, status }, ...] }
+   * Body: { updates: [{ recordId, status }, ...], reason?, batchId? }
    */
   async bulkUpdateAttendance(req, res, next) {
     try {
       const teacherId = req.user._id;
-      const { updates } = req.body;
+      const { updates, reason, batchId } = req.body;
       
       if (!Array.isArray(updates) || updates.length === 0) {
         return res.status(400).json({
@@ -152,24 +164,61 @@ class TeacherController {
         });
       }
       
-      const records = await markingService.bulkUpdateAttendance(updates, teacherId);
-      
-      // Emit socket events for real-time updates
-      if (req.io && records.length > 0) {
-        const sessionId = records[0].classSession;
-        records.forEach(record => {
-          req.io.to(`session_${sessionId}`).emit('attendance-updated', {
-            recordId: record._id,
-            studentId: record.student,
-            status: record.status
-          });
-        });
-      }
+      const result = await markingService.bulkUpdateAttendance(updates, teacherId, {
+        batchId,
+        actor: req.user,
+        reason,
+        req
+      });
       
       res.status(200).json({
         success: true,
-        message: `${records.length} attendance records updated successfully`,
-        data: { records }
+        message: `${result.records.length} attendance records updated successfully`,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Roster for offline marking, with the sync token and signing key
+   * GET /api/attendance/teacher/sessions/:sessionId/offline-roster
+   */
+  async getOfflineRoster(req, res, next) {
+    try {
+      const teacherId = req.user._id;
+      const { sessionId } = req.params;
+      
+      const roster = await offlineSyncService.getOfflineRoster(sessionId, teacherId);
+      
+      res.status(200).json({
+        success: true,
+        data: roster
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Upload attendance marked offline
+   * POST /api/attendance/teacher/sessions/:sessionId/offline-sync
+   * Body: { batchId, syncToken, signature, conflictPolicy?, updates: [{ recordId, status, markedAt, clientTimestamp }] }
+   */
+  async syncOfflineBatch(req, res, next) {
+    try {
+      const teacherId = req.user._id;
+      const { sessionId } = req.params;
+      
+      const result = await offlineSyncService.syncBatch(sessionId, teacherId, req.body, { actor: req.user, req });
+      
+      res.status(200).json({
+        success: true,
+        message: result.replayed
+          ? 'Batch was already applied'
+          : `${result.records.length} applied, ${result.conflicts.length} conflicts, ${result.rejected.length} rejected`,
+        data: result
       });
     } catch (error) {
       next(error);
@@ -187,13 +236,7 @@ class TeacherController {
       
       const result = await sessionService.finalizeSession(sessionId, teacherId);
       
-      // Emit socket event
-      if (req.io) {
-        req.io.to(`session_${sessionId}`).emit('session-finalized', {
-          sessionId,
-          attendanceSummary: result.attendanceSummary
-        });
-      }
+      attendanceSocket.emitSessionFinalized(sessionId, result.attendanceSummary);
       
       res.status(200).json({
         success: true,
@@ -247,9 +290,9 @@ class TeacherController {
       
       const result = await sessionService.regenerateAttendanceCode(sessionId, teacherId);
       
-      // Emit socket event
-      if (req.io) {
-        req.io.to(`session_${sessionId}`).emit('code-regenerated', result);
+      // Rotating sessions push the new code from the restarted rotation timer
+      if (result.codeMode === 'static') {
+        attendanceSocket.emitCodeRegenerated(sessionId, result);
       }
       
       res.status(200).json({
@@ -262,6 +305,106 @@ class TeacherController {
     }
   }
 
+  /**
+   * Get teacher's weekly timetable
+   * GET /api/attendance/teacher/timetable
+   */
+  async getTimetable(req, res, next) {
+    try {
+      const slots = await timetableService.getTeacherTimetable(req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        data: { slots }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get teacher's classes for a day with the sessions held or due
+   * GET /api/attendance/teacher/timetable/agenda
+   * Query: date? (YYYY-MM-DD, default today)
+   */
+  async getTimetableAgenda(req, res, next) {
+    try {
+      const agenda = await timetableService.getTeacherAgenda(req.user._id, req.query.date);
+      
+      res.status(200).json({
+        success: true,
+        data: agenda
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Start the attendance session for today's occurrence of a timetable slot
+   * POST /api/attendance/teacher/timetable/slots/:slotId/start
+   * Body: { topic?, codeMode?, rotationSeconds?, antiProxy? }
+   */
+  async startSlotSession(req, res, next) {
+    try {
+      const { topic, codeMode, rotationSeconds, antiProxy } = req.body;
+      
+      const result = await timetableService.startSlotSession(req.params.slotId, req.user._id, {
+        topic,
+        codeMode,
+        rotationSeconds,
+        antiProxy,
+        teacherIp: req.ip
+      });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Class session created successfully',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get teacher's scheduled classes that ended without a session
+   * GET /api/attendance/teacher/timetable/missed
+   * Query: from?, to? (default: last 7 days)
+   */
+  async getMissedClasses(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      
+      const report = await timetableService.getMissedClasses({ teacher: req.user._id, from, to });
+      
+      res.status(200).json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Clear a student's bound attendance device (e.g. after a phone change)
+   * DELETE /api/attendance/teacher/students/:studentId/device
+   */
+  async resetStudentDevice(req, res, next) {
+    try {
+      const result = await antiProxyService.resetDeviceBinding(req.params.studentId, req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Device binding cleared',
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Delete a session
    * DELETE /api/attendance/teacher/sessions/:sessionId
@@ -0,0 +1,36 @@
+import express from 'express';
+import correctionController from '../controllers/correction.controller.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+import {
+  raiseDisputeValidation,
+  correctionIdValidation,
+  reviewCorrectionValidation,
+  recordHistoryValidation
+} from '../validators/attendance.validators.js';
+
+const router = express.Router();
+
+/**
+ * Correction Routes (Attendance Domain)
+ * 
+ * Students dispute records; teachers resolve disputes; HODs approve
+ * changes to locked records
+ */
+
+// Middleware: Authenticate
+router.use(protect);
+
+// Requests
+router.post('/', hasRole(['student']), raiseDisputeValidation, correctionController.raiseDispute);
+router.get('/mine', hasRole(['student', 'teacher']), correctionController.getMyCorrections);
+router.post('/:correctionId/cancel', hasRole(['student', 'teacher']), correctionIdValidation, correctionController.cancelCorrection);
+
+// Review
+router.get('/review-queue', hasRole(['teacher', 'hod']), correctionController.getReviewQueue);
+router.patch('/:correctionId/review', hasRole(['teacher', 'hod']), reviewCorrectionValidation, correctionController.reviewCorrection);
+
+// Record history (the record's student and teacher, HODs, admins)
+router.get('/records/:recordId/history', recordHistoryValidation, correctionController.getRecordHistory);
+
+export default router;
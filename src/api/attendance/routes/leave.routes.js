@@ -0,0 +1,34 @@
+import express from 'express';
+import leaveController from '../controllers/leave.controller.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+import {
+  createLeaveRequestValidation,
+  leaveRequestIdValidation,
+  reviewLeaveRequestValidation
+} from '../validators/attendance.validators.js';
+
+const router = express.Router();
+
+/**
+ * Leave Routes (Attendance Domain)
+ * 
+ * Students file requests; teachers and HODs review them
+ */
+
+// Middleware: Authenticate
+router.use(protect);
+
+// Student requests
+router.post('/', hasRole(['student']), createLeaveRequestValidation, leaveController.createRequest);
+router.get('/mine', hasRole(['student']), leaveController.getMyRequests);
+router.post('/:requestId/cancel', hasRole(['student']), leaveRequestIdValidation, leaveController.cancelRequest);
+
+// Review
+router.get('/review-queue', hasRole(['teacher', 'hod']), leaveController.getReviewQueue);
+router.patch('/:requestId/review', hasRole(['teacher', 'hod']), reviewLeaveRequestValidation, leaveController.reviewRequest);
+
+// Attachment (the student or a reviewer)
+router.get('/:requestId/attachment', leaveRequestIdValidation, leaveController.getAttachment);
+
+export default router;
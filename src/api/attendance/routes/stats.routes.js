@@ -1,7 +1,8 @@
 import express from 'express';
 import statsController from '../controllers/stats.controller.js';
-import { authenticate } from '../../_common/middleware/auth.middleware.js';
-import { authorize } from '../../_common/middleware/rbac.middleware.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+import { classEligibilityValidation, heatmapValidation, exportDataValidation } from '../validators/attendance.validators.js';
 
 const router = express.Router();
 
@@ -12,12 +13,18 @@ const router = express.Router();
  */
 
 // Middleware: Authenticate and authorize teacher
-router.use(authenticate);
-router.use(authorize('teacher'));
+router.use(protect);
+router.use(hasRole(['teacher']));
 
 // Class statistics
 router.get('/class', statsController.getClassStats);
 
+// Class eligibility (status, classes that can still be missed)
+router.get('/eligibility', classEligibilityValidation, statsController.getClassEligibility);
+
+// Class heatmap (students × weeks)
+router.get('/heatmap', heatmapValidation, statsController.getClassHeatmap);
+
 // Session summary
 router.get('/session/:sessionId', statsController.getSessionSummary);
 
@@ -25,6 +32,6 @@ router.get('/session/:sessionId', statsController.getSessionSummary);
 router.get('/low-attendance', statsController.getLowAttendanceStudents);
 
 // Export attendance data
-router.get('/export', statsController.exportAttendanceData);
+router.get('/export', exportDataValidation, statsController.exportAttendanceData);
 
 export default router;
@@ -1,7 +1,8 @@
 import express from 'express';
 import studentController from '../controllers/student.controller.js';
-import { authenticate } from '../../_common/middleware/auth.middleware.js';
-import { authorize } from '../../_common/middleware/rbac.middleware.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+import { calendarValidation } from '../validators/attendance.validators.js';
 
 const router = express.Router();
 
@@ -12,8 +13,8 @@ const router = express.Router();
  */
 
 // Middleware: Authenticate and authorize student
-router.use(authenticate);
-router.use(authorize('student'));
+router.use(protect);
+router.use(hasRole(['student']));
 
 // Mark attendance
 router.post('/mark', studentController.markAttendance);
@@ -21,11 +22,20 @@ router.post('/mark', studentController.markAttendance);
 // Get active sessions
 router.get('/active-sessions', studentController.getActiveSessions);
 
+// Weekly timetable
+router.get('/timetable', studentController.getTimetable);
+
 // Get attendance statistics
 router.get('/stats', studentController.getAttendanceStats);
 router.get('/stats/:subjectId', studentController.getSubjectStats);
 router.get('/trend', studentController.getAttendanceTrend);
 
+// Month calendar (per-day, per-subject cells)
+router.get('/calendar', calendarValidation, studentController.getCalendar);
+
+// Eligibility and classes that can still be missed
+router.get('/eligibility', studentController.getEligibility);
+
 // Get profile with attendance
 router.get('/profile', studentController.getProfile);
 
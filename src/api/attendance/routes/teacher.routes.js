@@ -1,7 +1,13 @@
 import express from 'express';
 import teacherController from '../controllers/teacher.controller.js';
-import { authenticate } from '../../_common/middleware/auth.middleware.js';
-import { authorize } from '../../_common/middleware/rbac.middleware.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+import {
+  bulkUpdateValidation,
+  updateAttendanceValidation,
+  sessionIdValidation,
+  offlineSyncValidation
+} from '../validators/attendance.validators.js';
 
 const router = express.Router();
 
@@ -12,8 +18,8 @@ const router = express.Router();
  */
 
 // Middleware: Authenticate and authorize teacher
-router.use(authenticate);
-router.use(authorize('teacher'));
+router.use(protect);
+router.use(hasRole(['teacher']));
 
 // Get class creation data (assigned subjects)
 router.get('/class-data', teacherController.getClassCreationData);
@@ -26,9 +32,22 @@ router.post('/sessions/:sessionId/finalize', teacherController.finalizeSession);
 router.post('/sessions/:sessionId/regenerate-code', teacherController.regenerateCode);
 router.delete('/sessions/:sessionId', teacherController.deleteSession);
 
-// Attendance management
-router.patch('/records/:recordId', teacherController.updateAttendanceRecord);
-router.patch('/records/bulk', teacherController.bulkUpdateAttendance);
+// Offline marking: roster download, signed batch upload
+router.get('/sessions/:sessionId/offline-roster', sessionIdValidation, teacherController.getOfflineRoster);
+router.post('/sessions/:sessionId/offline-sync', offlineSyncValidation, teacherController.syncOfflineBatch);
+
+// Attendance management (bulk first, or /records/:recordId would match it)
+router.patch('/records/bulk', bulkUpdateValidation, teacherController.bulkUpdateAttendance);
+router.patch('/records/:recordId', updateAttendanceValidation, teacherController.updateAttendanceRecord);
+
+// Timetable
+router.get('/timetable', teacherController.getTimetable);
+router.get('/timetable/agenda', teacherController.getTimetableAgenda);
+router.get('/timetable/missed', teacherController.getMissedClasses);
+router.post('/timetable/slots/:slotId/start', teacherController.startSlotSession);
+
+// Anti-proxy: clear a student's bound device
+router.delete('/students/:studentId/device', teacherController.resetStudentDevice);
 
 // Session history
 router.get('/history', teacherController.getSessionHistory);
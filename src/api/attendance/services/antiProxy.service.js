@@ -0,0 +1,245 @@
+import net from 'net';
+import mongoose from 'mongoose';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import AuthEvent from '../../../models/authEventModel.js';
+import User from '../../../models/userModel.js';
+import { logAuthEvent } from '../../auth/services/auth.log.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+
+/**
+ * Anti-Proxy Service (Attendance Domain)
+ *
+ * Optional per-session checks that make marking for an absent friend harder:
+ * - deviceBinding: a student marks from one device only. The device is the
+ *   `sessions[].deviceId` of the login the request was made with; it is bound
+ *   on the student's first mark in such a session.
+ * - oneAccountPerDevice: one device cannot mark for two students in a session.
+ * - networkCheck: the student's IP must be in the same subnet as the IP the
+ *   teacher started the session from, or in ATTENDANCE_CAMPUS_NETWORKS.
+ *
+ * Rejected attempts are logged as ATTENDANCE_SUSPICIOUS auth events and
+ * listed on the session roster.
+ */
+
+const REASON_MESSAGES = {
+  unknown_device: 'Attendance can only be marked from a signed-in device.',
+  device_mismatch: 'Attendance must be marked from your registered device.',
+  device_shared: 'Attendance for another student was already marked from this device.',
+  network_mismatch: 'Attendance must be marked from the classroom network.',
+};
+
+/**
+ * "::ffff:10.0.0.5" -> "10.0.0.5"
+ */
+const normalizeIp = (ip) => {
+  if (typeof ip !== 'string') return null;
+  const trimmed = ip.trim();
+  const mapped = trimmed.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : trimmed;
+};
+
+class AntiProxyService {
+  /**
+   * Networks that always count as the classroom (ATTENDANCE_CAMPUS_NETWORKS,
+   * comma-separated CIDRs such as "10.20.0.0/16,2001:db8::/48")
+   * @returns {net.BlockList}
+   */
+  getCampusNetworks() {
+    const list = new net.BlockList();
+    (process.env.ATTENDANCE_CAMPUS_NETWORKS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .forEach(entry => {
+        const [address, prefix] = entry.split('/');
+        const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (!net.isIP(address)) return;
+        if (prefix === undefined) list.addAddress(address, type);
+        else list.addSubnet(address, Number(prefix), type);
+      });
+    return list;
+  }
+
+  /**
+   * Whether the student's IP is plausibly in the same room as the teacher:
+   * same /24 (IPv4, ATTENDANCE_SUBNET_PREFIX_V4) or /64 (IPv6,
+   * ATTENDANCE_SUBNET_PREFIX_V6) as the teacher, or on a campus network
+   * @param {string} studentIp - Request IP
+   * @param {string} teacherIp - IP the session was started from
+   * @returns {boolean}
+   */
+  isOnClassroomNetwork(studentIp, teacherIp) {
+    const ip = normalizeIp(studentIp);
+    if (!ip || !net.isIP(ip)) return false;
+
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    if (this.getCampusNetworks().check(ip, type)) return true;
+
+    const teacher = normalizeIp(teacherIp);
+    if (!teacher || net.isIP(teacher) !== net.isIP(ip)) return false;
+
+    const prefix = type === 'ipv4'
+      ? Math.min(32, envNumber('ATTENDANCE_SUBNET_PREFIX_V4', 24))
+      : Math.min(128, envNumber('ATTENDANCE_SUBNET_PREFIX_V6', 64));
+    const teacherNetwork = new net.BlockList();
+    teacherNetwork.addSubnet(teacher, prefix, type);
+
+    return teacherNetwork.check(ip, type);
+  }
+
+  /**
+   * Run the session's checks for a code mark
+   * @param {object} session - ClassSession (with teacherIp selected)
+   * @param {object} student - Student user (with studentDetails)
+   * @param {object} context - { deviceId, ip }
+   * @returns {Promise<string|null>} Rejection reason, or null when allowed
+   */
+  async findViolation(session, student, { deviceId, ip } = {}) {
+    const policy = session.antiProxy || {};
+
+    if ((policy.deviceBinding || policy.oneAccountPerDevice) && !deviceId) {
+      return 'unknown_device';
+    }
+
+    if (policy.deviceBinding) {
+      const boundDeviceId = student.studentDetails?.attendanceDeviceId;
+      if (boundDeviceId && boundDeviceId !== deviceId) return 'device_mismatch';
+    }
+
+    if (policy.oneAccountPerDevice) {
+      const shared = await AttendanceRecord.exists({
+        classSession: session._id,
+        markedDeviceId: deviceId,
+        student: { $ne: student._id },
+      });
+      if (shared) return 'device_shared';
+    }
+
+    if (policy.networkCheck && !this.isOnClassroomNetwork(ip, session.teacherIp)) {
+      return 'network_mismatch';
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a code mark and throw (after logging it) when it is rejected
+   * @param {object} session - ClassSession (with teacherIp selected)
+   * @param {string} studentId - Student user ID
+   * @param {object} context - { deviceId, ip, req? }
+   * @returns {Promise<void>}
+   */
+  async assertAllowed(session, studentId, context = {}) {
+    const student = await User.findById(studentId).select('email studentDetails');
+    const reason = await this.findViolation(session, student, context);
+    if (!reason) return;
+
+    await logAuthEvent({
+      userId: student._id,
+      actor: student.email,
+      eventType: 'ATTENDANCE_SUSPICIOUS',
+      severity: 'warning',
+      req: context.req,
+      deviceId: context.deviceId,
+      context: {
+        classSession: session._id,
+        reason,
+        ip: normalizeIp(context.ip),
+      },
+    });
+
+    const error = new Error(REASON_MESSAGES[reason]);
+    error.statusCode = 403;
+    error.reason = reason;
+    throw error;
+  }
+
+  /**
+   * After a successful mark: remember the device on the record and bind it
+   * to the student if the session uses device binding and none is bound yet
+   * @param {object} session - ClassSession
+   * @param {object} record - AttendanceRecord
+   * @param {object} context - { deviceId, ip }
+   * @returns {Promise<void>}
+   */
+  async recordMark(session, record, { deviceId, ip } = {}) {
+    record.markedDeviceId = deviceId || null;
+    record.markedIp = normalizeIp(ip);
+    await record.save();
+
+    if (session.antiProxy?.deviceBinding && deviceId) {
+      await User.updateOne(
+        { _id: record.student, 'studentDetails.attendanceDeviceId': null }, // matches unset too
+        { $set: { 'studentDetails.attendanceDeviceId': deviceId, 'studentDetails.attendanceDeviceBoundAt': new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Suspicious attempts for a session, newest first
+   * @param {string} sessionId - Class session ID
+   * @returns {Promise<Array>}
+   */
+  async getSuspiciousAttempts(sessionId) {
+    const events = await AuthEvent.find({
+      eventType: 'ATTENDANCE_SUSPICIOUS',
+      // `context` is Mixed, so the id is not cast automatically
+      'context.classSession': new mongoose.Types.ObjectId(String(sessionId)),
+    })
+      .populate('userId', 'name studentDetails.usn')
+      .sort({ timestamp: -1 })
+      .lean();
+
+    return events.map(event => ({
+      _id: event._id,
+      student: event.userId,
+      reason: event.context?.reason,
+      message: REASON_MESSAGES[event.context?.reason] || null,
+      deviceId: event.deviceId,
+      ipAddress: event.context?.ip || event.ipAddress,
+      userAgent: event.userAgent,
+      attemptedAt: event.timestamp,
+    }));
+  }
+
+  /**
+   * Clear a student's bound device (e.g. new phone). Teachers may only reset
+   * students of a class they are assigned to.
+   * @param {string} studentId - Student user ID
+   * @param {string} teacherId - Teacher user ID
+   * @returns {Promise<object>} { studentId, previousDeviceId }
+   */
+  async resetDeviceBinding(studentId, teacherId) {
+    const [student, teacher] = await Promise.all([
+      User.findOne({ _id: studentId, roles: 'student' }).select('studentDetails'),
+      User.findById(teacherId).select('teacherDetails.assignments'),
+    ]);
+
+    if (!student) {
+      const error = new Error('Student not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const { batch, semester, section } = student.studentDetails || {};
+    const teachesStudent = (teacher?.teacherDetails?.assignments || []).some(a =>
+      a.batch === batch && a.semester === semester && a.sections.includes(section)
+    );
+
+    if (!teachesStudent) {
+      const error = new Error('You are not assigned to this student\'s class');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const previousDeviceId = student.studentDetails.attendanceDeviceId || null;
+    await User.updateOne(
+      { _id: student._id },
+      { $unset: { 'studentDetails.attendanceDeviceId': 1, 'studentDetails.attendanceDeviceBoundAt': 1 } }
+    );
+
+    return { studentId: student._id, previousDeviceId };
+  }
+}
+
+export default new AntiProxyService();
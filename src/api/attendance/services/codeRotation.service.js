@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import ClassSession from '../../../models/classSessionModel.js';
+import { emitToUser } from '../../_common/socket/sessionRegistry.js';
+import { envNumber } from '../../_common/utils/env.js';
+
+/**
+ * Code Rotation Service (Attendance Domain)
+ *
+ * Rotating attendance codes: TOTP-style 8-digit codes (RFC 6238, HMAC-SHA1)
+ * derived from a per-session secret, so a relayed code is only useful for a
+ * few seconds. Codes are never stored; they are computed from the secret and
+ * the current time step, and pushed to the teacher's devices through the
+ * `code-regenerated` socket event every step.
+ */
+
+const CODE_DIGITS = 8;
+
+class CodeRotationService {
+  constructor() {
+    // sessionId -> { timeout, interval } (this process only)
+    this.timers = new Map();
+  }
+
+  /**
+   * Default seconds between codes (ATTENDANCE_CODE_ROTATION_SECONDS, default 15)
+   * @returns {number}
+   */
+  getDefaultRotationSeconds() {
+    return Math.min(300, Math.max(10, envNumber('ATTENDANCE_CODE_ROTATION_SECONDS', 15, 0)));
+  }
+
+  /**
+   * Steps before/after the current one that are still accepted, to allow for
+   * clock skew and typing time (ATTENDANCE_CODE_DRIFT_STEPS, default 1)
+   * @returns {number}
+   */
+  getDriftSteps() {
+    return Math.min(5, envNumber('ATTENDANCE_CODE_DRIFT_STEPS', 1, 0));
+  }
+
+  /**
+   * Generate a new per-session secret
+   * @returns {string} 20 random bytes, hex encoded
+   */
+  generateSecret() {
+    return crypto.randomBytes(20).toString('hex');
+  }
+
+  /**
+   * Time step number for a moment
+   * @param {number} stepSeconds - Rotation interval
+   * @param {number} at - Timestamp in ms
+   * @returns {number}
+   */
+  getStep(stepSeconds, at = Date.now()) {
+    return Math.floor(at / 1000 / stepSeconds);
+  }
+
+  /**
+   * Code for a time step
+   * @param {string} secret - Hex secret
+   * @param {number} step - Time step number
+   * @returns {string} 8-digit code
+   */
+  getCodeForStep(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+
+    // Dynamic truncation (RFC 4226 §5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+  }
+
+  /**
+   * Current code and when it stops being the current one
+   * @param {string} secret - Hex secret
+   * @param {number} stepSeconds - Rotation interval
+   * @param {number} at - Timestamp in ms
+   * @returns {{ attendanceCode: string, codeExpiresAt: Date }}
+   */
+  getCurrentCode(secret, stepSeconds, at = Date.now()) {
+    const step = this.getStep(stepSeconds, at);
+    return {
+      attendanceCode: this.getCodeForStep(secret, step),
+      codeExpiresAt: new Date((step + 1) * stepSeconds * 1000),
+    };
+  }
+
+  /**
+   * Check a code against the current step ± the drift window
+   * @param {string} secret - Hex secret
+   * @param {number} stepSeconds - Rotation interval
+   * @param {string} code - Code entered by the student
+   * @param {number} at - Timestamp in ms
+   * @returns {boolean}
+   */
+  verifyCode(secret, stepSeconds, code, at = Date.now()) {
+    if (!secret || typeof code !== 'string' || code.length !== CODE_DIGITS) return false;
+
+    const current = this.getStep(stepSeconds, at);
+    const drift = this.getDriftSteps();
+    let matched = false;
+
+    // Compare every candidate so timing doesn't reveal which step matched
+    for (let step = current - drift; step <= current + drift; step++) {
+      const expected = Buffer.from(this.getCodeForStep(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(code))) matched = true;
+    }
+
+    return matched;
+  }
+
+  /**
+   * Push the current code to the teacher's devices. Reads the session each
+   * time so a regenerated secret (possibly by another instance) is picked up,
+   * and stops once the session is no longer active.
+   * @param {string} sessionId - Class session ID
+   */
+  async tick(sessionId) {
+    const session = await ClassSession.findById(sessionId)
+      .select('+codeSecret teacher status codeMode codeRotationSeconds');
+
+    if (!session || session.status !== 'active' || session.codeMode !== 'rotating') {
+      this.stop(sessionId);
+      return;
+    }
+
+    emitToUser(session.teacher, 'code-regenerated', {
+      sessionId: String(session._id),
+      codeMode: 'rotating',
+      rotationSeconds: session.codeRotationSeconds,
+      ...this.getCurrentCode(session.codeSecret, session.codeRotationSeconds),
+    });
+  }
+
+  /**
+   * Start emitting codes for a session, aligned to step boundaries.
+   * Restarting an already running session replaces its timers.
+   * @param {object} session - ClassSession with _id and codeRotationSeconds
+   */
+  start(session) {
+    const sessionId = String(session._id);
+    const stepMs = session.codeRotationSeconds * 1000;
+    this.stop(sessionId);
+
+    const run = () => this.tick(sessionId).catch(err => {
+      console.error('Failed to rotate attendance code:', err);
+    });
+
+    run();
+    const timers = {};
+    timers.timeout = setTimeout(() => {
+      run();
+      timers.interval = setInterval(run, stepMs);
+      timers.interval.unref?.();
+    }, stepMs - (Date.now() % stepMs));
+    timers.timeout.unref?.();
+
+    this.timers.set(sessionId, timers);
+  }
+
+  /**
+   * Stop emitting codes for a session
+   * @param {string} sessionId - Class session ID
+   */
+  stop(sessionId) {
+    const timers = this.timers.get(String(sessionId));
+    if (!timers) return;
+
+    clearTimeout(timers.timeout);
+    clearInterval(timers.interval);
+    this.timers.delete(String(sessionId));
+  }
+
+  /**
+   * Restart rotation for active rotating sessions after a restart. Sessions
+   * older than ATTENDANCE_ROTATION_MAX_HOURS (default 6) are assumed to have
+   * been left open and are skipped.
+   * @returns {Promise<number>} Number of sessions resumed
+   */
+  async resumeActive() {
+    const maxAgeMs = Math.max(1, envNumber('ATTENDANCE_ROTATION_MAX_HOURS', 6, 0)) * 60 * 60 * 1000;
+
+    const sessions = await ClassSession.find({
+      status: 'active',
+      codeMode: 'rotating',
+      startTime: { $gte: new Date(Date.now() - maxAgeMs) },
+    }).select('_id codeRotationSeconds');
+
+    sessions.forEach(session => this.start(session));
+    return sessions.length;
+  }
+}
+
+export default new CodeRotationService();
@@ -0,0 +1,407 @@
+import AttendanceCorrection from '../../../models/attendanceCorrectionModel.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import AuditLog from '../../../models/auditLogModel.js';
+import Subject from '../../../models/subjectModel.js';
+import User from '../../../models/userModel.js';
+import { logAudit } from '../../_common/services/audit.service.js';
+import { notifyUsers, createNotification } from '../../notifications/services/notifications.service.js';
+import attendanceSocket from '../attendance.socket.js';
+import { envNumber } from '../../_common/utils/env.js';
+import { httpError } from '../../_common/utils/httpError.js';
+
+/**
+ * Correction Service (Attendance Domain)
+ *
+ * Record history and corrections:
+ * - Every teacher change to a record (and every absence excused by a leave
+ *   approval) goes through applyChange, which writes
+ *   a before/after entry to the audit log (actor, time, reason, IP) and
+ *   pushes the change to the session's live dashboard.
+ * - Students dispute a record; the record's teacher approves or rejects.
+ * - Records of sessions that ended more than ATTENDANCE_EDIT_LOCK_DAYS ago
+ *   are locked: a teacher's edit or an approved dispute waits for an HOD of
+ *   the subject's department (any HOD when the subject has none).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OPEN_STATUSES = ['pending', 'pending_hod'];
+const QUEUE_STATUSES = ['pending', 'pending_hod', 'approved', 'rejected', 'cancelled'];
+
+class CorrectionService {
+  /**
+   * When a session's records lock
+   * @param {object} session - ClassSession (endedAt, startTime)
+   * @returns {Date}
+   */
+  getLockTime(session) {
+    const end = session.endedAt || session.startTime || session.createdAt;
+    return new Date(new Date(end).getTime() + envNumber('ATTENDANCE_EDIT_LOCK_DAYS', 7) * DAY_MS);
+  }
+
+  /**
+   * Whether changes to a session's records need HOD approval
+   * @param {object} session - ClassSession
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  isLocked(session, now = new Date()) {
+    return session.status === 'completed' && now >= this.getLockTime(session);
+  }
+
+  /**
+   * The audited part of a record
+   * @param {object} record - AttendanceRecord
+   * @returns {object}
+   */
+  snapshot(record) {
+    return {
+      status: record.status,
+      markedAt: record.markedAt,
+      markedMethod: record.markedMethod
+    };
+  }
+
+  /**
+   * Change a record's status and write the before/after audit entry
+   * @param {object} record - AttendanceRecord document
+   * @param {string} status - New status
+   * @param {object} options - { actor, reason, req, method ('manual'|'offline'|'leave'), markedAt, leaveRequest }
+   * @returns {Promise<object>} Saved record
+   */
+  async applyChange(record, status, options = {}) {
+    const { actor, reason, req, method = 'manual', markedAt, leaveRequest } = options;
+    const before = this.snapshot(record);
+
+    let saved;
+    if (method === 'leave') saved = await record.markExcused(leaveRequest);
+    else if (method === 'offline') saved = await record.markOffline(status, markedAt);
+    else saved = await record.markManually(status);
+
+    await logAudit({
+      actor,
+      action: 'ATTENDANCE_RECORD_UPDATED',
+      entityType: 'AttendanceRecord',
+      entityId: record._id,
+      before,
+      after: this.snapshot(saved),
+      req,
+      context: 'attendance',
+      reason
+    });
+
+    attendanceSocket.emitAttendanceUpdated(saved.classSession, saved);
+
+    return saved;
+  }
+
+  /**
+   * Whether a user can decide corrections that need an HOD
+   * @param {object} user - User with roles and teacherDetails
+   * @param {object} correction - AttendanceCorrection
+   * @returns {boolean}
+   */
+  canApproveAsHod(user, correction) {
+    const department = user.teacherDetails?.department;
+    return (user.roles || []).includes('hod') &&
+      (!department || !correction.department || correction.department === department);
+  }
+
+  /**
+   * Tell the HODs who can decide a correction that it is waiting for them
+   * @param {object} correction - AttendanceCorrection
+   */
+  async notifyHods(correction) {
+    const hods = await User.find({ roles: 'hod' }).select('roles teacherDetails');
+    const hodIds = hods.filter(hod => this.canApproveAsHod(hod, correction)).map(hod => hod._id);
+
+    await notifyUsers(hodIds, {
+      type: 'attendance_correction',
+      title: 'Attendance correction awaiting approval',
+      message: `${correction.previousStatus} → ${correction.requestedStatus}: ${correction.reason.slice(0, 120)}`,
+      link: `/attendance/corrections/${correction._id}`
+    });
+  }
+
+  /**
+   * New correction for a record, with its class context
+   */
+  async createCorrection(record, data) {
+    const subject = await Subject.findById(record.subject).select('department').lean();
+
+    return AttendanceCorrection.create({
+      record: record._id,
+      classSession: record.classSession._id || record.classSession,
+      student: record.student,
+      teacher: record.teacher,
+      subject: record.subject,
+      department: subject?.department || null,
+      previousStatus: record.status,
+      ...data
+    });
+  }
+
+  /**
+   * Reject a second open correction for the same record
+   * @param {string} recordId - Attendance record ID
+   */
+  async assertNoneOpen(recordId) {
+    const open = await AttendanceCorrection.exists({ record: recordId, status: { $in: OPEN_STATUSES } });
+
+    if (open) {
+      throw httpError('A correction for this record is already open', 409);
+    }
+  }
+
+  /**
+   * Student disputes one of their records
+   * @param {object} student - Student user
+   * @param {object} data - { recordId, reason, requestedStatus? } (default 'present')
+   * @returns {Promise<object>} Created correction
+   */
+  async raiseDispute(student, { recordId, reason, requestedStatus = 'present' }) {
+    const record = await AttendanceRecord.findOne({ _id: recordId, student: student._id });
+
+    if (!record) {
+      throw httpError('Attendance record not found', 404);
+    }
+
+    if (record.status === requestedStatus) {
+      throw httpError(`The record is already ${requestedStatus}`, 400);
+    }
+
+    await this.assertNoneOpen(record._id);
+
+    const correction = await this.createCorrection(record, {
+      type: 'dispute',
+      requestedBy: student._id,
+      requestedStatus,
+      reason
+    });
+
+    await createNotification({
+      user: record.teacher,
+      type: 'attendance_correction',
+      title: `Attendance dispute from ${student.name}`,
+      message: `Marked ${record.status}, should be ${requestedStatus}: ${reason.slice(0, 120)}`,
+      link: `/attendance/corrections/${correction._id}`
+    });
+
+    return correction;
+  }
+
+  /**
+   * Teacher edit to a locked record: held for HOD approval
+   * @param {object} record - AttendanceRecord
+   * @param {string} status - Requested status
+   * @param {object} options - { actor, reason, leaveRequest? }
+   * @returns {Promise<object>} Created correction
+   */
+  async requestLateEdit(record, status, { actor, reason, leaveRequest = null }) {
+    await this.assertNoneOpen(record._id);
+
+    const correction = await this.createCorrection(record, {
+      type: 'late_edit',
+      requestedBy: actor._id || actor,
+      requestedStatus: status,
+      reason,
+      leaveRequest,
+      status: 'pending_hod'
+    });
+
+    await this.notifyHods(correction);
+
+    return correction;
+  }
+
+  /**
+   * Corrections the user asked for, newest first
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Array>}
+   */
+  async getOwnCorrections(userId) {
+    return AttendanceCorrection.find({ requestedBy: userId })
+      .populate('subject', 'name subjectCode')
+      .populate('classSession', 'startTime topic')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Withdraw an open correction
+   * @param {string} correctionId - Correction ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<object>}
+   */
+  async cancelCorrection(correctionId, userId) {
+    const correction = await AttendanceCorrection.findOne({ _id: correctionId, requestedBy: userId });
+
+    if (!correction) {
+      throw httpError('Correction not found', 404);
+    }
+
+    if (!OPEN_STATUSES.includes(correction.status)) {
+      throw httpError('Only open corrections can be cancelled', 409);
+    }
+
+    correction.status = 'cancelled';
+    return correction.save();
+  }
+
+  /**
+   * Corrections waiting for the user: disputes on their records (teachers)
+   * and corrections needing an HOD (HODs)
+   * @param {object} user - Reviewer with roles and teacherDetails
+   * @param {object} filters - { status } (default: the open status of each queue)
+   * @returns {Promise<Array>} Oldest first
+   */
+  async getReviewQueue(user, filters = {}) {
+    const status = QUEUE_STATUSES.includes(filters.status) ? filters.status : null;
+    const roles = user.roles || [];
+    const department = user.teacherDetails?.department;
+    const scopes = [];
+
+    if (roles.includes('teacher')) {
+      scopes.push({ teacher: user._id, status: status || 'pending' });
+    }
+
+    if (roles.includes('hod')) {
+      scopes.push({
+        status: status || 'pending_hod',
+        ...(department ? { department: { $in: [department, null] } } : {})
+      });
+    }
+
+    if (scopes.length === 0) return [];
+
+    return AttendanceCorrection.find({ $or: scopes })
+      .populate('student', 'name studentDetails.usn')
+      .populate('requestedBy', 'name')
+      .populate('subject', 'name subjectCode')
+      .populate('classSession', 'startTime topic batch semester section')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Approve or reject a correction. The teacher decides disputes; when the
+   * record is locked an approval moves the correction on to an HOD, whose
+   * decision is final. An HOD can decide at either step.
+   * @param {string} correctionId - Correction ID
+   * @param {object} reviewer - Reviewing user
+   * @param {object} review - { decision: 'approved'|'rejected', comment? }
+   * @param {object} req - Request (for the audit entry)
+   * @returns {Promise<object>} Updated correction
+   */
+  async reviewCorrection(correctionId, reviewer, { decision, comment }, req) {
+    const correction = await AttendanceCorrection.findById(correctionId);
+
+    if (!correction) {
+      throw httpError('Correction not found', 404);
+    }
+
+    const isHod = this.canApproveAsHod(reviewer, correction);
+    const review = { by: reviewer._id, decision, comment, at: new Date() };
+
+    if (correction.status === 'pending') {
+      if (String(correction.teacher) !== String(reviewer._id) && !isHod) {
+        throw httpError('You cannot review this correction', 403);
+      }
+      correction.teacherReview = review;
+    } else if (correction.status === 'pending_hod') {
+      if (!isHod) {
+        throw httpError('This correction needs an HOD of the subject\'s department', 403);
+      }
+      correction.hodReview = review;
+    } else {
+      throw httpError(`This correction has already been ${correction.status}`, 409);
+    }
+
+    if (decision === 'rejected') {
+      correction.status = 'rejected';
+    } else {
+      const session = await ClassSession.findById(correction.classSession).select('status startTime endedAt createdAt');
+
+      if (correction.status === 'pending' && this.isLocked(session) && !isHod) {
+        correction.status = 'pending_hod';
+        await correction.save();
+        await this.notifyHods(correction);
+        return correction;
+      }
+
+      if (correction.status === 'pending' && this.isLocked(session)) {
+        correction.hodReview = review;
+      }
+
+      const record = await AttendanceRecord.findById(correction.record);
+      const label = correction.type === 'dispute' ? 'Dispute' : 'Late edit';
+      await this.applyChange(record, correction.requestedStatus, {
+        actor: reviewer,
+        reason: `${label}: ${correction.reason}${comment ? ` (${comment})` : ''}`,
+        req,
+        ...(correction.leaveRequest && { method: 'leave', leaveRequest: correction.leaveRequest })
+      });
+
+      correction.status = 'approved';
+      correction.appliedAt = new Date();
+    }
+
+    await correction.save();
+
+    await createNotification({
+      user: correction.requestedBy,
+      type: 'attendance_correction',
+      title: `Attendance correction ${correction.status}`,
+      message: comment || `Your request to change the record to ${correction.requestedStatus} was ${correction.status}.`,
+      link: `/attendance/corrections/${correction._id}`
+    });
+
+    return correction;
+  }
+
+  /**
+   * A record's change history and corrections. Visible to the record's
+   * student and teacher, HODs and admins; IPs are left out for students.
+   * @param {string} recordId - Attendance record ID
+   * @param {object} user - Requesting user
+   * @returns {Promise<object>} { record, history, corrections }
+   */
+  async getRecordHistory(recordId, user) {
+    const record = await AttendanceRecord.findById(recordId).lean();
+
+    if (!record) {
+      throw httpError('Attendance record not found', 404);
+    }
+
+    const roles = user.roles || [];
+    const isStaff = roles.includes('hod') || roles.includes('admin') || String(record.teacher) === String(user._id);
+
+    if (!isStaff && String(record.student) !== String(user._id)) {
+      throw httpError('You cannot view this record', 403);
+    }
+
+    const [entries, corrections] = await Promise.all([
+      AuditLog.find({ entityType: 'AttendanceRecord', entityId: String(record._id) })
+        .populate('actor.user', 'name')
+        .sort({ timestamp: 1 })
+        .lean(),
+      AttendanceCorrection.find({ record: record._id })
+        .populate('requestedBy', 'name')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    const history = entries.map(entry => ({
+      at: entry.timestamp,
+      actor: entry.actor?.user || null,
+      reason: entry.reason || null,
+      before: entry.data?.before,
+      after: entry.data?.after,
+      ...(isStaff ? { ipAddress: entry.ipAddress } : {})
+    }));
+
+    return { record, history, corrections };
+  }
+}
+
+export default new CorrectionService();
@@ -0,0 +1,398 @@
+import AttendancePolicy from '../../../models/attendancePolicyModel.js';
+import AttendanceStanding from '../../../models/attendanceStandingModel.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import Subject from '../../../models/subjectModel.js';
+import User from '../../../models/userModel.js';
+import { createNotification } from '../../notifications/services/notifications.service.js';
+import statsService from './stats.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+
+/**
+ * Eligibility Service (Attendance Domain)
+ *
+ * Applies the attendance eligibility rules (AttendancePolicy) to a student's
+ * statistics:
+ * - status per subject and overall: eligible, warning (within the warning
+ *   band above the minimum), condonable (within the condonation band below
+ *   it) or shortage
+ * - how many classes the student can still miss, or must attend in a row to
+ *   get back to the minimum, based on the classes held so far
+ * - the recent attendance rate (last ATTENDANCE_TREND_DAYS days)
+ * Students (and their mentor) are alerted when they move into a worse band.
+ */
+
+export const ELIGIBILITY_STATUSES = ['eligible', 'warning', 'condonable', 'shortage']; // best to worst
+
+export const DEFAULT_POLICY = {
+  subjectMinimum: 75,
+  overallMinimum: 85,
+  condonationBand: 0,
+  warningBand: 5,
+  alertsEnabled: true
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const severity = (status) => ELIGIBILITY_STATUSES.indexOf(status);
+
+const pickPolicy = (doc) => (doc
+  ? Object.fromEntries(POLICY_FIELDS.filter(key => doc[key] !== undefined).map(key => [key, doc[key]]))
+  : {});
+
+class EligibilityService {
+  /**
+   * Load the institution policy and the overrides of some departments
+   * @param {Array} departments - Department names
+   * @returns {Promise<Function>} department => effective policy
+   */
+  async loadPolicies(departments = []) {
+    const names = [...new Set(departments.filter(Boolean))];
+    const docs = await AttendancePolicy.find({ department: { $in: [null, ...names] } }).lean();
+    const institution = { ...DEFAULT_POLICY, ...pickPolicy(docs.find(doc => !doc.department)), department: null };
+
+    return (department) => {
+      const override = department && docs.find(doc => doc.department === department);
+      return override ? { ...institution, ...pickPolicy(override), department } : institution;
+    };
+  }
+
+  /**
+   * Minimum percentage for a subject, or the overall minimum without one
+   * (default threshold for the low-attendance list)
+   * @param {string} subjectId - Subject ID (optional)
+   * @returns {Promise<number>}
+   */
+  async getMinimum(subjectId = null) {
+    const subject = subjectId && await Subject.findById(subjectId).select('department').lean();
+    const policyFor = await this.loadPolicies(subject ? [subject.department] : []);
+    const policy = policyFor(subject?.department);
+
+    return subject ? policy.subjectMinimum : policy.overallMinimum;
+  }
+
+  /**
+   * Apply a minimum to attendance counts
+   * @param {object} stats - { totalClasses, presentCount, excusedCount }
+   * @param {number} minimum - Minimum percentage
+   * @param {object} policy - Effective policy (bands)
+   * @param {string} rule - Excused rule
+   * @returns {object} { percentage, status, canMiss, mustAttend, policy, ... }
+   */
+  evaluate(stats, minimum, policy, rule) {
+    const excused = stats.excusedCount || 0;
+    const attended = (stats.presentCount || 0) + (rule === 'present' ? excused : 0);
+    const counted = (stats.totalClasses || 0) - (rule === 'exclude' ? excused : 0);
+    const exact = counted > 0 ? (attended / counted) * 100 : 0;
+
+    let status = 'shortage';
+    if (counted === 0 || exact >= minimum + policy.warningBand) status = 'eligible';
+    else if (exact >= minimum) status = 'warning';
+    else if (policy.condonationBand > 0 && exact >= minimum - policy.condonationBand) status = 'condonable';
+
+    // Classes in a row that can be missed while staying at the minimum, or
+    // that must be attended to get back to it (null: no limit / not possible)
+    let canMiss = 0;
+    let mustAttend = 0;
+    if (attended * 100 >= minimum * counted) {
+      canMiss = minimum > 0 ? Math.floor((attended * 100 - minimum * counted) / minimum) : null;
+    } else {
+      mustAttend = minimum < 100 ? Math.ceil((minimum * counted - attended * 100) / (100 - minimum)) : null;
+    }
+
+    return {
+      totalClasses: stats.totalClasses || 0,
+      presentCount: stats.presentCount || 0,
+      excusedCount: excused,
+      countedClasses: counted,
+      percentage: round(exact),
+      status,
+      canMiss,
+      mustAttend,
+      policy: {
+        department: policy.department,
+        minimum,
+        warningBand: policy.warningBand,
+        condonationBand: policy.condonationBand,
+        alertsEnabled: policy.alertsEnabled
+      }
+    };
+  }
+
+  /**
+   * Attendance rate over trend rows (getStudentTrend)
+   * @param {Array} rows - [{ totalClasses, presentCount, excusedCount }]
+   * @param {string} rule - Excused rule
+   * @returns {number|null} Percentage, or null without counted classes
+   */
+  trendPercentage(rows, rule) {
+    const totals = rows.reduce((sum, row) => ({
+      totalClasses: sum.totalClasses + row.totalClasses,
+      presentCount: sum.presentCount + row.presentCount,
+      excusedCount: sum.excusedCount + row.excusedCount
+    }), { totalClasses: 0, presentCount: 0, excusedCount: 0 });
+
+    const result = this.evaluate(totals, 0, DEFAULT_POLICY, rule);
+    return result.countedClasses > 0 ? result.percentage : null;
+  }
+
+  /**
+   * A student's eligibility per subject and overall
+   * The overall minimum comes from the department of the student's subjects
+   * when they all belong to one, otherwise from the institution policy.
+   * @param {string} studentId - Student user ID
+   * @param {object} options - { excusedRule }
+   * @returns {Promise<object>} { excusedRule, overall, subjects }
+   */
+  async getStudentEligibility(studentId, options = {}) {
+    const rule = statsService.getExcusedRule(options.excusedRule);
+    const since = new Date(Date.now() - envNumber('ATTENDANCE_TREND_DAYS', 28) * DAY_MS);
+
+    const [bySubject, overall] = await Promise.all([
+      statsService.getStudentStatsBySubject(studentId, { excusedRule: rule }),
+      statsService.getStudentOverallStats(studentId, { excusedRule: rule })
+    ]);
+
+    const subjects = await Subject.find({ _id: { $in: bySubject.map(s => s.subjectId) } })
+      .select('name subjectCode department')
+      .lean();
+    const subjectById = new Map(subjects.map(s => [String(s._id), s]));
+    const departments = [...new Set(subjects.map(s => s.department).filter(Boolean))];
+    const policyFor = await this.loadPolicies(departments);
+    const overallPolicy = policyFor(departments.length === 1 ? departments[0] : null);
+
+    const trends = await Promise.all(bySubject.map(s =>
+      statsService.getStudentTrend(studentId, s.subjectId, { startDate: since }, { excusedRule: rule })
+    ));
+
+    const subjectResults = bySubject
+      .map((stats, index) => ({ stats, trend: trends[index], subject: subjectById.get(String(stats.subjectId)) }))
+      .filter(({ subject }) => subject)
+      .map(({ stats, trend, subject }) => {
+        const policy = policyFor(subject.department);
+        return {
+          subject: { _id: subject._id, name: subject.name, subjectCode: subject.subjectCode },
+          ...this.evaluate(stats, policy.subjectMinimum, policy, rule),
+          recentPercentage: this.trendPercentage(trend, rule)
+        };
+      });
+
+    return {
+      excusedRule: rule,
+      overall: {
+        ...this.evaluate(overall, overallPolicy.overallMinimum, overallPolicy, rule),
+        recentPercentage: this.trendPercentage(trends.flat(), rule)
+      },
+      subjects: subjectResults
+    };
+  }
+
+  /**
+   * Eligibility of a class for one subject (teacher view)
+   * @param {object} classParams - { batch, semester, section, subjectId }
+   * @param {string} teacherId - Teacher user ID (must be assigned)
+   * @param {object} options - { excusedRule, status }
+   * @returns {Promise<object>} { excusedRule, policy, students }
+   */
+  async getClassEligibility(classParams, teacherId, options = {}) {
+    const rule = statsService.getExcusedRule(options.excusedRule);
+    const rows = await statsService.getClassStats(classParams, teacherId, { excusedRule: rule });
+
+    const subject = await Subject.findById(classParams.subjectId).select('department').lean();
+    const policyFor = await this.loadPolicies([subject?.department]);
+    const policy = policyFor(subject?.department);
+
+    const students = rows
+      .map(({ studentId, studentName, usn, avatar, ...stats }) => ({
+        studentId,
+        studentName,
+        usn,
+        avatar,
+        ...this.evaluate(stats, policy.subjectMinimum, policy, rule)
+      }))
+      .filter(student => !options.status || student.status === options.status);
+
+    return { excusedRule: rule, policy: { ...policy, minimum: policy.subjectMinimum }, students };
+  }
+
+  /**
+   * Eligibility report for a class section across subjects (admin/HOD)
+   * @param {object} filters - { batch, semester, section, department?, status? }
+   *   department limits the report to subjects of that department;
+   *   status keeps students whose worst status is that one
+   * @param {object} options - { excusedRule }
+   * @returns {Promise<object>} { excusedRule, summary, students }
+   */
+  async getClassReport(filters, options = {}) {
+    const rule = statsService.getExcusedRule(options.excusedRule);
+    const { batch, semester, section, department, status } = filters;
+
+    const rows = await statsService.getClassStatsBySubject({ batch, semester, section }, { excusedRule: rule });
+    const subjects = await Subject.find({
+      _id: { $in: [...new Set(rows.map(row => String(row.subjectId)))] },
+      ...(department ? { department } : {})
+    }).select('name subjectCode department').lean();
+    const subjectById = new Map(subjects.map(s => [String(s._id), s]));
+    const policyFor = await this.loadPolicies(subjects.map(s => s.department));
+
+    const byStudent = new Map();
+    rows.filter(row => subjectById.has(String(row.subjectId))).forEach(row => {
+      const key = String(row.studentId);
+      if (!byStudent.has(key)) byStudent.set(key, []);
+      byStudent.get(key).push(row);
+    });
+
+    const users = await User.find({ _id: { $in: [...byStudent.keys()] } })
+      .select('name studentDetails.usn')
+      .lean();
+    const userById = new Map(users.map(u => [String(u._id), u]));
+
+    const students = [...byStudent.entries()]
+      .filter(([id]) => userById.has(id))
+      .map(([id, studentRows]) => {
+        const user = userById.get(id);
+        const studentSubjects = studentRows.map(row => {
+          const subject = subjectById.get(String(row.subjectId));
+          const policy = policyFor(subject.department);
+          return {
+            subject: { _id: subject._id, name: subject.name, subjectCode: subject.subjectCode },
+            ...this.evaluate(row, policy.subjectMinimum, policy, rule)
+          };
+        });
+
+        const departments = [...new Set(studentSubjects.map(s => s.policy.department).filter(Boolean))];
+        const overallPolicy = policyFor(department || (departments.length === 1 ? departments[0] : null));
+        const totals = studentRows.reduce((sum, row) => ({
+          totalClasses: sum.totalClasses + row.totalClasses,
+          presentCount: sum.presentCount + row.presentCount,
+          excusedCount: sum.excusedCount + row.excusedCount
+        }), { totalClasses: 0, presentCount: 0, excusedCount: 0 });
+        const overall = this.evaluate(totals, overallPolicy.overallMinimum, overallPolicy, rule);
+
+        const worst = [overall, ...studentSubjects]
+          .reduce((acc, entry) => (severity(entry.status) > severity(acc) ? entry.status : acc), 'eligible');
+
+        return {
+          student: { _id: user._id, name: user.name, usn: user.studentDetails?.usn },
+          status: worst,
+          overall,
+          subjects: studentSubjects
+        };
+      })
+      .sort((a, b) => severity(b.status) - severity(a.status) || a.student.name.localeCompare(b.student.name));
+
+    const summary = Object.fromEntries(ELIGIBILITY_STATUSES.map(s => [s, 0]));
+    students.forEach(student => { summary[student.status] += 1; });
+
+    return {
+      excusedRule: rule,
+      summary,
+      students: status ? students.filter(student => student.status === status) : students
+    };
+  }
+
+  /**
+   * Alert text for the entries a student has moved into
+   * @param {Array} entries - Evaluations with subject (null = overall)
+   * @returns {string}
+   */
+  describeAlerts(entries) {
+    return entries.map(entry => {
+      const label = entry.subject ? entry.subject.name : 'Overall';
+      const { minimum } = entry.policy;
+      const base = `${label}: ${entry.percentage}% (minimum ${minimum}%)`;
+
+      if (entry.status === 'warning') {
+        return `${base}. ${entry.canMiss} more absence${entry.canMiss === 1 ? '' : 's'} allowed.`;
+      }
+
+      const recover = entry.mustAttend === null
+        ? 'The minimum can no longer be reached'
+        : `Attend the next ${entry.mustAttend} class${entry.mustAttend === 1 ? '' : 'es'} to get back to ${minimum}%`;
+      return `${base}. ${recover}${entry.status === 'condonable' ? ' (within the condonation band)' : ''}.`;
+    }).join(' ');
+  }
+
+  /**
+   * Re-evaluate a student, store the standings and alert the student and
+   * their mentor about entries that moved into a worse band
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<number>} Entries alerted
+   */
+  async evaluateStudent(studentId) {
+    const [student, eligibility, standings] = await Promise.all([
+      User.findById(studentId).select('name studentDetails.mentor').lean(),
+      this.getStudentEligibility(studentId),
+      AttendanceStanding.find({ student: studentId }).lean()
+    ]);
+
+    if (!student) return 0;
+
+    const previous = new Map(standings.map(s => [String(s.subject), s.status]));
+    const entries = [{ ...eligibility.overall, subject: null }, ...eligibility.subjects];
+    const alerts = [];
+
+    for (const entry of entries) {
+      const subject = entry.subject?._id || null;
+      const worse = severity(entry.status) > severity(previous.get(String(subject)) || 'eligible');
+      const alert = worse && entry.policy.alertsEnabled;
+      if (alert) alerts.push(entry);
+
+      await AttendanceStanding.updateOne(
+        { student: studentId, subject },
+        { $set: { status: entry.status, percentage: entry.percentage, ...(alert ? { alertedAt: new Date() } : {}) } },
+        { upsert: true }
+      );
+    }
+
+    if (alerts.length === 0) return 0;
+
+    const below = alerts.some(entry => entry.status !== 'warning');
+    const message = this.describeAlerts(alerts);
+
+    await createNotification({
+      user: student._id,
+      type: 'attendance_alert',
+      title: below ? 'Attendance below the minimum' : 'Attendance close to the minimum',
+      message,
+      link: '/attendance/eligibility'
+    });
+
+    if (student.studentDetails?.mentor) {
+      await createNotification({
+        user: student.studentDetails.mentor,
+        type: 'attendance_alert',
+        title: `Attendance alert: ${student.name}`,
+        message,
+        link: `/attendance/students/${student._id}`
+      });
+    }
+
+    return alerts.length;
+  }
+
+  /**
+   * Re-evaluate students with attendance changes since a moment (scheduler job)
+   * @param {Date} since - Records updated at or after this moment
+   * @returns {Promise<object>} { checked, alerted, failed }
+   */
+  async runAlerts(since) {
+    const studentIds = await AttendanceRecord.distinct('student', { updatedAt: { $gte: since } });
+    const result = { checked: studentIds.length, alerted: 0, failed: 0 };
+
+    for (const studentId of studentIds) {
+      try {
+        if (await this.evaluateStudent(studentId) > 0) result.alerted += 1;
+      } catch (error) {
+        console.error(`Failed to evaluate attendance eligibility for ${studentId}:`, error);
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  }
+}
+
+export default new EligibilityService();
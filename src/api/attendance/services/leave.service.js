@@ -0,0 +1,387 @@
+import LeaveRequest from '../../../models/leaveRequestModel.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import Subject from '../../../models/subjectModel.js';
+import File from '../../../models/fileModel.js';
+import User from '../../../models/userModel.js';
+import { getDownloadUrl } from '../../../services/s3/s3.service.js';
+import { notifyUsers, createNotification } from '../../notifications/services/notifications.service.js';
+import timetableService from './timetable.service.js';
+import correctionService from './correction.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+
+/**
+ * Leave Service (Attendance Domain)
+ *
+ * Leave and medical excuse requests filed by students for a range of days.
+ * A request for one subject can be approved by that subject's teacher (for
+ * the student's section) or an HOD; requests covering several subjects go to
+ * an HOD. HODs only see requests for subjects of their department (all, if
+ * they have no department set). Approval marks the student's absences in
+ * covered sessions as 'excused' through the correction service, so each
+ * change is audited and locked sessions still need an HOD; sessions created
+ * later during the leave start out excused (SessionService.createSession).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class LeaveService {
+  /**
+   * Whether a user may review a request
+   * @param {object} user - Reviewer with roles and teacherDetails
+   * @param {object} request - LeaveRequest
+   * @returns {boolean}
+   */
+  canReview(user, request) {
+    const roles = user.roles || [];
+    const department = user.teacherDetails?.department;
+
+    if (roles.includes('hod') && (!department || request.departments.includes(department))) {
+      return true;
+    }
+
+    return request.reviewerRole === 'teacher' && roles.includes('teacher') &&
+      (user.teacherDetails?.assignments || []).some(a =>
+        String(a.subject) === String(request.subjects[0]?._id || request.subjects[0]) &&
+        a.batch === request.batch &&
+        a.semester === request.semester &&
+        a.sections.includes(request.section)
+      );
+  }
+
+  /**
+   * Users who can review a request (for the new-request notification)
+   * @param {object} request - LeaveRequest
+   * @returns {Promise<Array>} User IDs
+   */
+  async getReviewerIds(request) {
+    const candidates = await User.find({
+      $or: [
+        { roles: 'hod' },
+        ...(request.reviewerRole === 'teacher'
+          ? [{ roles: 'teacher', 'teacherDetails.assignments.subject': request.subjects[0] }]
+          : [])
+      ]
+    }).select('roles teacherDetails');
+
+    return candidates.filter(user => this.canReview(user, request)).map(user => user._id);
+  }
+
+  /**
+   * File a leave or medical excuse request
+   * @param {object} student - Student user with studentDetails
+   * @param {object} data - { type, reason, fromDate, toDate, subjects?, attachment? }
+   * @returns {Promise<object>} Created request
+   */
+  async createRequest(student, data) {
+    const { batch, semester, section, enrolledSubjects = [] } = student.studentDetails || {};
+    const fromKey = toDateKey(data.fromDate);
+    const toKey = toDateKey(data.toDate);
+
+    if (fromKey > toKey) {
+      const error = new Error('The leave must end on or after the day it starts');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const maxDays = envNumber('ATTENDANCE_LEAVE_MAX_DAYS', 30);
+    if ((new Date(toKey) - new Date(fromKey)) / DAY_MS + 1 > maxDays) {
+      const error = new Error(`A request can cover at most ${maxDays} days`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const backdateDays = envNumber('ATTENDANCE_LEAVE_BACKDATE_DAYS', 30);
+    const earliest = toDateKey(Date.now() - backdateDays * DAY_MS);
+    if (fromKey < earliest) {
+      const error = new Error(`Leave can be requested for at most ${backdateDays} days in the past`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const enrolled = enrolledSubjects.map(String);
+    const subjects = data.subjects?.length ? [...new Set(data.subjects.map(String))] : enrolled;
+    if (subjects.length === 0 || subjects.some(id => !enrolled.includes(id))) {
+      const error = new Error('Leave can only be requested for subjects you are enrolled in');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (data.type === 'medical' && !data.attachment) {
+      const error = new Error('Medical excuses need a supporting document');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (data.attachment) {
+      const file = await File.exists({ _id: data.attachment, user: student._id, isFolder: false, isDeleted: false });
+      if (!file) {
+        const error = new Error('Attachment not found');
+        error.statusCode = 404;
+        throw error;
+      }
+    }
+
+    const startsAt = timetableService.toInstant(fromKey, '00:00');
+    const endsAt = new Date(timetableService.toInstant(toDateKey(new Date(toKey).getTime() + DAY_MS), '00:00') - 1);
+
+    const overlapping = await LeaveRequest.exists({
+      student: student._id,
+      status: { $in: ['pending', 'approved'] },
+      startsAt: { $lte: endsAt },
+      endsAt: { $gte: startsAt }
+    });
+    if (overlapping) {
+      const error = new Error('You already have a leave request for these days');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const departments = await Subject.distinct('department', { _id: { $in: subjects } });
+
+    const request = await LeaveRequest.create({
+      student: student._id,
+      type: data.type,
+      reason: data.reason,
+      fromDate: new Date(fromKey),
+      toDate: new Date(toKey),
+      startsAt,
+      endsAt,
+      batch,
+      semester,
+      section,
+      subjects,
+      departments,
+      attachment: data.attachment || null,
+      reviewerRole: subjects.length === 1 ? 'teacher' : 'hod'
+    });
+
+    const reviewerIds = await this.getReviewerIds(request);
+    await notifyUsers(reviewerIds, {
+      type: 'leave_request',
+      title: `${data.type === 'medical' ? 'Medical excuse' : 'Leave request'} from ${student.name}`,
+      message: `${fromKey === toKey ? fromKey : `${fromKey} to ${toKey}`}: ${data.reason.slice(0, 120)}`,
+      link: `/attendance/leave/${request._id}`
+    });
+
+    return request;
+  }
+
+  /**
+   * A student's requests, newest first
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>}
+   */
+  async getStudentRequests(studentId) {
+    return LeaveRequest.find({ student: studentId })
+      .populate('subjects', 'name subjectCode')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Withdraw a pending request
+   * @param {string} requestId - Leave request ID
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<object>}
+   */
+  async cancelRequest(requestId, studentId) {
+    const request = await LeaveRequest.findOne({ _id: requestId, student: studentId });
+
+    if (!request) {
+      const error = new Error('Leave request not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (request.status !== 'pending') {
+      const error = new Error('Only pending requests can be cancelled');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    request.status = 'cancelled';
+    return request.save();
+  }
+
+  /**
+   * Requests a teacher or HOD can review
+   * @param {object} user - Reviewer with roles and teacherDetails
+   * @param {object} filters - { status } (default 'pending')
+   * @returns {Promise<Array>} Oldest first
+   */
+  async getReviewQueue(user, filters = {}) {
+    const status = REVIEW_STATUSES.includes(filters.status) ? filters.status : 'pending';
+    const roles = user.roles || [];
+    const department = user.teacherDetails?.department;
+    const scopes = [];
+
+    if (roles.includes('hod')) {
+      scopes.push(department ? { departments: department } : {});
+    }
+
+    if (roles.includes('teacher')) {
+      (user.teacherDetails?.assignments || []).forEach(a => scopes.push({
+        reviewerRole: 'teacher',
+        subjects: a.subject,
+        batch: a.batch,
+        semester: a.semester,
+        section: { $in: a.sections }
+      }));
+    }
+
+    if (scopes.length === 0) return [];
+
+    return LeaveRequest.find({ status, $or: scopes })
+      .populate('student', 'name email studentDetails.usn')
+      .populate('subjects', 'name subjectCode')
+      .sort({ createdAt: 1 })
+      .lean();
+  }
+
+  /**
+   * Approve or reject a pending request. Approval excuses the student's
+   * absences in sessions of the covered subjects during the leave.
+   * @param {string} requestId - Leave request ID
+   * @param {object} reviewer - Reviewing user
+   * @param {object} review - { decision: 'approved'|'rejected', comment? }
+   * @param {object} req - Express request (for the audit log)
+   * @returns {Promise<object>} Updated request
+   */
+  async reviewRequest(requestId, reviewer, { decision, comment }, req) {
+    const request = await LeaveRequest.findById(requestId);
+
+    if (!request) {
+      const error = new Error('Leave request not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (!this.canReview(reviewer, request)) {
+      const error = new Error('You cannot review this leave request');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    if (request.status !== 'pending') {
+      const error = new Error(`This request has already been ${request.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    request.status = decision;
+    request.reviewedBy = reviewer._id;
+    request.reviewedAt = new Date();
+    request.reviewComment = comment;
+
+    if (decision === 'approved') {
+      const { excused, pendingHod } = await this.excuseRecords(request, reviewer, req);
+      request.excusedCount = excused;
+      request.pendingHodCount = pendingHod;
+    }
+
+    await request.save();
+
+    await createNotification({
+      user: request.student,
+      type: 'leave_reviewed',
+      title: `Leave request ${decision}`,
+      message: comment || `Your request for ${toDateKey(request.fromDate)} to ${toDateKey(request.toDate)} was ${decision}.`,
+      link: `/attendance/leave/${request._id}`
+    });
+
+    return request;
+  }
+
+  /**
+   * Mark the student's absences in covered sessions as excused. Each change
+   * goes through correctionService.applyChange (audit reason `leave:<id>`);
+   * absences in locked sessions become late edits for an HOD, unless the
+   * reviewer is an HOD of the subject's department.
+   * @param {object} request - Approved LeaveRequest
+   * @param {object} reviewer - Approving user
+   * @param {object} req - Express request (for the audit log)
+   * @returns {Promise<object>} { excused, pendingHod } record counts
+   */
+  async excuseRecords(request, reviewer, req) {
+    const sessions = await ClassSession.find({
+      subject: { $in: request.subjects },
+      batch: request.batch,
+      semester: request.semester,
+      section: request.section,
+      startTime: { $gte: request.startsAt, $lte: request.endsAt }
+    }).select('status startTime endedAt createdAt').lean();
+
+    if (sessions.length === 0) return { excused: 0, pendingHod: 0 };
+
+    const sessionsById = new Map(sessions.map(s => [String(s._id), s]));
+    const [records, subjects] = await Promise.all([
+      AttendanceRecord.find({ classSession: { $in: [...sessionsById.keys()] }, student: request.student, status: 'absent' }),
+      Subject.find({ _id: { $in: request.subjects } }).select('department').lean()
+    ]);
+    const departments = new Map(subjects.map(s => [String(s._id), s.department || null]));
+
+    const reason = `leave:${request._id}`;
+    let excused = 0;
+    let pendingHod = 0;
+
+    for (const record of records) {
+      const locked = correctionService.isLocked(sessionsById.get(String(record.classSession)));
+      const isHod = correctionService.canApproveAsHod(reviewer, { department: departments.get(String(record.subject)) });
+
+      if (locked && !isHod) {
+        try {
+          await correctionService.requestLateEdit(record, 'excused', { actor: reviewer, reason, leaveRequest: request._id });
+          pendingHod += 1;
+        } catch (error) {
+          // A correction is already open for the record: leave it to that one
+          if (error.statusCode !== 409) throw error;
+        }
+        continue;
+      }
+
+      await correctionService.applyChange(record, 'excused', {
+        actor: reviewer,
+        reason,
+        req,
+        method: 'leave',
+        leaveRequest: request._id
+      });
+      excused += 1;
+    }
+
+    return { excused, pendingHod };
+  }
+
+  /**
+   * Download link for a request's attachment (the student or a reviewer)
+   * @param {string} requestId - Leave request ID
+   * @param {object} user - Requesting user
+   * @returns {Promise<object>} { url, fileName }
+   */
+  async getAttachmentUrl(requestId, user) {
+    const request = await LeaveRequest.findById(requestId);
+
+    if (!request || (String(request.student) !== String(user._id) && !this.canReview(user, request))) {
+      const error = new Error('Leave request not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const file = request.attachment && await File.findOne({ _id: request.attachment, isDeleted: false });
+    if (!file) {
+      const error = new Error('This request has no attachment');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const url = await getDownloadUrl(file.s3Key, file.fileName);
+    return { url, fileName: file.fileName };
+  }
+}
+
+export default new LeaveService();
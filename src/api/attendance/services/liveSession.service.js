@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import ClassSession from '../../../models/classSessionModel.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import sessionService from './session.service.js';
+import { httpError } from '../../_common/utils/httpError.js';
+
+/**
+ * Live Session Service (Attendance Domain)
+ *
+ * Backs the live session dashboard (attendance.socket.js):
+ * - who may join a session's socket room: the teacher who owns the session,
+ *   or a student with a record in it (enrolled when the session was created)
+ * - the current state sent on join and on resync, so a screen that lost its
+ *   connection can replace what it shows instead of replaying missed events
+ */
+
+class LiveSessionService {
+  /**
+   * Check that a user may follow a session live
+   * @param {object} user - Authenticated user
+   * @param {string} sessionId - Class session ID
+   * @returns {Promise<string>} 'teacher' or 'student'
+   */
+  async authorizeJoin(user, sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) {
+      throw httpError('Invalid session ID', 400);
+    }
+
+    const session = await ClassSession.findById(sessionId).select('teacher').lean();
+    if (!session) {
+      throw httpError('Session not found', 404);
+    }
+
+    if (String(session.teacher) === String(user._id)) {
+      return 'teacher';
+    }
+
+    const enrolled = await AttendanceRecord.exists({ classSession: sessionId, student: user._id });
+    if (enrolled) {
+      return 'student';
+    }
+
+    throw httpError('You are not allowed to join this session', 403);
+  }
+
+  /**
+   * Record fields sent in live events
+   * @param {object} record - AttendanceRecord (student populated or not)
+   * @returns {object}
+   */
+  toLiveRecord(record) {
+    const student = record.student?._id
+      ? { _id: record.student._id, name: record.student.name, usn: record.student.studentDetails?.usn }
+      : record.student;
+
+    return {
+      recordId: record._id,
+      student,
+      status: record.status,
+      markedAt: record.markedAt,
+      markedMethod: record.markedMethod
+    };
+  }
+
+  /**
+   * Current state of a session as the user sees it. Teachers get the
+   * counter, the full roster and (while active) the current code; students
+   * get their own record.
+   * @param {string} sessionId - Class session ID
+   * @param {object} user - Authenticated user
+   * @param {string} role - From authorizeJoin
+   * @returns {Promise<object>}
+   */
+  async getSessionState(sessionId, user, role) {
+    const session = await ClassSession.findById(sessionId)
+      .select('+codeSecret status startTime endedAt codeMode codeRotationSeconds attendanceCode codeExpiresAt')
+      .lean();
+
+    if (!session) {
+      throw httpError('Session not found', 404);
+    }
+
+    const state = {
+      sessionId: String(session._id),
+      status: session.status,
+      startTime: session.startTime,
+      endedAt: session.endedAt,
+      serverTime: new Date()
+    };
+
+    if (role !== 'teacher') {
+      const record = await AttendanceRecord.findOne({ classSession: sessionId, student: user._id });
+      return { ...state, record: record && this.toLiveRecord(record) };
+    }
+
+    const [summary, records] = await Promise.all([
+      AttendanceRecord.getSessionSummary(sessionId),
+      sessionService.getSessionRoster(sessionId, user._id)
+    ]);
+
+    return {
+      ...state,
+      summary,
+      records: records.map(record => this.toLiveRecord(record)),
+      code: session.status === 'active' ? sessionService.getCurrentCode(session) : null
+    };
+  }
+}
+
+export default new LiveSessionService();
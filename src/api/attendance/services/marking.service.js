@@ -2,6 +2,16 @@ import AttendanceRecord from '../../../models/attendanceRecordModel.js';
 import ClassSession from '../../../models/classSessionModel.js';
 import User from '../../../models/userModel.js';
 import mongoose from 'mongoose';
+import codeRotationService from './codeRotation.service.js';
+import antiProxyService from './antiProxy.service.js';
+import AttendanceSyncBatch from '../../../models/attendanceSyncBatchModel.js';
+import correctionService from './correction.service.js';
+import crypto from 'crypto';
+import attendanceSocket from '../attendance.socket.js';
+import { envNumber } from '../../_common/utils/env.js';
+import { httpError } from '../../_common/utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Marking Service (Phase 0 - Attendance Domain)
@@ -10,19 +20,54 @@ import mongoose from 'mongoose';
  */
 
 class MarkingService {
+  /**
+   * Find the active rotating-code session of the student's class whose
+   * current code (± the drift window) matches
+   * @param {string} studentId - Student user ID
+   * @param {string} attendanceCode - 8-digit code
+   * @returns {Promise<object|null>}
+   */
+  async findRotatingSessionForCode(studentId, attendanceCode) {
+    const student = await User.findById(studentId)
+      .select('studentDetails.batch studentDetails.semester studentDetails.section');
+    
+    if (!student || !student.studentDetails) return null;
+    
+    const { batch, semester, section } = student.studentDetails;
+    const candidates = await ClassSession.find({
+      codeMode: 'rotating',
+      status: 'active',
+      batch,
+      semester,
+      section
+    }).select('+codeSecret +teacherIp');
+    
+    const match = candidates.find(session =>
+      codeRotationService.verifyCode(session.codeSecret, session.codeRotationSeconds, attendanceCode)
+    );
+    
+    return match ? match.populate('subject', 'name code') : null;
+  }
+
   /**
    * Mark attendance using code (student-initiated)
+   * Static codes are looked up directly; rotating codes are checked against
+   * the sessions of the student's class. The session's anti-proxy checks
+   * (antiProxy.service.js) run before the record is marked.
    * @param {string} studentId - Student user ID
    * @param {string} attendanceCode - 8-digit code
+   * @param {object} context - { deviceId, ip, req } of the marking request
    * @returns {Promise<object>}
    */
-  async markWithCode(studentId, attendanceCode) {
+  async markWithCode(studentId, attendanceCode, context = {}) {
     // Find active session with this code
     const session = await ClassSession.findOne({
       attendanceCode,
+      codeMode: { $ne: 'rotating' },
       status: 'active',
       codeExpiresAt: { $gt: new Date() }
-    }).populate('subject', 'name code');
+    }).select('+teacherIp').populate('subject', 'name code')
+      || await this.findRotatingSessionForCode(studentId, attendanceCode);
     
     if (!session) {
       throw new Error('Invalid or expired attendance code');
@@ -43,8 +88,12 @@ class MarkingService {
       throw new Error('Attendance already marked for this session');
     }
     
+    await antiProxyService.assertAllowed(session, studentId, context);
+    
     // Mark as present
     await record.markPresent('code');
+    await antiProxyService.recordMark(session, record, context);
+    attendanceSocket.emitAttendanceMarked(session._id, record);
     
     return {
       record,
@@ -59,61 +108,277 @@ class MarkingService {
 
   /**
    * Mark attendance manually (teacher-initiated)
+   * Changes after the session was finalized need a reason; records past the
+   * lock period are not changed but sent for HOD approval.
    * @param {string} recordId - Attendance record ID
    * @param {string} status - 'present', 'absent', or 'late'
    * @param {string} teacherId - Teacher user ID (for authorization)
-   * @returns {Promise<object>}
+   * @param {object} options - { actor, reason, req }
+   * @returns {Promise<object>} { record, correction } (correction: the pending approval, if locked)
    */
-  async markManually(recordId, status, teacherId) {
-    const record = await AttendanceRecord.findById(recordId)
-      .populate('classSession');
+  async markManually(recordId, status, teacherId, options = {}) {
+    const { actor = teacherId, reason, req } = options;
+    const record = await AttendanceRecord.findById(recordId);
     
     if (!record) {
-      throw new Error('Attendance record not found');
+      throw httpError('Attendance record not found', 404);
     }
     
     // Verify teacher authorization
-    if (record.teacher.toString() !== teacherId) {
-      throw new Error('Unauthorized to modify this attendance record');
+    if (record.teacher.toString() !== String(teacherId)) {
+      throw httpError('Unauthorized to modify this attendance record', 403);
     }
     
-    // Update status
-    await record.markManually(status);
+    const session = await ClassSession.findById(record.classSession).select('status startTime endedAt createdAt');
     
-    return record;
+    if (!session) {
+      throw httpError('Session not found', 404);
+    }
+    
+    if (session.status === 'completed' && !reason) {
+      throw httpError('A reason is required to change attendance after the session has ended', 400);
+    }
+    
+    if (correctionService.isLocked(session)) {
+      const correction = await correctionService.requestLateEdit(record, status, { actor, reason });
+      return { record, correction };
+    }
+    
+    const saved = await correctionService.applyChange(record, status, { actor, reason, req });
+    
+    return { record: saved, correction: null };
+  }
+
+  /**
+   * Claim a batch ID for a teacher. A batch that was already completed is
+   * returned so its result can be replayed; one still processing after
+   * ATTENDANCE_SYNC_LEASE_MINUTES is claimed again.
+   * @param {string} teacherId - Teacher user ID
+   * @param {string} batchId - Client-generated idempotency key
+   * @param {string} payloadHash - Hash of the updates in the batch
+   * @param {string|null} sessionId - Class session the batch belongs to
+   * @returns {Promise<object|null>} The completed batch, or null when claimed
+   */
+  async claimBatch(teacherId, batchId, payloadHash, sessionId = null) {
+    const ttlDays = envNumber('ATTENDANCE_SYNC_BATCH_TTL_DAYS', 30);
+    
+    try {
+      await AttendanceSyncBatch.create({
+        teacher: teacherId,
+        batchId,
+        classSession: sessionId,
+        payloadHash,
+        expiresAt: new Date(Date.now() + ttlDays * DAY_MS)
+      });
+      return null;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+    
+    const existing = await AttendanceSyncBatch.findOne({ teacher: teacherId, batchId });
+    
+    if (existing.payloadHash !== payloadHash) {
+      const error = new Error('This batch ID was already used for different updates');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    if (existing.status !== 'completed') {
+      // A claim whose process died before completing is taken over once its lease ends
+      const leaseMs = envNumber('ATTENDANCE_SYNC_LEASE_MINUTES', 5) * 60 * 1000;
+      const takenOver = await AttendanceSyncBatch.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', updatedAt: { $lt: new Date(Date.now() - leaseMs) } },
+        { $set: { expiresAt: new Date(Date.now() + ttlDays * DAY_MS) } }
+      );
+      if (takenOver) return null;
+      
+      const error = new Error('This batch is still being applied');
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    return existing;
+  }
+
+  /**
+   * Decide what to do with an update for a record that changed after the
+   * teacher's copy was taken (a student code mark, a leave approval, an edit
+   * from another device)
+   * @param {object} record - Current attendance record
+   * @param {object} update - { status, markedAt }
+   * @param {string} policy - 'server' | 'client' | 'latest'
+   * @returns {boolean} Whether the update wins
+   */
+  resolveConflict(record, update, policy) {
+    if (policy === 'client') return true;
+    if (policy === 'latest') {
+      const serverAt = record.markedAt || record.updatedAt;
+      return !!update.markedAt && new Date(update.markedAt) > serverAt;
+    }
+    return false;
   }
 
   /**
    * Bulk update attendance records
-   * @param {Array} updates - Array of { recordId, status }
+   *
+   * Without options this is all-or-nothing: every record must exist and
+   * belong to the teacher. Options turn it into a sync:
+   * - batchId makes the call idempotent (a retry returns the first result)
+   * - partial applies what it can and reports the rest as rejected
+   * - since (when the teacher's copy of the roster was taken) reports updates
+   *   to records changed after it as conflicts, resolved by conflictPolicy:
+   *   'server' keeps the server's mark (default), 'client' applies the update,
+   *   'latest' keeps whichever was marked last
+   * Updates for the same record are collapsed to the one with the latest
+   * clientTimestamp (or the last one given).
+   * @param {Array} updates - Array of { recordId, status, markedAt?, clientTimestamp? }
    * @param {string} teacherId - Teacher user ID (for authorization)
-   * @returns {Promise<Array>}
+   * @param {object} options - { batchId, sessionId, since, conflictPolicy, partial, method, actor, reason, req }
+   * @returns {Promise<object>} { records, applied, unchanged, conflicts, rejected, replayed }
    */
-  async bulkUpdateAttendance(updates, teacherId) {
-    const recordIds = updates.map(u => u.recordId);
+  async bulkUpdateAttendance(updates, teacherId, options = {}) {
+    const {
+      batchId,
+      sessionId = null,
+      since = null,
+      conflictPolicy = 'server',
+      partial = false,
+      method = 'manual',
+      actor = teacherId,
+      reason,
+      req
+    } = options;
+    
+    const latest = new Map();
+    updates.forEach((update) => {
+      const recordId = String(update.recordId);
+      const current = latest.get(recordId);
+      const newer = !current || !update.clientTimestamp || !current.clientTimestamp
+        || new Date(update.clientTimestamp) >= new Date(current.clientTimestamp);
+      if (newer) latest.set(recordId, { ...update, recordId });
+    });
+    const unique = [...latest.values()];
+    
+    if (batchId) {
+      const payloadHash = crypto.createHash('sha256')
+        .update(JSON.stringify(unique.map(u => [u.recordId, u.status, u.clientTimestamp ? new Date(u.clientTimestamp).getTime() : null])))
+        .digest('hex');
+      const completed = await this.claimBatch(teacherId, batchId, payloadHash, sessionId);
+      
+      if (completed) {
+        const records = await AttendanceRecord.find({ _id: { $in: completed.result.applied } });
+        return { ...completed.result, records, replayed: true };
+      }
+    }
+    
+    try {
+      const result = await this.applyUpdates(unique, teacherId, { sessionId, since, conflictPolicy, partial, method, actor, reason, req });
+      
+      if (batchId) {
+        const { records, ...report } = result;
+        await AttendanceSyncBatch.updateOne(
+          { teacher: teacherId, batchId },
+          { status: 'completed', result: { ...report, applied: records.map(r => r._id) } }
+        );
+      }
+      
+      return { ...result, applied: result.records.map(r => r._id), replayed: false };
+    } catch (error) {
+      // Let the client retry a batch that failed as a whole
+      if (batchId) await AttendanceSyncBatch.deleteOne({ teacher: teacherId, batchId, status: 'processing' });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply deduplicated updates (see bulkUpdateAttendance)
+   * @returns {Promise<object>} { records, unchanged, conflicts, rejected }
+   */
+  async applyUpdates(updates, teacherId, options) {
+    const { sessionId, since, conflictPolicy, partial, method, actor, reason, req } = options;
     
     // Fetch all records and verify authorization
     const records = await AttendanceRecord.find({
-      _id: { $in: recordIds },
+      _id: { $in: updates.map(u => u.recordId) },
       teacher: teacherId
     });
     
-    if (records.length !== updates.length) {
-      throw new Error('Some records not found or unauthorized');
+    if (!partial && records.length !== updates.length) {
+      const error = new Error('Some records not found or unauthorized');
+      error.statusCode = 404;
+      throw error;
     }
     
-    // Create a map for quick lookup
-    const updateMap = new Map(updates.map(u => [u.recordId, u.status]));
+    const sessions = await ClassSession.find({ _id: { $in: [...new Set(records.map(r => String(r.classSession)))] } })
+      .select('status startTime endedAt createdAt');
+    const lockedSessions = new Set(sessions.filter(s => correctionService.isLocked(s)).map(s => String(s._id)));
     
-    // Update each record
-    const promises = records.map(record => {
-      const newStatus = updateMap.get(record._id.toString());
-      return record.markManually(newStatus);
-    });
+    if (!partial) {
+      if (records.some(r => lockedSessions.has(String(r.classSession)))) {
+        const error = new Error('Some records are locked and need HOD approval; change them one at a time');
+        error.statusCode = 403;
+        throw error;
+      }
+      
+      if (!reason && sessions.some(s => s.status === 'completed')) {
+        const error = new Error('A reason is required to change attendance after the session has ended');
+        error.statusCode = 400;
+        throw error;
+      }
+    }
     
-    const updatedRecords = await Promise.all(promises);
+    const recordMap = new Map(records.map(r => [r._id.toString(), r]));
+    const result = { records: [], unchanged: [], conflicts: [], rejected: [] };
     
-    return updatedRecords;
+    for (const update of updates) {
+      const record = recordMap.get(update.recordId);
+      
+      if (!record) {
+        result.rejected.push({ recordId: update.recordId, reason: 'not_found' });
+        continue;
+      }
+      
+      if (sessionId && record.classSession.toString() !== String(sessionId)) {
+        result.rejected.push({ recordId: update.recordId, reason: 'wrong_session' });
+        continue;
+      }
+      
+      if (record.status === update.status) {
+        result.unchanged.push(record._id);
+        continue;
+      }
+      
+      if (lockedSessions.has(String(record.classSession))) {
+        result.rejected.push({ recordId: update.recordId, reason: 'locked' });
+        continue;
+      }
+      
+      if (since && record.updatedAt >= since) {
+        const applied = this.resolveConflict(record, update, conflictPolicy);
+        
+        result.conflicts.push({
+          recordId: record._id,
+          student: record.student,
+          type: record.markedMethod === 'code' ? 'code_mark' : 'server_change',
+          server: { status: record.status, markedAt: record.markedAt, markedMethod: record.markedMethod },
+          client: { status: update.status, markedAt: update.markedAt || null },
+          resolution: applied ? 'client' : 'server'
+        });
+        
+        if (!applied) continue;
+      }
+      
+      const saved = await correctionService.applyChange(record, update.status, {
+        actor,
+        reason,
+        req,
+        method,
+        markedAt: update.markedAt
+      });
+      result.records.push(saved);
+    }
+    
+    return result;
   }
 
   /**
@@ -124,22 +389,25 @@ class MarkingService {
   async getActiveSessionsForStudent(studentId) {
     // Get student details
     const student = await User.findById(studentId)
-      .select('studentDetails.batch studentDetails.semester studentDetails.section studentDetails.subjects');
+      .select('studentDetails.batch studentDetails.semester studentDetails.section studentDetails.enrolledSubjects');
     
     if (!student || !student.studentDetails) {
       throw new Error('Student not found or invalid role');
     }
     
-    const { batch, semester, section, subjects } = student.studentDetails;
+    const { batch, semester, section, enrolledSubjects } = student.studentDetails;
     
     // Find active sessions for student's classes
     const sessions = await ClassSession.find({
       batch,
       semester,
       section,
-      subject: { $in: subjects },
+      subject: { $in: enrolledSubjects },
       status: 'active',
-      codeExpiresAt: { $gt: new Date() }
+      $or: [
+        { codeMode: 'rotating' }, // open until finalized
+        { codeExpiresAt: { $gt: new Date() } }
+      ]
     })
       .populate('subject', 'name code')
       .populate('teacher', 'name');
@@ -155,7 +423,7 @@ class MarkingService {
         return {
           ...session.toObject(),
           attendanceStatus: record ? record.status : 'absent',
-          canMark: record && record.status === 'absent'
+          canMark: !!record && ['absent', 'excused'].includes(record.status)
         };
       })
     );
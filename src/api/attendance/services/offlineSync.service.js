@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import ClassSession from '../../../models/classSessionModel.js';
+import sessionService from './session.service.js';
+import markingService from './marking.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+import { httpError, badRequest } from '../../_common/utils/httpError.js';
+
+/**
+ * Offline Sync Service (Attendance Domain)
+ *
+ * Lets a teacher take attendance where the connection drops (labs):
+ * 1. Download the roster while online. It comes with a sync token (session,
+ *    teacher and download time, signed by the server) and a signing key
+ *    derived from the token.
+ * 2. Mark offline, then upload the batch signed with that key (see
+ *    canonicalBatch). The key only exists on the device that downloaded the
+ *    roster, so a batch cannot be altered or replayed for another session.
+ * 3. The batch is applied through MarkingService.bulkUpdateAttendance with
+ *    the batch ID as idempotency key; records changed after the download
+ *    (e.g. a student marking with the code) come back as conflicts.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CONFLICT_POLICIES = ['server', 'client', 'latest'];
+
+const getSyncSecret = () => process.env.ATTENDANCE_SYNC_SECRET || process.env.JWT_SECRET;
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest('base64url');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const toMillis = (value) => (value ? new Date(value).getTime() : '');
+
+class OfflineSyncService {
+  /**
+   * Sync token for a roster download: "<payload>.<signature>"
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID
+   * @param {Date} issuedAt - Download time
+   * @returns {string}
+   */
+  issueToken(sessionId, teacherId, issuedAt) {
+    const payload = Buffer.from(JSON.stringify({
+      s: String(sessionId),
+      t: String(teacherId),
+      i: issuedAt.getTime()
+    })).toString('base64url');
+
+    return `${payload}.${hmac(getSyncSecret(), `offline-sync:${payload}`)}`;
+  }
+
+  /**
+   * Key the device signs its batch with
+   * @param {string} syncToken - Token from the roster download
+   * @returns {string}
+   */
+  getSigningKey(syncToken) {
+    return hmac(getSyncSecret(), `offline-sync-key:${syncToken}`);
+  }
+
+  /**
+   * Check a sync token and read it
+   * @param {string} syncToken - Token from the roster download
+   * @param {string} sessionId - Session the batch is uploaded for
+   * @param {string} teacherId - Uploading teacher
+   * @returns {Date} When the roster was downloaded
+   */
+  readToken(syncToken, sessionId, teacherId) {
+    const [payload, signature] = String(syncToken).split('.');
+
+    if (!payload || !signature || !safeEqual(signature, hmac(getSyncSecret(), `offline-sync:${payload}`))) {
+      throw badRequest('Invalid sync token');
+    }
+
+    const { s, t, i } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+    if (s !== String(sessionId) || t !== String(teacherId)) {
+      throw httpError('The sync token was issued for another session', 403);
+    }
+
+    const maxAge = envNumber('ATTENDANCE_SYNC_MAX_AGE_HOURS', 72) * HOUR_MS;
+    if (Date.now() - i > maxAge) {
+      throw badRequest('The roster is too old to sync; download it again');
+    }
+
+    return new Date(i);
+  }
+
+  /**
+   * The string a batch is signed over: batch ID, session ID and sync token,
+   * then one line per update "recordId,status,markedAt,clientTimestamp"
+   * (times in epoch milliseconds, blank when absent), joined with "\n"
+   * @param {object} batch - { batchId, sessionId, syncToken, updates }
+   * @returns {string}
+   */
+  canonicalBatch({ batchId, sessionId, syncToken, updates }) {
+    return [
+      batchId,
+      String(sessionId),
+      syncToken,
+      ...updates.map(u => [u.recordId, u.status, toMillis(u.markedAt), toMillis(u.clientTimestamp)].join(','))
+    ].join('\n');
+  }
+
+  /**
+   * Signature of a batch (what the device computes)
+   * @param {string} signingKey - Key from the roster download
+   * @param {object} batch - See canonicalBatch
+   * @returns {string} base64url HMAC-SHA256
+   */
+  signBatch(signingKey, batch) {
+    return hmac(signingKey, this.canonicalBatch(batch));
+  }
+
+  /**
+   * Roster for offline marking
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID (for authorization)
+   * @returns {Promise<object>} { session, records, issuedAt, expiresAt, syncToken, signingKey }
+   */
+  async getOfflineRoster(sessionId, teacherId) {
+    // Taken before the read, so any change after the read counts as newer
+    const issuedAt = new Date();
+    const roster = await sessionService.getSessionRoster(sessionId, teacherId);
+    const session = await ClassSession.findById(sessionId)
+      .select('subject batch semester section topic sessionType status startTime')
+      .populate('subject', 'name subjectCode')
+      .lean();
+
+    const syncToken = this.issueToken(sessionId, teacherId, issuedAt);
+
+    return {
+      session,
+      records: roster.map(record => ({
+        recordId: record._id,
+        student: record.student && {
+          _id: record.student._id,
+          name: record.student.name,
+          usn: record.student.studentDetails?.usn
+        },
+        status: record.status,
+        markedAt: record.markedAt,
+        markedMethod: record.markedMethod
+      })),
+      issuedAt,
+      expiresAt: new Date(issuedAt.getTime() + envNumber('ATTENDANCE_SYNC_MAX_AGE_HOURS', 72) * HOUR_MS),
+      syncToken,
+      signingKey: this.getSigningKey(syncToken)
+    };
+  }
+
+  /**
+   * Apply a batch marked offline
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID
+   * @param {object} batch - { batchId, syncToken, signature, conflictPolicy?, updates: [{ recordId, status, markedAt, clientTimestamp }] }
+   * @param {object} options - { actor, req } for the record history
+   * @returns {Promise<object>} See MarkingService.bulkUpdateAttendance
+   */
+  async syncBatch(sessionId, teacherId, batch, options = {}) {
+    const { batchId, syncToken, signature, conflictPolicy = 'server', updates } = batch;
+    const issuedAt = this.readToken(syncToken, sessionId, teacherId);
+
+    const expected = this.signBatch(this.getSigningKey(syncToken), { batchId, sessionId, syncToken, updates });
+    if (!safeEqual(signature, expected)) {
+      throw badRequest('The batch signature does not match its contents');
+    }
+
+    const session = await ClassSession.findById(sessionId).select('startTime createdAt').lean();
+    if (!session) {
+      // Deleted after the roster was downloaded
+      throw httpError('Session not found', 404);
+    }
+    const earliest = session.startTime || session.createdAt;
+    const now = new Date();
+
+    // Device clocks drift; keep the mark time between the session start and now
+    const clamped = updates.map((update) => {
+      const markedAt = update.markedAt ? new Date(update.markedAt) : now;
+      return {
+        ...update,
+        markedAt: new Date(Math.min(Math.max(markedAt.getTime(), earliest.getTime()), now.getTime()))
+      };
+    });
+
+    return markingService.bulkUpdateAttendance(clamped, teacherId, {
+      batchId,
+      sessionId,
+      since: issuedAt,
+      conflictPolicy,
+      partial: true,
+      method: 'offline',
+      actor: options.actor || teacherId,
+      reason: 'Marked offline',
+      req: options.req
+    });
+  }
+}
+
+export default new OfflineSyncService();
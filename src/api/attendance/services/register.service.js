@@ -0,0 +1,213 @@
+import mongoose from 'mongoose';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import statsService from './stats.service.js';
+import timetableService from './timetable.service.js';
+
+/**
+ * Register Service (Attendance Domain)
+ *
+ * Builds the classic attendance register for a class section: students as
+ * rows, sessions as columns, P/A/L/E marks, then per-student totals and the
+ * percentage. The result is a table for the export service
+ * (src/services/export.service.js); rows are read from an aggregation cursor,
+ * one student at a time.
+ */
+
+export const MARKS = { present: 'P', absent: 'A', late: 'L', excused: 'E' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+class RegisterService {
+  /**
+   * Sessions of a class section in start order
+   * @param {object} params - { batch, semester, section, subjectId?, teacherId?, startDate?, endDate? }
+   *   startDate and endDate are calendar days (inclusive) in the timetable zone
+   * @returns {Promise<Array>}
+   */
+  async getSessions(params) {
+    const { batch, semester, section, subjectId, teacherId, startDate, endDate } = params;
+    const query = { batch, semester, section };
+
+    if (subjectId) query.subject = new mongoose.Types.ObjectId(subjectId);
+    if (teacherId) query.teacher = new mongoose.Types.ObjectId(teacherId);
+
+    if (startDate || endDate) {
+      query.startTime = {};
+      if (startDate) query.startTime.$gte = timetableService.toInstant(toDateKey(startDate), '00:00');
+      if (endDate) {
+        const next = toDateKey(new Date(toDateKey(endDate)).getTime() + DAY_MS);
+        query.startTime.$lt = timetableService.toInstant(next, '00:00');
+      }
+    }
+
+    return ClassSession.find(query)
+      .select('startTime subject topic')
+      .populate('subject', 'name subjectCode')
+      .sort({ startTime: 1 })
+      .lean();
+  }
+
+  /**
+   * Column headers for sessions: date and time, plus the subject code when
+   * the register covers several subjects
+   * @param {Array} sessions - Sessions in start order
+   * @returns {Array} Export columns
+   */
+  getSessionColumns(sessions) {
+    const zone = timetableService.getTimeZone();
+    const timeFormat = new Intl.DateTimeFormat('en-GB', { timeZone: zone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    const subjects = new Set(sessions.map(s => String(s.subject?._id)));
+
+    return sessions.map((session) => {
+      const date = timetableService.getDateKey(session.startTime);
+      const time = timeFormat.format(session.startTime);
+      const code = subjects.size > 1 ? session.subject?.subjectCode || '' : '';
+
+      return {
+        header: [date, time, code].filter(Boolean).join(' '),
+        shortHeader: `${date.slice(8, 10)}/${date.slice(5, 7)}\n${code || time}`,
+        width: 6,
+        align: 'center',
+      };
+    });
+  }
+
+  /**
+   * One register row per student, ordered by name
+   * @param {Array} sessions - Register sessions (columns)
+   * @param {string} rule - Excused rule for the percentage
+   * @returns {AsyncGenerator<Array>} [usn, name, ...marks, P, A, L, E, classes, %]
+   */
+  async *streamRows(sessions, rule) {
+    if (sessions.length === 0) return;
+
+    const columnOf = new Map(sessions.map((session, index) => [String(session._id), index]));
+
+    const cursor = AttendanceRecord.aggregate([
+      { $match: { classSession: { $in: sessions.map(s => s._id) } } },
+      {
+        $group: {
+          _id: '$student',
+          marks: { $push: { session: '$classSession', status: '$status' } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'student'
+        }
+      },
+      { $unwind: '$student' },
+      {
+        $project: {
+          marks: 1,
+          name: '$student.name',
+          usn: '$student.studentDetails.usn'
+        }
+      },
+      { $sort: { name: 1, _id: 1 } }
+    ]).allowDiskUse(true).cursor({ batchSize: 100 });
+
+    for await (const student of cursor) {
+      const marks = new Array(sessions.length).fill('');
+      const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+
+      student.marks.forEach(({ session, status }) => {
+        marks[columnOf.get(String(session))] = MARKS[status] || '';
+        if (status in counts) counts[status] += 1;
+      });
+
+      const totalClasses = student.marks.length;
+      const percentage = statsService.calculatePercentage({
+        totalClasses,
+        presentCount: counts.present,
+        excusedCount: counts.excused
+      }, rule);
+
+      yield [
+        student.usn || '',
+        student.name,
+        ...marks,
+        counts.present,
+        counts.absent,
+        counts.late,
+        counts.excused,
+        totalClasses,
+        percentage
+      ];
+    }
+  }
+
+  /**
+   * Register table for a class section
+   * @param {object} params - See getSessions
+   * @param {object} options - { excusedRule }
+   * @returns {Promise<object>} Export table (title, columns, rows(), ...) and the sessions
+   */
+  async buildRegister(params, options = {}) {
+    const rule = statsService.getExcusedRule(options.excusedRule);
+    const sessions = await this.getSessions(params);
+    const { batch, semester, section } = params;
+
+    const subjects = [...new Map(sessions.filter(s => s.subject).map(s => [String(s.subject._id), s.subject])).values()];
+    const subjectLabel = subjects.length === 1
+      ? `${subjects[0].name}${subjects[0].subjectCode ? ` (${subjects[0].subjectCode})` : ''}`
+      : 'All subjects';
+    const range = sessions.length
+      ? `${timetableService.getDateKey(sessions[0].startTime)} to ${timetableService.getDateKey(sessions[sessions.length - 1].startTime)}`
+      : 'No sessions';
+
+    return {
+      title: `Attendance Register: ${subjectLabel}`,
+      sheetName: subjects.length === 1 ? subjects[0].subjectCode || 'Register' : 'Register',
+      subtitle: `Batch ${batch}, Semester ${semester}, Section ${section}. ${range}. ${sessions.length} session${sessions.length === 1 ? '' : 's'}.`,
+      notes: `P present, A absent, L late, E excused, blank: no record. % excused rule: ${rule}.`,
+      fileName: ['attendance-register', batch, `${semester}${section}`, subjects.length === 1 ? subjects[0].subjectCode : null]
+        .filter(Boolean).join('-'),
+      columns: [
+        { header: 'USN', width: 14, key: true },
+        { header: 'Name', width: 24, key: true },
+        ...this.getSessionColumns(sessions),
+        { header: 'P', width: 5, align: 'center' },
+        { header: 'A', width: 5, align: 'center' },
+        { header: 'L', width: 5, align: 'center' },
+        { header: 'E', width: 5, align: 'center' },
+        { header: 'Classes', width: 8, align: 'center' },
+        { header: '%', width: 7, align: 'right' },
+      ],
+      rows: () => this.streamRows(sessions, rule),
+      sessions,
+      excusedRule: rule
+    };
+  }
+
+  /**
+   * Register as JSON (for screens; exports should stream)
+   * @param {object} params - See getSessions
+   * @param {object} options - { excusedRule }
+   * @returns {Promise<object>} { title, subtitle, excusedRule, columns, rows }
+   */
+  async getRegister(params, options = {}) {
+    const register = await this.buildRegister(params, options);
+    const rows = [];
+
+    for await (const row of register.rows()) {
+      rows.push(row);
+    }
+
+    return {
+      title: register.title,
+      subtitle: register.subtitle,
+      excusedRule: register.excusedRule,
+      columns: register.columns.map(c => c.header),
+      rows
+    };
+  }
+}
+
+export default new RegisterService();
@@ -2,6 +2,9 @@ import ClassSession from '../../../models/classSessionModel.js';
 import AttendanceRecord from '../../../models/attendanceRecordModel.js';
 import User from '../../../models/userModel.js';
 import Subject from '../../../models/subjectModel.js';
+import LeaveRequest from '../../../models/leaveRequestModel.js';
+import codeRotationService from './codeRotation.service.js';
+import antiProxyService from './antiProxy.service.js';
 
 /**
  * Session Service (Phase 0 - Attendance Domain)
@@ -49,10 +52,10 @@ class SessionService {
     if (!teacher || !teacher.teacherDetails) return false;
     
     const assignment = teacher.teacherDetails.assignments.find(a =>
-      a.subject.toString() === subjectId &&
+      a.subject.toString() === String(subjectId) &&
       a.batch === batch &&
       a.semester === semester &&
-      a.section === section
+      a.sections.includes(section)
     );
     
     return !!assignment;
@@ -65,11 +68,11 @@ class SessionService {
    */
   async getEnrolledStudents({ subjectId, batch, semester, section }) {
     const students = await User.find({
-      role: 'student',
+      roles: 'student',
       'studentDetails.batch': batch,
       'studentDetails.semester': semester,
       'studentDetails.section': section,
-      'studentDetails.subjects': subjectId
+      'studentDetails.enrolledSubjects': subjectId
     }).select('_id name studentDetails.usn avatar');
     
     return students;
@@ -77,11 +80,29 @@ class SessionService {
 
   /**
    * Create a new class session
-   * @param {object} sessionData - { teacher, subject, batch, semester, section, topic, sessionType }
+   * With codeMode 'rotating' the code changes every rotationSeconds (see
+   * codeRotation.service.js) instead of one code valid for 60 seconds.
+   * Sessions started for a timetable slot also carry timetableSlot and
+   * scheduledStart (see timetable.service.js).
+   * @param {object} sessionData - { teacher, subject, batch, semester, section, topic, sessionType, codeMode?, rotationSeconds?, antiProxy?, teacherIp?, timetableSlot?, scheduledStart? }
    * @returns {Promise<object>}
    */
   async createSession(sessionData) {
-    const { teacher, subject, batch, semester, section, topic, sessionType } = sessionData;
+    const {
+      teacher,
+      subject,
+      batch,
+      semester,
+      section,
+      topic,
+      sessionType,
+      codeMode = 'static',
+      rotationSeconds,
+      antiProxy = {},
+      teacherIp,
+      timetableSlot,
+      scheduledStart,
+    } = sessionData;
     
     // Verify teacher assignment
     const isAssigned = await this.verifyTeacherAssignment(
@@ -103,21 +124,43 @@ class SessionService {
       throw new Error('No students enrolled in this class');
     }
     
-    // Generate attendance code
-    const attendanceCode = this.generateAttendanceCode();
-    const codeExpiresAt = new Date(Date.now() + 60 * 1000); // 60 seconds
+    if (antiProxy.networkCheck && !teacherIp) {
+      const error = new Error('The classroom network check needs the IP the session is started from');
+      error.statusCode = 400;
+      throw error;
+    }
+    
+    const codeFields = codeMode === 'rotating'
+      ? {
+          codeMode,
+          codeSecret: codeRotationService.generateSecret(),
+          codeRotationSeconds: rotationSeconds || codeRotationService.getDefaultRotationSeconds(),
+        }
+      : {
+          codeMode: 'static',
+          attendanceCode: this.generateAttendanceCode(),
+          codeExpiresAt: new Date(Date.now() + 60 * 1000), // 60 seconds
+        };
     
     // Create class session
     const session = await ClassSession.create({
       teacher,
       subject,
+      type: sessionType === 'lab' ? 'Lab' : 'Theory',
       batch,
       semester,
       section,
       topic,
       sessionType,
-      attendanceCode,
-      codeExpiresAt,
+      ...codeFields,
+      antiProxy: {
+        deviceBinding: !!antiProxy.deviceBinding,
+        oneAccountPerDevice: !!antiProxy.oneAccountPerDevice,
+        networkCheck: !!antiProxy.networkCheck
+      },
+      teacherIp,
+      timetableSlot,
+      scheduledStart,
       status: 'active'
     });
     
@@ -131,14 +174,55 @@ class SessionService {
       section
     });
     
+    // Students on approved leave start out excused
+    const onLeave = await LeaveRequest.findApprovedCovering(studentIds, subject, session.startTime);
+    await Promise.all(onLeave.map(leave => AttendanceRecord.updateOne(
+      { classSession: session._id, student: leave.student, status: 'absent' },
+      { $set: { status: 'excused', markedMethod: 'leave', markedAt: new Date(), leaveRequest: leave._id } }
+    )));
+    
+    if (session.codeMode === 'rotating') {
+      codeRotationService.start(session);
+    }
+    
     return {
-      session,
+      session: this.withoutSecret(session),
       totalStudents: students.length,
-      attendanceCode,
-      codeExpiresAt
+      ...this.getCurrentCode(session)
+    };
+  }
+
+  /**
+   * Current attendance code of a session
+   * @param {object} session - ClassSession (with codeSecret for rotating sessions)
+   * @returns {object} { codeMode, attendanceCode, codeExpiresAt, rotationSeconds? }
+   */
+  getCurrentCode(session) {
+    if (session.codeMode === 'rotating') {
+      return {
+        codeMode: 'rotating',
+        rotationSeconds: session.codeRotationSeconds,
+        ...codeRotationService.getCurrentCode(session.codeSecret, session.codeRotationSeconds)
+      };
+    }
+    
+    return {
+      codeMode: 'static',
+      attendanceCode: session.attendanceCode,
+      codeExpiresAt: session.codeExpiresAt
     };
   }
 
+  /**
+   * Plain session object without the rotating-code secret
+   * @param {object} session - ClassSession document
+   * @returns {object}
+   */
+  withoutSecret(session) {
+    const { codeSecret, teacherIp, ...rest } = session.toObject();
+    return rest;
+  }
+
   /**
    * Get active session for a teacher
    * @param {string} teacherId - Teacher user ID
@@ -149,6 +233,7 @@ class SessionService {
       teacher: teacherId,
       status: 'active'
     })
+      .select('+codeSecret')
       .populate('subject', 'name code')
       .populate('teacher', 'name email');
     
@@ -158,7 +243,8 @@ class SessionService {
     const summary = await AttendanceRecord.getSessionSummary(session._id);
     
     return {
-      ...session.toObject(),
+      ...this.withoutSecret(session),
+      ...this.getCurrentCode(session),
       attendanceSummary: summary
     };
   }
@@ -188,6 +274,22 @@ class SessionService {
     return records;
   }
 
+  /**
+   * Suspicious (rejected) code marks for a session, for the roster
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID (for authorization)
+   * @returns {Promise<Array>}
+   */
+  async getSuspiciousAttempts(sessionId, teacherId) {
+    const session = await ClassSession.exists({ _id: sessionId, teacher: teacherId });
+    
+    if (!session) {
+      throw new Error('Session not found or unauthorized');
+    }
+    
+    return antiProxyService.getSuspiciousAttempts(sessionId);
+  }
+
   /**
    * Finalize session (close attendance window)
    * @param {string} sessionId - Class session ID
@@ -208,6 +310,7 @@ class SessionService {
     session.status = 'completed';
     session.endedAt = new Date();
     await session.save();
+    codeRotationService.stop(sessionId);
     
     const summary = await AttendanceRecord.getSessionSummary(sessionId);
     
@@ -262,6 +365,8 @@ class SessionService {
 
   /**
    * Update attendance code (regenerate if needed)
+   * For rotating sessions this replaces the secret, so every code issued so
+   * far (including ones still inside the drift window) stops working.
    * @param {string} sessionId - Class session ID
    * @param {string} teacherId - Teacher user ID (for authorization)
    * @returns {Promise<object>}
@@ -271,20 +376,24 @@ class SessionService {
       _id: sessionId,
       teacher: teacherId,
       status: 'active'
-    });
+    }).select('+codeSecret');
     
     if (!session) {
       throw new Error('Session not found, already finalized, or unauthorized');
     }
     
+    if (session.codeMode === 'rotating') {
+      session.codeSecret = codeRotationService.generateSecret();
+      await session.save();
+      codeRotationService.start(session);
+      return this.getCurrentCode(session);
+    }
+    
     session.attendanceCode = this.generateAttendanceCode();
     session.codeExpiresAt = new Date(Date.now() + 60 * 1000);
     await session.save();
     
-    return {
-      attendanceCode: session.attendanceCode,
-      codeExpiresAt: session.codeExpiresAt
-    };
+    return this.getCurrentCode(session);
   }
 
   /**
@@ -308,6 +417,7 @@ class SessionService {
     
     // Delete session
     await session.deleteOne();
+    codeRotationService.stop(sessionId);
   }
 }
 
@@ -2,35 +2,370 @@ import AttendanceRecord from '../../../models/attendanceRecordModel.js';
 import ClassSession from '../../../models/classSessionModel.js';
 import User from '../../../models/userModel.js';
 import mongoose from 'mongoose';
+import sessionService from './session.service.js';
+import timetableService from './timetable.service.js';
+import { badRequest } from '../../_common/utils/httpError.js';
 
 /**
  * Stats Service (Phase 0 - Attendance Domain)
  * 
  * Handles attendance statistics, analytics, and reporting
+ * 
+ * Excused absences (approved leave) count according to the excused rule:
+ * - 'exclude' (default): left out of the percentage entirely
+ * - 'present': count as attended
+ * - 'absent': count as missed
+ * The default comes from ATTENDANCE_EXCUSED_RULE; methods accept an override.
+ */
+
+export const EXCUSED_RULES = ['exclude', 'present', 'absent'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALENDAR_MAX_DAYS = 92;
+const HEATMAP_MAX_WEEKS = 53;
+const HEATMAP_DEFAULT_WEEKS = 12;
+
+/**
+ * Day key shifted by a number of days ("YYYY-MM-DD")
  */
+const shiftDateKey = (key, days) => new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const daysBetween = (fromKey, toKey) => Math.round((Date.parse(`${toKey}T00:00:00Z`) - Date.parse(`${fromKey}T00:00:00Z`)) / DAY_MS);
+
+/**
+ * $lookup of a record's session, keeping only sessions that started in
+ * [start, end)
+ */
+const lookupSessionInRange = (start, end, fields) => ({
+  $lookup: {
+    from: 'classsessions',
+    let: { sessionId: '$classSession' },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$_id', '$$sessionId'] }, startTime: { $gte: start, $lt: end } } },
+      { $project: fields }
+    ],
+    as: 'session'
+  }
+});
+
+const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+
+/**
+ * $group accumulators for the per-status counts
+ */
+const statusCounts = () => ({
+  totalClasses: { $sum: 1 },
+  presentCount: countStatus('present'),
+  lateCount: countStatus('late'),
+  absentCount: countStatus('absent'),
+  excusedCount: countStatus('excused')
+});
+
+/**
+ * Classes that count towards the percentage under a rule
+ */
+const countedClasses = (rule) => (
+  rule === 'exclude' ? { $subtract: ['$totalClasses', '$excusedCount'] } : '$totalClasses'
+);
+
+/**
+ * Attendance percentage expression (0 when no class counts)
+ */
+const attendancePercentage = (rule) => {
+  const attended = rule === 'present' ? { $add: ['$presentCount', '$excusedCount'] } : '$presentCount';
+  const counted = countedClasses(rule);
+  
+  return {
+    $cond: [
+      { $eq: [counted, 0] },
+      0,
+      { $round: [{ $multiply: [{ $divide: [attended, counted] }, 100] }, 2] }
+    ]
+  };
+};
 
 class StatsService {
+  /**
+   * Rule for counting excused absences
+   * @param {string} rule - Override ('exclude', 'present' or 'absent')
+   * @returns {string}
+   */
+  getExcusedRule(rule) {
+    const value = rule || process.env.ATTENDANCE_EXCUSED_RULE;
+    return EXCUSED_RULES.includes(value) ? value : 'exclude';
+  }
+
+  /**
+   * Attendance percentage for counts, as the aggregations compute it
+   * @param {object} counts - { totalClasses, presentCount, excusedCount }
+   * @param {string} rule - Excused rule
+   * @returns {number}
+   */
+  calculatePercentage({ totalClasses, presentCount, excusedCount = 0 }, rule) {
+    const attended = presentCount + (rule === 'present' ? excusedCount : 0);
+    const counted = totalClasses - (rule === 'exclude' ? excusedCount : 0);
+    return counted > 0 ? Math.round((attended / counted) * 10000) / 100 : 0;
+  }
+
+  /**
+   * Days a calendar or heatmap covers, in the timetable zone. A month
+   * ("YYYY-MM") takes precedence over from/to ("YYYY-MM-DD", inclusive).
+   * @param {object} range - { month, from, to }
+   * @param {object} defaults - { from, to } day keys when none are given
+   * @param {number} maxDays - Longest range allowed
+   * @returns {object} { from, to, start, end } (end is exclusive)
+   */
+  resolveDateRange({ month, from, to } = {}, defaults, maxDays) {
+    if (month) {
+      const [year, monthIndex] = month.split('-').map(Number);
+      from = `${month}-01`;
+      to = new Date(Date.UTC(year, monthIndex, 0)).toISOString().slice(0, 10);
+    }
+
+    from = from || defaults.from;
+    to = to || defaults.to;
+
+    const days = daysBetween(from, to) + 1;
+    if (!(days > 0)) {
+      throw badRequest('The range must end on or after its start');
+    }
+    if (days > maxDays) {
+      throw badRequest(`The range can cover at most ${maxDays} days`);
+    }
+
+    return {
+      from,
+      to,
+      start: timetableService.toInstant(from, '00:00'),
+      end: timetableService.toInstant(shiftDateKey(to, 1), '00:00')
+    };
+  }
+
+  /**
+   * Month calendar for a student: one cell per session, grouped by day
+   * @param {string} studentId - Student user ID
+   * @param {object} params - { month, from, to, subjectId } (defaults to this month)
+   * @returns {Promise<object>} { from, to, timeZone, days: [{ date, ...counts, cells }] }
+   */
+  async getStudentCalendar(studentId, params = {}) {
+    const zone = timetableService.getTimeZone();
+    const thisMonth = this.resolveDateRange({ month: timetableService.getDateKey().slice(0, 7) }, {}, CALENDAR_MAX_DAYS);
+    const range = this.resolveDateRange(params, thisMonth, CALENDAR_MAX_DAYS);
+
+    // Leading student/subject fields use the { student, subject, status } index
+    const matchStage = { student: new mongoose.Types.ObjectId(studentId) };
+    if (params.subjectId) {
+      matchStage.subject = new mongoose.Types.ObjectId(params.subjectId);
+    }
+
+    const days = await AttendanceRecord.aggregate([
+      { $match: matchStage },
+      lookupSessionInRange(range.start, range.end, { startTime: 1, sessionType: 1, topic: 1, status: 1 }),
+      { $unwind: '$session' },
+      {
+        $lookup: {
+          from: 'subjects',
+          localField: 'subject',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, subjectCode: 1 } }],
+          as: 'subject'
+        }
+      },
+      { $unwind: '$subject' },
+      {
+        $lookup: {
+          from: 'users',
+          localField: 'teacher',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1 } }],
+          as: 'teacher'
+        }
+      },
+      { $unwind: { path: '$teacher', preserveNullAndEmptyArrays: true } },
+      { $sort: { 'session.startTime': 1 } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$session.startTime', timezone: zone } },
+          ...statusCounts(),
+          cells: {
+            $push: {
+              recordId: '$_id',
+              sessionId: '$session._id',
+              startTime: '$session.startTime',
+              subject: '$subject',
+              teacher: '$teacher',
+              sessionType: '$session.sessionType',
+              topic: '$session.topic',
+              sessionStatus: '$session.status',
+              status: '$status'
+            }
+          }
+        }
+      },
+      { $sort: { _id: 1 } },
+      {
+        $project: {
+          _id: 0,
+          date: '$_id',
+          totalClasses: 1,
+          presentCount: 1,
+          lateCount: 1,
+          absentCount: 1,
+          excusedCount: 1,
+          cells: 1
+        }
+      }
+    ]);
+
+    return { from: range.from, to: range.to, timeZone: zone, days };
+  }
+
+  /**
+   * Class heatmap: students × weeks (weeks start on Monday in the timetable
+   * zone) for one subject and section
+   * @param {object} classParams - { batch, semester, section, subjectId }
+   * @param {string} teacherId - Teacher user ID (for authorization)
+   * @param {object} options - { from, to, excusedRule } (defaults to the last 12 weeks)
+   * @returns {Promise<object>} { from, to, timeZone, weeks, students: [{ ..., cells }] }
+   */
+  async getClassHeatmap(classParams, teacherId, options = {}) {
+    const { batch, semester, section, subjectId } = classParams;
+    const rule = this.getExcusedRule(options.excusedRule);
+    const zone = timetableService.getTimeZone();
+
+    const isAssigned = await sessionService.verifyTeacherAssignment(teacherId, subjectId, batch, semester, section);
+    if (!isAssigned) {
+      const error = new Error('Teacher is not assigned to this class');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const today = timetableService.getDateKey();
+    const requested = this.resolveDateRange(
+      options,
+      { from: shiftDateKey(today, -(HEATMAP_DEFAULT_WEEKS * 7 - 1)), to: today },
+      HEATMAP_MAX_WEEKS * 7
+    );
+
+    // Whole weeks, so the first and last columns are comparable
+    const weekday = new Date(`${requested.from}T00:00:00Z`).getUTCDay();
+    const range = this.resolveDateRange(
+      { from: shiftDateKey(requested.from, -((weekday + 6) % 7)), to: requested.to },
+      {},
+      HEATMAP_MAX_WEEKS * 7 + 6
+    );
+
+    const weeks = [];
+    for (let week = range.from; week <= range.to; week = shiftDateKey(week, 7)) {
+      weeks.push(week);
+    }
+
+    const counts = {
+      totalClasses: 1,
+      presentCount: 1,
+      lateCount: 1,
+      absentCount: 1,
+      excusedCount: 1,
+      attendancePercentage: attendancePercentage(rule)
+    };
+
+    const rows = await AttendanceRecord.aggregate([
+      {
+        $match: {
+          subject: new mongoose.Types.ObjectId(subjectId),
+          batch,
+          semester,
+          section
+        }
+      },
+      lookupSessionInRange(range.start, range.end, { startTime: 1 }),
+      { $unwind: '$session' },
+      {
+        $group: {
+          _id: {
+            student: '$student',
+            week: {
+              $dateToString: {
+                format: '%Y-%m-%d',
+                date: { $dateTrunc: { date: '$session.startTime', unit: 'week', startOfWeek: 'monday', timezone: zone } },
+                timezone: zone
+              }
+            }
+          },
+          ...statusCounts()
+        }
+      },
+      { $project: { _id: 0, student: '$_id.student', week: '$_id.week', ...counts } },
+      {
+        $group: {
+          _id: '$student',
+          weeks: {
+            $push: {
+              week: '$week',
+              totalClasses: '$totalClasses',
+              presentCount: '$presentCount',
+              lateCount: '$lateCount',
+              absentCount: '$absentCount',
+              excusedCount: '$excusedCount',
+              attendancePercentage: '$attendancePercentage'
+            }
+          },
+          totalClasses: { $sum: '$totalClasses' },
+          presentCount: { $sum: '$presentCount' },
+          lateCount: { $sum: '$lateCount' },
+          absentCount: { $sum: '$absentCount' },
+          excusedCount: { $sum: '$excusedCount' }
+        }
+      },
+      {
+        $lookup: {
+          from: 'users',
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: { name: 1, 'studentDetails.usn': 1 } }],
+          as: 'student'
+        }
+      },
+      { $unwind: '$student' },
+      {
+        $project: {
+          _id: 0,
+          studentId: '$_id',
+          studentName: '$student.name',
+          usn: '$student.studentDetails.usn',
+          weeks: 1,
+          ...counts
+        }
+      },
+      { $sort: { studentName: 1 } }
+    ]);
+
+    return {
+      from: range.from,
+      to: range.to,
+      timeZone: zone,
+      weeks,
+      students: rows.map(({ weeks: cells, ...student }) => {
+        const byWeek = new Map(cells.map(cell => [cell.week, cell]));
+        return { ...student, cells: weeks.map(week => byWeek.get(week) || null) };
+      })
+    };
+  }
+
   /**
    * Get student's overall attendance statistics
    * @param {string} studentId - Student user ID
+   * @param {object} options - { excusedRule }
    * @returns {Promise<object>}
    */
-  async getStudentOverallStats(studentId) {
+  async getStudentOverallStats(studentId, options = {}) {
+    const rule = this.getExcusedRule(options.excusedRule);
     const stats = await AttendanceRecord.aggregate([
       { $match: { student: new mongoose.Types.ObjectId(studentId) } },
       {
         $group: {
           _id: null,
-          totalClasses: { $sum: 1 },
-          presentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
-          },
-          lateCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] }
-          },
-          absentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] }
-          }
+          ...statusCounts()
         }
       },
       {
@@ -40,18 +375,8 @@ class StatsService {
           presentCount: 1,
           lateCount: 1,
           absentCount: 1,
-          attendancePercentage: {
-            $cond: [
-              { $eq: ['$totalClasses', 0] },
-              0,
-              {
-                $round: [
-                  { $multiply: [{ $divide: ['$presentCount', '$totalClasses'] }, 100] },
-                  2
-                ]
-              }
-            ]
-          }
+          excusedCount: 1,
+          attendancePercentage: attendancePercentage(rule)
         }
       }
     ]);
@@ -61,6 +386,7 @@ class StatsService {
       presentCount: 0,
       lateCount: 0,
       absentCount: 0,
+      excusedCount: 0,
       attendancePercentage: 0
     };
   }
@@ -68,24 +394,17 @@ class StatsService {
   /**
    * Get student's attendance statistics by subject
    * @param {string} studentId - Student user ID
+   * @param {object} options - { excusedRule }
    * @returns {Promise<Array>}
    */
-  async getStudentStatsBySubject(studentId) {
+  async getStudentStatsBySubject(studentId, options = {}) {
+    const rule = this.getExcusedRule(options.excusedRule);
     const stats = await AttendanceRecord.aggregate([
       { $match: { student: new mongoose.Types.ObjectId(studentId) } },
       {
         $group: {
           _id: '$subject',
-          totalClasses: { $sum: 1 },
-          presentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
-          },
-          lateCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] }
-          },
-          absentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] }
-          }
+          ...statusCounts()
         }
       },
       {
@@ -107,12 +426,8 @@ class StatsService {
           presentCount: 1,
           lateCount: 1,
           absentCount: 1,
-          attendancePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$presentCount', '$totalClasses'] }, 100] },
-              2
-            ]
-          }
+          excusedCount: 1,
+          attendancePercentage: attendancePercentage(rule)
         }
       },
       { $sort: { subjectName: 1 } }
@@ -125,10 +440,12 @@ class StatsService {
    * Get attendance statistics for a class section
    * @param {object} classParams - { batch, semester, section, subjectId }
    * @param {string} teacherId - Teacher user ID (for authorization)
+   * @param {object} options - { excusedRule }
    * @returns {Promise<Array>}
    */
-  async getClassStats(classParams, teacherId) {
+  async getClassStats(classParams, teacherId, options = {}) {
     const { batch, semester, section, subjectId } = classParams;
+    const rule = this.getExcusedRule(options.excusedRule);
     
     // Verify teacher is assigned to this class
     const teacher = await User.findById(teacherId);
@@ -137,10 +454,10 @@ class StatsService {
     }
     
     const isAssigned = teacher.teacherDetails.assignments.some(a =>
-      a.subject.toString() === subjectId &&
+      a.subject.toString() === String(subjectId) &&
       a.batch === batch &&
       a.semester === semester &&
-      a.section === section
+      a.sections.includes(section)
     );
     
     if (!isAssigned) {
@@ -160,16 +477,7 @@ class StatsService {
       {
         $group: {
           _id: '$student',
-          totalClasses: { $sum: 1 },
-          presentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
-          },
-          lateCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] }
-          },
-          absentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] }
-          }
+          ...statusCounts()
         }
       },
       {
@@ -192,12 +500,8 @@ class StatsService {
           presentCount: 1,
           lateCount: 1,
           absentCount: 1,
-          attendancePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$presentCount', '$totalClasses'] }, 100] },
-              2
-            ]
-          }
+          excusedCount: 1,
+          attendancePercentage: attendancePercentage(rule)
         }
       },
       { $sort: { studentName: 1 } }
@@ -206,14 +510,56 @@ class StatsService {
     return stats;
   }
 
+  /**
+   * Get per-student, per-subject statistics for a class section
+   * (no teacher check; used for eligibility reports)
+   * @param {object} classParams - { batch, semester, section, subjectId? }
+   * @param {object} options - { excusedRule }
+   * @returns {Promise<Array>} [{ studentId, subjectId, ...counts, attendancePercentage }]
+   */
+  async getClassStatsBySubject(classParams, options = {}) {
+    const { batch, semester, section, subjectId } = classParams;
+    const rule = this.getExcusedRule(options.excusedRule);
+
+    const matchStage = { batch, semester, section };
+    if (subjectId) {
+      matchStage.subject = new mongoose.Types.ObjectId(subjectId);
+    }
+
+    return AttendanceRecord.aggregate([
+      { $match: matchStage },
+      {
+        $group: {
+          _id: { student: '$student', subject: '$subject' },
+          ...statusCounts()
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          studentId: '$_id.student',
+          subjectId: '$_id.subject',
+          totalClasses: 1,
+          presentCount: 1,
+          lateCount: 1,
+          absentCount: 1,
+          excusedCount: 1,
+          attendancePercentage: attendancePercentage(rule)
+        }
+      }
+    ]);
+  }
+
   /**
    * Get attendance trend over time for a student
    * @param {string} studentId - Student user ID
    * @param {string} subjectId - Subject ID (optional)
    * @param {object} dateRange - { startDate, endDate }
+   * @param {object} options - { excusedRule }
    * @returns {Promise<Array>}
    */
-  async getStudentTrend(studentId, subjectId = null, dateRange = {}) {
+  async getStudentTrend(studentId, subjectId = null, dateRange = {}, options = {}) {
+    const rule = this.getExcusedRule(options.excusedRule);
     const matchStage = {
       student: new mongoose.Types.ObjectId(studentId)
     };
@@ -251,9 +597,8 @@ class StatsService {
         $group: {
           _id: '$date',
           totalClasses: { $sum: 1 },
-          presentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
-          }
+          presentCount: countStatus('present'),
+          excusedCount: countStatus('excused')
         }
       },
       { $sort: { _id: 1 } },
@@ -263,12 +608,8 @@ class StatsService {
           date: '$_id',
           totalClasses: 1,
           presentCount: 1,
-          attendanceRate: {
-            $round: [
-              { $multiply: [{ $divide: ['$presentCount', '$totalClasses'] }, 100] },
-              2
-            ]
-          }
+          excusedCount: 1,
+          attendanceRate: attendancePercentage(rule)
         }
       }
     ]);
@@ -287,12 +628,15 @@ class StatsService {
 
   /**
    * Get low attendance students (below threshold)
+   * Students with no counted classes (e.g. all excused under 'exclude') are not listed.
    * @param {number} threshold - Attendance percentage threshold (e.g., 75)
    * @param {object} classParams - { batch, semester, section, subjectId }
+   * @param {object} options - { excusedRule }
    * @returns {Promise<Array>}
    */
-  async getLowAttendanceStudents(threshold, classParams) {
+  async getLowAttendanceStudents(threshold, classParams, options = {}) {
     const { batch, semester, section, subjectId } = classParams;
+    const rule = this.getExcusedRule(options.excusedRule);
     
     const matchStage = {
       batch,
@@ -310,9 +654,8 @@ class StatsService {
         $group: {
           _id: '$student',
           totalClasses: { $sum: 1 },
-          presentCount: {
-            $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
-          }
+          presentCount: countStatus('present'),
+          excusedCount: countStatus('excused')
         }
       },
       {
@@ -320,16 +663,14 @@ class StatsService {
           studentId: '$_id',
           totalClasses: 1,
           presentCount: 1,
-          attendancePercentage: {
-            $round: [
-              { $multiply: [{ $divide: ['$presentCount', '$totalClasses'] }, 100] },
-              2
-            ]
-          }
+          excusedCount: 1,
+          countedClasses: countedClasses(rule),
+          attendancePercentage: attendancePercentage(rule)
         }
       },
       {
         $match: {
+          countedClasses: { $gt: 0 },
           attendancePercentage: { $lt: threshold }
         }
       },
@@ -351,6 +692,7 @@ class StatsService {
           email: '$studentDetails.email',
           totalClasses: 1,
           presentCount: 1,
+          excusedCount: 1,
           attendancePercentage: 1
         }
       },
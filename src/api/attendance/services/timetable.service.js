@@ -0,0 +1,484 @@
+import TimetableSlot from '../../../models/timetableSlotModel.js';
+import AcademicTerm from '../../../models/academicTermModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import { createNotification } from '../../notifications/services/notifications.service.js';
+import sessionService from './session.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+
+/**
+ * Timetable Service (Attendance Domain)
+ *
+ * Turns weekly timetable slots into dated class occurrences and matches them
+ * with the class sessions that were actually held:
+ * - a teacher's agenda for a day, with the sessions to start
+ * - starting a session for a slot
+ * - reminders / auto-created sessions at slot time (scheduler job)
+ * - the missed-class report (occurrences without a session)
+ *
+ * Slot times are wall-clock "HH:mm" in TIMETABLE_TIMEZONE (defaults to the
+ * server's zone). Term and holiday dates are calendar days (UTC midnight).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORT_DAYS = 184;
+
+/**
+ * Calendar day of a stored date ("YYYY-MM-DD")
+ */
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (dateKey, days) => toDateKey(new Date(`${dateKey}T00:00:00Z`).getTime() + days * DAY_MS);
+
+const dayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Calendar day from a query value (Date or "YYYY-MM-DD"), or a 400
+ */
+const parseDay = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    const error = new Error(`"${label}" must be a date (YYYY-MM-DD)`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return toDateKey(date);
+};
+
+class TimetableService {
+  /**
+   * Zone timetable times are in
+   * @returns {string} IANA time zone
+   */
+  getTimeZone() {
+    return process.env.TIMETABLE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * How early a session may be started before the slot, and how long before
+   * it the reminder goes out (TIMETABLE_EARLY_START_MINUTES, default 15)
+   * @returns {number} Milliseconds
+   */
+  getEarlyStartMs() {
+    return envNumber('TIMETABLE_EARLY_START_MINUTES', 15, 0) * 60 * 1000;
+  }
+
+  /**
+   * Calendar day of a moment in the timetable zone
+   * @param {Date} at
+   * @returns {string} "YYYY-MM-DD"
+   */
+  getDateKey(at = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.getTimeZone(),
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    }).format(at);
+  }
+
+  /**
+   * Offset of the timetable zone from UTC at a moment
+   * @param {Date} at
+   * @returns {number} Milliseconds
+   */
+  getZoneOffsetMs(at) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: this.getTimeZone(),
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }).formatToParts(at).map(part => [part.type, Number(part.value)])
+    );
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(at.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Moment a wall-clock time on a day happens in the timetable zone
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @param {string} time - "HH:mm"
+   * @returns {Date}
+   */
+  toInstant(dateKey, time) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Second pass picks up a DST change between the guess and the result
+    const guess = wallClock - this.getZoneOffsetMs(new Date(wallClock));
+    return new Date(wallClock - this.getZoneOffsetMs(new Date(guess)));
+  }
+
+  /**
+   * Dated occurrences of slots between two days (inclusive), skipping days
+   * outside the slot's term, term holidays, and days before the slot was
+   * added or after it was removed
+   * @param {object} slotQuery - TimetableSlot filter
+   * @param {string} fromKey - First day, "YYYY-MM-DD"
+   * @param {string} toKey - Last day, "YYYY-MM-DD"
+   * @returns {Promise<Array>} [{ slot, date, start, end }] sorted by start
+   */
+  async getOccurrences(slotQuery, fromKey, toKey) {
+    const slots = await TimetableSlot.find(slotQuery)
+      .populate('subject', 'name subjectCode')
+      .populate('teacher', 'name email');
+
+    const terms = await AcademicTerm.find({ _id: { $in: [...new Set(slots.map(s => String(s.term)))] } });
+    const termsById = new Map(terms.map(term => [String(term._id), term]));
+
+    const occurrences = [];
+
+    slots.forEach(slot => {
+      const term = termsById.get(String(slot.term));
+      if (!term) return;
+
+      const holidays = new Set(term.holidays.map(h => toDateKey(h.date)));
+      const first = [fromKey, toDateKey(term.startDate), this.getDateKey(slot.createdAt)].sort().pop();
+      const last = [toKey, toDateKey(term.endDate)].sort()[0];
+
+      // First matching weekday on or after `first`, then weekly
+      let date = addDays(first, (slot.dayOfWeek - dayOfWeek(first) + 7) % 7);
+      for (; date <= last; date = addDays(date, 7)) {
+        if (holidays.has(date)) continue;
+
+        const start = this.toInstant(date, slot.startTime);
+        if (slot.removedAt && start >= slot.removedAt) break;
+
+        occurrences.push({ slot, date, start, end: this.toInstant(date, slot.endTime) });
+      }
+    });
+
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the session held for each occurrence and work out its status:
+   * 'held', 'upcoming', 'due' (can be started now) or 'missed'.
+   * A session counts when it was started for the slot occurrence, or (for
+   * sessions created without a slot) for the same subject and class within
+   * the slot's time, so substitutes and ad hoc starts are not reported missed.
+   * @param {Array} occurrences - From getOccurrences
+   * @param {Date} now
+   * @returns {Promise<Array>} Occurrences with { status, session }
+   */
+  async attachSessions(occurrences, now = new Date()) {
+    if (occurrences.length === 0) return [];
+
+    const earlyMs = this.getEarlyStartMs();
+    const rangeStart = new Date(occurrences[0].start.getTime() - earlyMs);
+    const rangeEnd = new Date(Math.max(...occurrences.map(o => o.end.getTime())));
+
+    const sessions = await ClassSession.find({
+      $or: [
+        {
+          timetableSlot: { $in: [...new Set(occurrences.map(o => String(o.slot._id)))] },
+          scheduledStart: { $gte: occurrences[0].start, $lte: rangeEnd },
+        },
+        {
+          subject: { $in: [...new Set(occurrences.map(o => String(o.slot.subject._id || o.slot.subject)))] },
+          startTime: { $gte: rangeStart, $lte: rangeEnd },
+        },
+      ],
+    }).select('subject teacher batch semester section startTime status timetableSlot scheduledStart');
+
+    const used = new Set();
+    const isForOccurrence = (session, { slot, start, end }) => {
+      if (session.timetableSlot) {
+        return String(session.timetableSlot) === String(slot._id) &&
+          session.scheduledStart?.getTime() === start.getTime();
+      }
+      return String(session.subject) === String(slot.subject._id || slot.subject) &&
+        session.batch === slot.batch &&
+        session.semester === slot.semester &&
+        session.section === slot.section &&
+        session.startTime >= new Date(start.getTime() - earlyMs) &&
+        session.startTime <= end;
+    };
+
+    return occurrences.map(occurrence => {
+      const session = sessions.find(s => !used.has(String(s._id)) && isForOccurrence(s, occurrence));
+      let status;
+
+      if (session) {
+        used.add(String(session._id));
+        status = 'held';
+      } else if (now < occurrence.start.getTime() - earlyMs) {
+        status = 'upcoming';
+      } else if (now <= occurrence.end) {
+        status = 'due';
+      } else {
+        status = 'missed';
+      }
+
+      return { ...occurrence, status, session: session || null };
+    });
+  }
+
+  /**
+   * Response shape for an occurrence
+   * @param {object} occurrence - From attachSessions
+   * @returns {object}
+   */
+  formatOccurrence({ slot, date, start, end, status, session }) {
+    return {
+      slotId: slot._id,
+      date,
+      start,
+      end,
+      subject: slot.subject,
+      teacher: slot.teacher,
+      batch: slot.batch,
+      semester: slot.semester,
+      section: slot.section,
+      room: slot.room,
+      type: slot.type,
+      sessionMode: slot.sessionMode,
+      status,
+      session: session ? { _id: session._id, teacher: session.teacher, status: session.status, startTime: session.startTime } : null,
+    };
+  }
+
+  /**
+   * Weekly timetable from the terms running today
+   * @param {object} filter - Extra TimetableSlot filter (teacher, class, subjects)
+   * @returns {Promise<Array>} Slots ordered by weekday and time
+   */
+  async getWeeklyTimetable(filter) {
+    const today = new Date(`${this.getDateKey()}T00:00:00Z`);
+    const terms = await AcademicTerm.find({ startDate: { $lte: today }, endDate: { $gte: today } }).select('_id name');
+
+    const slots = await TimetableSlot.find({
+      ...filter,
+      term: { $in: terms.map(t => t._id) },
+      isActive: true,
+    })
+      .populate('subject', 'name subjectCode')
+      .populate('teacher', 'name')
+      .populate('term', 'name startDate endDate')
+      .lean();
+
+    return slots.sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.startTime.localeCompare(b.startTime));
+  }
+
+  /**
+   * Teacher's weekly timetable
+   * @param {string} teacherId - Teacher user ID
+   * @returns {Promise<Array>}
+   */
+  async getTeacherTimetable(teacherId) {
+    return this.getWeeklyTimetable({ teacher: teacherId });
+  }
+
+  /**
+   * Student's weekly timetable (their section, enrolled subjects)
+   * @param {object} student - Student user with studentDetails
+   * @returns {Promise<Array>}
+   */
+  async getStudentTimetable(student) {
+    const { batch, semester, section, enrolledSubjects = [] } = student.studentDetails || {};
+    return this.getWeeklyTimetable({ batch, semester, section, subject: { $in: enrolledSubjects } });
+  }
+
+  /**
+   * A teacher's classes on one day, with their sessions and statuses
+   * @param {string} teacherId - Teacher user ID
+   * @param {string} [date] - "YYYY-MM-DD" (default: today)
+   * @param {Date} now
+   * @returns {Promise<object>} { date, holidays, classes }
+   */
+  async getTeacherAgenda(teacherId, date, now = new Date()) {
+    const dateKey = date ? parseDay(date, 'date') : this.getDateKey(now);
+    const day = new Date(`${dateKey}T00:00:00Z`);
+    const [occurrences, terms] = await Promise.all([
+      this.getOccurrences({ teacher: teacherId }, dateKey, dateKey),
+      AcademicTerm.find({ startDate: { $lte: day }, endDate: { $gte: day }, 'holidays.date': day }).select('name holidays'),
+    ]);
+
+    const holidays = terms.flatMap(term => term.holidays
+      .filter(h => toDateKey(h.date) === dateKey)
+      .map(h => ({ term: term.name, name: h.name })));
+    const classes = await this.attachSessions(occurrences, now);
+
+    return { date: dateKey, holidays, classes: classes.map(c => this.formatOccurrence(c)) };
+  }
+
+  /**
+   * Start the attendance session for today's occurrence of a slot
+   * @param {string} slotId - Timetable slot ID
+   * @param {string} teacherId - Teacher user ID
+   * @param {object} options - { topic, codeMode, rotationSeconds, antiProxy, teacherIp }
+   * @param {Date} now
+   * @returns {Promise<object>} Same as SessionService.createSession
+   */
+  async startSlotSession(slotId, teacherId, options = {}, now = new Date()) {
+    const slot = await TimetableSlot.findOne({ _id: slotId, teacher: teacherId, isActive: true });
+
+    if (!slot) {
+      const error = new Error('Timetable slot not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const today = this.getDateKey(now);
+    const [occurrence] = await this.attachSessions(await this.getOccurrences({ _id: slot._id }, today, today), now);
+
+    if (!occurrence) {
+      const error = new Error('This class is not scheduled today');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (occurrence.status === 'held') {
+      const error = new Error('A session has already been started for this class');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    if (occurrence.status !== 'due') {
+      const error = new Error(occurrence.status === 'upcoming'
+        ? 'It is too early to start this class'
+        : 'This class has already ended');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return this.createSessionForOccurrence(occurrence, options);
+  }
+
+  /**
+   * Create the class session for a slot occurrence
+   * @param {object} occurrence - { slot, start }
+   * @param {object} options - Extra createSession fields
+   * @returns {Promise<object>}
+   */
+  async createSessionForOccurrence({ slot, start }, options = {}) {
+    return sessionService.createSession({
+      ...options,
+      teacher: slot.teacher._id || slot.teacher,
+      subject: String(slot.subject._id || slot.subject),
+      batch: slot.batch,
+      semester: slot.semester,
+      section: slot.section,
+      sessionType: slot.type === 'Lab' ? 'lab' : 'lecture',
+      timetableSlot: slot._id,
+      scheduledStart: start,
+    });
+  }
+
+  /**
+   * Scheduler job: for occurrences starting now (from the early-start window
+   * until the slot ends), remind the teacher ('suggest' slots) or create the
+   * session ('auto' slots). Each occurrence is handled once.
+   * @param {Date} now
+   * @returns {Promise<object>} { suggested, created, failed }
+   */
+  async triggerDueSlots(now = new Date()) {
+    const today = this.getDateKey(now);
+    const occurrences = await this.attachSessions(
+      await this.getOccurrences({ isActive: true, sessionMode: { $in: ['suggest', 'auto'] } }, today, today),
+      now
+    );
+
+    const result = { suggested: 0, created: 0, failed: 0 };
+
+    for (const occurrence of occurrences.filter(o => o.status === 'due')) {
+      const { slot, start } = occurrence;
+
+      // Claim the occurrence so other instances (and later runs) skip it
+      const claimed = await TimetableSlot.updateOne(
+        { _id: slot._id, lastTriggeredFor: { $ne: start } },
+        { $set: { lastTriggeredFor: start } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      const className = `${slot.subject.name} (Sem ${slot.semester} ${slot.section})`;
+      const time = slot.startTime;
+
+      try {
+        if (slot.sessionMode === 'auto') {
+          await this.createSessionForOccurrence(occurrence);
+          await createNotification({
+            user: slot.teacher._id,
+            type: 'class_reminder',
+            title: `Attendance session started: ${className}`,
+            message: `The ${time} session${slot.room ? ` in ${slot.room}` : ''} was started from the timetable. Regenerate the code when students are ready.`,
+            link: '/attendance/teacher/active-session',
+          });
+          result.created += 1;
+        } else {
+          await createNotification({
+            user: slot.teacher._id,
+            type: 'class_reminder',
+            title: `Class at ${time}: ${className}`,
+            message: `Start the attendance session${slot.room ? ` in ${slot.room}` : ''} from your timetable.`,
+            link: '/attendance/teacher/timetable',
+          });
+          result.suggested += 1;
+        }
+      } catch (error) {
+        console.error(`Failed to handle timetable slot ${slot._id}:`, error);
+        result.failed += 1;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Missed-class report: occurrences that have ended with no session held
+   * @param {object} filters - { from, to, teacher, subject, batch, semester, section }
+   * @param {Date} now
+   * @returns {Promise<object>} { from, to, scheduled, held, missed, byTeacher, classes }
+   */
+  async getMissedClasses(filters = {}, now = new Date()) {
+    const to = filters.to ? parseDay(filters.to, 'to') : this.getDateKey(now);
+    const from = filters.from ? parseDay(filters.from, 'from') : addDays(to, -6);
+
+    if (from > to) {
+      const error = new Error('"from" must be on or before "to"');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    if (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`) > MAX_REPORT_DAYS * DAY_MS) {
+      const error = new Error(`The report covers at most ${MAX_REPORT_DAYS} days`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const slotQuery = {};
+    ['teacher', 'subject', 'batch', 'semester', 'section'].forEach(key => {
+      if (filters[key] !== undefined) slotQuery[key] = filters[key];
+    });
+
+    const occurrences = (await this.getOccurrences(slotQuery, from, to)).filter(o => o.end <= now);
+    const classes = await this.attachSessions(occurrences, now);
+    const missed = classes.filter(c => c.status === 'missed');
+
+    const byTeacher = new Map();
+    classes.forEach(({ slot, status }) => {
+      const key = String(slot.teacher._id);
+      const entry = byTeacher.get(key) || { teacher: slot.teacher, scheduled: 0, missed: 0 };
+      entry.scheduled += 1;
+      if (status === 'missed') entry.missed += 1;
+      byTeacher.set(key, entry);
+    });
+
+    return {
+      from,
+      to,
+      scheduled: classes.length,
+      held: classes.length - missed.length,
+      missed: missed.length,
+      byTeacher: [...byTeacher.values()].sort((a, b) => b.missed - a.missed),
+      classes: missed.map(c => this.formatOccurrence(c)),
+    };
+  }
+}
+
+export default new TimetableService();
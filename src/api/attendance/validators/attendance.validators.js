@@ -11,7 +11,14 @@ export const createSessionValidation = [
     semester: Joi.number().integer().min(1).max(8).required(),
     section: Joi.string().valid('A', 'B', 'C').required(),
     topic: Joi.string().trim().min(3).max(200).required(),
-    sessionType: Joi.string().valid('lecture', 'lab', 'tutorial', 'seminar').required()
+    sessionType: Joi.string().valid('lecture', 'lab', 'tutorial', 'seminar').required(),
+    codeMode: Joi.string().valid('static', 'rotating').default('static'),
+    rotationSeconds: Joi.number().integer().min(10).max(300),
+    antiProxy: Joi.object({
+      deviceBinding: Joi.boolean().default(false),
+      oneAccountPerDevice: Joi.boolean().default(false),
+      networkCheck: Joi.boolean().default(false)
+    }).default({})
   }) })
 ];
 
@@ -22,12 +29,17 @@ export const markAttendanceValidation = [
 
 // Update attendance record validation
 export const updateAttendanceValidation = [
-  validate({ params: Joi.object({ recordId: mongoId.required() }), body: Joi.object({ status: Joi.string().valid('present', 'absent', 'late').required() }) })
+  validate({ params: Joi.object({ recordId: mongoId.required() }), body: Joi.object({ status: Joi.string().valid('present', 'absent', 'late').required(), reason: Joi.string().trim().min(3).max(500).optional() }) })
 ];
 
 // Bulk update validation
 export const bulkUpdateValidation = [
-  validate({ body: Joi.object({ updates: Joi.array().items(Joi.object({ recordId: mongoId.required(), status: Joi.string().valid('present', 'absent', 'late').required() })).min(1).required() }) })
+  validate({ body: Joi.object({ updates: Joi.array().items(Joi.object({ recordId: mongoId.required(), status: Joi.string().valid('present', 'absent', 'late').required() })).min(1).max(500).required(), reason: Joi.string().trim().min(3).max(500).optional(), batchId: Joi.string().trim().min(8).max(100).optional() }) })
+];
+
+// Offline batch upload validation (times are kept as sent; the signature covers them)
+export const offlineSyncValidation = [
+  validate({ params: Joi.object({ sessionId: mongoId.required() }), body: Joi.object({ batchId: Joi.string().trim().min(8).max(100).required(), syncToken: Joi.string().max(500).required(), signature: Joi.string().max(200).required(), conflictPolicy: Joi.string().valid('server', 'client', 'latest').default('server'), updates: Joi.array().items(Joi.object({ recordId: mongoId.required(), status: Joi.string().valid('present', 'absent', 'late').required(), markedAt: Joi.date().iso().raw().optional(), clientTimestamp: Joi.date().iso().raw().optional() })).min(1).max(500).required() }) })
 ];
 
 // Session ID parameter validation
@@ -42,17 +54,22 @@ export const subjectIdValidation = [
 
 // Class stats query validation
 export const classStatsValidation = [
-  validate({ query: Joi.object({ batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.required() }) })
+  validate({ query: Joi.object({ batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.required(), excusedRule: Joi.string().valid('exclude', 'present', 'absent').optional() }) })
+];
+
+// Class eligibility query validation
+export const classEligibilityValidation = [
+  validate({ query: Joi.object({ batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.required(), status: Joi.string().valid('eligible', 'warning', 'condonable', 'shortage').optional(), excusedRule: Joi.string().valid('exclude', 'present', 'absent').optional() }) })
 ];
 
 // Low attendance query validation
 export const lowAttendanceValidation = [
-  validate({ query: Joi.object({ threshold: Joi.number().min(0).max(100).required(), batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.optional() }) })
+  validate({ query: Joi.object({ threshold: Joi.number().min(0).max(100).optional(), batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.optional(), excusedRule: Joi.string().valid('exclude', 'present', 'absent').optional() }) })
 ];
 
 // Export data query validation
 export const exportDataValidation = [
-  validate({ query: Joi.object({ batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.optional(), startDate: Joi.date().iso().optional(), endDate: Joi.date().iso().optional() }) })
+  validate({ query: Joi.object({ batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.optional(), startDate: Joi.date().iso().optional(), endDate: Joi.date().iso().optional(), format: Joi.string().valid('json', 'csv', 'xlsx', 'pdf').default('json'), excusedRule: Joi.string().valid('exclude', 'present', 'absent').optional() }) })
 ];
 
 // Trend query validation
@@ -60,7 +77,51 @@ export const trendValidation = [
   validate({ query: Joi.object({ subjectId: mongoId.optional(), startDate: Joi.date().iso().optional(), endDate: Joi.date().iso().optional() }) })
 ];
 
+const dateKey = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('Dates must be YYYY-MM-DD');
+
+// Student calendar query validation
+export const calendarValidation = [
+  validate({ query: Joi.object({ month: Joi.string().pattern(/^\d{4}-(0[1-9]|1[0-2])$/).message('month must be YYYY-MM').optional(), from: dateKey.optional(), to: dateKey.optional(), subjectId: mongoId.optional() }).oxor('month', 'from').oxor('month', 'to') })
+];
+
+// Class heatmap query validation
+export const heatmapValidation = [
+  validate({ query: Joi.object({ batch: Joi.number().integer().min(2000).max(2100).required(), semester: Joi.number().integer().min(1).max(8).required(), section: Joi.string().valid('A', 'B', 'C').required(), subjectId: mongoId.required(), from: dateKey.optional(), to: dateKey.optional(), excusedRule: Joi.string().valid('exclude', 'present', 'absent').optional() }) })
+];
+
 // History query validation
 export const historyValidation = [
   validate({ query: Joi.object({ subjectId: mongoId.optional(), batch: Joi.number().integer().min(2000).max(2100).optional(), semester: Joi.number().integer().min(1).max(8).optional(), section: Joi.string().valid('A', 'B', 'C').optional(), status: Joi.string().valid('active', 'completed').optional(), startDate: Joi.date().iso().optional(), endDate: Joi.date().iso().optional(), limit: Joi.number().integer().min(1).max(200).optional() }) })
 ];
+
+// Leave request validation
+export const createLeaveRequestValidation = [
+  validate({ body: Joi.object({ type: Joi.string().valid('leave', 'medical').required(), reason: Joi.string().trim().min(3).max(1000).required(), fromDate: Joi.date().iso().required(), toDate: Joi.date().iso().required(), subjects: Joi.array().items(mongoId).optional(), attachment: mongoId.optional() }) })
+];
+
+// Leave request ID parameter validation
+export const leaveRequestIdValidation = [
+  validate({ params: Joi.object({ requestId: mongoId.required() }) })
+];
+
+// Leave review validation
+export const reviewLeaveRequestValidation = [
+  validate({ params: Joi.object({ requestId: mongoId.required() }), body: Joi.object({ decision: Joi.string().valid('approved', 'rejected').required(), comment: Joi.string().trim().max(1000).allow('').optional() }) })
+];
+
+// Attendance correction validation
+export const raiseDisputeValidation = [
+  validate({ body: Joi.object({ recordId: mongoId.required(), reason: Joi.string().trim().min(3).max(1000).required(), requestedStatus: Joi.string().valid('present', 'absent', 'late').default('present') }) })
+];
+
+export const correctionIdValidation = [
+  validate({ params: Joi.object({ correctionId: mongoId.required() }) })
+];
+
+export const reviewCorrectionValidation = [
+  validate({ params: Joi.object({ correctionId: mongoId.required() }), body: Joi.object({ decision: Joi.string().valid('approved', 'rejected').required(), comment: Joi.string().trim().max(1000).allow('').optional() }) })
+];
+
+export const recordHistoryValidation = [
+  validate({ params: Joi.object({ recordId: mongoId.required() }) })
+];
@@ -3,10 +3,10 @@ import AuthEvent from '../../../models/authEventModel.js';
 /**
  * Centralized auth event logger
  * @param {Object} options
- *  - userId, actor, eventType, severity, context, req
+ *  - userId, actor, eventType, severity, context, req, deviceId
  */
 export const logAuthEvent = async (options) => {
-  const { userId, actor, eventType, severity, context, req } = options;
+  const { userId, actor, eventType, severity, context, req, deviceId } = options;
   try {
     await AuthEvent.create({
       userId: userId || null,
@@ -15,6 +15,7 @@ export const logAuthEvent = async (options) => {
       severity: severity || 'info',
       ipAddress: req?.ip || req?.headers?.['x-forwarded-for'] || null,
       userAgent: req?.get ? req.get('User-Agent') : req?.headers?.['user-agent'] || null,
+      deviceId: deviceId || req?.authSession?.deviceId || null,
       context: context || {},
     });
   } catch (err) {
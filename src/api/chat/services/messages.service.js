@@ -5,6 +5,7 @@
 
 import Message from '../../../models/messageModel.js';
 import * as conversationsService from './conversations.service.js';
+import { notifyNewMessage } from '../../notifications/services/notifications.service.js';
 
 /**
  * Create a new message
@@ -17,7 +18,7 @@ export const createMessage = async (conversationId, senderId, content) => {
     }
 
     // Verify sender is participant
-    await conversationsService.verifyParticipant(conversationId, senderId);
+    const conversation = await conversationsService.verifyParticipant(conversationId, senderId);
 
     // Create message
     let message = await Message.create({
@@ -32,6 +33,17 @@ export const createMessage = async (conversationId, senderId, content) => {
     // Update conversation's last message
     await conversationsService.updateLastMessage(conversationId, message._id);
 
+    // Notify the other participants (non-blocking, batched per conversation)
+    const recipients = conversation.participants.filter(p => p.toString() !== String(senderId));
+    Promise.all(recipients.map(recipientId => notifyNewMessage({
+        recipientId,
+        senderName: message.sender?.name || 'Someone',
+        conversationId: conversation._id,
+        preview: message.content,
+    }))).catch(error => {
+        console.error('Failed to create message notifications:', error);
+    });
+
     return message;
 };
 
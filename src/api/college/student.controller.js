@@ -1,10 +1,9 @@
-import mongoose from 'mongoose';
 import asyncHandler from 'express-async-handler';
 import Joi from 'joi';
 import ClassSession from '../../models/classSessionModel.js';
-import Feedback from '../../models/feedbackModel.js';
 import User from '../../models/userModel.js';
 import { io } from '../../../server.js';
+import feedbackService from '../feedback/services/feedback.service.js';
 
 // Joi schema for marking attendance
 const markAttendanceSchema = Joi.object({
@@ -114,67 +113,19 @@ export const submitFeedback = asyncHandler(async (req, res) => {
         throw new Error(error.details[0].message);
     }
     const { classSessionId, ratings, positiveFeedback, improvementSuggestions } = value;
-    
-    // Find the class session and check student eligibility
-    const session = await ClassSession.findById(classSessionId);
-    if (!session) {
-        res.status(404);
-        throw new Error('Class session not found.');
-    }
-
-    const studentRecord = session.attendanceRecords.find(
-        record => record.student.toString() === req.user.id
-    );
-
-    if (!studentRecord) {
-        res.status(403);
-        throw new Error('You cannot submit feedback for a class you are not a part of.');
-    }
-
-    if (studentRecord.hasSubmittedFeedback) {
-        res.status(400);
-        throw new Error('You have already submitted feedback for this class.');
-    }
 
-    // Use a transaction to ensure atomicity
-    const dbSession = await mongoose.startSession();
-    dbSession.startTransaction();
-    try {
-        // Step A: Create the anonymous feedback document
-        await Feedback.create([{
-            teacher: session.teacher,
-            subject: session.subject,
-            classSession: classSessionId,
-            batch: session.batch,
-            semester: session.semester,
-            ratings,
-            positiveFeedback,
-            improvementSuggestions,
-        }], { session: dbSession });
-
-        // Step B: Mark that the student has submitted feedback
-        await ClassSession.updateOne(
-            { _id: classSessionId, 'attendanceRecords.student': req.user.id },
-            { $set: { 
-                'attendanceRecords.$.hasSubmittedFeedback': true,
-                'attendanceRecords.$.feedbackSubmittedAt': new Date(),
-                } 
-            },
-            { session: dbSession }
-        );
-
-        // If both operations succeed, commit the transaction
-        await dbSession.commitTransaction();
-        res.status(201).json({ message: 'Thank you! Your feedback has been submitted anonymously.' });
-
-    } catch (transactionError) {
-        // If any operation fails, abort the transaction
-        await dbSession.abortTransaction();
-        throw new Error('Could not submit feedback. Please try again.');
-    } finally {
-        // End the session
-        dbSession.endSession();
-    }
+    // Stored like POST /api/feedback/student/submit: held until the feedback
+    // window closes and without a submission time. The old fields are the
+    // default form's questions.
+    const answers = [
+        ...Object.entries(ratings).map(([questionKey, rating]) => ({ questionKey, value: rating })),
+        ...Object.entries({ positiveFeedback, improvementSuggestions })
+            .filter(([, text]) => text)
+            .map(([questionKey, text]) => ({ questionKey, value: text })),
+    ];
+    await feedbackService.submitFeedback(req.user._id, classSessionId, { answers });
+
+    res.status(201).json({ message: 'Thank you! Your feedback has been submitted anonymously.' });
 });
 
 
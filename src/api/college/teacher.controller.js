@@ -1,11 +1,10 @@
 import asyncHandler from 'express-async-handler';
 import Joi from 'joi';
-import mongoose from 'mongoose';
 
 import User from '../../models/userModel.js';
 import ClassSession from '../../models/classSessionModel.js';
 import TeacherSessionReflection from '../../models/teacherSessionReflectionModel.js';
-import Feedback from '../../models/feedbackModel.js'
+import feedbackService from '../feedback/services/feedback.service.js';
 
 // --- Helper Function ---
 const generateAttendanceCode = () => {
@@ -307,43 +306,14 @@ export const getFeedbackSummaryForSession = asyncHandler(async (req, res) => {
         throw new Error('You are not authorized to view feedback for this session.');
     }
 
-    // Aggregate student feedback (similar to admin, but we won't return comments)
-    const studentFeedbackPromise = Feedback.aggregate([
-        { $match: { classSession: new mongoose.Types.ObjectId(classSessionId) } },
-        {
-            $group: {
-                _id: '$classSession',
-                feedbackCount: { $sum: 1 },
-                avgClarity: { $avg: '$ratings.clarity' },
-                avgEngagement: { $avg: '$ratings.engagement' },
-                avgPace: { $avg: '$ratings.pace' },
-                avgKnowledge: { $avg: '$ratings.knowledge' },
-            }
-        },
-        {
-            $project: {
-                _id: 0,
-                feedbackCount: 1,
-                averageRatings: {
-                    clarity: { $round: ['$avgClarity', 2] },
-                    engagement: { $round: ['$avgEngagement', 2] },
-                    pace: { $round: ['$avgPace', 2] },
-                    knowledge: { $round: ['$avgKnowledge', 2] },
-                }
-            }
-        }
-    ]);
-
-    // Fetch Teacher's own reflection
-    const teacherReflectionPromise = TeacherSessionReflection.findOne({ classSession: classSessionId });
-    
-    const [studentFeedback, teacherReflection] = await Promise.all([
-        studentFeedbackPromise,
-        teacherReflectionPromise
+    // Released, thresholded summary: nothing is shown while the feedback window is open
+    const [{ totalResponses, ...studentFeedback }, teacherReflection] = await Promise.all([
+        feedbackService.getSessionSummary(session),
+        TeacherSessionReflection.findOne({ classSession: classSessionId }),
     ]);
 
     res.status(200).json({
-        studentFeedbackSummary: studentFeedback[0] || { feedbackCount: 0, averageRatings: {} },
+        studentFeedbackSummary: { feedbackCount: totalResponses, ...studentFeedback },
         teacherReflection: teacherReflection || null,
     });
 });
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * Feedback Service Tests
+ * Unit tests for form resolution, submission against a form version, the
+ * generic summary and anonymity (release and response thresholds)
+ */
+
+import feedbackService from '../services/feedback.service.js';
+import feedbackFormService from '../services/feedbackForm.service.js';
+import sessionService from '../../attendance/services/session.service.js';
+import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import Feedback from '../../../models/feedbackModel.js';
+import FeedbackForm from '../../../models/feedbackFormModel.js';
+import {
+  createTestAdmin,
+  createTestTeacher,
+  createTestStudent,
+  createTestSubject,
+  generateObjectId,
+} from '../../../test/utils.js';
+
+describe('Feedback Service', () => {
+  let admin;
+  let subject;
+  let teacher;
+  let students;
+  let session;
+
+  const questions = [
+    { key: 'clarity', type: 'likert', prompt: 'Clarity', scale: { min: 1, max: 5 } },
+    { key: 'recommend', type: 'nps', prompt: 'Recommend?' },
+    {
+      key: 'format',
+      type: 'multiple_choice',
+      prompt: 'Preferred format',
+      allowMultiple: true,
+      options: [{ value: 'slides', label: 'Slides' }, { value: 'board', label: 'Board' }],
+    },
+    { key: 'comments', type: 'text', prompt: 'Anything else?', required: false },
+  ];
+
+  const publishedForm = (overrides = {}) => FeedbackForm.create({
+    title: 'Lab form',
+    questions,
+    version: 1,
+    versions: [{ version: 1, questions, publishedAt: new Date() }],
+    createdBy: admin._id,
+    ...overrides,
+  });
+
+  const HOUR = 60 * 60 * 1000;
+  const afterWindow = () => new Date(Date.now() + 73 * HOUR);
+
+  beforeAll(() => {
+    process.env.FEEDBACK_MIN_RESPONSES = '3';
+  });
+
+  afterAll(() => {
+    delete process.env.FEEDBACK_MIN_RESPONSES;
+  });
+
+  beforeEach(async () => {
+    admin = await createTestAdmin();
+    subject = await createTestSubject({ semester: 3 });
+    teacher = await createTestTeacher({
+      teacherDetails: {
+        staffId: `STAFF-${generateObjectId()}`,
+        assignments: [{ subject: subject._id, batch: 2024, semester: 3, sections: ['A'] }],
+      },
+    });
+
+    const studentDetails = () => ({
+      usn: `USN-${generateObjectId()}`,
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      applicationStatus: 'approved',
+      isStudentVerified: true,
+      enrolledSubjects: [subject._id],
+    });
+    students = [
+      await createTestStudent({ studentDetails: studentDetails() }),
+      await createTestStudent({ email: `b-${generateObjectId()}@test.com`, studentDetails: studentDetails() }),
+    ];
+
+    ({ session } = await sessionService.createSession({
+      teacher: teacher._id,
+      subject: subject._id.toString(),
+      batch: 2024,
+      semester: 3,
+      section: 'A',
+      topic: 'Trees',
+      sessionType: 'lab',
+    }));
+    await AttendanceRecord.updateMany({ classSession: session._id }, { status: 'present' });
+    await sessionService.finalizeSession(session._id, teacher._id);
+  });
+
+  it('should pick the most specific published form, falling back to the default', async () => {
+    const populated = await ClassSession.findById(session._id).populate('subject', 'department');
+
+    const fallback = await feedbackFormService.resolveForSession(populated);
+    expect(fallback).toMatchObject({ form: { _id: null }, version: 0 });
+
+    await publishedForm({ title: 'Labs', assignments: [{ scope: 'sessionType', sessionType: 'lab' }] });
+    await publishedForm({ title: 'Department', assignments: [{ scope: 'department', department: 'Computer Science' }] });
+    await FeedbackForm.create({
+      title: 'Draft only',
+      questions,
+      assignments: [{ scope: 'subject', subject: subject._id }],
+      createdBy: admin._id,
+    });
+
+    const resolved = await feedbackFormService.resolveForSession(populated);
+    expect(resolved.form.title).toBe('Department');
+    expect(resolved.version).toBe(1);
+  });
+
+  it('should store answers against the form version and only once per student', async () => {
+    const form = await publishedForm({ assignments: [{ scope: 'subject', subject: subject._id }] });
+    const answers = [
+      { questionKey: 'clarity', value: 4 },
+      { questionKey: 'recommend', value: '9' },
+      { questionKey: 'format', value: ['board'] },
+    ];
+
+    await expect(feedbackService.submitFeedback(students[0]._id, session._id, {
+      answers: [{ questionKey: 'clarity', value: 4 }],
+    })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(feedbackService.submitFeedback(students[0]._id, session._id, {
+      answers: [...answers, { questionKey: 'unknown', value: 1 }],
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    const { feedback } = await feedbackService.submitFeedback(students[0]._id, session._id, { answers });
+    expect(feedback).toMatchObject({ formVersion: 1 });
+    expect(feedback.form.toString()).toBe(form._id.toString());
+    expect(feedback.answers.find(a => a.questionKey === 'recommend').value).toBe(9);
+    expect(feedback.toObject()).not.toHaveProperty('student');
+
+    await expect(feedbackService.submitFeedback(students[0]._id, session._id, { answers }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    const record = await AttendanceRecord.findOne({ classSession: session._id, student: students[0]._id });
+    expect(record.hasSubmittedFeedback).toBe(true);
+  });
+
+  it('should summarise any form per version, alongside legacy feedback', async () => {
+    await publishedForm({ assignments: [{ scope: 'subject', subject: subject._id }] });
+
+    await feedbackService.submitFeedback(students[0]._id, session._id, {
+      answers: [
+        { questionKey: 'clarity', value: 5 },
+        { questionKey: 'recommend', value: 10 },
+        { questionKey: 'format', value: ['slides', 'board'] },
+        { questionKey: 'comments', value: 'More examples please' },
+      ],
+    });
+    await feedbackService.submitFeedback(students[1]._id, session._id, {
+      answers: [
+        { questionKey: 'clarity', value: 3 },
+        { questionKey: 'recommend', value: 4 },
+        { questionKey: 'format', value: ['board'] },
+      ],
+    });
+    // Submitted before forms existed
+    await Feedback.create({
+      classSession: session._id,
+      teacher: teacher._id,
+      subject: subject._id,
+      batch: 2024,
+      semester: 3,
+      ratings: { clarity: 4, engagement: 4, pace: 3, knowledge: 5 },
+    });
+    await feedbackService.releaseDueFeedback(afterWindow());
+
+    const { feedbackSummary } = await feedbackService.getAggregatedFeedbackForSession(session._id.toString(), teacher._id);
+
+    expect(feedbackSummary).toMatchObject({ status: 'released', totalResponses: 3 });
+    expect(feedbackSummary.averageRatings).toMatchObject({ clarity: 4, pace: 3, recommend: 7 });
+
+    const custom = feedbackSummary.forms.find(f => f.version === 1);
+    const question = (key) => custom.questions.find(q => q.key === key);
+    expect(custom.responses).toBe(2);
+    expect(question('clarity')).toMatchObject({ average: 4, distribution: { 3: 1, 5: 1 } });
+    expect(question('recommend')).toMatchObject({ promoters: 1, detractors: 1, passives: 0, score: 0 });
+    expect(question('format').options).toEqual([
+      expect.objectContaining({ value: 'slides', count: 1 }),
+      expect.objectContaining({ value: 'board', count: 2 }),
+    ]);
+    expect(question('comments')).toMatchObject({ responses: 1, answers: ['More examples please'] });
+
+    const legacy = feedbackSummary.forms.find(f => f.version === 0);
+    expect(legacy.responses).toBe(1);
+    expect(legacy.questions.find(q => q.key === 'knowledge')).toMatchObject({ average: 5 });
+  });
+
+  it('should keep responses anonymous and hidden until released with enough responses', async () => {
+    const answers = [
+      { questionKey: 'clarity', value: 4 },
+      { questionKey: 'engagement', value: 4 },
+      { questionKey: 'pace', value: 4 },
+      { questionKey: 'knowledge', value: 4 },
+    ];
+    const { feedback } = await feedbackService.submitFeedback(students[0]._id, session._id, { answers });
+
+    const stored = await Feedback.findById(feedback._id).lean();
+    expect(stored).not.toHaveProperty('createdAt');
+    expect(stored).toMatchObject({ released: false });
+    expect(stored._id.getTimestamp().getTime()).toBe(Math.floor(session.startTime.getTime() / 1000) * 1000);
+
+    let { feedbackSummary } = await feedbackService.getAggregatedFeedbackForSession(session._id.toString(), teacher._id);
+    expect(feedbackSummary).toMatchObject({ status: 'pending', totalResponses: 0, forms: [] });
+
+    // Window still open: nothing is released
+    await expect(feedbackService.releaseDueFeedback()).resolves.toMatchObject({ releasedCount: 0 });
+
+    await feedbackService.submitFeedback(students[1]._id, session._id, { answers });
+    await expect(feedbackService.releaseDueFeedback(afterWindow())).resolves.toMatchObject({ releasedSessions: 1, releasedCount: 2 });
+
+    ({ feedbackSummary } = await feedbackService.getAggregatedFeedbackForSession(session._id.toString(), teacher._id));
+    expect(feedbackSummary).toMatchObject({ status: 'insufficient', totalResponses: 2, minResponses: 3, averageRatings: {} });
+  });
+
+  it('should leave sessions below the minimum out of multi-session summaries', async () => {
+    const createSession = (startTime) => ClassSession.create({
+      teacher: teacher._id,
+      subject: subject._id,
+      semester: 3,
+      section: 'A',
+      batch: 2024,
+      type: 'Theory',
+      startTime,
+    });
+    const createFeedback = (classSession, rating, comment) => Feedback.create({
+      classSession: classSession._id,
+      teacher: teacher._id,
+      subject: subject._id,
+      batch: 2024,
+      semester: 3,
+      sessionDate: classSession.startTime,
+      ratings: { clarity: rating, engagement: rating, pace: rating, knowledge: rating },
+      improvementSuggestions: comment,
+    });
+
+    const large = await createSession(new Date('2025-08-10T09:00:00Z'));
+    const small = await createSession(new Date('2025-08-20T09:00:00Z'));
+    for (let i = 0; i < 3; i++) await createFeedback(large, 4, 'Good pace');
+    await createFeedback(small, 1, 'Only one student wrote this');
+
+    const stats = (endDate) => feedbackService.getTeacherFeedbackStats(teacher._id.toString(), {
+      startDate: '2025-08-01',
+      endDate,
+    });
+    const [first] = await stats('2025-08-15');
+    const [second] = await stats('2025-08-31');
+
+    // The second range adds the small session's response to the count only
+    expect(first).toMatchObject({ totalFeedbacks: 3, hidden: false });
+    expect(second).toMatchObject({ totalFeedbacks: 4, hidden: false });
+    expect(second.averageRatings).toEqual(first.averageRatings);
+    expect(second.forms).toEqual(first.forms);
+    expect(JSON.stringify(second.forms)).not.toContain('Only one student');
+  });
+
+  it('should close submissions when the feedback window ends', async () => {
+    await ClassSession.updateOne({ _id: session._id }, { endedAt: new Date(Date.now() - 73 * HOUR) });
+
+    await expect(feedbackService.getSessionsForFeedback(students[0]._id)).resolves.toHaveLength(0);
+    await expect(feedbackService.submitFeedback(students[0]._id, session._id, { answers: [] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
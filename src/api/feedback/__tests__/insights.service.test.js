@@ -0,0 +1,111 @@
+/**
+ * Feedback Insights Service Tests
+ * Unit tests for comment themes and sentiment with the stub provider,
+ * caching and scopes
+ */
+
+import insightsService from '../services/insights.service.js';
+import AcademicTerm from '../../../models/academicTermModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import Feedback from '../../../models/feedbackModel.js';
+import FeedbackInsight from '../../../models/feedbackInsightModel.js';
+import { createTestUser, createTestSubject } from '../../../test/utils.js';
+
+describe('Feedback Insights Service', () => {
+  let teacher, subject, session;
+
+  const createFeedback = (overrides = {}) => Feedback.create({
+    classSession: session._id,
+    teacher: teacher._id,
+    subject: subject._id,
+    batch: 2024,
+    semester: 3,
+    sessionDate: session.startTime,
+    ratings: { clarity: 4, engagement: 4, pace: 3, knowledge: 5 },
+    ...overrides,
+  });
+
+  beforeAll(() => {
+    process.env.FEEDBACK_MIN_RESPONSES = '3';
+    process.env.FEEDBACK_AI_PROVIDER = 'stub';
+  });
+
+  afterAll(() => {
+    delete process.env.FEEDBACK_MIN_RESPONSES;
+    delete process.env.FEEDBACK_AI_PROVIDER;
+  });
+
+  beforeEach(async () => {
+    teacher = await createTestUser({ role: 'teacher' });
+    subject = await createTestSubject({ semester: 3 });
+    session = await ClassSession.create({
+      teacher: teacher._id,
+      subject: subject._id,
+      semester: 3,
+      section: 'A',
+      batch: 2024,
+      type: 'Theory',
+      startTime: new Date('2025-08-20T09:00:00Z'),
+    });
+  });
+
+  it('should not summarise below the minimum responses or before release', async () => {
+    await createFeedback({ improvementSuggestions: 'Too fast' });
+    await createFeedback({ improvementSuggestions: 'Too fast' });
+    await createFeedback({ improvementSuggestions: 'Too fast', released: false });
+
+    const result = await insightsService.getInsights({ scope: 'session', sessionId: session._id });
+
+    expect(result).toMatchObject({ status: 'insufficient', responseCount: 2, minResponses: 3 });
+    await expect(FeedbackInsight.countDocuments()).resolves.toBe(0);
+  });
+
+  it('should group comments into themes and cache until new feedback is released', async () => {
+    await createFeedback({ positiveFeedback: 'Great class, very clear', improvementSuggestions: 'More examples please' });
+    await createFeedback({ positiveFeedback: 'Clear explanation', improvementSuggestions: 'The pace was too fast' });
+    await createFeedback({ improvementSuggestions: 'Need more examples' });
+
+    const params = { scope: 'subject', subjectId: subject._id.toString(), teacherId: teacher._id };
+    const first = await insightsService.getInsights(params);
+
+    expect(first).toMatchObject({ status: 'ready', provider: 'stub', cached: false, responseCount: 3, commentCount: 5 });
+    expect(first.themes[0]).toMatchObject({ label: 'Clarity', count: 2, sentiment: 'positive' });
+    expect(first.themes.find(t => t.label === 'Examples')).toMatchObject({ count: 2, sentiment: 'negative' });
+    expect(first.liked.sort()).toEqual(['Clear explanation', 'Great class, very clear']);
+    expect(first.improve).toHaveLength(3);
+
+    await expect(insightsService.getInsights(params)).resolves.toMatchObject({ cached: true });
+
+    await createFeedback({ positiveFeedback: 'Loved the board work' });
+    const updated = await insightsService.getInsights(params);
+    expect(updated).toMatchObject({ cached: false, responseCount: 4, commentCount: 6 });
+    await expect(FeedbackInsight.countDocuments()).resolves.toBe(1);
+
+    await expect(insightsService.getInsights({ ...params, refresh: true })).resolves.toMatchObject({ cached: false });
+  });
+
+  it("should keep teachers to their own sessions and terms to their dates", async () => {
+    const other = await createTestUser({ role: 'teacher' });
+    await expect(insightsService.getInsights({ scope: 'session', sessionId: session._id, teacherId: other._id }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    for (let i = 0; i < 3; i++) await createFeedback({ improvementSuggestions: 'Slides were hard to read' });
+    const term = await AcademicTerm.create({
+      name: 'Odd Semester 2025',
+      startDate: new Date('2025-08-01'),
+      endDate: new Date('2025-08-20'),
+    });
+    const later = await AcademicTerm.create({
+      name: 'Even Semester 2026',
+      startDate: new Date('2026-01-05'),
+      endDate: new Date('2026-05-30'),
+    });
+
+    await expect(insightsService.getInsights({ scope: 'term', termId: term._id })).resolves.toMatchObject({
+      status: 'ready',
+      themes: [expect.objectContaining({ label: 'Materials', count: 3 })],
+    });
+    await expect(insightsService.getInsights({ scope: 'term', termId: later._id }))
+      .resolves.toMatchObject({ status: 'insufficient', responseCount: 0 });
+  });
+});
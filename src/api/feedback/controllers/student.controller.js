@@ -10,17 +10,14 @@ class StudentFeedbackController {
   /**
    * Submit feedback for a class session
    * POST /api/feedback/student/submit
-   * Body: { sessionId, rating, comment }
+   * Body: { sessionId, answers: [{ questionKey, value }] }
    */
   async submitFeedback(req, res, next) {
     try {
       const studentId = req.user._id;
-      const { sessionId, rating, comment } = req.body;
+      const { sessionId, answers } = req.body;
       
-      const result = await feedbackService.submitFeedback(studentId, sessionId, {
-        rating,
-        comment
-      });
+      const result = await feedbackService.submitFeedback(studentId, sessionId, { answers });
       
       res.status(201).json({
         success: true,
@@ -50,6 +47,26 @@ class StudentFeedbackController {
       next(error);
     }
   }
+
+  /**
+   * Get the form to answer for a session
+   * GET /api/feedback/student/sessions/:sessionId/form
+   */
+  async getFeedbackForm(req, res, next) {
+    try {
+      const studentId = req.user._id;
+      const { sessionId } = req.params;
+      
+      const form = await feedbackService.getFormForSession(studentId, sessionId);
+      
+      res.status(200).json({
+        success: true,
+        data: form
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 export default new StudentFeedbackController();
@@ -1,5 +1,6 @@
 import feedbackService from '../services/feedback.service.js';
 import reflectionService from '../services/reflection.service.js';
+import insightsService from '../services/insights.service.js';
 
 /**
  * Teacher Feedback Controller (Phase 0 - Feedback Domain)
@@ -63,10 +64,34 @@ class TeacherFeedbackController {
     }
   }
 
+  /**
+   * Get themes and sentiment of the comments on the teacher's feedback
+   * GET /api/feedback/teacher/insights
+   * Query: ?scope=session|subject|term&sessionId=xxx&subjectId=xxx&termId=xxx&refresh=true
+   */
+  async getFeedbackInsights(req, res, next) {
+    try {
+      const query = req.validated?.query || req.query;
+      
+      const insights = await insightsService.getInsights({
+        ...query,
+        refresh: query.refresh === true || query.refresh === 'true',
+        teacherId: req.user._id
+      });
+      
+      res.status(200).json({
+        success: true,
+        data: insights
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Create or update session reflection
    * POST /api/feedback/teacher/sessions/:sessionId/reflection
-   * Body: { whatWentWell, whatCouldImprove, studentEngagement, topicsToRevisit, additionalNotes }
+   * Body: { selfAssessment: { effectiveness, studentEngagement, pace }, sessionHighlights, challengesFaced, improvementsForNextSession }
    */
   async upsertReflection(req, res, next) {
     try {
@@ -187,6 +212,66 @@ class TeacherFeedbackController {
     }
   }
 
+  /**
+   * Reviewed reflections awaiting acknowledgement or action
+   * GET /api/feedback/teacher/reflections/reviews
+   */
+  async getReviewInbox(req, res, next) {
+    try {
+      const reflections = await reflectionService.getReviewInbox(req.user._id);
+      
+      res.status(200).json({
+        success: true,
+        data: { reflections, total: reflections.length }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Acknowledge the HOD review of a reflection
+   * POST /api/feedback/teacher/sessions/:sessionId/reflection/acknowledge
+   */
+  async acknowledgeReview(req, res, next) {
+    try {
+      const teacherId = req.user._id;
+      const { sessionId } = req.params;
+      
+      const reflection = await reflectionService.acknowledgeReview(sessionId, teacherId);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Review acknowledged',
+        data: { reflection }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark an action item of a reviewed reflection done
+   * PATCH /api/feedback/teacher/sessions/:sessionId/reflection/action-items/:itemId
+   * Body: { response }
+   */
+  async completeActionItem(req, res, next) {
+    try {
+      const teacherId = req.user._id;
+      const { sessionId, itemId } = req.params;
+      
+      const reflection = await reflectionService.completeActionItem(sessionId, teacherId, itemId, req.body);
+      
+      res.status(200).json({
+        success: true,
+        message: 'Action item completed',
+        data: { reflection }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get reflection analytics
    * GET /api/feedback/teacher/reflections/analytics
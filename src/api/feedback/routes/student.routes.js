@@ -1,7 +1,8 @@
 import express from 'express';
 import studentController from '../controllers/student.controller.js';
-import { authenticate } from '../../_common/middleware/auth.middleware.js';
-import { authorize } from '../../_common/middleware/rbac.middleware.js';
+import { submitFeedbackValidation, sessionIdValidation } from '../validators/feedback.validators.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
 
 const router = express.Router();
 
@@ -12,13 +13,16 @@ const router = express.Router();
  */
 
 // Middleware: Authenticate and authorize student
-router.use(authenticate);
-router.use(authorize('student'));
+router.use(protect);
+router.use(hasRole(['student']));
 
 // Submit feedback
-router.post('/submit', studentController.submitFeedback);
+router.post('/submit', submitFeedbackValidation, studentController.submitFeedback);
 
 // Get pending feedback sessions
 router.get('/pending', studentController.getPendingFeedbackSessions);
 
+// Form (questions) to answer for a session
+router.get('/sessions/:sessionId/form', sessionIdValidation, studentController.getFeedbackForm);
+
 export default router;
@@ -1,7 +1,13 @@
 import express from 'express';
 import teacherController from '../controllers/teacher.controller.js';
-import { authenticate } from '../../_common/middleware/auth.middleware.js';
-import { authorize } from '../../_common/middleware/rbac.middleware.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { hasRole } from '../../_common/middleware/rbac.middleware.js';
+import {
+  feedbackInsightsValidation,
+  upsertReflectionValidation,
+  sessionIdValidation,
+  completeActionItemValidation
+} from '../validators/feedback.validators.js';
 
 const router = express.Router();
 
@@ -12,8 +18,8 @@ const router = express.Router();
  */
 
 // Middleware: Authenticate and authorize teacher
-router.use(authenticate);
-router.use(authorize('teacher'));
+router.use(protect);
+router.use(hasRole(['teacher']));
 
 // Feedback summary for session
 router.get('/sessions/:sessionId/summary', teacherController.getFeedbackSummary);
@@ -21,14 +27,26 @@ router.get('/sessions/:sessionId/summary', teacherController.getFeedbackSummary)
 // Feedback statistics
 router.get('/stats', teacherController.getFeedbackStats);
 
+// AI themes and sentiment of comments (session, subject or term)
+router.get('/insights', feedbackInsightsValidation, teacherController.getFeedbackInsights);
+
 // Session reflections
-router.post('/sessions/:sessionId/reflection', teacherController.upsertReflection);
+router.post('/sessions/:sessionId/reflection', upsertReflectionValidation, teacherController.upsertReflection);
 router.get('/sessions/:sessionId/reflection', teacherController.getReflection);
 router.delete('/sessions/:sessionId/reflection', teacherController.deleteReflection);
 
+// HOD reviews of reflections
+router.post('/sessions/:sessionId/reflection/acknowledge', sessionIdValidation, teacherController.acknowledgeReview);
+router.patch(
+  '/sessions/:sessionId/reflection/action-items/:itemId',
+  completeActionItemValidation,
+  teacherController.completeActionItem
+);
+
 // Reflection management
 router.get('/reflections/pending', teacherController.getPendingReflections);
 router.get('/reflections/history', teacherController.getReflectionHistory);
 router.get('/reflections/analytics', teacherController.getReflectionAnalytics);
+router.get('/reflections/reviews', teacherController.getReviewInbox);
 
 export default router;
@@ -2,89 +2,249 @@ import Feedback from '../../../models/feedbackModel.js';
 import TeacherSessionReflection from '../../../models/teacherSessionReflectionModel.js';
 import AttendanceRecord from '../../../models/attendanceRecordModel.js';
 import ClassSession from '../../../models/classSessionModel.js';
+import Subject from '../../../models/subjectModel.js';
+import feedbackFormService from './feedbackForm.service.js';
 import mongoose from 'mongoose';
+import { randomBytes, randomInt } from 'crypto';
+import { envNumber } from '../../_common/utils/env.js';
+import { httpError } from '../../_common/utils/httpError.js';
 
 /**
  * Feedback Service (Phase 0 - Feedback Domain)
  * 
  * Handles student feedback submission and retrieval
+ * 
+ * Submissions answer the form version their session resolves to (see
+ * feedbackForm.service.js). Summaries are built per form version from the
+ * question definitions, so any form aggregates the same way; feedback saved
+ * before forms existed is read as the default form.
+ * 
+ * Anonymity: a response stores no student and no submission time (its _id
+ * carries the session's start time). Responses stay unreleased until the
+ * feedback window closes, when the `feedback-release` job releases each
+ * session's responses together; summaries count released responses only and
+ * stay hidden below FEEDBACK_MIN_RESPONSES.
  */
 
+const HOUR = 60 * 60 * 1000;
+
+const windowMs = () => envNumber('FEEDBACK_WINDOW_HOURS', 72) * HOUR;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * ObjectId with the given time and random remaining bytes, so a response's
+ * _id says nothing about when (or in which order) it was written
+ */
+const anonymousId = (date) => new mongoose.Types.ObjectId(
+  Math.floor(date.getTime() / 1000).toString(16).padStart(8, '0') + randomBytes(8).toString('hex')
+);
+
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+// Responses from before releases have no `released` field
+const RELEASED = { released: { $ne: false } };
+
+// Pre-form feedback documents, as answers to the default form
+const LEGACY_ANSWERS = {
+  $filter: {
+    input: [
+      { questionKey: 'clarity', value: '$ratings.clarity' },
+      { questionKey: 'engagement', value: '$ratings.engagement' },
+      { questionKey: 'pace', value: '$ratings.pace' },
+      { questionKey: 'knowledge', value: '$ratings.knowledge' },
+      { questionKey: 'positiveFeedback', value: '$positiveFeedback' },
+      { questionKey: 'improvementSuggestions', value: '$improvementSuggestions' }
+    ],
+    cond: { $ne: [{ $ifNull: ['$$this.value', ''] }, ''] }
+  }
+};
+
+/**
+ * Summary of one question from its answer counts
+ * @param {object} question - Question definition
+ * @param {number} responses - Submissions that answered it
+ * @param {Map} counts - value -> count (each chosen option counted separately)
+ * @returns {object}
+ */
+const summariseQuestion = (question, responses, counts) => {
+  const base = { key: question.key, type: question.type, prompt: question.prompt, responses };
+
+  if (question.type === 'likert' || question.type === 'nps') {
+    const { min, max } = feedbackFormService.getScale(question);
+    const distribution = {};
+    let total = 0;
+    for (let value = min; value <= max; value++) {
+      distribution[value] = counts.get(value) || 0;
+      total += value * distribution[value];
+    }
+    const summary = { ...base, average: responses ? round(total / responses) : null, distribution };
+
+    if (question.type === 'nps') {
+      const band = (from, to) => Object.entries(distribution)
+        .filter(([value]) => Number(value) >= from && Number(value) <= to)
+        .reduce((sum, [, count]) => sum + count, 0);
+      const promoters = band(9, 10);
+      const detractors = band(0, 6);
+      Object.assign(summary, {
+        promoters,
+        passives: responses - promoters - detractors,
+        detractors,
+        score: responses ? Math.round(((promoters - detractors) / responses) * 100) : null
+      });
+    }
+
+    return summary;
+  }
+
+  if (question.type === 'multiple_choice') {
+    return {
+      ...base,
+      options: question.options.map(option => ({ ...option, count: counts.get(option.value) || 0 }))
+    };
+  }
+
+  return {
+    ...base,
+    answers: shuffle([...counts.entries()].flatMap(([text, count]) => Array(count).fill(text)))
+  };
+};
+
 class FeedbackService {
+  /**
+   * Responses a summary needs before anything is shown (k-anonymity)
+   * @returns {number}
+   */
+  getMinResponses() {
+    return envNumber('FEEDBACK_MIN_RESPONSES', 5);
+  }
+
+  /**
+   * When students can no longer give feedback on a session
+   * @param {object} session - ClassSession (endedAt, startTime)
+   * @returns {Date|null} null while the session has not started
+   */
+  getWindowClosesAt(session) {
+    const from = session.endedAt || session.startTime;
+    if (!from) return null;
+    return new Date(new Date(from).getTime() + windowMs());
+  }
+
   /**
    * Submit anonymous feedback for a class session
    * @param {string} studentId - Student user ID
    * @param {string} sessionId - Class session ID
-   * @param {object} feedbackData - { rating, comment }
+   * @param {object} feedbackData - { answers: [{ questionKey, value }] }
    * @returns {Promise<object>}
    */
   async submitFeedback(studentId, sessionId, feedbackData) {
-    const { rating, comment } = feedbackData;
+    const classSession = await this.getSessionForFeedback(studentId, sessionId);
+    const { form, version, questions } = await feedbackFormService.resolveForSession(classSession);
+    const answers = feedbackFormService.validateAnswers(questions, feedbackData.answers);
+    
+    // Claim the submission first so a double submit cannot store two responses
+    const attendanceRecord = await AttendanceRecord.findOneAndUpdate(
+      { classSession: sessionId, student: studentId, status: 'present', hasSubmittedFeedback: false },
+      { $set: { hasSubmittedFeedback: true, feedbackSubmittedAt: new Date() } },
+      { new: true }
+    );
     
-    // Start a transaction for atomicity
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    if (!attendanceRecord) {
+      throw httpError('Feedback already submitted for this session', 409);
+    }
     
+    // Create anonymous feedback (nothing links it to the student or the moment of writing)
+    let feedback;
     try {
-      // Verify student attended the session
-      const attendanceRecord = await AttendanceRecord.findOne({
-        classSession: sessionId,
-        student: studentId,
-        status: 'present'
-      }).session(session);
-      
-      if (!attendanceRecord) {
-        throw new Error('Can only submit feedback for sessions you attended');
-      }
-      
-      // Check if feedback already submitted
-      if (attendanceRecord.hasSubmittedFeedback) {
-        throw new Error('Feedback already submitted for this session');
-      }
-      
-      // Get session details
-      const classSession = await ClassSession.findById(sessionId)
-        .populate('subject', 'name code')
-        .populate('teacher', 'name')
-        .session(session);
-      
-      if (!classSession) {
-        throw new Error('Class session not found');
-      }
-      
-      // Create anonymous feedback
-      const feedback = await Feedback.create([{
-        sessionId,
-        teacher: classSession.teacher._id,
+      feedback = await Feedback.create({
+        _id: anonymousId(classSession.startTime),
+        classSession: classSession._id,
+        teacher: classSession.teacher,
         subject: classSession.subject._id,
         batch: classSession.batch,
         semester: classSession.semester,
         section: classSession.section,
-        rating,
-        comment: comment || ''
-      }], { session });
-      
-      // Update attendance record to mark feedback as submitted
-      await attendanceRecord.recordFeedbackSubmission();
-      
-      // Commit transaction
-      await session.commitTransaction();
-      
-      return {
-        feedback: feedback[0],
-        session: {
-          _id: classSession._id,
-          subject: classSession.subject,
-          topic: classSession.topic,
-          sessionType: classSession.sessionType
-        }
-      };
+        sessionDate: classSession.startTime,
+        released: false,
+        form: form._id,
+        formVersion: version,
+        answers
+      });
     } catch (error) {
-      await session.abortTransaction();
+      await AttendanceRecord.updateOne(
+        { _id: attendanceRecord._id },
+        { $set: { hasSubmittedFeedback: false, feedbackSubmittedAt: null } }
+      );
       throw error;
-    } finally {
-      session.endSession();
     }
+    
+    return {
+      feedback,
+      session: {
+        _id: classSession._id,
+        subject: classSession.subject,
+        topic: classSession.topic,
+        sessionType: classSession.sessionType
+      }
+    };
+  }
+
+  /**
+   * Form a student answers for a session
+   * @param {string} studentId - Student user ID
+   * @param {string} sessionId - Class session ID
+   * @returns {Promise<object>} { session, form, version, questions }
+   */
+  async getFormForSession(studentId, sessionId) {
+    const classSession = await this.getSessionForFeedback(studentId, sessionId);
+    const resolved = await feedbackFormService.resolveForSession(classSession);
+    
+    return {
+      session: {
+        _id: classSession._id,
+        subject: classSession.subject,
+        topic: classSession.topic,
+        sessionType: classSession.sessionType
+      },
+      ...resolved
+    };
+  }
+
+  /**
+   * Completed session the student attended and has not yet given feedback on
+   * @param {string} studentId - Student user ID
+   * @param {string} sessionId - Class session ID
+   * @returns {Promise<object>} ClassSession with subject populated
+   */
+  async getSessionForFeedback(studentId, sessionId) {
+    const [classSession, attendanceRecord] = await Promise.all([
+      ClassSession.findById(sessionId).populate('subject', 'name subjectCode department'),
+      AttendanceRecord.findOne({ classSession: sessionId, student: studentId, status: 'present' })
+    ]);
+    
+    if (!classSession) {
+      throw httpError('Class session not found', 404);
+    }
+    if (!attendanceRecord) {
+      throw httpError('Can only submit feedback for sessions you attended', 403);
+    }
+    if (attendanceRecord.hasSubmittedFeedback) {
+      throw httpError('Feedback already submitted for this session', 409);
+    }
+    if (classSession.status !== 'completed') {
+      throw httpError('Feedback opens once the session is finalized', 400);
+    }
+    if (this.getWindowClosesAt(classSession) <= new Date()) {
+      throw httpError('The feedback window for this session has closed', 400);
+    }
+    
+    return classSession;
   }
 
   /**
@@ -101,7 +261,8 @@ class FeedbackService {
     })
       .populate({
         path: 'classSession',
-        match: { status: 'completed' }, // Only completed sessions
+        // Only completed sessions whose feedback window is still open
+        match: { status: 'completed', endedAt: { $gt: new Date(Date.now() - windowMs()) } },
         populate: [
           { path: 'subject', select: 'name code' },
           { path: 'teacher', select: 'name' }
@@ -110,7 +271,7 @@ class FeedbackService {
       .sort({ createdAt: -1 })
       .limit(20);
     
-    // Filter out records where classSession is null (not completed)
+    // Filter out records where classSession is null (not completed or window closed)
     const sessionsForFeedback = records
       .filter(record => record.classSession !== null)
       .map(record => ({
@@ -122,91 +283,241 @@ class FeedbackService {
           topic: record.classSession.topic,
           sessionType: record.classSession.sessionType,
           date: record.classSession.createdAt
-        }
+        },
+        feedbackClosesAt: this.getWindowClosesAt(record.classSession)
       }));
     
     return sessionsForFeedback;
   }
 
   /**
-   * Get feedback for a specific session
+   * Get released feedback for a specific session (none below the minimum)
    * @param {string} sessionId - Class session ID
    * @returns {Promise<Array>}
    */
   async getFeedbackForSession(sessionId) {
-    const feedbacks = await Feedback.find({ sessionId })
+    const feedbacks = await Feedback.find({ classSession: sessionId, ...RELEASED })
       .select('-teacher') // Exclude teacher field for anonymity
-      .sort({ createdAt: -1 });
+      .sort({ _id: 1 }); // Random within a session
     
-    return feedbacks;
+    return feedbacks.length >= this.getMinResponses() ? feedbacks : [];
   }
 
   /**
-   * Get aggregated feedback summary for a session
-   * @param {string} sessionId - Class session ID
-   * @param {string} teacherId - Teacher user ID (for authorization)
-   * @returns {Promise<object>}
+   * Release the responses of sessions whose feedback window has closed,
+   * each session's responses together
+   * @param {Date} now - Current time
+   * @returns {Promise<object>} { releasedSessions, releasedCount }
    */
-  async getAggregatedFeedbackForSession(sessionId, teacherId) {
-    // Verify session belongs to teacher
-    const session = await ClassSession.findOne({
-      _id: sessionId,
-      teacher: teacherId
-    }).populate('subject', 'name code');
+  async releaseDueFeedback(now = new Date()) {
+    const sessionIds = await Feedback.distinct('classSession', { released: false });
+    const sessions = await ClassSession.find({ _id: { $in: sessionIds } })
+      .select('startTime endedAt')
+      .lean();
+    const due = sessions
+      .filter(session => this.getWindowClosesAt(session) <= now)
+      .map(session => session._id);
     
-    if (!session) {
-      throw new Error('Session not found or unauthorized');
+    if (due.length === 0) {
+      return { releasedSessions: 0, releasedCount: 0 };
     }
     
-    // Get aggregated feedback statistics
-    const feedbackStats = await Feedback.aggregate([
-      { $match: { sessionId: new mongoose.Types.ObjectId(sessionId) } },
+    const result = await Feedback.updateMany(
+      { classSession: { $in: due }, released: false },
+      { $set: { released: true } }
+    );
+    
+    return { releasedSessions: due.length, releasedCount: result.modifiedCount };
+  }
+
+  /**
+   * Released summary of one session's feedback, hidden until the window
+   * has closed and at least the minimum number of responses exist
+   * @param {object} session - ClassSession (endedAt, startTime)
+   * @returns {Promise<object>} { status, minResponses, feedbackClosesAt, totalResponses, averageRatings, forms }
+   */
+  async getSessionSummary(session) {
+    const minResponses = this.getMinResponses();
+    const [[summary], unreleased] = await Promise.all([
+      this.summarize({ classSession: session._id }, { minResponses }),
+      Feedback.exists({ classSession: session._id, released: false })
+    ]);
+    
+    let status = 'released';
+    if (unreleased) status = 'pending';
+    else if (!summary || summary.hidden) status = 'insufficient';
+    
+    const visible = status === 'released';
+    return {
+      status, // pending: window open or awaiting release; insufficient: fewer than minResponses
+      minResponses,
+      feedbackClosesAt: this.getWindowClosesAt(session),
+      totalResponses: summary?.feedbackCount || 0,
+      averageRatings: visible ? summary.averageRatings : {},
+      forms: visible ? summary.forms : []
+    };
+  }
+
+  /**
+   * Summarise feedback per form version, optionally per group
+   * Only released responses count. The answers of a session with fewer than
+   * `options.minResponses` responses are left out of every group, so
+   * comparing two overlapping filters (e.g. date ranges) can't isolate a
+   * small session; `feedbackCount` still counts them. Groups with fewer than
+   * `options.minResponses` summarised responses come back `hidden`, without
+   * averages or forms.
+   * @param {object} match - Feedback filter ($match stage)
+   * @param {object} options - { groupBy: ['teacher', 'subject', ...], minResponses }
+   * @returns {Promise<Array>} [{ group, feedbackCount, summarizedCount, hidden, averageRatings, forms: [{ form, version, responses, questions }] }]
+   */
+  async summarize(match, options = {}) {
+    const groupBy = options.groupBy || [];
+    const minResponses = options.minResponses || 1;
+    const groupId = (extra = {}) => ({
+      ...Object.fromEntries(groupBy.map(field => [field, `$${field}`])),
+      form: '$form',
+      formVersion: '$formVersion',
+      ...extra
+    });
+    
+    const [facets] = await Feedback.aggregate([
+      { $match: { ...match, ...RELEASED } },
+      // Responses per session, to leave small sessions out of the answers
+      { $group: { _id: '$classSession', docs: { $push: '$$ROOT' }, sessionResponses: { $sum: 1 } } },
+      { $unwind: '$docs' },
+      { $replaceRoot: { newRoot: { $mergeObjects: ['$docs', { sessionResponses: '$sessionResponses' }] } } },
       {
-        $group: {
-          _id: null,
-          totalResponses: { $sum: 1 },
-          averageRating: { $avg: '$rating' },
-          ratingDistribution: {
-            $push: '$rating'
-          },
-          comments: {
-            $push: {
-              $cond: [
-                { $ne: ['$comment', ''] },
-                '$comment',
-                '$$REMOVE'
-              ]
-            }
+        $project: {
+          ...Object.fromEntries(groupBy.map(field => [field, 1])),
+          counted: { $gte: ['$sessionResponses', minResponses] },
+          form: { $ifNull: ['$form', null] },
+          formVersion: { $ifNull: ['$formVersion', 0] },
+          answers: {
+            $cond: [{ $gt: [{ $size: { $ifNull: ['$answers', []] } }, 0] }, '$answers', LEGACY_ANSWERS]
           }
         }
       },
       {
-        $project: {
-          _id: 0,
-          totalResponses: 1,
-          averageRating: { $round: ['$averageRating', 2] },
-          ratingDistribution: 1,
-          comments: 1
+        $facet: {
+          totals: [{
+            $group: {
+              _id: groupId(),
+              responses: { $sum: 1 },
+              counted: { $sum: { $cond: ['$counted', 1, 0] } }
+            }
+          }],
+          answered: [
+            { $match: { counted: true } },
+            { $unwind: '$answers' },
+            { $group: { _id: groupId({ key: '$answers.questionKey' }), responses: { $sum: 1 } } }
+          ],
+          values: [
+            { $match: { counted: true } },
+            { $unwind: '$answers' },
+            { $unwind: '$answers.value' }, // one row per chosen option
+            { $group: { _id: groupId({ key: '$answers.questionKey', value: '$answers.value' }), count: { $sum: 1 } } }
+          ]
         }
       }
     ]);
     
-    const stats = feedbackStats[0] || {
-      totalResponses: 0,
-      averageRating: 0,
-      ratingDistribution: [],
-      comments: []
-    };
+    const groupKey = (id) => groupBy.map(field => String(id[field])).join('|');
+    const versionKey = (id) => `${id.form}#${id.formVersion}`;
+    const questionKey = (id) => `${groupKey(id)}#${versionKey(id)}#${id.key}`;
     
-    // Calculate rating breakdown (1-5 stars)
-    const ratingBreakdown = {
-      1: 0, 2: 0, 3: 0, 4: 0, 5: 0
-    };
+    const answered = new Map(facets.answered.map(row => [questionKey(row._id), row.responses]));
+    const values = new Map();
+    facets.values.forEach((row) => {
+      const key = questionKey(row._id);
+      if (!values.has(key)) values.set(key, new Map());
+      values.get(key).set(row._id.value, row.count);
+    });
     
-    stats.ratingDistribution.forEach(rating => {
-      ratingBreakdown[rating] = (ratingBreakdown[rating] || 0) + 1;
+    // Question definitions of every form version with responses
+    const definitions = new Map();
+    const versions = new Map(facets.totals.map(row => [versionKey(row._id), row._id]));
+    await Promise.all([...versions].map(async ([key, id]) => {
+      definitions.set(key, await feedbackFormService.getVersion(id.form, id.formVersion));
+    }));
+    
+    const groups = new Map();
+    facets.totals.forEach((row) => {
+      const key = groupKey(row._id);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          group: Object.fromEntries(groupBy.map(field => [field, row._id[field]])),
+          feedbackCount: 0,
+          summarizedCount: 0,
+          forms: []
+        });
+      }
+      
+      const entry = groups.get(key);
+      const definition = definitions.get(versionKey(row._id));
+      entry.feedbackCount += row.responses;
+      entry.summarizedCount += row.counted;
+      if (!definition || !row.counted) return;
+      
+      entry.forms.push({
+        form: definition.form,
+        version: definition.version,
+        responses: row.counted,
+        questions: definition.questions.map((question) => {
+          const id = questionKey({ ...row._id, key: question.key });
+          return summariseQuestion(question, answered.get(id) || 0, values.get(id) || new Map());
+        })
+      });
     });
     
+    return [...groups.values()].map((entry) => {
+      const hidden = entry.summarizedCount < minResponses;
+      return {
+        ...entry,
+        hidden,
+        averageRatings: hidden ? {} : this.getAverageRatings(entry.forms),
+        forms: hidden ? [] : entry.forms
+      };
+    });
+  }
+
+  /**
+   * Average of each rating question across form versions, weighted by
+   * responses (question keys carry over between versions)
+   * @param {Array} forms - Forms from summarize
+   * @returns {object} { [questionKey]: average }
+   */
+  getAverageRatings(forms) {
+    const totals = {};
+    
+    forms.forEach(form => form.questions.forEach((question) => {
+      if (question.average === undefined || !question.responses) return;
+      totals[question.key] = totals[question.key] || { sum: 0, responses: 0 };
+      totals[question.key].sum += question.average * question.responses;
+      totals[question.key].responses += question.responses;
+    }));
+    
+    return Object.fromEntries(
+      Object.entries(totals).map(([key, { sum, responses }]) => [key, round(sum / responses)])
+    );
+  }
+
+  /**
+   * Get aggregated feedback summary for a session
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID (for authorization)
+   * @returns {Promise<object>}
+   */
+  async getAggregatedFeedbackForSession(sessionId, teacherId) {
+    // Verify session belongs to teacher
+    const session = await ClassSession.findOne({
+      _id: sessionId,
+      teacher: teacherId
+    }).populate('subject', 'name subjectCode');
+    
+    if (!session) {
+      throw httpError('Session not found or unauthorized', 404);
+    }
+    
     return {
       session: {
         _id: session._id,
@@ -215,20 +526,15 @@ class FeedbackService {
         sessionType: session.sessionType,
         date: session.createdAt
       },
-      feedbackSummary: {
-        totalResponses: stats.totalResponses,
-        averageRating: stats.averageRating,
-        ratingBreakdown,
-        comments: stats.comments
-      }
+      feedbackSummary: await this.getSessionSummary(session)
     };
   }
 
   /**
    * Get teacher's feedback statistics
    * @param {string} teacherId - Teacher user ID
-   * @param {object} filters - { subjectId, startDate, endDate }
-   * @returns {Promise<object>}
+   * @param {object} filters - { subjectId, startDate, endDate } (dates of the sessions)
+   * @returns {Promise<Array>} Per subject: { subjectId, subjectDetails, totalFeedbacks, hidden, averageRatings, forms }
    */
   async getTeacherFeedbackStats(teacherId, filters = {}) {
     const matchStage = {
@@ -240,56 +546,28 @@ class FeedbackService {
     }
     
     if (filters.startDate || filters.endDate) {
-      matchStage.createdAt = {};
-      if (filters.startDate) matchStage.createdAt.$gte = new Date(filters.startDate);
-      if (filters.endDate) matchStage.createdAt.$lte = new Date(filters.endDate);
+      matchStage.sessionDate = {};
+      if (filters.startDate) matchStage.sessionDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) matchStage.sessionDate.$lte = new Date(filters.endDate);
     }
     
-    const stats = await Feedback.aggregate([
-      { $match: matchStage },
-      {
-        $group: {
-          _id: filters.subjectId ? null : '$subject',
-          totalFeedbacks: { $sum: 1 },
-          averageRating: { $avg: '$rating' },
-          ratingBreakdown: {
-            $push: '$rating'
-          }
-        }
-      },
-      {
-        $project: {
-          subjectId: '$_id',
-          totalFeedbacks: 1,
-          averageRating: { $round: ['$averageRating', 2] },
-          ratingBreakdown: 1
-        }
-      },
-      ...(filters.subjectId ? [] : [{
-        $lookup: {
-          from: 'subjects',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'subjectDetails'
-        }
-      }])
-    ]);
-    
-    // Calculate rating breakdown for each subject
-    const processedStats = stats.map(stat => {
-      const ratingBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-      stat.ratingBreakdown.forEach(rating => {
-        ratingBreakdown[rating] = (ratingBreakdown[rating] || 0) + 1;
-      });
-      
-      return {
-        ...stat,
-        ratingBreakdown,
-        subjectDetails: stat.subjectDetails ? stat.subjectDetails[0] : null
-      };
+    const stats = await this.summarize(matchStage, {
+      groupBy: ['subject'],
+      minResponses: this.getMinResponses()
     });
+    const subjects = await Subject.find({ _id: { $in: stats.map(stat => stat.group.subject) } })
+      .select('name subjectCode')
+      .lean();
+    const subjectsById = new Map(subjects.map(subject => [String(subject._id), subject]));
     
-    return processedStats;
+    return stats.map(stat => ({
+      subjectId: stat.group.subject,
+      subjectDetails: subjectsById.get(String(stat.group.subject)) || null,
+      totalFeedbacks: stat.feedbackCount,
+      hidden: stat.hidden,
+      averageRatings: stat.averageRatings,
+      forms: stat.forms
+    }));
   }
 }
 
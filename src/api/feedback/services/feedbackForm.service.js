@@ -0,0 +1,223 @@
+import FeedbackForm from '../../../models/feedbackFormModel.js';
+import { badRequest } from '../../_common/utils/httpError.js';
+
+/**
+ * Feedback Form Service (Feedback Domain)
+ *
+ * Which questionnaire a session uses, and checking answers against it.
+ * Forms are managed under /api/admin/feedback-forms.
+ *
+ * A session uses the most specific active, published form assigned to it:
+ * 1. its subject
+ * 2. its subject's department
+ * 3. its session type (department forms before institution forms)
+ * Ties go to the most recently published form. Without one, the built-in
+ * default form (the fixed questions used before forms existed) applies.
+ */
+
+export const DEFAULT_FORM = Object.freeze({
+  _id: null,
+  title: 'Session feedback',
+  description: null,
+  version: 0,
+  questions: [
+    { key: 'clarity', type: 'likert', prompt: 'How clear was the explanation?', required: true, scale: { min: 1, max: 5 } },
+    { key: 'engagement', type: 'likert', prompt: 'How engaging was the session?', required: true, scale: { min: 1, max: 5 } },
+    { key: 'pace', type: 'likert', prompt: 'How suitable was the pace?', required: true, scale: { min: 1, max: 5 } },
+    { key: 'knowledge', type: 'likert', prompt: "How would you rate the teacher's subject knowledge?", required: true, scale: { min: 1, max: 5 } },
+    { key: 'positiveFeedback', type: 'text', prompt: 'What went well?', required: false, maxLength: 500 },
+    { key: 'improvementSuggestions', type: 'text', prompt: 'What could be improved?', required: false, maxLength: 500 }
+  ]
+});
+
+const NPS_SCALE = { min: 0, max: 10 };
+
+/**
+ * How specifically a form's assignments match a session (0 = not at all)
+ */
+const matchRank = (form, { subjectId, department, sessionType }) => Math.max(0, ...form.assignments.map((a) => {
+  if (a.scope === 'subject' && String(a.subject) === String(subjectId)) return 4;
+  if (a.scope === 'department' && department && a.department === department) return 3;
+  if (a.scope === 'sessionType' && sessionType && a.sessionType === sessionType) return form.department ? 2 : 1;
+  return 0;
+}));
+
+const publishedAt = (form) => form.versions.find(v => v.version === form.version)?.publishedAt || 0;
+
+class FeedbackFormService {
+  /**
+   * Numeric range of a rating question
+   * @param {object} question - likert or nps question
+   * @returns {{ min: number, max: number }}
+   */
+  getScale(question) {
+    if (question.type === 'nps') return NPS_SCALE;
+    return { min: question.scale?.min ?? 1, max: question.scale?.max ?? 5 };
+  }
+
+  /**
+   * Check a form's questions (before saving a draft or publishing)
+   * @param {Array} questions - Question definitions
+   */
+  validateQuestions(questions = []) {
+    const keys = new Set();
+
+    questions.forEach((question) => {
+      if (keys.has(question.key)) {
+        throw badRequest(`Question key "${question.key}" is used twice`);
+      }
+      keys.add(question.key);
+
+      if (question.type === 'likert') {
+        const { min, max } = this.getScale(question);
+        if (!Number.isInteger(min) || !Number.isInteger(max) || max <= min || max - min > 10) {
+          throw badRequest(`Question "${question.key}" needs a scale of 2 to 11 whole points`);
+        }
+      }
+
+      if (question.type === 'multiple_choice') {
+        const values = (question.options || []).map(option => option.value);
+        if (values.length < 2 || new Set(values).size !== values.length) {
+          throw badRequest(`Question "${question.key}" needs at least two options with different values`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Questions of a published form version
+   * @param {string|null} formId - Form ID (null = default form)
+   * @param {number} version - Version number
+   * @returns {Promise<object|null>} { form: { _id, title, description }, version, questions }
+   */
+  async getVersion(formId, version) {
+    if (!formId) {
+      const { questions, ...form } = DEFAULT_FORM;
+      return { form: { _id: null, title: form.title, description: form.description }, version: 0, questions };
+    }
+
+    const form = await FeedbackForm.findById(formId).select('title description versions').lean();
+    const published = form?.versions.find(v => v.version === version);
+    if (!published) return null;
+
+    return {
+      form: { _id: form._id, title: form.title, description: form.description },
+      version,
+      questions: published.questions
+    };
+  }
+
+  /**
+   * The form version a session collects feedback with
+   * @param {object} session - ClassSession with subject populated (department)
+   * @returns {Promise<object>} See getVersion
+   */
+  async resolveForSession(session) {
+    const subjectId = session.subject?._id || session.subject;
+    const department = session.subject?.department || null;
+    const { sessionType } = session;
+
+    const candidates = await FeedbackForm.find({
+      isActive: true,
+      version: { $gt: 0 },
+      $or: [
+        { assignments: { $elemMatch: { scope: 'subject', subject: subjectId } } },
+        ...(department ? [{ assignments: { $elemMatch: { scope: 'department', department } } }] : []),
+        ...(sessionType ? [{
+          assignments: { $elemMatch: { scope: 'sessionType', sessionType } },
+          department: { $in: [null, department] }
+        }] : [])
+      ]
+    }).select('title description department version versions assignments').lean();
+
+    const context = { subjectId, department, sessionType };
+    const [best] = candidates
+      .map(form => ({ form, rank: matchRank(form, context) }))
+      .filter(c => c.rank > 0)
+      .sort((a, b) => b.rank - a.rank || publishedAt(b.form) - publishedAt(a.form));
+
+    if (!best) return this.getVersion(null, 0);
+
+    const { form } = best;
+    return {
+      form: { _id: form._id, title: form.title, description: form.description },
+      version: form.version,
+      questions: form.versions.find(v => v.version === form.version).questions
+    };
+  }
+
+  /**
+   * Check answers against a form version and normalise them
+   * @param {Array} questions - Questions of the version
+   * @param {Array} answers - [{ questionKey, value }]
+   * @returns {Array} Answers to store, in question order (unanswered optional questions left out)
+   */
+  validateAnswers(questions, answers = []) {
+    const byKey = new Map();
+    answers.forEach((answer) => {
+      if (byKey.has(answer.questionKey)) {
+        throw badRequest(`Question "${answer.questionKey}" is answered twice`);
+      }
+      byKey.set(answer.questionKey, answer.value);
+    });
+
+    const known = new Set(questions.map(q => q.key));
+    const unknown = [...byKey.keys()].find(key => !known.has(key));
+    if (unknown) {
+      throw badRequest(`Unknown question "${unknown}"`);
+    }
+
+    return questions.flatMap((question) => {
+      const value = this.normaliseAnswer(question, byKey.get(question.key));
+
+      if (value === null) {
+        if (question.required) throw badRequest(`Question "${question.key}" is required`);
+        return [];
+      }
+
+      return [{ questionKey: question.key, value }];
+    });
+  }
+
+  /**
+   * @param {object} question - Question definition
+   * @param {*} value - Submitted value
+   * @returns {*} Stored value, or null when unanswered
+   */
+  normaliseAnswer(question, value) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      return null;
+    }
+
+    const invalid = () => badRequest(`Invalid answer to question "${question.key}"`);
+
+    switch (question.type) {
+      case 'likert':
+      case 'nps': {
+        const { min, max } = this.getScale(question);
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) throw invalid();
+        return number;
+      }
+
+      case 'multiple_choice': {
+        const values = Array.isArray(value) ? value.map(String) : [String(value)];
+        const allowed = new Set(question.options.map(option => option.value));
+        if ((!question.allowMultiple && values.length > 1) || values.some(v => !allowed.has(v))) throw invalid();
+        return question.allowMultiple ? [...new Set(values)] : values[0];
+      }
+
+      case 'text': {
+        if (typeof value !== 'string') throw invalid();
+        const text = value.trim();
+        if (text.length > (question.maxLength || 1000)) throw invalid();
+        return text || null;
+      }
+
+      default:
+        throw invalid();
+    }
+  }
+}
+
+export default new FeedbackFormService();
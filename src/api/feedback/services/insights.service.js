@@ -0,0 +1,318 @@
+import { createHash } from 'crypto';
+import mongoose from 'mongoose';
+import FeedbackInsight from '../../../models/feedbackInsightModel.js';
+import ClassSession from '../../../models/classSessionModel.js';
+import Subject from '../../../models/subjectModel.js';
+import AcademicTerm from '../../../models/academicTermModel.js';
+import { summarizeFeedbackComments } from '../../../services/llm.service.js';
+import { getProviderName } from '../../../services/llm/llm.provider.js';
+import feedbackService from './feedback.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+import { httpError } from '../../_common/utils/httpError.js';
+
+/**
+ * Feedback Insights Service (Feedback Domain)
+ *
+ * Groups the free-text answers of released feedback into themes, scores their
+ * sentiment and lists what students liked and what to improve, for a session,
+ * a subject or a term. Comments are read through feedbackService.summarize,
+ * so unreleased feedback never reaches a provider and nothing is produced
+ * below FEEDBACK_MIN_RESPONSES.
+ *
+ * Results are cached in FeedbackInsight and rebuilt when the released
+ * comments change. FEEDBACK_AI_PROVIDER picks the provider: `llm`
+ * (default, the LLM_PROVIDER backend through llm.service.js; `gemini` is
+ * kept as an alias) or `stub`, a deterministic word-list summary used in
+ * tests and local development.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_COMMENT_LENGTH = 500;
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const sentimentLabel = (score) => {
+  if (score > 0.2) return 'positive';
+  if (score < -0.2) return 'negative';
+  return 'neutral';
+};
+
+// Question keys of the default form, whose answers already say which side they are on
+const LIKED_KEYS = ['positiveFeedback'];
+const IMPROVE_KEYS = ['improvementSuggestions'];
+
+const POSITIVE_WORDS = new Set([
+  'good', 'great', 'clear', 'helpful', 'excellent', 'interesting', 'engaging', 'liked', 'love',
+  'loved', 'useful', 'easy', 'best', 'nice', 'enjoyed', 'well', 'understood', 'amazing'
+]);
+const NEGATIVE_WORDS = new Set([
+  'slow', 'fast', 'boring', 'confusing', 'unclear', 'difficult', 'hard', 'bad', 'poor', 'rushed',
+  'noisy', 'late', 'too', 'lost', 'nothing', 'hate', 'confused', 'monotonous', 'not'
+]);
+const THEME_WORDS = {
+  Pace: ['pace', 'fast', 'slow', 'rushed', 'speed', 'time', 'quick', 'quickly'],
+  Clarity: ['clear', 'unclear', 'confusing', 'confused', 'explain', 'explained', 'explanation', 'understand', 'understood'],
+  Examples: ['example', 'examples', 'practice', 'problems', 'exercise', 'exercises', 'demo'],
+  Engagement: ['boring', 'engaging', 'interactive', 'interesting', 'attention', 'fun', 'questions', 'monotonous'],
+  Materials: ['slides', 'notes', 'board', 'material', 'materials', 'handout', 'handouts']
+};
+
+/**
+ * Deterministic summary from word lists: no network, same input same output
+ * @param {Array} comments - [{ question, text }]
+ * @returns {object} Insight in the provider format
+ */
+const stubSummarize = (comments) => {
+  const themes = new Map();
+  let total = 0;
+  const liked = [];
+  const improve = [];
+
+  comments.forEach(({ question, text }) => {
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    const score = words.filter(w => POSITIVE_WORDS.has(w)).length - words.filter(w => NEGATIVE_WORDS.has(w)).length;
+    const sign = LIKED_KEYS.includes(question) ? 1 : IMPROVE_KEYS.includes(question) ? -1 : Math.sign(score);
+    total += sign;
+
+    if (sign > 0) liked.push(text);
+    if (sign < 0) improve.push(text);
+
+    const labels = Object.keys(THEME_WORDS).filter(label => THEME_WORDS[label].some(w => words.includes(w)));
+    (labels.length ? labels : ['Other']).forEach((label) => {
+      if (!themes.has(label)) themes.set(label, { label, score: 0, count: 0, examples: [] });
+      const theme = themes.get(label);
+      theme.score += sign;
+      theme.count += 1;
+      if (theme.examples.length < 2) theme.examples.push(text);
+    });
+  });
+
+  const ranked = [...themes.values()]
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .map(({ score, count, ...theme }) => ({ ...theme, count, sentiment: sentimentLabel(score / count) }));
+  const score = comments.length ? total / comments.length : 0;
+  const mentioned = ranked.slice(0, 3).map(theme => theme.label.toLowerCase());
+
+  return {
+    themes: ranked,
+    sentiment: { score, label: sentimentLabel(score) },
+    liked: liked.slice(0, 5),
+    improve: improve.slice(0, 5),
+    summary: `${comments.length} comment${comments.length === 1 ? '' : 's'}, mostly ${sentimentLabel(score)}. ` +
+      `Most mentioned: ${mentioned.join(', ')}.`
+  };
+};
+
+const PROVIDERS = {
+  llm: summarizeFeedbackComments,
+  gemini: summarizeFeedbackComments,
+  stub: stubSummarize
+};
+
+const strings = (value, limit, length = MAX_COMMENT_LENGTH) => (Array.isArray(value) ? value : [])
+  .filter(item => typeof item === 'string' && item.trim())
+  .slice(0, limit)
+  .map(item => item.trim().slice(0, length));
+
+/**
+ * Keep a provider's answer to the stored shape, whatever it returned
+ * @param {object} raw - Provider output
+ * @param {number} commentCount - Comments sent (upper bound of theme counts)
+ * @returns {object} { themes, sentiment, liked, improve, summary }
+ */
+const normaliseInsight = (raw, commentCount) => {
+  const score = Number(raw?.sentiment?.score);
+  const clamped = Number.isFinite(score) ? Math.round(Math.max(-1, Math.min(1, score)) * 100) / 100 : 0;
+
+  return {
+    themes: (Array.isArray(raw?.themes) ? raw.themes : [])
+      .filter(theme => typeof theme?.label === 'string' && theme.label.trim())
+      .slice(0, 8)
+      .map(theme => ({
+        label: theme.label.trim().slice(0, 60),
+        sentiment: SENTIMENTS.includes(theme.sentiment) ? theme.sentiment : 'neutral',
+        count: Math.min(commentCount, Math.max(0, parseInt(theme.count, 10) || 0)),
+        examples: strings(theme.examples, 2)
+      })),
+    sentiment: {
+      score: clamped,
+      label: SENTIMENTS.includes(raw?.sentiment?.label) ? raw.sentiment.label : sentimentLabel(clamped)
+    },
+    liked: strings(raw?.liked, 5),
+    improve: strings(raw?.improve, 5),
+    summary: typeof raw?.summary === 'string' ? raw.summary.trim().slice(0, 1000) : ''
+  };
+};
+
+class FeedbackInsightsService {
+  /**
+   * Provider named by FEEDBACK_AI_PROVIDER. LLM providers are named after
+   * their backend (`llm:gemini`, `llm:openai`...), so switching LLM_PROVIDER
+   * rebuilds cached insights.
+   * @returns {{ name: string, summarize: Function }}
+   */
+  getProvider() {
+    const name = process.env.FEEDBACK_AI_PROVIDER || 'llm';
+    if (!PROVIDERS[name]) {
+      throw httpError(`Unknown feedback AI provider: ${name}`, 500);
+    }
+    if (PROVIDERS[name] === summarizeFeedbackComments) {
+      return { name: `llm:${getProviderName()}`, summarize: PROVIDERS[name] };
+    }
+    return { name, summarize: PROVIDERS[name] };
+  }
+
+  /**
+   * Feedback filter and cache key of a scope
+   * @param {object} params - { scope, sessionId, subjectId, termId, teacherId }
+   * @returns {Promise<object>} { scopeKey, match, refs }
+   */
+  async resolveScope(params) {
+    const { scope, sessionId, subjectId, termId, teacherId } = params;
+    const match = {};
+    const refs = { scope };
+
+    if (teacherId) {
+      match.teacher = toObjectId(teacherId);
+      refs.teacher = match.teacher;
+    }
+
+    if (scope === 'session') {
+      const session = await ClassSession.findOne({
+        _id: sessionId,
+        ...(teacherId && { teacher: teacherId })
+      }).select('_id');
+      if (!session) {
+        throw httpError('Session not found or unauthorized', 404);
+      }
+      match.classSession = session._id;
+      refs.classSession = session._id;
+    }
+
+    if (scope === 'term') {
+      const term = await AcademicTerm.findById(termId).select('startDate endDate');
+      if (!term) {
+        throw httpError('Academic term not found', 404);
+      }
+      // endDate is the term's last calendar day
+      match.sessionDate = { $gte: term.startDate, $lt: new Date(term.endDate.getTime() + DAY) };
+      refs.term = term._id;
+    }
+
+    if (subjectId && scope !== 'session') {
+      const subject = await Subject.exists({ _id: subjectId });
+      if (!subject) {
+        throw httpError('Subject not found', 404);
+      }
+      match.subject = toObjectId(subjectId);
+      refs.subject = match.subject;
+    }
+
+    const scopeKey = [
+      scope,
+      refs.classSession || refs.term || refs.subject,
+      scope === 'term' ? refs.subject || '-' : null,
+      refs.teacher || 'all'
+    ].filter(part => part !== null).join(':');
+
+    return { scopeKey, match, refs };
+  }
+
+  /**
+   * Themes, sentiment and liked / to-improve points of the released comments in a scope
+   * @param {object} params - { scope: 'session' | 'subject' | 'term', sessionId, subjectId, termId, teacherId, refresh }
+   * A teacherId limits the scope to that teacher's feedback (and their own sessions).
+   * @returns {Promise<object>} { scope, status, minResponses, responseCount, commentCount, ...insight }
+   */
+  async getInsights(params) {
+    const { scopeKey, match, refs } = await this.resolveScope(params);
+    const minResponses = feedbackService.getMinResponses();
+
+    const [summary] = await feedbackService.summarize(match, { minResponses });
+    const responseCount = summary?.feedbackCount || 0;
+    const base = { scope: params.scope, minResponses, responseCount };
+
+    if (!summary || summary.hidden) {
+      return { ...base, status: 'insufficient', commentCount: 0 };
+    }
+
+    const comments = summary.forms.flatMap(form => form.questions
+      .filter(question => question.type === 'text')
+      .flatMap(question => question.answers.map(text => ({
+        question: question.key,
+        text: String(text).slice(0, MAX_COMMENT_LENGTH)
+      }))));
+
+    if (comments.length === 0) {
+      return { ...base, status: 'no_comments', commentCount: 0 };
+    }
+
+    const provider = this.getProvider();
+    const fingerprint = createHash('sha256')
+      .update(JSON.stringify([provider.name, responseCount, comments.map(c => `${c.question}\n${c.text}`).sort()]))
+      .digest('hex');
+
+    const cached = await FeedbackInsight.findOne({ scopeKey }).lean();
+    if (cached && cached.fingerprint === fingerprint && !params.refresh) {
+      return this.formatInsight(cached, base, { cached: true });
+    }
+
+    // Comments are already shuffled; a large scope is summarised from a sample
+    const sample = comments.slice(0, envNumber('FEEDBACK_AI_MAX_COMMENTS', 200));
+    let insight;
+    try {
+      insight = normaliseInsight(await provider.summarize(sample), sample.length);
+    } catch (error) {
+      console.error('Feedback insights provider failed:', error);
+      if (cached) {
+        return this.formatInsight(cached, base, { cached: true, stale: true });
+      }
+      throw httpError('Feedback insights are unavailable right now, please try again later', 502);
+    }
+
+    const saved = await FeedbackInsight.findOneAndUpdate(
+      { scopeKey },
+      {
+        $set: {
+          ...refs,
+          ...insight,
+          fingerprint,
+          provider: provider.name,
+          responseCount,
+          commentCount: comments.length,
+          generatedAt: new Date()
+        }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    return this.formatInsight(saved, base, { cached: false });
+  }
+
+  /**
+   * Response shape of a stored insight
+   * @param {object} insight - FeedbackInsight document
+   * @param {object} base - { scope, minResponses, responseCount }
+   * @param {object} flags - { cached, stale }
+   * @returns {object}
+   */
+  formatInsight(insight, base, flags) {
+    return {
+      ...base,
+      status: 'ready',
+      commentCount: insight.commentCount,
+      provider: insight.provider,
+      generatedAt: insight.generatedAt,
+      stale: false,
+      ...flags,
+      themes: insight.themes,
+      sentiment: insight.sentiment,
+      liked: insight.liked,
+      improve: insight.improve,
+      summary: insight.summary
+    };
+  }
+}
+
+export default new FeedbackInsightsService();
@@ -1,19 +1,47 @@
+import mongoose from 'mongoose';
 import TeacherSessionReflection from '../../../models/teacherSessionReflectionModel.js';
 import ClassSession from '../../../models/classSessionModel.js';
 import AttendanceRecord from '../../../models/attendanceRecordModel.js';
+import { httpError } from '../../_common/utils/httpError.js';
 
 /**
  * Reflection Service (Phase 0 - Feedback Domain)
- * 
+ *
  * Handles teacher session reflections
+ *
+ * Review workflow: a reflection is `Submitted` until an HOD reviews it
+ * (comments and action items with due dates, see the admin reflections
+ * sub-domain), which makes it `Reviewed`. The teacher acknowledges the review
+ * and completes the action items; once all are done it is `ActionTaken`.
+ * Reviewed reflections can no longer be edited or deleted by the teacher.
  */
 
+const REFLECTION_FIELDS = ['selfAssessment', 'sessionHighlights', 'challengesFaced', 'improvementsForNextSession'];
+
 class ReflectionService {
+  /**
+   * Status a reflection should have from its review state
+   * @param {object} reflection - Reflection document
+   * @returns {string} Submitted | Reviewed | ActionTaken
+   */
+  getStatus(reflection) {
+    if (!reflection.reviewedAt) return 'Submitted';
+    const done = reflection.acknowledgedAt && reflection.actionItems.every(item => item.completedAt);
+    return done ? 'ActionTaken' : 'Reviewed';
+  }
+
+  /**
+   * Session IDs of a teacher's sessions in a subject, for filtering reflections
+   */
+  async getSubjectSessionIds(teacherId, subjectId) {
+    return ClassSession.find({ teacher: teacherId, subject: subjectId }).distinct('_id');
+  }
+
   /**
    * Create or update teacher's session reflection
    * @param {string} sessionId - Class session ID
    * @param {string} teacherId - Teacher user ID
-   * @param {object} reflectionData - { whatWentWell, whatCouldImprove, studentEngagement, topicsToRevisit, additionalNotes }
+   * @param {object} reflectionData - { selfAssessment: { effectiveness, studentEngagement, pace }, sessionHighlights, challengesFaced, improvementsForNextSession }
    * @returns {Promise<object>}
    */
   async upsertReflection(sessionId, teacherId, reflectionData) {
@@ -23,47 +51,27 @@ class ReflectionService {
       teacher: teacherId,
       status: 'completed'
     });
-    
+
     if (!session) {
-      throw new Error('Session not found, not completed, or unauthorized');
+      throw httpError('Session not found, not completed, or unauthorized', 404);
     }
-    
-    const {
-      whatWentWell,
-      whatCouldImprove,
-      studentEngagement,
-      topicsToRevisit,
-      additionalNotes
-    } = reflectionData;
-    
+
     // Find existing reflection or create new one
-    let reflection = await TeacherSessionReflection.findOne({ sessionId });
-    
-    if (reflection) {
-      // Update existing reflection
-      reflection.whatWentWell = whatWentWell;
-      reflection.whatCouldImprove = whatCouldImprove;
-      reflection.studentEngagement = studentEngagement;
-      reflection.topicsToRevisit = topicsToRevisit || [];
-      reflection.additionalNotes = additionalNotes || '';
-      await reflection.save();
-    } else {
-      // Create new reflection
-      reflection = await TeacherSessionReflection.create({
-        sessionId,
-        teacher: teacherId,
-        subject: session.subject,
-        batch: session.batch,
-        semester: session.semester,
-        section: session.section,
-        whatWentWell,
-        whatCouldImprove,
-        studentEngagement,
-        topicsToRevisit: topicsToRevisit || [],
-        additionalNotes: additionalNotes || ''
-      });
+    let reflection = await TeacherSessionReflection.findOne({ classSession: sessionId });
+
+    if (reflection && reflection.status !== 'Submitted') {
+      throw httpError('Reviewed reflections can no longer be changed', 409);
     }
-    
+
+    if (!reflection) {
+      reflection = new TeacherSessionReflection({ classSession: sessionId, teacher: teacherId });
+    }
+
+    REFLECTION_FIELDS.forEach((field) => {
+      if (reflectionData[field] !== undefined) reflection[field] = reflectionData[field];
+    });
+    await reflection.save();
+
     return reflection;
   }
 
@@ -79,14 +87,15 @@ class ReflectionService {
       _id: sessionId,
       teacher: teacherId
     });
-    
+
     if (!session) {
-      throw new Error('Session not found or unauthorized');
+      throw httpError('Session not found or unauthorized', 404);
     }
-    
-    const reflection = await TeacherSessionReflection.findOne({ sessionId })
-      .populate('subject', 'name code');
-    
+
+    const reflection = await TeacherSessionReflection.findOne({ classSession: sessionId })
+      .populate('reviewComments.author', 'name')
+      .populate('reviewedBy', 'name');
+
     return reflection;
   }
 
@@ -102,26 +111,26 @@ class ReflectionService {
       teacher: teacherId,
       status: 'completed'
     })
-      .populate('subject', 'name code')
+      .populate('subject', 'name subjectCode')
       .sort({ createdAt: -1 })
       .limit(limit * 2); // Get more to filter
-    
+
     const sessionIds = sessions.map(s => s._id);
-    
+
     // Get existing reflections
     const existingReflections = await TeacherSessionReflection.find({
-      sessionId: { $in: sessionIds }
-    }).select('sessionId');
-    
+      classSession: { $in: sessionIds }
+    }).select('classSession');
+
     const reflectedSessionIds = new Set(
-      existingReflections.map(r => r.sessionId.toString())
+      existingReflections.map(r => r.classSession.toString())
     );
-    
+
     // Filter sessions without reflections
     const sessionsWithoutReflection = sessions
       .filter(session => !reflectedSessionIds.has(session._id.toString()))
       .slice(0, limit);
-    
+
     // Get attendance summaries
     const sessionsWithSummary = await Promise.all(
       sessionsWithoutReflection.map(async (session) => {
@@ -133,7 +142,7 @@ class ReflectionService {
         };
       })
     );
-    
+
     return sessionsWithSummary;
   }
 
@@ -147,26 +156,26 @@ class ReflectionService {
     const query = {
       teacher: teacherId
     };
-    
+
     if (filters.subjectId) {
-      query.subject = filters.subjectId;
+      query.classSession = { $in: await this.getSubjectSessionIds(teacherId, filters.subjectId) };
     }
-    
+
     if (filters.startDate || filters.endDate) {
       query.createdAt = {};
       if (filters.startDate) query.createdAt.$gte = new Date(filters.startDate);
       if (filters.endDate) query.createdAt.$lte = new Date(filters.endDate);
     }
-    
+
     const reflections = await TeacherSessionReflection.find(query)
-      .populate('subject', 'name code')
       .populate({
-        path: 'sessionId',
-        select: 'topic sessionType createdAt'
+        path: 'classSession',
+        select: 'topic sessionType startTime subject',
+        populate: { path: 'subject', select: 'name subjectCode' }
       })
       .sort({ createdAt: -1 })
       .limit(filters.limit || 50);
-    
+
     return reflections;
   }
 
@@ -178,17 +187,107 @@ class ReflectionService {
    */
   async deleteReflection(sessionId, teacherId) {
     const reflection = await TeacherSessionReflection.findOne({
-      sessionId,
+      classSession: sessionId,
       teacher: teacherId
     });
-    
+
     if (!reflection) {
-      throw new Error('Reflection not found or unauthorized');
+      throw httpError('Reflection not found or unauthorized', 404);
     }
-    
+
+    if (reflection.status !== 'Submitted') {
+      throw httpError('Reviewed reflections can no longer be deleted', 409);
+    }
+
     await reflection.deleteOne();
   }
 
+  /**
+   * Reviewed reflections still waiting for the teacher: review not yet
+   * acknowledged or action items open
+   * @param {string} teacherId - Teacher user ID
+   * @returns {Promise<Array>} Reflections with `overdueActionItems`
+   */
+  async getReviewInbox(teacherId) {
+    const reflections = await TeacherSessionReflection.find({
+      teacher: teacherId,
+      status: 'Reviewed'
+    })
+      .populate({
+        path: 'classSession',
+        select: 'topic sessionType startTime subject',
+        populate: { path: 'subject', select: 'name subjectCode' }
+      })
+      .populate('reviewComments.author', 'name')
+      .sort({ reviewedAt: -1 })
+      .lean();
+
+    const now = new Date();
+    return reflections.map(reflection => ({
+      ...reflection,
+      overdueActionItems: reflection.actionItems.filter(item => !item.completedAt && item.dueDate < now).length
+    }));
+  }
+
+  /**
+   * Acknowledge the latest review of a reflection
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID (for authorization)
+   * @returns {Promise<object>}
+   */
+  async acknowledgeReview(sessionId, teacherId) {
+    const reflection = await TeacherSessionReflection.findOne({
+      classSession: sessionId,
+      teacher: teacherId
+    });
+
+    if (!reflection) {
+      throw httpError('Reflection not found or unauthorized', 404);
+    }
+
+    if (!reflection.reviewedAt) {
+      throw httpError('This reflection has not been reviewed yet', 409);
+    }
+
+    reflection.acknowledgedAt = reflection.acknowledgedAt || new Date();
+    reflection.status = this.getStatus(reflection);
+    await reflection.save();
+
+    return reflection;
+  }
+
+  /**
+   * Mark an action item done (also acknowledges the review)
+   * @param {string} sessionId - Class session ID
+   * @param {string} teacherId - Teacher user ID (for authorization)
+   * @param {string} itemId - Action item ID
+   * @param {object} data - { response } what was done
+   * @returns {Promise<object>}
+   */
+  async completeActionItem(sessionId, teacherId, itemId, data = {}) {
+    const reflection = await TeacherSessionReflection.findOne({
+      classSession: sessionId,
+      teacher: teacherId
+    });
+
+    if (!reflection) {
+      throw httpError('Reflection not found or unauthorized', 404);
+    }
+
+    const item = reflection.actionItems.id(itemId);
+    if (!item) {
+      throw httpError('Action item not found', 404);
+    }
+
+    item.completedAt = item.completedAt || new Date();
+    if (data.response !== undefined) item.response = data.response;
+    reflection.acknowledgedAt = reflection.acknowledgedAt || new Date();
+    reflection.status = this.getStatus(reflection);
+    await reflection.save();
+
+    return reflection;
+  }
+
   /**
    * Get reflection analytics for teacher
    * @param {string} teacherId - Teacher user ID
@@ -197,61 +296,71 @@ class ReflectionService {
    */
   async getReflectionAnalytics(teacherId, filters = {}) {
     const matchStage = {
-      teacher: teacherId
+      teacher: new mongoose.Types.ObjectId(String(teacherId))
     };
-    
+
     if (filters.subjectId) {
-      matchStage.subject = filters.subjectId;
+      matchStage.classSession = { $in: await this.getSubjectSessionIds(teacherId, filters.subjectId) };
     }
-    
+
     if (filters.startDate || filters.endDate) {
       matchStage.createdAt = {};
       if (filters.startDate) matchStage.createdAt.$gte = new Date(filters.startDate);
       if (filters.endDate) matchStage.createdAt.$lte = new Date(filters.endDate);
     }
-    
+
     const analytics = await TeacherSessionReflection.aggregate([
       { $match: matchStage },
       {
         $group: {
           _id: null,
           totalReflections: { $sum: 1 },
-          averageEngagement: { $avg: '$studentEngagement' },
-          topicsToRevisitCount: {
-            $sum: { $size: '$topicsToRevisit' }
-          },
+          averageEffectiveness: { $avg: '$selfAssessment.effectiveness' },
+          averageEngagement: { $avg: '$selfAssessment.studentEngagement' },
           engagementDistribution: {
-            $push: '$studentEngagement'
-          }
+            $push: '$selfAssessment.studentEngagement'
+          },
+          paceDistribution: { $push: '$selfAssessment.pace' },
+          statusDistribution: { $push: '$status' }
         }
       },
       {
         $project: {
           _id: 0,
           totalReflections: 1,
+          averageEffectiveness: { $round: ['$averageEffectiveness', 2] },
           averageEngagement: { $round: ['$averageEngagement', 2] },
-          topicsToRevisitCount: 1,
-          engagementDistribution: 1
+          engagementDistribution: 1,
+          paceDistribution: 1,
+          statusDistribution: 1
         }
       }
     ]);
-    
-    const result = analytics[0] || {
+
+    const { engagementDistribution, paceDistribution, statusDistribution, ...result } = analytics[0] || {
       totalReflections: 0,
+      averageEffectiveness: 0,
       averageEngagement: 0,
-      topicsToRevisitCount: 0,
-      engagementDistribution: []
+      engagementDistribution: [],
+      paceDistribution: [],
+      statusDistribution: []
     };
-    
+
     // Calculate engagement breakdown (1-5)
     const engagementBreakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-    result.engagementDistribution.forEach(engagement => {
+    engagementDistribution.forEach(engagement => {
       engagementBreakdown[engagement] = (engagementBreakdown[engagement] || 0) + 1;
     });
-    
+
+    const count = (values, keys) => Object.fromEntries(
+      keys.map(key => [key, values.filter(value => value === key).length])
+    );
+
     return {
       ...result,
-      engagementBreakdown
+      engagementBreakdown,
+      paceBreakdown: count(paceDistribution, ['Too Slow', 'Just Right', 'Too Fast']),
+      statusBreakdown: count(statusDistribution, ['Submitted', 'Reviewed', 'ActionTaken'])
     };
   }
 }
@@ -5,17 +5,34 @@ const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('Invalid ID fo
 
 // Submit feedback validation
 export const submitFeedbackValidation = [
-  validate({ body: Joi.object({ sessionId: mongoId.required(), rating: Joi.number().integer().min(1).max(5).required(), comment: Joi.string().trim().max(1000).optional() }) })
+  validate({ body: Joi.object({
+    sessionId: mongoId.required(),
+    // Checked against the session's form version by the service
+    answers: Joi.array().items(Joi.object({
+      questionKey: Joi.string().trim().max(50).required(),
+      value: Joi.alternatives().try(Joi.number(), Joi.string().allow('').max(2000), Joi.array().items(Joi.string().max(50)).max(50)).allow(null)
+    })).max(100).required()
+  }) })
 ];
 
 // Upsert reflection validation
 export const upsertReflectionValidation = [
   validate({ params: Joi.object({ sessionId: mongoId.required() }), body: Joi.object({
-    whatWentWell: Joi.string().trim().min(10).max(1000).required(),
-    whatCouldImprove: Joi.string().trim().min(10).max(1000).required(),
-    studentEngagement: Joi.number().integer().min(1).max(5).required(),
-    topicsToRevisit: Joi.array().items(Joi.string().trim().min(2).max(200)).optional(),
-    additionalNotes: Joi.string().trim().max(1000).optional()
+    selfAssessment: Joi.object({
+      effectiveness: Joi.number().integer().min(1).max(5).required(),
+      studentEngagement: Joi.number().integer().min(1).max(5).required(),
+      pace: Joi.string().valid('Too Slow', 'Just Right', 'Too Fast').required()
+    }).required(),
+    sessionHighlights: Joi.string().trim().min(1).max(500).required(),
+    challengesFaced: Joi.string().trim().max(500).allow('').optional(),
+    improvementsForNextSession: Joi.string().trim().max(500).allow('').optional()
+  }) })
+];
+
+// Complete action item validation
+export const completeActionItemValidation = [
+  validate({ params: Joi.object({ sessionId: mongoId.required(), itemId: mongoId.required() }), body: Joi.object({
+    response: Joi.string().trim().max(500).allow('').optional()
   }) })
 ];
 
@@ -29,6 +46,17 @@ export const feedbackStatsValidation = [
   validate({ query: Joi.object({ subjectId: mongoId.optional(), startDate: Joi.date().iso().optional(), endDate: Joi.date().iso().optional() }) })
 ];
 
+// Feedback insights query validation
+export const feedbackInsightsValidation = [
+  validate({ query: Joi.object({
+    scope: Joi.string().valid('session', 'subject', 'term').required(),
+    sessionId: mongoId.when('scope', { is: 'session', then: Joi.required() }),
+    subjectId: mongoId.when('scope', { is: 'subject', then: Joi.required() }),
+    termId: mongoId.when('scope', { is: 'term', then: Joi.required() }),
+    refresh: Joi.boolean().default(false)
+  }) })
+];
+
 // Reflection history query validation
 export const reflectionHistoryValidation = [
   validate({ query: Joi.object({ subjectId: mongoId.optional(), startDate: Joi.date().iso().optional(), endDate: Joi.date().iso().optional(), limit: Joi.number().integer().min(1).max(200).optional() }) })
@@ -0,0 +1,111 @@
+/**
+ * Direct-to-S3 Upload Service Tests
+ * Unit tests for the checks made before anything is presigned and for upload session state
+ */
+
+import * as uploadService from '../services/upload.service.js';
+import UploadSession from '../../../models/uploadSessionModel.js';
+import { createTestUser, generateObjectId } from '../../../test/utils.js';
+
+describe('Upload Service', () => {
+  let owner;
+
+  const MB = 1024 * 1024;
+
+  const createSession = (overrides = {}) => UploadSession.create({
+    user: owner._id,
+    s3Key: `test/personal/${generateObjectId()}.mp4`,
+    uploadId: `upload-${generateObjectId()}`,
+    fileName: 'lecture.mp4',
+    fileType: 'video/mp4',
+    size: 25 * MB,
+    partSize: 10 * MB,
+    partCount: 3,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    owner = await createTestUser();
+  });
+
+  describe('initiateUploadService', () => {
+    it('should reject file types that cannot be uploaded', async () => {
+      await expect(uploadService.initiateUploadService(owner, {
+        fileName: 'setup.exe',
+        fileType: 'application/x-msdownload',
+        size: MB,
+      })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject uploads over the quota before presigning', async () => {
+      await expect(uploadService.initiateUploadService(owner, {
+        fileName: 'lecture.mp4',
+        fileType: 'video/mp4',
+        size: 60 * MB, // 'user' role quota is 50MB
+      })).rejects.toMatchObject({ statusCode: 403 });
+
+      expect(await UploadSession.countDocuments({ user: owner._id })).toBe(0);
+    });
+
+    it('should count open uploads against the quota', async () => {
+      await createSession({ size: 40 * MB });
+
+      await expect(uploadService.initiateUploadService(owner, {
+        fileName: 'lecture-2.mp4',
+        fileType: 'video/mp4',
+        size: 20 * MB,
+      })).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should reject a parent folder the user does not own', async () => {
+      await expect(uploadService.initiateUploadService(owner, {
+        fileName: 'lecture.mp4',
+        fileType: 'video/mp4',
+        size: MB,
+        parentId: generateObjectId().toString(),
+      })).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('upload sessions', () => {
+    it('should hide other users\' uploads', async () => {
+      const session = await createSession();
+      const other = await createTestUser();
+
+      await expect(uploadService.getPartUrlsService(session._id, other, [1]))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(uploadService.abortUploadService(session._id, other))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should reject part numbers outside the upload', async () => {
+      const session = await createSession();
+
+      await expect(uploadService.getPartUrlsService(session._id, owner, [4]))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should reject expired and finished uploads', async () => {
+      const expired = await createSession({ expiresAt: new Date(Date.now() - 1000) });
+      const completed = await createSession({ status: 'completed' });
+
+      await expect(uploadService.getPartUrlsService(expired._id, owner, [1]))
+        .rejects.toMatchObject({ statusCode: 410 });
+      await expect(uploadService.completeUploadService(completed._id, owner, []))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('should require every part before completing', async () => {
+      const session = await createSession();
+
+      await expect(uploadService.completeUploadService(session._id, owner, [
+        { partNumber: 1, etag: '"a"' },
+        { partNumber: 2, etag: '"b"' },
+      ])).rejects.toMatchObject({ statusCode: 400 });
+
+      const unchanged = await UploadSession.findById(session._id);
+      expect(unchanged.status).toBe('pending');
+    });
+  });
+});
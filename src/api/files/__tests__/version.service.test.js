@@ -0,0 +1,129 @@
+/**
+ * File Version Service Tests
+ * Unit tests for version history, restore and quota accounting of retained versions
+ */
+
+import * as versionService from '../services/version.service.js';
+import { getStorageUsage } from '../../_common/middleware/quota.middleware.js';
+import File from '../../../models/fileModel.js';
+import { createTestUser, generateObjectId } from '../../../test/utils.js';
+
+describe('File Version Service', () => {
+  let owner;
+
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  // A file at version 3 with versions 1 and 2 retained
+  const createVersionedFile = (overrides = {}) => File.create({
+    user: owner._id,
+    fileName: 'report.pdf',
+    s3Key: `test/personal/${generateObjectId()}.v3.pdf`,
+    size: 300,
+    fileType: 'application/pdf',
+    path: ',',
+    currentVersion: 3,
+    versionUploadedBy: owner._id,
+    versionUploadedAt: hoursAgo(1),
+    versions: [
+      { versionNumber: 1, s3Key: `test/personal/${generateObjectId()}.pdf`, size: 100, fileType: 'application/pdf', uploadedBy: owner._id, uploadedAt: hoursAgo(3) },
+      { versionNumber: 2, s3Key: `test/personal/${generateObjectId()}.v2.pdf`, size: 250, fileType: 'application/pdf', uploadedBy: owner._id, uploadedAt: hoursAgo(2) },
+    ],
+    ...overrides,
+  });
+
+  beforeEach(async () => {
+    owner = await createTestUser();
+  });
+
+  describe('listVersionsService', () => {
+    it('should list versions newest first with size deltas', async () => {
+      const file = await createVersionedFile();
+
+      const result = await versionService.listVersionsService(file._id);
+
+      expect(result.currentVersion).toBe(3);
+      expect(result.totalVersionBytes).toBe(350);
+      expect(result.versions.map(v => v.versionNumber)).toEqual([3, 2, 1]);
+      expect(result.versions[0]).toMatchObject({ isCurrent: true, sizeDelta: 50 });
+      expect(result.versions[2].sizeDelta).toBeNull();
+      expect(result.versions[0].uploadedBy.name).toBe(owner.name);
+    });
+
+    it('should treat a never-versioned file as version 1', async () => {
+      const file = await File.create({
+        user: owner._id,
+        fileName: 'plain.txt',
+        s3Key: `test/personal/${generateObjectId()}.txt`,
+        size: 10,
+        fileType: 'text/plain',
+        path: ',',
+      });
+
+      const result = await versionService.listVersionsService(file._id);
+
+      expect(result.versions).toHaveLength(1);
+      expect(result.versions[0]).toMatchObject({ versionNumber: 1, isCurrent: true });
+    });
+  });
+
+  describe('restoreVersionService', () => {
+    it('should make the old version current as a new version number', async () => {
+      const file = await createVersionedFile();
+      const v1Key = file.versions[0].s3Key;
+      const v3Key = file.s3Key;
+
+      const restored = await versionService.restoreVersionService(file._id, 1, owner);
+
+      expect(restored.currentVersion).toBe(4);
+      expect(restored.s3Key).toBe(v1Key);
+      expect(restored.size).toBe(100);
+      expect(restored.versionRestoredFrom).toBe(1);
+      expect(restored.versions.map(v => v.versionNumber)).toEqual([2, 3]);
+      expect(restored.versions[1].s3Key).toBe(v3Key);
+    });
+
+    it('should reject unknown and current versions', async () => {
+      const file = await createVersionedFile();
+
+      await expect(versionService.restoreVersionService(file._id, 7, owner))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(versionService.restoreVersionService(file._id, 3, owner))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('uploadNewVersionService', () => {
+    it('should require exactly one file', async () => {
+      const file = await createVersionedFile();
+
+      await expect(versionService.uploadNewVersionService(file._id, [], owner))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should not version folders', async () => {
+      const folder = await File.create({
+        user: owner._id,
+        fileName: 'Folder',
+        s3Key: generateObjectId().toString(),
+        size: 0,
+        fileType: 'folder',
+        isFolder: true,
+        path: ',',
+      });
+
+      await expect(versionService.uploadNewVersionService(folder._id, [{ size: 1 }], owner))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('getStorageUsage', () => {
+    it('should count retained version bytes but not extra files', async () => {
+      await createVersionedFile();
+
+      const usage = await getStorageUsage(owner._id);
+
+      expect(usage.fileCount).toBe(1);
+      expect(usage.totalSize).toBe(650);
+    });
+  });
+});
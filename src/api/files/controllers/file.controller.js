@@ -1,5 +1,7 @@
 import asyncHandler from '../../_common/http/asyncHandler.js';
 import * as fileService from '../services/file.service.js';
+import * as versionService from '../services/version.service.js';
+import * as uploadService from '../services/upload.service.js';
 import File from '../../../models/fileModel.js';
 import * as pathService from '../services/path.service.js';
 import {
@@ -29,6 +31,68 @@ export const uploadFiles = asyncHandler(async (req, res) => {
   res.status(201).json(result);
 });
 
+// ============================================================================
+// Direct-to-S3 Upload Controllers
+// ============================================================================
+
+/**
+ * @desc    Start a multipart upload (MIME type, size and quota are checked here)
+ * @route   POST /api/files/uploads
+ * @access  Private
+ */
+export const initiateUpload = asyncHandler(async (req, res) => {
+  const session = await uploadService.initiateUploadService(req.user, req.body);
+  res.status(201).json(session);
+});
+
+/**
+ * @desc    Upload status with the parts already received (for resuming)
+ * @route   GET /api/files/uploads/:sessionId
+ * @access  Private (Uploader)
+ */
+export const getUploadStatus = asyncHandler(async (req, res) => {
+  const result = await uploadService.getUploadStatusService(req.params.sessionId, req.user);
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Get presigned PUT URLs for parts
+ * @route   POST /api/files/uploads/:sessionId/parts
+ * @access  Private (Uploader)
+ */
+export const getUploadPartUrls = asyncHandler(async (req, res) => {
+  const result = await uploadService.getPartUrlsService(
+    req.params.sessionId,
+    req.user,
+    req.body.partNumbers
+  );
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Complete an upload and create the file
+ * @route   POST /api/files/uploads/:sessionId/complete
+ * @access  Private (Uploader)
+ */
+export const completeUpload = asyncHandler(async (req, res) => {
+  const file = await uploadService.completeUploadService(
+    req.params.sessionId,
+    req.user,
+    req.body.parts
+  );
+  res.status(201).json(file);
+});
+
+/**
+ * @desc    Abort an upload and discard its parts
+ * @route   DELETE /api/files/uploads/:sessionId
+ * @access  Private (Uploader)
+ */
+export const abortUpload = asyncHandler(async (req, res) => {
+  const session = await uploadService.abortUploadService(req.params.sessionId, req.user);
+  res.status(200).json(session);
+});
+
 // ============================================================================
 // File Listing Controllers
 // ============================================================================
@@ -217,29 +281,63 @@ export const bulkDownloadFiles = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Download a folder as a zip (synchronous streaming)
+ * @desc    Queue a folder ZIP export (202 + job id; poll GET /api/jobs/:id)
  * @route   POST /api/files/folders/:id/download
  * @access  Private
  */
 export const downloadFolderAsZip = asyncHandler(async (req, res) => {
-  const folderId = req.params.id;
+  const job = await fileService.requestFolderZipService(req.params.id, req.user);
 
-  // Get descendant files that the user can access
-  const accessibleFiles = await fileService.getDescendantFilesService(folderId, req.user._id, req.user);
+  res.status(202).json({
+    message: 'Folder export started. Poll the job or wait for the job:completed event.',
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job._id}`,
+  });
+});
 
-  if (!accessibleFiles || accessibleFiles.length === 0) {
-    res.status(400);
-    throw new Error('Folder is empty. Cannot download an empty folder.');
-  }
+// ============================================================================
+// File Version Controllers
+// ============================================================================
 
-  // Stream zip file using shared zip service
-  const parentFolder = await File.findById(folderId).select('_id fileName path').lean();
-  if (!parentFolder) {
-    res.status(404);
-    throw new Error('Folder not found.');
-  }
-  const { streamFolderZip } = await import('../../../services/zip.service.js');
-  await streamFolderZip(res, parentFolder, accessibleFiles.filter(f => !f.isFolder));
+/**
+ * @desc    Upload a new version of a file (multipart field "files", one file)
+ * @route   POST /api/files/:id/versions
+ * @access  Private (Owner)
+ */
+export const uploadNewVersion = asyncHandler(async (req, res) => {
+  const file = await versionService.uploadNewVersionService(req.params.id, req.files, req.user);
+  res.status(201).json(file);
+});
+
+/**
+ * @desc    List versions of a file, newest first
+ * @route   GET /api/files/:id/versions
+ * @access  Private (Owner or shared with)
+ */
+export const listVersions = asyncHandler(async (req, res) => {
+  const result = await versionService.listVersionsService(req.params.id);
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Get download link for a specific version
+ * @route   GET /api/files/:id/versions/:version/download
+ * @access  Private (Owner or shared with)
+ */
+export const getVersionDownloadLink = asyncHandler(async (req, res) => {
+  const result = await versionService.getVersionDownloadUrlService(req.params.id, req.params.version);
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    Restore an older version as the current version
+ * @route   POST /api/files/:id/versions/:version/restore
+ * @access  Private (Owner)
+ */
+export const restoreVersion = asyncHandler(async (req, res) => {
+  const file = await versionService.restoreVersionService(req.params.id, req.params.version, req.user);
+  res.status(200).json(file);
 });
 
 // ============================================================================
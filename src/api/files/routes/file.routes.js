@@ -4,6 +4,11 @@ import {
   uploadFilesSchema,
   bulkFileIdsSchema,
   listFilesSchema,
+  versionParamsSchema,
+  initiateUploadSchema,
+  uploadSessionParamsSchema,
+  uploadPartUrlsSchema,
+  completeUploadSchema,
   validate,
 } from '../validators/file.validators.js';
 import {
@@ -12,7 +17,7 @@ import {
   isOwner,
 } from '../policies/file.policies.js';
 import { protect } from '../../_common/middleware/auth.middleware.js';
-import { checkStorageQuota } from '../../_common/middleware/quota.middleware.js';
+import { checkStorageQuota, checkVersionQuota } from '../../_common/middleware/quota.middleware.js';
 import { uploadFiles } from '../../_common/middleware/file.middleware.js';
 
 const router = express.Router();
@@ -36,6 +41,72 @@ router.post(
   fileController.uploadFiles
 );
 
+// ============================================================================
+// Direct-to-S3 Multipart Upload Routes (large files)
+// ============================================================================
+
+/**
+ * @route   POST /api/files/uploads
+ * @desc    Start a multipart upload; returns sessionId, partSize and partCount
+ * @access  Private
+ */
+router.post(
+  '/uploads',
+  protect,
+  validate(initiateUploadSchema),
+  fileController.initiateUpload
+);
+
+/**
+ * @route   GET /api/files/uploads/:sessionId
+ * @desc    Upload status with uploaded and missing parts (resume)
+ * @access  Private (Uploader)
+ */
+router.get(
+  '/uploads/:sessionId',
+  protect,
+  validate(uploadSessionParamsSchema, 'params'),
+  fileController.getUploadStatus
+);
+
+/**
+ * @route   POST /api/files/uploads/:sessionId/parts
+ * @desc    Get presigned PUT URLs for up to 100 parts
+ * @access  Private (Uploader)
+ */
+router.post(
+  '/uploads/:sessionId/parts',
+  protect,
+  validate(uploadSessionParamsSchema, 'params'),
+  validate(uploadPartUrlsSchema),
+  fileController.getUploadPartUrls
+);
+
+/**
+ * @route   POST /api/files/uploads/:sessionId/complete
+ * @desc    Complete the upload and create the file
+ * @access  Private (Uploader)
+ */
+router.post(
+  '/uploads/:sessionId/complete',
+  protect,
+  validate(uploadSessionParamsSchema, 'params'),
+  validate(completeUploadSchema),
+  fileController.completeUpload
+);
+
+/**
+ * @route   DELETE /api/files/uploads/:sessionId
+ * @desc    Abort the upload and discard uploaded parts
+ * @access  Private (Uploader)
+ */
+router.delete(
+  '/uploads/:sessionId',
+  protect,
+  validate(uploadSessionParamsSchema, 'params'),
+  fileController.abortUpload
+);
+
 // ============================================================================
 // File Listing Routes
 // ============================================================================
@@ -89,7 +160,7 @@ router.get('/search', protect, fileController.searchFiles);
 
 /**
  * @route   POST /api/files/folders/:id/download
- * @desc    Create an async folder download job (stub)
+ * @desc    Queue an async folder ZIP export job (poll /api/jobs/:id)
  * @access  Private
  */
 router.post('/folders/:id/download', protect, fileController.downloadFolderAsZip);
@@ -105,6 +176,57 @@ router.post(
   fileController.bulkDownloadFiles
 );
 
+// ============================================================================
+// File Version Routes
+// ============================================================================
+
+/**
+ * @route   POST /api/files/:id/versions
+ * @desc    Upload a new version of a file (multipart field "files", exactly one file)
+ * @access  Private (Owner)
+ */
+router.post(
+  '/:id/versions',
+  protect,
+  isOwner,
+  uploadFiles,
+  checkVersionQuota,
+  fileController.uploadNewVersion
+);
+
+/**
+ * @route   GET /api/files/:id/versions
+ * @desc    List versions with uploader, size and timestamp
+ * @access  Private (Owner or shared with)
+ */
+router.get('/:id/versions', protect, hasReadAccess, fileController.listVersions);
+
+/**
+ * @route   GET /api/files/:id/versions/:version/download
+ * @desc    Get download link for a specific version
+ * @access  Private (Owner or shared with)
+ */
+router.get(
+  '/:id/versions/:version/download',
+  protect,
+  validate(versionParamsSchema, 'params'),
+  hasReadAccess,
+  fileController.getVersionDownloadLink
+);
+
+/**
+ * @route   POST /api/files/:id/versions/:version/restore
+ * @desc    Make an older version the current one
+ * @access  Private (Owner)
+ */
+router.post(
+  '/:id/versions/:version/restore',
+  protect,
+  validate(versionParamsSchema, 'params'),
+  isOwner,
+  fileController.restoreVersion
+);
+
 // ============================================================================
 // File Deletion Routes (Temporary - will be replaced by trash)
 // ============================================================================
@@ -5,6 +5,7 @@ import { uploadFile as uploadToS3 } from '../../../services/s3/s3.service.js';
 import { getDownloadUrl, getPreviewUrl } from '../../../services/s3/s3.service.js';
 import * as pathService from './path.service.js';
 import * as permissionService from './permission.service.js';
+import { enqueueJob } from '../../../services/queue/queue.service.js';
 import mongoose from 'mongoose';
 
 /**
@@ -187,7 +188,7 @@ export const uploadFilesService = async (files, userId, parentId) => {
  * @param {string|null} parentId - Parent folder ID
  * @returns {Promise<string>} Unique filename
  */
-const generateUniqueFileName = async (originalName, userId, parentId) => {
+export const generateUniqueFileName = async (originalName, userId, parentId) => {
   // Normalize parentId: frontend may send the string 'null' to indicate root.
   const targetParentId = parentId === 'null' ? null : (parentId || null);
 
@@ -487,6 +488,32 @@ export const getBulkDownloadFilesService = async (fileIds, userId, user = null)
   return candidateFiles;
 };
 
+/**
+ * Queue a folder ZIP export
+ * Access and emptiness are checked up front so the caller gets an immediate
+ * 403/404/400; the archive itself is built by the job worker.
+ * 
+ * @param {string} folderId - Folder ID
+ * @param {Object} user - Requesting user document
+ * @returns {Promise<Object>} The queued Job document
+ */
+export const requestFolderZipService = async (folderId, user) => {
+  const accessibleFiles = await getDescendantFilesService(folderId, user._id, user);
+
+  if (!accessibleFiles || accessibleFiles.length === 0) {
+    const error = new Error('Folder is empty. Cannot download an empty folder.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return enqueueJob({
+    type: 'folder-zip',
+    user: user._id,
+    folderId,
+    meta: { folderId: String(folderId), fileCount: accessibleFiles.length },
+  });
+};
+
 // ============================================================================
 // Preview & Search Services (Phase 1.5)
 // ============================================================================
@@ -0,0 +1,380 @@
+import File from '../../../models/fileModel.js';
+import UploadSession from '../../../models/uploadSessionModel.js';
+import { buildKey } from '../../../services/s3/keybuilder.js';
+import {
+  createMultipartUpload,
+  getUploadPartUrl,
+  listUploadedParts,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  headObject,
+  deleteFile as deleteFromS3,
+} from '../../../services/s3/s3.service.js';
+import { isAllowedMimeType } from '../../_common/middleware/file.middleware.js';
+import { assertStorageQuota } from '../../_common/middleware/quota.middleware.js';
+import { generateUniqueFileName } from './file.service.js';
+import * as pathService from './path.service.js';
+import { envNumber } from '../../_common/utils/env.js';
+
+// ============================================================================
+// Direct-to-S3 Multipart Upload Service
+// ============================================================================
+//
+// Large files (lecture videos) skip multer: the client initiates an upload,
+// PUTs each part to a presigned URL, then completes it. MIME type, size and
+// quota are checked before anything is presigned; the File record is only
+// created once S3 has assembled the object.
+
+const MB = 1024 * 1024;
+const S3_MIN_PART_SIZE = 5 * MB; // S3 rejects smaller parts (except the last)
+const S3_MAX_PARTS = 10000;
+
+const getMaxFileSize = () => envNumber('MULTIPART_MAX_FILE_SIZE_MB', 5120) * MB;
+const getSessionTtlMs = () => envNumber('MULTIPART_UPLOAD_EXPIRY_HOURS', 24) * 60 * 60 * 1000;
+
+/**
+ * Part size for a file: the configured size (default 10 MB), raised when the
+ * file would otherwise need more parts than S3 allows
+ */
+const getPartSize = (size) => {
+  const configured = Math.max(envNumber('MULTIPART_PART_SIZE_MB', 10) * MB, S3_MIN_PART_SIZE);
+  return Math.max(configured, Math.ceil(size / S3_MAX_PARTS));
+};
+
+const findPendingSession = async (sessionId, userId) => {
+  const session = await UploadSession.findOne({ _id: sessionId, user: userId });
+
+  if (!session) {
+    const error = new Error('Upload not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (session.status !== 'pending') {
+    const error = new Error(`This upload has already been ${session.status}.`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (session.expiresAt <= new Date()) {
+    const error = new Error('This upload has expired. Please start again.');
+    error.statusCode = 410;
+    throw error;
+  }
+
+  return session;
+};
+
+const findParentFolder = (parentId, userId) => File.findOne({
+  _id: parentId,
+  user: userId,
+  isFolder: true,
+  isDeleted: false,
+});
+
+const toSessionResponse = (session) => ({
+  sessionId: session._id,
+  fileName: session.fileName,
+  fileType: session.fileType,
+  size: session.size,
+  parentId: session.parentId,
+  partSize: session.partSize,
+  partCount: session.partCount,
+  status: session.status,
+  expiresAt: session.expiresAt,
+  file: session.file,
+});
+
+/**
+ * Start a multipart upload
+ * Open uploads reserve their size against the quota until they complete or abort.
+ *
+ * @param {Object} user - Authenticated user
+ * @param {Object} data - { fileName, fileType, size, parentId? }
+ * @returns {Promise<Object>} Session with partSize and partCount
+ */
+export const initiateUploadService = async (user, { fileName, fileType, size, parentId }) => {
+  if (!isAllowedMimeType(fileType)) {
+    const error = new Error('Invalid file type.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const maxFileSize = getMaxFileSize();
+  if (size > maxFileSize) {
+    const error = new Error(`File is too large. The maximum size is ${maxFileSize / MB}MB.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let targetParentId = null;
+  if (parentId && parentId !== 'null') {
+    const parentFolder = await findParentFolder(parentId, user._id);
+    if (!parentFolder) {
+      const error = new Error('Parent folder not found.');
+      error.statusCode = 404;
+      throw error;
+    }
+    targetParentId = parentFolder._id;
+  }
+
+  const pending = await UploadSession.find({
+    user: user._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  }).select('size').lean();
+
+  await assertStorageQuota(user, {
+    fileCount: pending.length + 1,
+    size: pending.reduce((sum, s) => sum + s.size, 0) + size,
+  });
+
+  const s3Key = buildKey({
+    context: 'personal',
+    ownerId: user._id,
+    filename: fileName,
+    mimetype: fileType,
+  });
+  const uploadId = await createMultipartUpload({ key: s3Key, contentType: fileType });
+
+  const partSize = getPartSize(size);
+  const session = await UploadSession.create({
+    user: user._id,
+    s3Key,
+    uploadId,
+    fileName,
+    fileType,
+    size,
+    parentId: targetParentId,
+    partSize,
+    partCount: Math.ceil(size / partSize),
+    expiresAt: new Date(Date.now() + getSessionTtlMs()),
+  });
+
+  return toSessionResponse(session);
+};
+
+/**
+ * Upload status, including the parts S3 already has so an interrupted
+ * upload can resume with the missing ones
+ *
+ * @param {string} sessionId - Upload session ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Session with uploadedParts and missingParts
+ */
+export const getUploadStatusService = async (sessionId, user) => {
+  const session = await UploadSession.findOne({ _id: sessionId, user: user._id });
+
+  if (!session) {
+    const error = new Error('Upload not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (session.status !== 'pending' || session.expiresAt <= new Date()) {
+    return { ...toSessionResponse(session), uploadedParts: [], missingParts: [] };
+  }
+
+  const uploadedParts = await listUploadedParts(session.s3Key, session.uploadId);
+  const uploaded = new Set(uploadedParts.map(p => p.partNumber));
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+    if (!uploaded.has(partNumber)) missingParts.push(partNumber);
+  }
+
+  return { ...toSessionResponse(session), uploadedParts, missingParts };
+};
+
+/**
+ * Presigned PUT URLs for the requested parts
+ *
+ * @param {string} sessionId - Upload session ID
+ * @param {Object} user - Authenticated user
+ * @param {number[]} partNumbers - Parts to sign (1..partCount)
+ * @returns {Promise<Object>} { parts: [{ partNumber, url }], expiresIn }
+ */
+export const getPartUrlsService = async (sessionId, user, partNumbers) => {
+  const session = await findPendingSession(sessionId, user._id);
+
+  const invalid = partNumbers.filter(n => n < 1 || n > session.partCount);
+  if (invalid.length > 0) {
+    const error = new Error(`Part numbers must be between 1 and ${session.partCount}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Never sign past the end of the session
+  const expiresIn = Math.max(1, Math.min(3600, Math.floor((session.expiresAt - Date.now()) / 1000)));
+
+  const parts = await Promise.all(
+    [...new Set(partNumbers)].map(async (partNumber) => ({
+      partNumber,
+      url: await getUploadPartUrl(session.s3Key, session.uploadId, partNumber, expiresIn),
+    }))
+  );
+
+  return { parts, expiresIn };
+};
+
+/**
+ * Create the File record for a completed upload. The parent may have been
+ * deleted while the upload was running; the file then lands in the root.
+ */
+const createUploadedFile = async (session) => {
+  const parentFolder = session.parentId
+    ? await findParentFolder(session.parentId, session.user)
+    : null;
+  const parentId = parentFolder ? parentFolder._id : null;
+
+  // A file with the same name may be created between the name check and the
+  // insert; retry with a fresh name a few times before giving up.
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const fileName = await generateUniqueFileName(session.fileName, session.user, parentId);
+    try {
+      return await File.create({
+        user: session.user,
+        fileName,
+        s3Key: session.s3Key,
+        fileType: session.fileType,
+        size: session.size,
+        isFolder: false,
+        parentId,
+        path: pathService.buildPath(parentFolder),
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+  }
+
+  const error = new Error('The file could not be saved due to a name conflict. Please try again.');
+  error.statusCode = 409;
+  throw error;
+};
+
+/**
+ * Complete an upload: S3 assembles the parts, the stored size is checked
+ * against the declared one, and the File record is created
+ *
+ * @param {string} sessionId - Upload session ID
+ * @param {Object} user - Authenticated user
+ * @param {Object[]} [parts] - [{ partNumber, etag }]; defaults to the parts S3 has received
+ * @returns {Promise<Object>} Created file
+ */
+export const completeUploadService = async (sessionId, user, parts) => {
+  const session = await findPendingSession(sessionId, user._id);
+
+  const finalParts = parts?.length ? parts : await listUploadedParts(session.s3Key, session.uploadId);
+  const partNumbers = new Set(finalParts.map(p => p.partNumber));
+  if (partNumbers.size !== session.partCount || finalParts.some(p => p.partNumber < 1 || p.partNumber > session.partCount)) {
+    const error = new Error(`Expected ${session.partCount} parts, received ${partNumbers.size}.`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  // Claim the session so concurrent completes cannot create two files
+  const claimed = await UploadSession.findOneAndUpdate(
+    { _id: session._id, status: 'pending' },
+    { $set: { status: 'completed' } },
+    { new: true }
+  );
+  if (!claimed) {
+    const error = new Error('This upload is already being completed.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  try {
+    await completeMultipartUpload(session.s3Key, session.uploadId, finalParts);
+  } catch (err) {
+    // Parts are still in S3 (e.g. a bad ETag); let the client fix and retry
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'pending' } });
+    const error = new Error(`The upload could not be completed: ${err.message}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const { size } = await headObject(session.s3Key);
+  if (size !== session.size) {
+    await deleteFromS3(session.s3Key).catch(() => {});
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'aborted' } });
+    const error = new Error(`Uploaded size (${size} bytes) does not match the declared size (${session.size} bytes).`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let file;
+  try {
+    file = await createUploadedFile(session);
+  } catch (err) {
+    await deleteFromS3(session.s3Key).catch(() => {});
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'aborted' } });
+    throw err;
+  }
+
+  await UploadSession.updateOne({ _id: session._id }, { $set: { file: file._id } });
+
+  return File.populate(file, { path: 'user', select: 'name avatar' });
+};
+
+/**
+ * Abort an upload and discard its parts
+ *
+ * @param {string} sessionId - Upload session ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Aborted session
+ */
+export const abortUploadService = async (sessionId, user) => {
+  const session = await UploadSession.findOne({ _id: sessionId, user: user._id });
+
+  if (!session) {
+    const error = new Error('Upload not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (session.status !== 'pending') {
+    const error = new Error(`This upload has already been ${session.status}.`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  await abortMultipartUpload(session.s3Key, session.uploadId);
+  session.status = 'aborted';
+  await session.save();
+
+  return toSessionResponse(session);
+};
+
+/**
+ * Abort pending uploads past their expiry so their parts stop costing storage
+ * (used by the `abort-stale-uploads` scheduler job)
+ *
+ * @returns {Promise<Object>} { abortedCount, failedCount }
+ */
+export const abortStaleUploads = async () => {
+  const stale = await UploadSession.find({
+    status: 'pending',
+    expiresAt: { $lte: new Date() },
+  });
+
+  let abortedCount = 0;
+  let failedCount = 0;
+
+  for (const session of stale) {
+    try {
+      await abortMultipartUpload(session.s3Key, session.uploadId);
+    } catch (err) {
+      // NoSuchUpload: already gone on the S3 side
+      if (err?.name !== 'NoSuchUpload') {
+        console.error('Failed to abort stale upload:', session._id, err);
+        failedCount++;
+        continue;
+      }
+    }
+    session.status = 'aborted';
+    await session.save();
+    abortedCount++;
+  }
+
+  return { abortedCount, failedCount };
+};
@@ -0,0 +1,256 @@
+import File from '../../../models/fileModel.js';
+import User from '../../../models/userModel.js';
+import {
+  uploadFile as uploadToS3,
+  deleteFile as deleteFromS3,
+  getDownloadUrl,
+} from '../../../services/s3/s3.service.js';
+
+// ============================================================================
+// File Versioning Service
+// ============================================================================
+//
+// Versions are opt-in: a normal upload with a clashing name still creates a
+// "name (1).ext" copy. Uploading a new version keeps the File record (id,
+// name, shares, materials) and moves the previous S3 object into `versions`.
+
+const VERSIONABLE_CONTEXTS = ['personal', 'academic_material'];
+
+/**
+ * Maximum number of previous versions kept per file. The oldest are pruned
+ * (and their S3 objects deleted) when a new version pushes past the limit.
+ */
+const getVersionLimit = () => {
+  const limit = Number.parseInt(process.env.FILE_VERSION_LIMIT, 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : 10;
+};
+
+const findVersionableFile = async (fileId) => {
+  const file = await File.findOne({ _id: fileId, isDeleted: false });
+
+  if (!file) {
+    const error = new Error('File not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  if (file.isFolder || !VERSIONABLE_CONTEXTS.includes(file.context)) {
+    const error = new Error('Versions are only available for files in your drive.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return file;
+};
+
+/**
+ * "report (v2).pdf" — so a downloaded old version isn't confused with the current file
+ */
+const versionFileName = (fileName, versionNumber) => {
+  const dotIndex = fileName.lastIndexOf('.');
+  if (dotIndex <= 0) return `${fileName} (v${versionNumber})`;
+  return `${fileName.substring(0, dotIndex)} (v${versionNumber})${fileName.substring(dotIndex)}`;
+};
+
+/**
+ * Snapshot of the file's current version, as stored in `versions`
+ */
+const currentAsVersion = (file) => ({
+  versionNumber: file.currentVersion,
+  s3Key: file.s3Key,
+  size: file.size,
+  fileType: file.fileType,
+  uploadedBy: file.versionUploadedBy || file.user,
+  uploadedAt: file.versionUploadedAt || file.createdAt,
+  restoredFrom: file.versionRestoredFrom,
+});
+
+/**
+ * Swap in a new current version. The update is conditional on the version
+ * number so concurrent uploads/restores cannot lose a version.
+ */
+const replaceCurrentVersion = async (file, next, removeVersionNumber = null) => {
+  const versions = file.versions
+    .map(v => v.toObject())
+    .filter(v => v.versionNumber !== removeVersionNumber);
+  versions.push(currentAsVersion(file));
+
+  const limit = getVersionLimit();
+  const pruned = versions.length > limit ? versions.splice(0, versions.length - limit) : [];
+
+  const updated = await File.findOneAndUpdate(
+    { _id: file._id, currentVersion: file.currentVersion, isDeleted: false },
+    {
+      $set: {
+        s3Key: next.s3Key,
+        size: next.size,
+        fileType: next.fileType,
+        currentVersion: file.currentVersion + 1,
+        versionUploadedBy: next.uploadedBy,
+        versionUploadedAt: new Date(),
+        versionRestoredFrom: next.restoredFrom ?? null,
+        versions,
+      },
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const error = new Error('The file was changed by another request. Please try again.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (pruned.length > 0) {
+    Promise.all(pruned.map(v => deleteFromS3(v.s3Key))).catch(err => {
+      console.error('Failed to delete pruned file versions:', err);
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Upload a new version of an existing file
+ *
+ * @param {string} fileId - File ID
+ * @param {Object[]} files - Multer files; exactly one is expected
+ * @param {Object} user - Authenticated owner
+ * @returns {Promise<Object>} Updated file
+ */
+export const uploadNewVersionService = async (fileId, files, user) => {
+  if (!Array.isArray(files) || files.length !== 1) {
+    const error = new Error('Upload exactly one file as the new version.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const [upload] = files;
+
+  const file = await findVersionableFile(fileId);
+
+  const s3Key = await uploadToS3({
+    file: upload,
+    context: file.context,
+    ownerId: file.user,
+    version: file.currentVersion + 1,
+  });
+
+  try {
+    return await replaceCurrentVersion(file, {
+      s3Key,
+      size: upload.size,
+      fileType: upload.mimetype,
+      uploadedBy: user._id,
+    });
+  } catch (err) {
+    // Don't leave an orphaned object behind when the swap fails
+    await deleteFromS3(s3Key).catch(() => {});
+    throw err;
+  }
+};
+
+/**
+ * List all versions of a file, newest first, with the size change from the
+ * version before each one
+ *
+ * @param {string} fileId - File ID
+ * @returns {Promise<Object>} { fileId, fileName, currentVersion, totalVersionBytes, versions }
+ */
+export const listVersionsService = async (fileId) => {
+  const file = await findVersionableFile(fileId);
+
+  const all = [
+    ...file.versions.map(v => ({ ...v.toObject(), isCurrent: false })),
+    { ...currentAsVersion(file), isCurrent: true },
+  ];
+
+  const uploaderIds = [...new Set(all.filter(v => v.uploadedBy).map(v => String(v.uploadedBy)))];
+  const uploaders = await User.find({ _id: { $in: uploaderIds } }).select('name avatar').lean();
+  const uploaderMap = new Map(uploaders.map(u => [String(u._id), u]));
+
+  const versions = all.map((version, index) => ({
+    versionNumber: version.versionNumber,
+    isCurrent: version.isCurrent,
+    size: version.size,
+    sizeDelta: index > 0 ? version.size - all[index - 1].size : null,
+    fileType: version.fileType,
+    fileTypeChanged: index > 0 && version.fileType !== all[index - 1].fileType,
+    restoredFrom: version.restoredFrom ?? null,
+    uploadedAt: version.uploadedAt,
+    uploadedBy: uploaderMap.get(String(version.uploadedBy)) || null,
+  })).reverse();
+
+  return {
+    fileId: file._id,
+    fileName: file.fileName,
+    currentVersion: file.currentVersion,
+    totalVersionBytes: file.versions.reduce((sum, v) => sum + v.size, 0),
+    versions,
+  };
+};
+
+/**
+ * Signed download link for one version (the current one included)
+ *
+ * @param {string} fileId - File ID
+ * @param {number|string} requestedVersion - Version number to download
+ * @returns {Promise<Object>} { url, fileName, versionNumber }
+ */
+export const getVersionDownloadUrlService = async (fileId, requestedVersion) => {
+  const versionNumber = Number(requestedVersion);
+  const file = await findVersionableFile(fileId);
+
+  const version = versionNumber === file.currentVersion
+    ? currentAsVersion(file)
+    : file.versions.find(v => v.versionNumber === versionNumber);
+
+  if (!version) {
+    const error = new Error('Version not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const fileName = version.versionNumber === file.currentVersion
+    ? file.fileName
+    : versionFileName(file.fileName, version.versionNumber);
+
+  const url = await getDownloadUrl(version.s3Key, fileName);
+  return { url, fileName, versionNumber: version.versionNumber };
+};
+
+/**
+ * Restore an old version as current. The restored content becomes a new
+ * version (current + 1); the version it came from leaves the history and the
+ * replaced current version is kept, so no bytes are duplicated.
+ *
+ * @param {string} fileId - File ID
+ * @param {number|string} requestedVersion - Version number to restore
+ * @param {Object} user - Authenticated owner
+ * @returns {Promise<Object>} Updated file
+ */
+export const restoreVersionService = async (fileId, requestedVersion, user) => {
+  const versionNumber = Number(requestedVersion);
+  const file = await findVersionableFile(fileId);
+
+  if (versionNumber === file.currentVersion) {
+    const error = new Error('This version is already the current version.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const version = file.versions.find(v => v.versionNumber === versionNumber);
+  if (!version) {
+    const error = new Error('Version not found.');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return replaceCurrentVersion(file, {
+    s3Key: version.s3Key,
+    size: version.size,
+    fileType: version.fileType,
+    uploadedBy: user._id,
+    restoredFrom: version.versionNumber,
+  }, version.versionNumber);
+};
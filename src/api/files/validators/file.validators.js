@@ -64,6 +64,71 @@ export const listFilesSchema = Joi.object({
   parentId: Joi.string().allow(null, 'null', '').optional(),
 });
 
+/**
+ * Schema for file version routes (params)
+ */
+export const versionParamsSchema = Joi.object({
+  id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid file ID',
+  }),
+  version: Joi.number().integer().min(1).required().messages({
+    'number.base': 'Version must be a number',
+  }),
+});
+
+/**
+ * Schema for starting a direct-to-S3 multipart upload
+ */
+export const initiateUploadSchema = Joi.object({
+  fileName: Joi.string().trim().min(1).max(255).required().messages({
+    'string.empty': 'File name is required',
+  }),
+  fileType: Joi.string().trim().lowercase().required().messages({
+    'any.required': 'File type is required',
+  }),
+  size: Joi.number().integer().min(1).required().messages({
+    'number.min': 'File must not be empty',
+  }),
+  parentId: Joi.string().allow(null, 'null').optional(),
+});
+
+/**
+ * Schema for upload session routes (params)
+ */
+export const uploadSessionParamsSchema = Joi.object({
+  sessionId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid upload ID',
+  }),
+});
+
+/**
+ * Schema for requesting presigned part URLs (at most 100 per request)
+ */
+export const uploadPartUrlsSchema = Joi.object({
+  partNumbers: Joi.array()
+    .items(Joi.number().integer().min(1).max(10000))
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'array.min': 'At least one part number must be provided',
+      'array.max': 'At most 100 part URLs can be requested at once',
+    }),
+});
+
+/**
+ * Schema for completing an upload. `parts` may be omitted to use the parts
+ * S3 has received.
+ */
+export const completeUploadSchema = Joi.object({
+  parts: Joi.array()
+    .items(Joi.object({
+      partNumber: Joi.number().integer().min(1).max(10000).required(),
+      etag: Joi.string().required(),
+    }))
+    .optional(),
+});
+
 // ============================================================================
 // Validation Middleware Helper
 // ============================================================================
@@ -0,0 +1,178 @@
+/**
+ * Jobs Service Tests
+ * Unit tests for the persistent job queue and job status reads
+ */
+
+import * as jobsService from '../services/jobs.service.js';
+import {
+  registerHandler,
+  unregisterHandler,
+  enqueueJob,
+  claimNextJob,
+  processNextJob,
+  getBackoffMs,
+} from '../../../services/queue/queue.service.js';
+import Job from '../../../models/jobModel.js';
+import { createTestUser } from '../../../test/utils.js';
+
+describe('Jobs Service', () => {
+  let user;
+  let otherUser;
+  let calls;
+  let failTimes;
+
+  beforeEach(async () => {
+    user = await createTestUser({ role: 'user' });
+    otherUser = await createTestUser({ role: 'user' });
+    calls = 0;
+    failTimes = 0;
+
+    registerHandler('test-job', async (job, { progress }) => {
+      calls += 1;
+      if (calls <= failTimes) throw new Error('temporary failure');
+      await progress(50, 'halfway');
+      return { echoed: job.meta.value };
+    });
+  });
+
+  afterEach(() => {
+    unregisterHandler('test-job');
+  });
+
+  describe('enqueueJob', () => {
+    it('should create a queued job', async () => {
+      const job = await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 } });
+
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(0);
+    });
+
+    it('should reject unknown job types', async () => {
+      await expect(enqueueJob({ type: 'unknown', user: user._id })).rejects.toThrow(/No handler/);
+    });
+  });
+
+  describe('claimNextJob', () => {
+    it('should claim a job only once', async () => {
+      await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 } });
+
+      const first = await claimNextJob();
+      const second = await claimNextJob();
+
+      expect(first.status).toBe('processing');
+      expect(first.attempts).toBe(1);
+      expect(second).toBeNull();
+    });
+
+    it('should not claim jobs still in backoff', async () => {
+      await Job.create({
+        type: 'test-job',
+        user: user._id,
+        meta: { value: 1 },
+        runAt: new Date(Date.now() + 60 * 1000),
+      });
+
+      expect(await claimNextJob()).toBeNull();
+    });
+
+    it('should reclaim stale jobs with attempts left and fail the others', async () => {
+      const stale = new Date(Date.now() - 60 * 60 * 1000);
+      const staleJob = (attempts) => Job.create({
+        type: 'test-job',
+        user: user._id,
+        meta: { value: attempts },
+        status: 'processing',
+        attempts,
+        maxAttempts: 3,
+        lockedAt: stale,
+        lockedBy: 'dead-worker',
+      });
+      const exhausted = await staleJob(3);
+      const retryable = await staleJob(1);
+
+      const claimed = await claimNextJob();
+
+      expect(String(claimed._id)).toBe(String(retryable._id));
+      expect(claimed.attempts).toBe(2);
+      expect(await Job.findById(exhausted._id).lean()).toMatchObject({ status: 'failed', attempts: 3, lockedBy: null });
+      expect(await claimNextJob()).toBeNull();
+    });
+  });
+
+  describe('processNextJob', () => {
+    it('should run the handler and store the result', async () => {
+      await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 42 } });
+
+      const job = await processNextJob();
+
+      expect(job.status).toBe('done');
+      expect(job.result).toEqual({ echoed: 42 });
+      expect(job.progress.percent).toBe(100);
+      expect(job.finishedAt).toBeDefined();
+    });
+
+    it('should requeue with backoff after a failed attempt', async () => {
+      failTimes = 1;
+      await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 } });
+
+      const before = Date.now();
+      const job = await processNextJob();
+
+      expect(job.status).toBe('queued');
+      expect(job.error).toBe('temporary failure');
+      expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + getBackoffMs(1));
+    });
+
+    it('should mark the job failed after maxAttempts', async () => {
+      failTimes = 5;
+      const queued = await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 }, maxAttempts: 2 });
+
+      await processNextJob();
+      await Job.updateOne({ _id: queued._id }, { $set: { runAt: new Date() } });
+      const job = await processNextJob();
+
+      expect(job.status).toBe('failed');
+      expect(job.attempts).toBe(2);
+    });
+  });
+
+  describe('getBackoffMs', () => {
+    it('should grow exponentially', () => {
+      expect(getBackoffMs(2, 1000)).toBe(2000);
+      expect(getBackoffMs(3, 1000)).toBe(4000);
+    });
+  });
+
+  describe('getJobById', () => {
+    it('should return the job to its owner', async () => {
+      const queued = await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 } });
+
+      const job = await jobsService.getJobById(queued._id, user._id);
+
+      expect(String(job.id)).toBe(String(queued._id));
+      expect(job.status).toBe('queued');
+    });
+
+    it('should hide the job from other users', async () => {
+      const queued = await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 } });
+
+      await expect(jobsService.getJobById(queued._id, otherUser._id)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getUserJobs', () => {
+    it('should list only the user\'s jobs filtered by status', async () => {
+      await enqueueJob({ type: 'test-job', user: user._id, meta: { value: 1 } });
+      await enqueueJob({ type: 'test-job', user: otherUser._id, meta: { value: 2 } });
+      await processNextJob();
+
+      const all = await jobsService.getUserJobs(user._id);
+      const done = await jobsService.getUserJobs(user._id, { status: 'done' });
+      const queued = await jobsService.getUserJobs(user._id, { status: 'queued' });
+
+      expect(all).toHaveLength(1);
+      expect(done).toHaveLength(1);
+      expect(queued).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Jobs Controller
+ * HTTP request handlers for background job status
+ */
+
+import asyncHandler from 'express-async-handler';
+import * as jobsService from '../services/jobs.service.js';
+
+/**
+ * @desc    List the user's recent background jobs
+ * @route   GET /api/jobs
+ * @access  Private
+ */
+export const getJobs = asyncHandler(async (req, res) => {
+    const { status, type, limit } = req.query;
+
+    const jobs = await jobsService.getUserJobs(req.user._id, { status, type, limit });
+
+    res.status(200).json(jobs);
+});
+
+/**
+ * @desc    Get status/progress/result of a background job
+ * @route   GET /api/jobs/:id
+ * @access  Private (owner only)
+ */
+export const getJob = asyncHandler(async (req, res) => {
+    const job = await jobsService.getJobById(req.params.id, req.user._id);
+    res.status(200).json(job);
+});
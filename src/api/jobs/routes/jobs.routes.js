@@ -0,0 +1,31 @@
+/**
+ * Jobs Routes
+ * Status polling for background jobs (folder export, bulk purge, bulk class share)
+ */
+
+import express from 'express';
+import * as jobsController from '../controllers/jobs.controller.js';
+import * as validators from '../validators/jobs.validator.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(protect);
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List the logged-in user's recent jobs
+ * @query   status, type, limit
+ * @access  Private
+ */
+router.get('/', validators.validateJobQuery, jobsController.getJobs);
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Poll a job's status, progress and result
+ * @access  Private (owner only)
+ */
+router.get('/:id', validators.validateJobId, jobsController.getJob);
+
+export default router;
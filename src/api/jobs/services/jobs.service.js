@@ -0,0 +1,60 @@
+/**
+ * Jobs Service
+ * Read access to a user's background jobs (see src/services/queue)
+ */
+
+import Job from '../../../models/jobModel.js';
+import { serializeJob } from '../../../services/queue/queue.service.js';
+import { getDownloadUrl } from '../../../services/s3/s3.service.js';
+
+// Signed URL lifetime for finished exports
+const EXPORT_URL_EXPIRY_SECONDS = 300;
+
+/**
+ * Attach a fresh signed download URL to finished export jobs
+ */
+const withDownloadUrl = async (job) => {
+    const data = serializeJob(job);
+
+    if (job.status === 'done' && job.result?.s3Key) {
+        data.downloadUrl = await getDownloadUrl(
+            job.result.s3Key,
+            job.result.fileName,
+            EXPORT_URL_EXPIRY_SECONDS
+        );
+    }
+
+    return data;
+};
+
+/**
+ * Get a single job owned by the user
+ */
+export const getJobById = async (jobId, userId) => {
+    const job = await Job.findOne({ _id: jobId, user: userId });
+
+    if (!job) {
+        const error = new Error('Job not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return withDownloadUrl(job);
+};
+
+/**
+ * List the user's recent jobs
+ */
+export const getUserJobs = async (userId, filters = {}) => {
+    const { status, type, limit = 20 } = filters;
+
+    const query = { user: userId };
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const jobs = await Job.find(query)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit, 10));
+
+    return jobs.map(serializeJob);
+};
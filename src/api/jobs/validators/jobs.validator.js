@@ -0,0 +1,19 @@
+/**
+ * Jobs Validators (Joi)
+ */
+import Joi from 'joi';
+import validate from '../../_common/middleware/validation.middleware.js';
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('Invalid ID format');
+
+export const validateJobId = [
+  validate({ params: Joi.object({ id: mongoId.required() }) })
+];
+
+export const validateJobQuery = [
+  validate({ query: Joi.object({
+    status: Joi.string().valid('queued', 'processing', 'done', 'failed').optional(),
+    type: Joi.string().trim().max(50).optional(),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }) })
+];
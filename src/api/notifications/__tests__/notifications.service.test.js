@@ -0,0 +1,108 @@
+/**
+ * Notifications Service Tests
+ * Unit tests for creating, batching and reading notifications
+ */
+
+import mongoose from 'mongoose';
+import * as notificationsService from '../services/notifications.service.js';
+import Notification from '../../../models/notificationModel.js';
+import { createTestUser } from '../../../test/utils.js';
+
+describe('Notifications Service', () => {
+  let user;
+  let otherUser;
+
+  beforeEach(async () => {
+    user = await createTestUser({ role: 'user' });
+    otherUser = await createTestUser({ role: 'user' });
+  });
+
+  describe('notifyUsers', () => {
+    it('should create one notification per unique recipient', async () => {
+      const count = await notificationsService.notifyUsers(
+        [user._id, otherUser._id, user._id],
+        { type: 'new_material', title: 'New material', message: 'Notes.pdf has been shared with your class.' }
+      );
+
+      expect(count).toBe(2);
+      expect(await Notification.countDocuments({ type: 'new_material' })).toBe(2);
+    });
+
+    it('should do nothing without recipients', async () => {
+      const count = await notificationsService.notifyUsers([], { type: 'general', title: 't', message: 'm' });
+
+      expect(count).toBe(0);
+    });
+  });
+
+  describe('notifyNewMessage', () => {
+    it('should batch unread notifications per conversation', async () => {
+      const conversationId = new mongoose.Types.ObjectId();
+
+      await notificationsService.notifyNewMessage({
+        recipientId: user._id, senderName: 'Asha', conversationId, preview: 'Hi',
+      });
+      const latest = await notificationsService.notifyNewMessage({
+        recipientId: user._id, senderName: 'Asha', conversationId, preview: 'Are you there?',
+      });
+
+      expect(await Notification.countDocuments({ user: user._id })).toBe(1);
+      expect(latest.actionCount).toBe(2);
+      expect(latest.message).toBe('Are you there?');
+    });
+
+    it('should start a new notification once the previous one is read', async () => {
+      const conversationId = new mongoose.Types.ObjectId();
+
+      const first = await notificationsService.notifyNewMessage({
+        recipientId: user._id, senderName: 'Asha', conversationId, preview: 'Hi',
+      });
+      await notificationsService.markAsRead(first._id, user._id);
+      await notificationsService.notifyNewMessage({
+        recipientId: user._id, senderName: 'Asha', conversationId, preview: 'Again',
+      });
+
+      expect(await Notification.countDocuments({ user: user._id })).toBe(2);
+    });
+  });
+
+  describe('getUserNotifications', () => {
+    it('should return only the user\'s notifications with unread count', async () => {
+      await notificationsService.createNotification({ user: user._id, type: 'general', title: 'A', message: 'a' });
+      await notificationsService.createNotification({ user: user._id, type: 'general', title: 'B', message: 'b', isRead: true });
+      await notificationsService.createNotification({ user: otherUser._id, type: 'general', title: 'C', message: 'c' });
+
+      const all = await notificationsService.getUserNotifications(user._id);
+      const unread = await notificationsService.getUserNotifications(user._id, { unreadOnly: true });
+
+      expect(all.notifications).toHaveLength(2);
+      expect(all.unreadCount).toBe(1);
+      expect(all.pagination.totalItems).toBe(2);
+      expect(unread.notifications).toHaveLength(1);
+    });
+  });
+
+  describe('read state', () => {
+    it('should mark all notifications as read', async () => {
+      await notificationsService.createNotification({ user: user._id, type: 'general', title: 'A', message: 'a' });
+      await notificationsService.createNotification({ user: user._id, type: 'general', title: 'B', message: 'b' });
+
+      const result = await notificationsService.markAllAsRead(user._id);
+      const { unreadCount } = await notificationsService.getUnreadCount(user._id);
+
+      expect(result.modifiedCount).toBe(2);
+      expect(unreadCount).toBe(0);
+    });
+
+    it('should not let another user read or delete a notification', async () => {
+      const notification = await notificationsService.createNotification({
+        user: user._id, type: 'general', title: 'A', message: 'a',
+      });
+
+      await expect(notificationsService.markAsRead(notification._id, otherUser._id))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(notificationsService.deleteNotification(notification._id, otherUser._id))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Notification Preferences & Digest Tests
+ * Unit tests for channel preferences, unsubscribe tokens and digest delivery
+ */
+
+import * as preferencesService from '../services/preferences.service.js';
+import * as notificationsService from '../services/notifications.service.js';
+import { sendNotificationDigests, isDigestDue } from '../services/digest.service.js';
+import Notification from '../../../models/notificationModel.js';
+import User from '../../../models/userModel.js';
+import { createTestUser } from '../../../test/utils.js';
+
+describe('Notification Preferences', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await createTestUser({ role: 'user' });
+  });
+
+  describe('getPreferences / updatePreferences', () => {
+    it('should default every type to in_app with a daily digest', async () => {
+      const preferences = await preferencesService.getPreferences(user._id);
+
+      expect(preferences.channels.new_material).toBe('in_app');
+      expect(preferences.channels.new_message).toBe('in_app');
+      expect(preferences.digest.frequency).toBe('daily');
+    });
+
+    it('should update only the given types', async () => {
+      const preferences = await preferencesService.updatePreferences(user._id, {
+        channels: { new_message: 'none' },
+        digest: { frequency: 'weekly' },
+      });
+
+      expect(preferences.channels.new_message).toBe('none');
+      expect(preferences.channels.new_material).toBe('in_app');
+      expect(preferences.digest.frequency).toBe('weekly');
+    });
+  });
+
+  describe('channel handling', () => {
+    it('should skip notifications for types set to none', async () => {
+      await preferencesService.updatePreferences(user._id, { channels: { general: 'none' } });
+
+      const notification = await notificationsService.createNotification({
+        user: user._id, type: 'general', title: 'A', message: 'a',
+      });
+
+      expect(notification).toBeNull();
+      expect(await Notification.countDocuments({ user: user._id })).toBe(0);
+    });
+
+    it('should flag email-channel notifications for the digest', async () => {
+      await preferencesService.updatePreferences(user._id, { channels: { general: 'email' } });
+
+      const notification = await notificationsService.createNotification({
+        user: user._id, type: 'general', title: 'A', message: 'a',
+      });
+
+      expect(notification.emailPending).toBe(true);
+    });
+  });
+
+  describe('unsubscribeWithToken', () => {
+    it('should turn off the digest and email channels', async () => {
+      await preferencesService.updatePreferences(user._id, { channels: { general: 'email', new_message: 'none' } });
+
+      const token = preferencesService.createUnsubscribeToken(user._id);
+      await preferencesService.unsubscribeWithToken(token);
+      const preferences = await preferencesService.getPreferences(user._id);
+
+      expect(preferences.digest.frequency).toBe('off');
+      expect(preferences.channels.general).toBe('in_app');
+      expect(preferences.channels.new_message).toBe('none');
+    });
+
+    it('should reject a tampered token', async () => {
+      const token = preferencesService.createUnsubscribeToken(user._id);
+
+      await expect(preferencesService.unsubscribeWithToken(`${token}x`))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('sendNotificationDigests', () => {
+    it('should send due digests and clear pending notifications', async () => {
+      await preferencesService.updatePreferences(user._id, { channels: { general: 'email' } });
+      await notificationsService.createNotification({ user: user._id, type: 'general', title: 'A', message: 'a' });
+
+      const result = await sendNotificationDigests();
+      const updated = await User.findById(user._id).lean();
+
+      expect(result.digestsSent).toBe(1);
+      expect(result.notificationsSent).toBe(1);
+      expect(await Notification.countDocuments({ emailPending: true })).toBe(0);
+      expect(updated.preferences.notifications.digest.lastSentAt).toBeDefined();
+    });
+
+    it('should wait until the period has passed', async () => {
+      const now = new Date();
+      const hourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+      expect(isDigestDue('daily', hourAgo, now)).toBe(false);
+      expect(isDigestDue('daily', null, now)).toBe(true);
+      expect(isDigestDue('off', null, now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Notifications Controller
+ * HTTP request handlers for the notification center
+ */
+
+import asyncHandler from 'express-async-handler';
+import * as notificationsService from '../services/notifications.service.js';
+import * as preferencesService from '../services/preferences.service.js';
+
+/**
+ * @desc    List notifications (newest first)
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+export const getNotifications = asyncHandler(async (req, res) => {
+    const { page, limit, unreadOnly, type } = req.query;
+
+    const result = await notificationsService.getUserNotifications(req.user._id, {
+        page,
+        limit,
+        unreadOnly,
+        type
+    });
+
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Get unread notification count
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+export const getUnreadCount = asyncHandler(async (req, res) => {
+    const result = await notificationsService.getUnreadCount(req.user._id);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Mark all notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+export const markAllAsRead = asyncHandler(async (req, res) => {
+    const result = await notificationsService.markAllAsRead(req.user._id);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+export const markAsRead = asyncHandler(async (req, res) => {
+    const notification = await notificationsService.markAsRead(req.params.id, req.user._id);
+    res.status(200).json(notification);
+});
+
+/**
+ * @desc    Delete a notification
+ * @route   DELETE /api/notifications/:id
+ * @access  Private
+ */
+export const deleteNotification = asyncHandler(async (req, res) => {
+    const result = await notificationsService.deleteNotification(req.params.id, req.user._id);
+    res.status(200).json(result);
+});
+
+/**
+ * @desc    Get notification channel and digest preferences
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+export const getPreferences = asyncHandler(async (req, res) => {
+    const preferences = await preferencesService.getPreferences(req.user._id);
+    res.status(200).json(preferences);
+});
+
+/**
+ * @desc    Update notification channel and digest preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+export const updatePreferences = asyncHandler(async (req, res) => {
+    const preferences = await preferencesService.updatePreferences(req.user._id, req.body);
+    res.status(200).json(preferences);
+});
+
+/**
+ * @desc    Unsubscribe from all notification emails via the digest link
+ * @route   POST /api/notifications/unsubscribe/:token
+ * @access  Public
+ */
+export const unsubscribe = asyncHandler(async (req, res) => {
+    const result = await preferencesService.unsubscribeWithToken(req.params.token);
+    res.status(200).json(result);
+});
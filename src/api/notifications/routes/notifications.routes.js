@@ -0,0 +1,74 @@
+/**
+ * Notifications Routes
+ * In-app notification center for the logged-in user
+ */
+
+import express from 'express';
+import * as notificationsController from '../controllers/notifications.controller.js';
+import * as validators from '../validators/notifications.validator.js';
+import { protect } from '../../_common/middleware/auth.middleware.js';
+import { publicApiLimiter } from '../../_common/middleware/rateLimit.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/notifications/unsubscribe/:token
+ * @desc    One-click unsubscribe from notification emails (token from the digest link)
+ * @access  Public
+ */
+router.post('/unsubscribe/:token', publicApiLimiter, validators.validateUnsubscribeToken, notificationsController.unsubscribe);
+
+// Apply authentication to all routes below
+router.use(protect);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List notifications with pagination
+ * @query   page, limit, unreadOnly, type
+ * @access  Private
+ */
+router.get('/', validators.validateNotificationQuery, notificationsController.getNotifications);
+
+/**
+ * @route   GET /api/notifications/unread-count
+ * @desc    Get the number of unread notifications
+ * @access  Private
+ */
+router.get('/unread-count', notificationsController.getUnreadCount);
+
+/**
+ * @route   GET /api/notifications/preferences
+ * @desc    Get per-type channels and digest frequency
+ * @access  Private
+ */
+router.get('/preferences', notificationsController.getPreferences);
+
+/**
+ * @route   PUT /api/notifications/preferences
+ * @desc    Update per-type channels and/or digest frequency
+ * @access  Private
+ */
+router.put('/preferences', validators.validatePreferencesUpdate, notificationsController.updatePreferences);
+
+/**
+ * @route   PATCH /api/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.patch('/read-all', notificationsController.markAllAsRead);
+
+/**
+ * @route   PATCH /api/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:id/read', validators.validateNotificationId, notificationsController.markAsRead);
+
+/**
+ * @route   DELETE /api/notifications/:id
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:id', validators.validateNotificationId, notificationsController.deleteNotification);
+
+export default router;
@@ -0,0 +1,132 @@
+/**
+ * Notification Digest Service
+ * Collects notifications delivered on the 'email' channel and sends them as a
+ * daily or weekly digest. Run periodically by the `notification-digest` scheduler job.
+ */
+
+import Notification from '../../../models/notificationModel.js';
+import User from '../../../models/userModel.js';
+import { populateTemplate } from '../../../utils/emailTemplate.js';
+import { sendEmail } from '../../../services/email.service.js';
+import { sanitizeHtml } from '../../_common/utils/sanitize.js';
+import { createUnsubscribeToken } from './preferences.service.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const DIGEST_PERIODS = {
+    daily: { label: 'Daily', periodMs: DAY },
+    weekly: { label: 'Weekly', periodMs: 7 * DAY },
+};
+
+// Escape for HTML and neutralise `$` so String.replace in populateTemplate keeps it literal
+const escapeForTemplate = (value) => sanitizeHtml(String(value || '')).replace(/\$/g, '&#36;');
+
+const renderItems = (notifications) => notifications.map((notification) => {
+    const count = notification.actionCount > 1 ? ` (${notification.actionCount})` : '';
+    return `<tr><td style="padding: 12px 0; border-bottom: 1px solid #eeeeee;">`
+        + `<strong style="color: #333333; font-size: 15px;">${escapeForTemplate(notification.title)}${count}</strong>`
+        + `<p style="margin: 4px 0 0 0; color: #555555; font-size: 14px;">${escapeForTemplate(notification.message)}</p>`
+        + `</td></tr>`;
+}).join('');
+
+/**
+ * Whether a user's digest is due at `now`
+ */
+export const isDigestDue = (frequency, lastSentAt, now = new Date()) => {
+    const period = DIGEST_PERIODS[frequency];
+    if (!period) return false;
+    if (!lastSentAt) return true;
+    return now.getTime() - new Date(lastSentAt).getTime() >= period.periodMs;
+};
+
+/**
+ * Send one user's digest and clear their pending notifications
+ * @returns {Promise<number>} Number of notifications included
+ */
+export const sendDigestToUser = async (user, frequency, now = new Date()) => {
+    const { label, periodMs } = DIGEST_PERIODS[frequency];
+
+    // Only unread notifications from the current period; older pending ones are dropped
+    const notifications = await Notification.find({
+        user: user._id,
+        emailPending: true,
+        isRead: false,
+        updatedAt: { $gte: new Date(now.getTime() - periodMs) },
+    })
+        .sort({ createdAt: -1 })
+        .lean();
+
+    if (notifications.length > 0) {
+        const frontendUrl = process.env.FRONTEND_URL;
+        const templateData = {
+            name: escapeForTemplate(user.name),
+            periodLabel: label,
+            count: notifications.length,
+            itemsHtml: renderItems(notifications),
+            notificationsUrl: `${frontendUrl}/notifications`,
+            preferencesUrl: `${frontendUrl}/settings/notifications`,
+            unsubscribeUrl: `${frontendUrl}/unsubscribe/${createUnsubscribeToken(user._id)}`,
+        };
+
+        const html = await populateTemplate('notificationDigest.html', templateData);
+        const text = [
+            `You have ${notifications.length} unread notification(s):`,
+            ...notifications.map((n) => `- ${n.title}: ${n.message}`),
+            '',
+            `View them at ${templateData.notificationsUrl}`,
+            `Unsubscribe from notification emails: ${templateData.unsubscribeUrl}`,
+        ].join('\n');
+
+        await sendEmail({
+            to: user.email,
+            subject: `Your ${label.toLowerCase()} Eagle Campus digest`,
+            text,
+            html,
+        });
+    }
+
+    await Notification.updateMany({ user: user._id, emailPending: true }, { $set: { emailPending: false } });
+    await User.updateOne({ _id: user._id }, { $set: { 'preferences.notifications.digest.lastSentAt': now } });
+
+    return notifications.length;
+};
+
+/**
+ * Send every digest that is due. A failure for one user does not stop the rest.
+ */
+export const sendNotificationDigests = async (now = new Date()) => {
+    const userIds = await Notification.distinct('user', { emailPending: true });
+    if (userIds.length === 0) {
+        return { usersChecked: 0, digestsSent: 0, notificationsSent: 0, failed: 0 };
+    }
+
+    const users = await User.find({
+        _id: { $in: userIds },
+        isActive: true,
+        'preferences.notifications.digest.frequency': { $ne: 'off' },
+    })
+        .select('name email preferences.notifications.digest')
+        .lean();
+
+    let digestsSent = 0;
+    let notificationsSent = 0;
+    let failed = 0;
+
+    for (const user of users) {
+        const { frequency = 'daily', lastSentAt } = user.preferences?.notifications?.digest || {};
+        if (!isDigestDue(frequency, lastSentAt, now)) continue;
+
+        try {
+            const count = await sendDigestToUser(user, frequency, now);
+            if (count > 0) {
+                digestsSent += 1;
+                notificationsSent += count;
+            }
+        } catch (error) {
+            failed += 1;
+            console.error(`Failed to send notification digest to user ${user._id}:`, error);
+        }
+    }
+
+    return { usersChecked: users.length, digestsSent, notificationsSent, failed };
+};
@@ -0,0 +1,191 @@
+/**
+ * Notifications Service
+ * Business logic for the in-app notification center
+ */
+
+import Notification from '../../../models/notificationModel.js';
+import { emitToUser } from '../../_common/socket/sessionRegistry.js';
+import { getPaginationMeta, getSkip } from '../../_common/http/pagination.js';
+import { resolveChannels } from './preferences.service.js';
+
+/** Socket events pushed to the user's room */
+export const NOTIFICATION_EVENTS = {
+    NEW: 'notification:new',
+    UNREAD_COUNT: 'notification:unread-count',
+};
+
+/**
+ * Push a notification and the fresh unread count to the user's sockets
+ */
+const pushToUser = async (notification) => {
+    const unreadCount = await Notification.countDocuments({ user: notification.user, isRead: false });
+    emitToUser(notification.user, NOTIFICATION_EVENTS.NEW, { notification, unreadCount });
+};
+
+const pushUnreadCount = async (userId) => {
+    const unreadCount = await Notification.countDocuments({ user: userId, isRead: false });
+    emitToUser(userId, NOTIFICATION_EVENTS.UNREAD_COUNT, { unreadCount });
+};
+
+/**
+ * Create a notification for one user and push it live.
+ * Respects the user's channel preference for the type; returns null when it is 'none'.
+ * @param {Object} data - { user, type, title, message, link, entity: { model, id } }
+ */
+export const createNotification = async (data) => {
+    const channels = await resolveChannels([data.user], data.type);
+    const channel = channels.get(String(data.user));
+    if (channel === 'none') return null;
+
+    const notification = await Notification.create({ ...data, emailPending: channel === 'email' });
+    await pushToUser(notification);
+    return notification;
+};
+
+/**
+ * Create the same notification for many users (e.g. a whole class)
+ * @param {Array} userIds - Recipients
+ * @param {Object} data - { type, title, message, link, entity }
+ * @returns {Promise<number>} Number of notifications created
+ */
+export const notifyUsers = async (userIds, data) => {
+    const uniqueIds = [...new Set((userIds || []).map(String))];
+    if (uniqueIds.length === 0) return 0;
+
+    const channels = await resolveChannels(uniqueIds, data.type);
+    const recipients = uniqueIds.filter((user) => channels.get(user) !== 'none');
+    if (recipients.length === 0) return 0;
+
+    const notifications = await Notification.insertMany(
+        recipients.map((user) => ({ ...data, user, emailPending: channels.get(user) === 'email' }))
+    );
+
+    await Promise.all(notifications.map(pushToUser));
+
+    return notifications.length;
+};
+
+/**
+ * Notify a user about a new chat message.
+ * Unread message notifications are batched per conversation: further messages
+ * bump `actionCount` and refresh the preview instead of stacking up.
+ */
+export const notifyNewMessage = async ({ recipientId, senderName, conversationId, preview }) => {
+    const title = `New message from ${senderName}`;
+    const message = preview.length > 100 ? `${preview.slice(0, 97)}...` : preview;
+    const link = `/chat/${conversationId}`;
+
+    const channels = await resolveChannels([recipientId], 'new_message');
+    const channel = channels.get(String(recipientId));
+    if (channel === 'none') return null;
+
+    let notification = await Notification.findOneAndUpdate(
+        {
+            user: recipientId,
+            type: 'new_message',
+            isRead: false,
+            'entity.id': conversationId,
+        },
+        { $set: { title, message, link, emailPending: channel === 'email' }, $inc: { actionCount: 1 } },
+        { new: true }
+    );
+
+    if (!notification) {
+        notification = await Notification.create({
+            user: recipientId,
+            type: 'new_message',
+            title,
+            message,
+            link,
+            entity: { model: 'Conversation', id: conversationId },
+            emailPending: channel === 'email',
+        });
+    }
+
+    await pushToUser(notification);
+    return notification;
+};
+
+/**
+ * Get paginated notifications for a user
+ */
+export const getUserNotifications = async (userId, filters = {}) => {
+    const { page = 1, limit = 20, unreadOnly = false, type } = filters;
+
+    const query = { user: userId };
+    if (unreadOnly === true || unreadOnly === 'true') query.isRead = false;
+    if (type) query.type = type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+        Notification.find(query)
+            .sort({ createdAt: -1 })
+            .skip(getSkip(page, limit))
+            .limit(parseInt(limit, 10))
+            .lean(),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ user: userId, isRead: false }),
+    ]);
+
+    return {
+        notifications,
+        unreadCount,
+        pagination: getPaginationMeta({ page, limit, total }),
+    };
+};
+
+/**
+ * Get the number of unread notifications
+ */
+export const getUnreadCount = async (userId) => {
+    const unreadCount = await Notification.countDocuments({ user: userId, isRead: false });
+    return { unreadCount };
+};
+
+/**
+ * Mark a single notification as read
+ */
+export const markAsRead = async (notificationId, userId) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, user: userId },
+        { $set: { isRead: true } },
+        { new: true }
+    );
+
+    if (!notification) {
+        const error = new Error('Notification not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    await pushUnreadCount(userId);
+    return notification;
+};
+
+/**
+ * Mark all of a user's notifications as read
+ */
+export const markAllAsRead = async (userId) => {
+    const result = await Notification.updateMany(
+        { user: userId, isRead: false },
+        { $set: { isRead: true } }
+    );
+
+    await pushUnreadCount(userId);
+    return { modifiedCount: result.modifiedCount };
+};
+
+/**
+ * Delete a notification
+ */
+export const deleteNotification = async (notificationId, userId) => {
+    const notification = await Notification.findOneAndDelete({ _id: notificationId, user: userId });
+
+    if (!notification) {
+        const error = new Error('Notification not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    if (!notification.isRead) await pushUnreadCount(userId);
+    return { id: notificationId };
+};
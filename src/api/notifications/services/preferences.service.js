@@ -0,0 +1,144 @@
+/**
+ * Notification Preferences Service
+ * Per-type delivery channels, digest frequency and token-based unsubscribe
+ */
+
+import crypto from 'crypto';
+import User from '../../../models/userModel.js';
+import { NOTIFICATION_TYPES } from '../../../constants/notifications.js';
+
+const DEFAULT_CHANNEL = 'in_app';
+
+const getUnsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+
+const signUserId = (userId) => crypto
+    .createHmac('sha256', getUnsubscribeSecret())
+    .update(`unsubscribe:${userId}`)
+    .digest('base64url');
+
+/**
+ * Normalize stored preferences into a full { channels, digest } object
+ */
+const toPreferences = (user) => {
+    const stored = user.preferences?.notifications;
+    const storedChannels = stored?.channels instanceof Map
+        ? Object.fromEntries(stored.channels)
+        : (stored?.channels || {});
+
+    const channels = {};
+    NOTIFICATION_TYPES.forEach((type) => {
+        channels[type] = storedChannels[type] || DEFAULT_CHANNEL;
+    });
+
+    return {
+        channels,
+        digest: {
+            frequency: stored?.digest?.frequency || 'daily',
+            lastSentAt: stored?.digest?.lastSentAt || null,
+        },
+    };
+};
+
+/**
+ * Get a user's notification preferences (every type, defaults filled in)
+ */
+export const getPreferences = async (userId) => {
+    const user = await User.findById(userId).select('preferences.notifications').lean();
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return toPreferences(user);
+};
+
+/**
+ * Update channels and/or digest frequency. Types not included are left unchanged.
+ * @param {Object} updates - { channels: { [type]: channel }, digest: { frequency } }
+ */
+export const updatePreferences = async (userId, updates = {}) => {
+    const $set = {};
+
+    Object.entries(updates.channels || {}).forEach(([type, channel]) => {
+        $set[`preferences.notifications.channels.${type}`] = channel;
+    });
+
+    if (updates.digest?.frequency) {
+        $set['preferences.notifications.digest.frequency'] = updates.digest.frequency;
+    }
+
+    const user = await User.findByIdAndUpdate(userId, { $set }, { new: true, runValidators: true })
+        .select('preferences.notifications')
+        .lean();
+
+    if (!user) {
+        const error = new Error('User not found');
+        error.statusCode = 404;
+        throw error;
+    }
+
+    return toPreferences(user);
+};
+
+/**
+ * Resolve the delivery channel for a notification type for several users
+ * @returns {Promise<Map<string, string>>} userId -> channel
+ */
+export const resolveChannels = async (userIds, type) => {
+    const users = await User.find({ _id: { $in: userIds } })
+        .select(`preferences.notifications.channels.${type}`)
+        .lean();
+
+    const channels = new Map(userIds.map((id) => [String(id), DEFAULT_CHANNEL]));
+    users.forEach((user) => {
+        const channel = user.preferences?.notifications?.channels?.[type];
+        if (channel) channels.set(String(user._id), channel);
+    });
+
+    return channels;
+};
+
+/**
+ * Create the token used in digest unsubscribe links.
+ * It is an HMAC of the user id, so it needs no storage and stays valid across digests.
+ */
+export const createUnsubscribeToken = (userId) => `${userId}.${signUserId(userId)}`;
+
+/**
+ * Turn off all notification emails for the user identified by an unsubscribe token.
+ * The digest is switched off and every 'email' channel falls back to 'in_app'.
+ */
+export const unsubscribeWithToken = async (token) => {
+    const [userId, signature] = String(token || '').split('.');
+    const expected = userId ? signUserId(userId) : '';
+
+    const isValid = Boolean(signature)
+        && signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!isValid) {
+        const error = new Error('Invalid unsubscribe link');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const user = await User.findById(userId).select('preferences.notifications');
+
+    if (!user) {
+        const error = new Error('Invalid unsubscribe link');
+        error.statusCode = 400;
+        throw error;
+    }
+
+    const { channels } = toPreferences(user);
+    const $set = { 'preferences.notifications.digest.frequency': 'off' };
+    Object.entries(channels).forEach(([type, channel]) => {
+        if (channel === 'email') $set[`preferences.notifications.channels.${type}`] = 'in_app';
+    });
+
+    await User.updateOne({ _id: user._id }, { $set });
+
+    return { message: 'You have been unsubscribed from notification emails.' };
+};
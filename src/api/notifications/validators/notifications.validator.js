@@ -0,0 +1,37 @@
+/**
+ * Notifications Validators (Joi)
+ */
+import Joi from 'joi';
+import validate from '../../_common/middleware/validation.middleware.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, DIGEST_FREQUENCIES } from '../../../constants/notifications.js';
+
+const mongoId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).message('Invalid ID format');
+
+export const validateNotificationId = [
+  validate({ params: Joi.object({ id: mongoId.required() }) })
+];
+
+export const validateNotificationQuery = [
+  validate({ query: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    unreadOnly: Joi.boolean().default(false),
+    type: Joi.string().trim().max(50).optional()
+  }) })
+];
+
+export const validatePreferencesUpdate = [
+  validate({ body: Joi.object({
+    channels: Joi.object().pattern(
+      Joi.string().valid(...NOTIFICATION_TYPES),
+      Joi.string().valid(...NOTIFICATION_CHANNELS)
+    ),
+    digest: Joi.object({
+      frequency: Joi.string().valid(...DIGEST_FREQUENCIES).required()
+    })
+  }).or('channels', 'digest') })
+];
+
+export const validateUnsubscribeToken = [
+  validate({ params: Joi.object({ token: Joi.string().max(200).required() }) })
+];
@@ -119,6 +119,29 @@ export const shareFileWithClass = asyncHandler(async (req, res) => {
   res.status(201).json(result);
 });
 
+/**
+ * @desc    Share many files with the same class(es) as a background job
+ * @route   POST /api/shares/class/bulk
+ * @access  Private (Teacher/Admin, owner of every file)
+ */
+export const bulkShareWithClass = asyncHandler(async (req, res) => {
+  const { fileIds, classShares, description } = req.body;
+
+  const job = await sharesService.enqueueBulkClassShareService(
+    fileIds,
+    req.user._id,
+    classShares,
+    description
+  );
+
+  res.status(202).json({
+    message: 'Bulk class share started',
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job._id}`,
+  });
+});
+
 /**
  * @desc    Remove one or more class shares for a file
  * @route   DELETE /api/shares/:fileId/class
@@ -8,6 +8,7 @@ import {
   manageShareAccess,
   bulkRemoveShareAccess,
   shareFileWithClass,
+  bulkShareWithClass,
   removeClassShare,
   getFileClassShares,
   getClassMaterials,
@@ -22,6 +23,7 @@ import {
   removeUserAccessSchema,
   bulkRemoveSchema,
   shareWithClassSchema,
+  bulkShareWithClassSchema,
   removeClassShareSchema,
   updateClassShareExpirationSchema,
   getClassMaterialsSchema,
@@ -112,6 +114,19 @@ router.post(
 // Class Share Routes
 // ============================================================================
 
+/**
+ * POST /api/shares/class/bulk
+ * Share many files with the same class(es); processed by the job queue
+ * Body: { fileIds: [...], classShares: [...], description?: string }
+ */
+router.post(
+  '/class/bulk',
+  protect,
+  hasRole(['teacher', 'admin']),
+  validate(bulkShareWithClassSchema, 'body'),
+  bulkShareWithClass
+);
+
 /**
  * POST /api/shares/:fileId/class
  * Share file/folder with one or multiple classes
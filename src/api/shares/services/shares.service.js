@@ -4,6 +4,8 @@ import ClassShare from '../../../models/classShareModel.js';
 import File from '../../../models/fileModel.js';
 import User from '../../../models/userModel.js';
 import Subject from '../../../models/subjectModel.js';
+import { enqueueJob } from '../../../services/queue/queue.service.js';
+import { notifyUsers } from '../../notifications/services/notifications.service.js';
 import mongoose from 'mongoose';
 
 // ============================================================================
@@ -496,7 +498,13 @@ export const shareFileWithClassService = async (
 
   const result = await ClassShare.bulkWrite(shareOperations);
 
-  // 9. Fetch created/updated shares
+  // 9. Notify students of classes that received the file for the first time (non-blocking)
+  const newClassShares = Object.keys(result.upsertedIds || {}).map(index => validatedShares[index]);
+  notifyStudentsOfNewMaterial(file, newClassShares, subjects).catch(err => {
+    console.error('Failed to send new material notifications:', err);
+  });
+
+  // 10. Fetch created/updated shares
   const createdShares = await ClassShare.find({
     fileId,
     sharedBy: userId
@@ -519,6 +527,34 @@ export const shareFileWithClassService = async (
   };
 };
 
+/**
+ * Notify the students of each class about newly shared material
+ *
+ * @param {Object} file - Shared file
+ * @param {Array} classShares - Newly created class shares ({ batch, semester, section, subjectId })
+ * @param {Array} subjects - Subject documents referenced by the shares
+ */
+const notifyStudentsOfNewMaterial = async (file, classShares, subjects) => {
+  for (const share of classShares) {
+    const students = await User.find({
+      roles: 'student',
+      'studentDetails.batch': share.batch,
+      'studentDetails.semester': share.semester,
+      'studentDetails.section': share.section
+    }).select('_id').lean();
+
+    const subject = subjects.find(s => String(s._id) === String(share.subjectId));
+
+    await notifyUsers(students.map(student => student._id), {
+      type: 'new_material',
+      title: `New material${subject ? ` in ${subject.name}` : ''}`,
+      message: `${file.fileName} has been shared with your class.`,
+      link: `/academics/materials/${share.subjectId}`,
+      entity: { model: 'File', id: file._id }
+    });
+  }
+};
+
 /**
  * Remove one or more class shares for a file
  * 
@@ -700,6 +736,42 @@ export const updateClassShareExpirationService = async (shareId, userId, expires
   };
 };
 
+/**
+ * Queue sharing several files with the same class(es)
+ * Each file is shared via shareFileWithClassService by the job worker; per-file
+ * failures are reported in the job result. Ownership is checked up front.
+ * 
+ * @param {string[]} fileIds - File IDs (owned by the user)
+ * @param {string} userId - Teacher/admin user ID
+ * @param {Array} classShares - Same shape as shareFileWithClassService
+ * @param {string} description - Optional description
+ * @returns {Promise<Object>} The queued Job document
+ */
+export const enqueueBulkClassShareService = async (
+  fileIds,
+  userId,
+  classShares,
+  description = null
+) => {
+  const ownedCount = await File.countDocuments({
+    _id: { $in: fileIds },
+    user: userId,
+    isDeleted: false,
+  });
+
+  if (ownedCount !== fileIds.length) {
+    const error = new Error('One or more files were not found or you do not own them.');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return enqueueJob({
+    type: 'bulk-class-share',
+    user: userId,
+    meta: { fileIds: fileIds.map(String), classShares, description },
+  });
+};
+
 // ============================================================================
 // Share Listing Service
 // ============================================================================
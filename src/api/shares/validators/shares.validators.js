@@ -112,6 +112,26 @@ export const shareWithClassSchema = Joi.object({
   }),
 });
 
+/**
+ * Schema for sharing many files with the same class(es) in one background job
+ */
+export const bulkShareWithClassSchema = shareWithClassSchema.keys({
+  fileIds: Joi.array()
+    .items(Joi.string().hex().length(24).required())
+    .min(1)
+    .max(100)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'At least one file ID must be provided',
+      'array.max': 'Bulk class share is limited to 100 files at a time',
+      'array.unique': 'File IDs must be unique',
+      'string.hex': 'File ID must be a valid MongoDB ObjectId',
+      'string.length': 'File ID must be 24 characters',
+      'any.required': 'File IDs array is required',
+    }),
+});
+
 /**
  * Schema for removing class shares
  */
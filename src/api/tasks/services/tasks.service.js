@@ -4,6 +4,7 @@
  */
 
 import Task from '../../../models/taskModel.js';
+import { MAX_BULK_TASKS } from '../validators/tasks.validator.js';
 
 /**
  * Get all tasks for a user with filtering and sorting
@@ -83,9 +84,8 @@ export const createBulkTasks = async (userId, tasks) => {
         throw error;
     }
     
-    const MAX_AI_TASKS = 15;
-    if (tasks.length > MAX_AI_TASKS) {
-        const error = new Error(`Cannot create more than ${MAX_AI_TASKS} tasks at once`);
+    if (tasks.length > MAX_BULK_TASKS) {
+        const error = new Error(`Cannot create more than ${MAX_BULK_TASKS} tasks at once`);
         error.statusCode = 400;
         throw error;
     }
@@ -44,17 +44,23 @@ export const validateUpdateTask = [
   })
 ];
 
+export const MAX_BULK_TASKS = 15;
+
+// One task of a bulk create. AI task plans are validated against it too
+// (src/api/ai/services/plan.service.js) before they are previewed or saved.
+export const bulkTaskSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().trim().max(2000).optional(),
+  dueDate: Joi.date().iso().optional(),
+  priority: Joi.string().valid('Low', 'Medium', 'High').optional(),
+  tags: Joi.array().items(tag).optional(),
+  // Accept nested subTasks when bulk-creating from AI planner
+  subTasks: Joi.array().items(Joi.object({ text: Joi.string().trim().min(1).max(200).required(), completed: Joi.boolean().optional() })).optional()
+});
+
 export const validateBulkCreate = [
   validate({ body: Joi.object({
-    tasks: Joi.array().items(Joi.object({
-      title: Joi.string().trim().min(1).max(200).required(),
-      description: Joi.string().trim().max(2000).optional(),
-      dueDate: Joi.date().iso().optional(),
-      priority: Joi.string().valid('Low', 'Medium', 'High').optional(),
-      tags: Joi.array().items(tag).optional(),
-      // Accept nested subTasks when bulk-creating from AI planner
-      subTasks: Joi.array().items(Joi.object({ text: Joi.string().trim().min(1).max(200).required(), completed: Joi.boolean().optional() })).optional()
-    })).min(1).required()
+    tasks: Joi.array().items(bulkTaskSchema).min(1).max(MAX_BULK_TASKS).required()
   }) })
 ];
 
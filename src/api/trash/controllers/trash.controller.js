@@ -5,7 +5,7 @@ import {
   restoreFileService,
   bulkRestoreService,
   purgeFileService,
-  bulkPurgeService,
+  enqueueBulkPurgeService,
   emptyTrashService,
   listTrashService,
   getTrashStatsService,
@@ -91,16 +91,21 @@ export const purgeFile = asyncHandler(async (req, res) => {
 });
 
 /**
- * Bulk permanently delete multiple files
+ * Bulk permanently delete multiple files (queued; poll GET /api/jobs/:id)
  * @route POST /api/trash/purge/bulk
  */
 export const bulkPurge = asyncHandler(async (req, res) => {
   const { fileIds } = req.body;
   const userId = req.user._id;
 
-  const result = await bulkPurgeService(fileIds, userId);
+  const job = await enqueueBulkPurgeService(fileIds, userId);
 
-  res.status(200).json(result);
+  res.status(202).json({
+    message: 'Purge started',
+    jobId: job._id,
+    status: job.status,
+    statusUrl: `/api/jobs/${job._id}`
+  });
 });
 
 /**
@@ -2,6 +2,16 @@ import mongoose from 'mongoose';
 import File from '../../../models/fileModel.js';
 import FileShare from '../../../models/fileshareModel.js';
 import { deleteFile as deleteFromS3 } from '../../../services/s3/s3.service.js';
+import { enqueueJob } from '../../../services/queue/queue.service.js';
+
+/**
+ * S3 keys held by files: the current object plus any retained previous versions
+ * @param {Array<Object>} files - File documents
+ * @returns {Array<string>}
+ */
+const collectS3Keys = (files) => files
+  .flatMap(f => [f.s3Key, ...(f.versions || []).map(v => v.s3Key)])
+  .filter(Boolean);
 
 // ============================================================================
 // Soft Delete Operations
@@ -368,7 +378,7 @@ export const purgeFileService = async (fileId, userId) => {
     });
 
     // Collect S3 keys from descendants
-    s3Keys.push(...descendants.map(d => d.s3Key).filter(Boolean));
+    s3Keys.push(...collectS3Keys(descendants));
 
     // Delete folder and all descendants from database
     const result = await File.deleteMany({
@@ -381,9 +391,7 @@ export const purgeFileService = async (fileId, userId) => {
     purgedCount = result.deletedCount;
   } else {
     // Single file
-    if (file.s3Key) {
-      s3Keys.push(file.s3Key);
-    }
+    s3Keys.push(...collectS3Keys([file]));
     await File.findByIdAndDelete(fileId);
     purgedCount = 1;
   }
@@ -451,7 +459,7 @@ export const bulkPurgeService = async (fileIds, userId) => {
         isFolder: false
       });
 
-      s3Keys.push(...descendants.map(d => d.s3Key).filter(Boolean));
+      s3Keys.push(...collectS3Keys(descendants));
 
       const result = await File.deleteMany({
         $or: [
@@ -462,9 +470,7 @@ export const bulkPurgeService = async (fileIds, userId) => {
       });
       totalPurged += result.deletedCount;
     } else {
-      if (file.s3Key) {
-        s3Keys.push(file.s3Key);
-      }
+      s3Keys.push(...collectS3Keys([file]));
       await File.findByIdAndDelete(file._id);
       totalPurged++;
     }
@@ -485,6 +491,37 @@ export const bulkPurgeService = async (fileIds, userId) => {
   };
 };
 
+/**
+ * Queue a bulk purge to run in the background job worker
+ * Ownership/trash state is verified up front so permission errors are immediate
+ * @param {Array<string>} fileIds - Array of file IDs to purge
+ * @param {string} userId - User performing the purge
+ * @returns {Object} - The queued Job document
+ */
+export const enqueueBulkPurgeService = async (fileIds, userId) => {
+  const count = await File.countDocuments({
+    _id: { $in: fileIds },
+    user: userId,
+    isDeleted: true
+  });
+
+  if (count === 0) {
+    throw new Error('No deleted files found to purge');
+  }
+
+  if (count !== fileIds.length) {
+    const error = new Error('You do not have permission to delete one or more files');
+    error.statusCode = 403;
+    throw error;
+  }
+
+  return enqueueJob({
+    type: 'bulk-purge',
+    user: userId,
+    meta: { fileIds: fileIds.map(String) }
+  });
+};
+
 /**
  * Empty entire trash for a user
  * Permanently deletes all soft-deleted files
@@ -500,7 +537,7 @@ export const emptyTrashService = async (userId) => {
   });
 
   // Collect S3 keys
-  const s3Keys = deletedFiles.map(f => f.s3Key).filter(Boolean);
+  const s3Keys = collectS3Keys(deletedFiles);
 
   // Delete from S3
   if (s3Keys.length > 0) {
@@ -583,7 +620,7 @@ export const getTrashStatsService = async (userId) => {
     user: userId,
     isDeleted: true,
     isFolder: false
-  }).select('size');
+  }).select('size versions.size');
 
   const folderCount = await File.countDocuments({
     user: userId,
@@ -591,7 +628,11 @@ export const getTrashStatsService = async (userId) => {
     isFolder: true
   });
 
-  const totalSize = deletedFiles.reduce((sum, file) => sum + (file.size || 0), 0);
+  // Retained versions are freed on purge too, so count their bytes
+  const totalSize = deletedFiles.reduce(
+    (sum, file) => sum + (file.size || 0) + file.versions.reduce((vSum, v) => vSum + v.size, 0),
+    0
+  );
 
   return {
     fileCount: deletedFiles.length,
@@ -624,7 +665,7 @@ export const cleanExpiredTrashService = async (retentionDays = 30) => {
   });
 
   // Collect S3 keys
-  const s3Keys = expiredFiles.map(f => f.s3Key).filter(Boolean);
+  const s3Keys = collectS3Keys(expiredFiles);
 
   // Get all expired file IDs (including folders)
   const expiredFileIds = await File.find(
@@ -680,7 +721,7 @@ export const adminHardDeleteService = async (fileId, adminUserId) => {
       isFolder: false
     });
 
-    s3Keys.push(...descendants.map(d => d.s3Key).filter(Boolean));
+    s3Keys.push(...collectS3Keys(descendants));
 
     const result = await File.deleteMany({
       $or: [
@@ -690,9 +731,7 @@ export const adminHardDeleteService = async (fileId, adminUserId) => {
     });
     deletedCount = result.deletedCount;
   } else {
-    if (file.s3Key) {
-      s3Keys.push(file.s3Key);
-    }
+    s3Keys.push(...collectS3Keys([file]));
     await File.findByIdAndDelete(fileId);
     deletedCount = 1;
   }
@@ -721,6 +760,7 @@ export default {
   bulkRestoreService,
   purgeFileService,
   bulkPurgeService,
+  enqueueBulkPurgeService,
   emptyTrashService,
   // Listing / stats / maintenance
   listTrashService,
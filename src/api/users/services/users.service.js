@@ -88,7 +88,10 @@ export const updateUserProfile = async (userId, updates, req = null) => {
         // Also, if both are present prefer the explicitly provided misspelled key (preserve DB intent),
         // but keep the normalization above to ensure clients using the correct spelling work.
 
-        user.preferences = { ...user.preferences, ...updates.preferences };
+        // Set keys individually so nested settings (e.g. preferences.notifications) are kept
+        Object.entries(updates.preferences).forEach(([key, value]) => {
+            user.set(`preferences.${key}`, value);
+        });
     }
 
     const updatedUser = await user.save();
@@ -11,5 +11,13 @@ export const AUDIT_ACTIONS = {
   SUBJECT_DELETE: 'subject.delete',
   ASSIGNMENT_CREATE: 'assignment.create',
   ASSIGNMENT_UPDATE: 'assignment.update',
-  ASSIGNMENT_DELETE: 'assignment.delete'
+  ASSIGNMENT_DELETE: 'assignment.delete',
+  ASSIGNMENT_SUBMIT: 'assignment.submit',
+  ASSIGNMENT_GRADE: 'assignment.grade',
+  ASSIGNMENT_RETURN: 'assignment.return',
+  ASSIGNMENT_GRADES_PUBLISH: 'assignment.grades.publish',
+  MATERIAL_CREATE: 'material.create',
+  MATERIAL_UPDATE: 'material.update',
+  MATERIAL_DELETE: 'material.delete',
+  SCHEDULER_JOB_TRIGGER: 'scheduler.job.trigger'
 };
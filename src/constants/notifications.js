@@ -0,0 +1,22 @@
+export const NOTIFICATION_TYPES = [
+  'new_material',
+  'new_assignment',
+  'assignment_rejected',
+  'grade_published',
+  'deadline_approaching',
+  'application_reviewed',
+  'role_changed',
+  'new_message',
+  'class_reminder',
+  'leave_request',
+  'leave_reviewed',
+  'attendance_alert',
+  'attendance_correction',
+  'reflection_reviewed',
+  'general'
+];
+
+// in_app: notification center only; email: notification center + email digest; none: not created
+export const NOTIFICATION_CHANNELS = ['in_app', 'email', 'none'];
+
+export const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
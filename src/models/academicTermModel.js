@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// A teaching term (e.g. "Odd Semester 2025") and its holiday calendar.
+// Dates are calendar days stored as UTC midnight; timetable slot times are
+// wall-clock times in TIMETABLE_TIMEZONE (see attendance timetable.service.js).
+const holidaySchema = new mongoose.Schema({
+    date: { type: Date, required: true },
+    name: { type: String, required: true, trim: true },
+});
+
+const academicTermSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    startDate: {
+        type: Date,
+        required: true,
+    },
+    endDate: {
+        type: Date,
+        required: true,
+    },
+    holidays: [holidaySchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { timestamps: true });
+
+// Terms running on a given day
+academicTermSchema.index({ startDate: 1, endDate: 1 });
+
+const AcademicTerm = mongoose.model("AcademicTerm", academicTermSchema);
+export default AcademicTerm;
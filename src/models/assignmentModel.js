@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// Weighted rubric criterion; each criterion is scored out of its own maxScore
+const rubricCriterionSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  weight: { type: Number, required: true, min: 0 },
+  maxScore: { type: Number, required: true, min: 1 }
+});
+
+/**
+ * Assignment Model
+ *
+ * A teacher-created assignment for one class (subject + batch + semester + section).
+ * Attachments live in a master folder owned by the teacher (File.context 'assignment');
+ * each student's work goes into their own draft folder inside it (see Submission).
+ */
+const assignmentSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: 5000
+    },
+
+    // Teacher who created the assignment
+    teacher: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    subject: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subject',
+      required: true,
+      index: true
+    },
+
+    // Class identification (same shape as ClassShare)
+    batch: {
+      type: Number,
+      required: true
+    },
+
+    semester: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 8
+    },
+
+    section: {
+      type: String,
+      required: true,
+      enum: ['A', 'B', 'C'],
+      uppercase: true
+    },
+
+    dueDate: {
+      type: Date,
+      required: true,
+      index: true
+    },
+
+    maxPoints: {
+      type: Number,
+      default: 100,
+      min: 1
+    },
+
+    // Master folder holding the attachments and the per-student draft folders
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true
+    },
+
+    attachments: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File'
+    }],
+
+    // Optional; without criteria the teacher enters a single score out of maxPoints
+    rubric: [rubricCriterionSchema],
+
+    latePolicy: {
+      // Submissions within this many minutes after the due date are not late
+      gracePeriodMinutes: { type: Number, default: 0, min: 0 },
+      // Deducted from the final score for each started day late
+      penaltyPercentPerDay: { type: Number, default: 0, min: 0, max: 100 },
+      // Uploads and submissions are rejected after this (null = no cutoff)
+      cutoffDate: { type: Date, default: null }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Student listing: assignments for a class ordered by due date
+assignmentSchema.index({ batch: 1, semester: 1, section: 1, dueDate: -1 });
+
+const Assignment = mongoose.model('Assignment', assignmentSchema);
+export default Assignment;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+/**
+ * AttendanceCorrection Model (Attendance Domain)
+ *
+ * A requested change to one attendance record that someone else decides on:
+ * - 'dispute': raised by the student, resolved by the record's teacher
+ * - 'late_edit': a teacher's edit after the lock period, or an absence a
+ *   leave approval would excuse after it (`leaveRequest` set)
+ * Changes to records past the lock period (ATTENDANCE_EDIT_LOCK_DAYS after the
+ * session) also need an HOD, so an approved dispute on such a record moves
+ * on to 'pending_hod'. Applied changes are written to the record's audit
+ * history (see attendance correction.service.js).
+ */
+
+const reviewSchema = new mongoose.Schema({
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  decision: { type: String, enum: ['approved', 'rejected'], required: true },
+  comment: { type: String, trim: true, maxlength: 1000 },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+const attendanceCorrectionSchema = new mongoose.Schema({
+  record: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AttendanceRecord',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['dispute', 'late_edit'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  previousStatus: { type: String, required: true }, // record status when requested
+  requestedStatus: {
+    type: String,
+    enum: ['present', 'absent', 'late', 'excused'],
+    required: true
+  },
+  // Leave request whose approval asked for this change ('excused')
+  leaveRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'LeaveRequest', default: null },
+
+  // --- Record Context (copied when requested) ---
+  classSession: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession', required: true },
+  student: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject', required: true },
+  department: { type: String, default: null }, // of the subject, for HOD routing
+
+  // --- Review ---
+  status: {
+    type: String,
+    enum: ['pending', 'pending_hod', 'approved', 'rejected', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  teacherReview: { type: reviewSchema, default: null },
+  hodReview: { type: reviewSchema, default: null },
+  appliedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+// Teacher queue
+attendanceCorrectionSchema.index({ teacher: 1, status: 1, createdAt: 1 });
+
+// HOD queue
+attendanceCorrectionSchema.index({ status: 1, department: 1, createdAt: 1 });
+
+const AttendanceCorrection = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
+
+export default AttendanceCorrection;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * AttendancePolicy Model (Attendance Domain)
+ *
+ * Attendance eligibility rules. The document without a department holds the
+ * institution-wide rules; a department document overrides them for subjects
+ * of that department. Percentages are whole-class percentages (0-100).
+ */
+
+const percent = (fallback) => ({ type: Number, min: 0, max: 100, default: fallback });
+
+const attendancePolicySchema = new mongoose.Schema({
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  subjectMinimum: percent(75), // per subject
+  overallMinimum: percent(85), // across all subjects
+  // Points below the minimum that can still be condoned (e.g. 10: 65-75%)
+  condonationBand: percent(0),
+  // Points above the minimum in which students are warned (e.g. 5: 75-80%)
+  warningBand: percent(5),
+  alertsEnabled: { type: Boolean, default: true },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One policy per department (null = institution)
+attendancePolicySchema.index({ department: 1 }, { unique: true });
+
+const AttendancePolicy = mongoose.model('AttendancePolicy', attendancePolicySchema);
+
+export default AttendancePolicy;
@@ -59,7 +59,7 @@ const attendanceRecordSchema = new mongoose.Schema({
   // --- Attendance Status ---
   status: {
     type: String,
-    enum: ['present', 'absent', 'late'],
+    enum: ['present', 'absent', 'late', 'excused'], // excused: absent with approved leave
     default: 'absent',
     required: true,
     index: true
@@ -70,7 +70,22 @@ const attendanceRecordSchema = new mongoose.Schema({
   },
   markedMethod: {
     type: String,
-    enum: ['code', 'manual', 'late_mark'],
+    enum: ['code', 'manual', 'late_mark', 'leave', 'offline'],
+    default: null
+  },
+  // Approved leave request that excused this absence
+  leaveRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaveRequest',
+    default: null
+  },
+  // Where a code mark came from (anti-proxy checks)
+  markedDeviceId: {
+    type: String,
+    default: null
+  },
+  markedIp: {
+    type: String,
     default: null
   },
 
@@ -133,6 +148,30 @@ attendanceRecordSchema.methods.markManually = function(status) {
   return this.save();
 };
 
+/**
+ * Apply a mark taken offline by the teacher
+ * @param {string} status - 'present', 'absent', or 'late'
+ * @param {Date} markedAt - When the mark was taken on the teacher's device
+ */
+attendanceRecordSchema.methods.markOffline = function(status, markedAt) {
+  this.status = status;
+  this.markedAt = markedAt || new Date();
+  this.markedMethod = 'offline';
+  return this.save();
+};
+
+/**
+ * Excuse an absence for an approved leave request
+ * @param {ObjectId} leaveRequest - Approved LeaveRequest ID
+ */
+attendanceRecordSchema.methods.markExcused = function(leaveRequest) {
+  this.status = 'excused';
+  this.markedAt = new Date();
+  this.markedMethod = 'leave';
+  this.leaveRequest = leaveRequest;
+  return this.save();
+};
+
 /**
  * Record feedback submission
  */
@@ -191,6 +230,9 @@ attendanceRecordSchema.statics.getStudentStats = async function(studentId, subje
         },
         absentCount: {
           $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] }
+        },
+        excusedCount: {
+          $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] }
         }
       }
     },
@@ -201,6 +243,7 @@ attendanceRecordSchema.statics.getStudentStats = async function(studentId, subje
         presentCount: 1,
         lateCount: 1,
         absentCount: 1,
+        excusedCount: 1,
         attendancePercentage: {
           $round: [
             { $multiply: [{ $divide: ['$presentCount', '$totalClasses'] }, 100] },
@@ -273,6 +316,9 @@ attendanceRecordSchema.statics.getSessionSummary = async function(classSessionId
         absentCount: {
           $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] }
         },
+        excusedCount: {
+          $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] }
+        },
         feedbackCount: {
           $sum: { $cond: [{ $eq: ['$hasSubmittedFeedback', true] }, 1, 0] }
         }
@@ -285,6 +331,7 @@ attendanceRecordSchema.statics.getSessionSummary = async function(classSessionId
         presentCount: 1,
         lateCount: 1,
         absentCount: 1,
+        excusedCount: 1,
         feedbackCount: 1,
         attendanceRate: {
           $round: [
@@ -301,6 +348,7 @@ attendanceRecordSchema.statics.getSessionSummary = async function(classSessionId
     presentCount: 0,
     lateCount: 0,
     absentCount: 0,
+    excusedCount: 0,
     feedbackCount: 0,
     attendanceRate: 0
   };
@@ -320,6 +368,13 @@ attendanceRecordSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'absent') {
     this.markedAt = null;
     this.markedMethod = null;
+    this.markedDeviceId = null;
+    this.markedIp = null;
+  }
+  
+  // A teacher overriding an excused absence unlinks the leave request
+  if (this.isModified('status') && this.status !== 'excused') {
+    this.leaveRequest = null;
   }
   
   next();
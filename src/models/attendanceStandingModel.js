@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+/**
+ * AttendanceStanding Model (Attendance Domain)
+ *
+ * Last eligibility status seen for a student, per subject and overall
+ * (subject: null). Used to alert only when a student moves into a worse band.
+ */
+
+const attendanceStandingSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['eligible', 'warning', 'condonable', 'shortage'],
+    required: true
+  },
+  percentage: { type: Number, default: 0 },
+  alertedAt: { type: Date, default: null }
+}, {
+  timestamps: true
+});
+
+attendanceStandingSchema.index({ student: 1, subject: 1 }, { unique: true });
+
+const AttendanceStanding = mongoose.model('AttendanceStanding', attendanceStandingSchema);
+
+export default AttendanceStanding;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * A batch of attendance updates applied by a teacher, keyed by the client's
+ * batch ID so a retried upload is answered with the first result instead of
+ * being applied twice. Batches expire after ATTENDANCE_SYNC_BATCH_TTL_DAYS.
+ */
+const attendanceSyncBatchSchema = new Schema(
+  {
+    teacher: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    batchId: { type: String, required: true, trim: true },
+    classSession: { type: Schema.Types.ObjectId, ref: 'ClassSession', default: null },
+    payloadHash: { type: String, required: true }, // a reused batch ID must carry the same updates
+
+    status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+    // { applied, unchanged, conflicts, rejected } as returned the first time
+    result: { type: Schema.Types.Mixed, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// One batch ID per teacher
+attendanceSyncBatchSchema.index({ teacher: 1, batchId: 1 }, { unique: true });
+// Expired batches are removed by MongoDB
+attendanceSyncBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AttendanceSyncBatch = mongoose.model('AttendanceSyncBatch', attendanceSyncBatchSchema);
+
+export default AttendanceSyncBatch;
@@ -11,7 +11,11 @@ const AuditLogSchema = new mongoose.Schema({
   entityType: { type: String, required: true },
   entityId: { type: String, required: true },
   // context categorizes the action; keep enum strict and allow missing (undefined) as default
-  context: { type: String, enum: ['personal', 'academic_material', 'assignment'], default: undefined },
+  context: { type: String, enum: ['personal', 'academic_material', 'assignment', 'attendance'], default: undefined },
+  // why the change was made, when the caller asks for one
+  reason: { type: String, default: undefined },
+  // retained entries outlive the TTL and the audit-cleanup job (attendance record history)
+  retained: { type: Boolean, default: function() { return this.context === 'attendance'; } },
 
   ipAddress: { type: String, default: null },
   userAgent: { type: String, default: null },
@@ -23,12 +27,25 @@ const AuditLogSchema = new mongoose.Schema({
   }
 }, { timestamps: false });
 
-// TTL Index: ~200 days
-AuditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 200 * 24 * 60 * 60 });
+// TTL Index: ~200 days, except retained entries
+AuditLogSchema.index(
+  { timestamp: 1 },
+  { name: 'timestamp_ttl', expireAfterSeconds: 200 * 24 * 60 * 60, partialFilterExpression: { retained: false } }
+);
 
 // Compound index for finding all history for a specific document
 // Compound index for common queries over action + target entity
 AuditLogSchema.index({ entityType: 1, entityId: 1 });
 AuditLogSchema.index({ action: 1, entityType: 1, entityId: 1 });
 
+// Entries are append-only; removal is left to retention (TTL, audit-cleanup job) for entries not retained
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified'));
+};
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
 export default mongoose.model('AuditLog', AuditLogSchema);
@@ -18,7 +18,8 @@ export const AuthEventTypes = [
     'MFA_SUCCESS',
     'MFA_FAILURE',
     'MFA_ENFORCED',
-    'MFA_DISABLED'
+    'MFA_DISABLED',
+    'ATTENDANCE_SUSPICIOUS'
 ];
 
 const authEventSchema = new mongoose.Schema({
@@ -55,6 +56,9 @@ const authEventSchema = new mongoose.Schema({
     timestamps: { createdAt: 'timestamp', updatedAt: false }
 });
 
+// Suspicious attendance attempts listed on a session's roster
+authEventSchema.index({ 'context.classSession': 1, eventType: 1 }, { sparse: true });
+
 // TTL Index: Auto-delete logs older than 90 days
 authEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 });
 
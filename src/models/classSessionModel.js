@@ -40,6 +40,44 @@ const classSessionSchema = new mongoose.Schema({
         type: Date,
     },
 
+    // --- Attendance domain (src/api/attendance) ---
+    topic: { type: String, trim: true },
+    sessionType: { // lecture, lab, tutorial, seminar; `type` is derived from it
+        type: String,
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed'],
+    },
+    endedAt: { type: Date },
+    codeExpiresAt: { type: Date }, // static codes only
+
+    // 'static': one code, valid for 60 seconds, regenerated by the teacher.
+    // 'rotating': TOTP-style codes derived from codeSecret, a new one every
+    // codeRotationSeconds until the session is finalized.
+    codeMode: {
+        type: String,
+        enum: ['static', 'rotating'],
+        default: 'static',
+    },
+    codeSecret: { type: String, select: false },
+    codeRotationSeconds: { type: Number, min: 10, max: 300 },
+
+    // Optional anti-proxy checks applied when students mark with a code
+    antiProxy: {
+        deviceBinding: { type: Boolean, default: false },       // student must use their bound device
+        oneAccountPerDevice: { type: Boolean, default: false }, // a device marks only one student
+        networkCheck: { type: Boolean, default: false },        // student IP near teacherIp or on a campus network
+    },
+    teacherIp: { type: String, select: false }, // IP the session was started from
+
+    // Set when the session was started for (or by) a timetable slot
+    timetableSlot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TimetableSlot',
+    },
+    scheduledStart: { type: Date }, // start of the slot occurrence
+
     attendanceRecords: [{
         student: {
             type: mongoose.Schema.Types.ObjectId,
@@ -61,6 +99,10 @@ const classSessionSchema = new mongoose.Schema({
 // Indexing for fetching classes by subject or teacher
 classSessionSchema.index({ subject: 1, createdAt: -1 });
 classSessionSchema.index({ teacher: 1, createdAt: -1 });
+// Open sessions a student can mark attendance in
+classSessionSchema.index({ status: 1, batch: 1, semester: 1, section: 1 });
+// Sessions held for a timetable slot occurrence
+classSessionSchema.index({ timetableSlot: 1, scheduledStart: 1 });
 
 const ClassSession = mongoose.model("ClassSession", classSessionSchema);
 export default ClassSession;
\ No newline at end of file
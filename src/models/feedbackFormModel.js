@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+/**
+ * FeedbackForm Model (Feedback Domain)
+ *
+ * A student feedback questionnaire built by admins and HODs. `questions` is
+ * the draft being edited; publishing copies it into `versions` as the next
+ * version. Submissions store their answers against a published version, so
+ * editing a form never changes what earlier answers meant.
+ *
+ * A form applies to the sessions matched by its assignments (a subject, a
+ * department's subjects or a session type); see feedbackForm.service.js for
+ * how one form is picked. Forms with a department belong to that department's
+ * HODs; forms without one are institution-wide.
+ */
+
+export const QUESTION_TYPES = ['likert', 'multiple_choice', 'text', 'nps'];
+export const ASSIGNMENT_SCOPES = ['subject', 'department', 'sessionType'];
+
+const optionSchema = new mongoose.Schema({
+  value: { type: String, required: true, trim: true, maxlength: 50 },
+  label: { type: String, required: true, trim: true, maxlength: 200 }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+  // Stable across versions; answers and summaries are keyed by it
+  key: { type: String, required: true, trim: true, maxlength: 50 },
+  type: { type: String, enum: QUESTION_TYPES, required: true },
+  prompt: { type: String, required: true, trim: true, maxlength: 500 },
+  required: { type: Boolean, default: true },
+
+  // likert
+  scale: {
+    min: { type: Number, default: 1 },
+    max: { type: Number, default: 5 },
+    minLabel: { type: String, trim: true, maxlength: 100 },
+    maxLabel: { type: String, trim: true, maxlength: 100 }
+  },
+
+  // multiple_choice
+  options: { type: [optionSchema], default: undefined },
+  allowMultiple: { type: Boolean, default: false },
+
+  // text
+  maxLength: { type: Number, min: 1, max: 2000, default: 1000 }
+}, { _id: false });
+
+const versionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  questions: { type: [questionSchema], required: true },
+  publishedAt: { type: Date, default: Date.now },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const assignmentSchema = new mongoose.Schema({
+  scope: { type: String, enum: ASSIGNMENT_SCOPES, required: true },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
+  department: { type: String, trim: true },
+  sessionType: { type: String, trim: true }
+}, { _id: false });
+
+const feedbackFormSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  department: { type: String, trim: true, default: null }, // owner; null = institution
+
+  questions: { type: [questionSchema], default: [] }, // draft
+  version: { type: Number, default: 0 }, // latest published; 0 = never published
+  versions: { type: [versionSchema], default: [] },
+
+  assignments: { type: [assignmentSchema], default: [] },
+  isActive: { type: Boolean, default: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Form lookup for a session
+feedbackFormSchema.index({ 'assignments.subject': 1, isActive: 1 });
+feedbackFormSchema.index({ 'assignments.department': 1, isActive: 1 });
+feedbackFormSchema.index({ 'assignments.sessionType': 1, isActive: 1 });
+
+const FeedbackForm = mongoose.model('FeedbackForm', feedbackFormSchema);
+
+export default FeedbackForm;
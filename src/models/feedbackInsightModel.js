@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+/**
+ * FeedbackInsight Model (Feedback Domain)
+ *
+ * Cached theme and sentiment summary of the free-text comments in released
+ * feedback, per scope (a session, a subject or a term). `fingerprint` records
+ * the responses it was built from; the summary is regenerated once it no
+ * longer matches the released feedback.
+ */
+
+const themeSchema = new mongoose.Schema({
+  label: { type: String, required: true },
+  sentiment: {
+    type: String,
+    enum: ['positive', 'neutral', 'negative'],
+    default: 'neutral'
+  },
+  count: { type: Number, default: 0 },
+  examples: [String]
+}, { _id: false });
+
+const feedbackInsightSchema = new mongoose.Schema({
+  scopeKey: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    enum: ['session', 'subject', 'term'],
+    required: true
+  },
+  classSession: { type: mongoose.Schema.Types.ObjectId, ref: 'ClassSession' },
+  subject: { type: mongoose.Schema.Types.ObjectId, ref: 'Subject' },
+  term: { type: mongoose.Schema.Types.ObjectId, ref: 'AcademicTerm' },
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  fingerprint: { type: String, required: true },
+  provider: { type: String, required: true },
+  responseCount: { type: Number, default: 0 },
+  commentCount: { type: Number, default: 0 },
+  themes: [themeSchema],
+  sentiment: {
+    score: { type: Number, default: 0 },
+    label: {
+      type: String,
+      enum: ['positive', 'neutral', 'negative'],
+      default: 'neutral'
+    }
+  },
+  liked: [String],
+  improve: [String],
+  summary: { type: String, default: '' },
+  generatedAt: { type: Date, default: Date.now }
+});
+
+feedbackInsightSchema.index({ scopeKey: 1 }, { unique: true });
+
+const FeedbackInsight = mongoose.model('FeedbackInsight', feedbackInsightSchema);
+
+export default FeedbackInsight;
@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 
+// Anonymous: no student reference and no submission time. The _id carries
+// the session's start time instead of the time of writing (see
+// feedback.service.js), and responses stay unreleased until the feedback
+// window closes.
 const feedbackSchema = new mongoose.Schema({
     teacher: {
         type: mongoose.Schema.Types.ObjectId,
@@ -17,23 +21,46 @@ const feedbackSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'ClassSession',
         required: true,
+        index: true,
     },
     batch: { type: Number, required: true },
     semester: { type: Number, required: true },
-    
-    // --- Quantitative Feedback Metrics (Scale of 1-5) ---
-    ratings: {
-        clarity: { type: Number, min: 1, max: 5, required: true },
-        engagement: { type: Number, min: 1, max: 5, required: true },
-        pace: { type: Number, min: 1, max: 5, required: true },
-        knowledge: { type: Number, min: 1, max: 5, required: true },
+    section: { type: String },
+    sessionDate: { type: Date }, // When the session started, not when feedback was given
+
+    // false until the feedback window closes; missing on feedback from before releases
+    released: { type: Boolean },
+
+    // --- Questionnaire (see feedbackFormModel.js) ---
+    // form: null with formVersion 0 is the built-in default form
+    form: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FeedbackForm',
+        default: null,
+    },
+    formVersion: { type: Number, default: 0 },
+    answers: {
+        type: [{
+            _id: false,
+            questionKey: { type: String, required: true },
+            value: { type: mongoose.Schema.Types.Mixed, required: true }, // number, string or [string]
+        }],
+        default: undefined,
     },
 
-    // --- Qualitative Feedback (Text) ---
+    // --- Legacy fixed questions (before forms); read as the default form ---
+    ratings: {
+        clarity: { type: Number, min: 1, max: 5 },
+        engagement: { type: Number, min: 1, max: 5 },
+        pace: { type: Number, min: 1, max: 5 },
+        knowledge: { type: Number, min: 1, max: 5 },
+    },
     positiveFeedback: { type: String, trim: true, maxlength: 500 },
     improvementSuggestions: { type: String, trim: true, maxlength: 500 },
 
-}, { timestamps: true });
+}, { timestamps: false });
+
+feedbackSchema.index({ released: 1, classSession: 1 });
 
 const Feedback = mongoose.model("Feedback", feedbackSchema);
-export default Feedback;
\ No newline at end of file
+export default Feedback;
@@ -1,5 +1,16 @@
 import mongoose from "mongoose";
 
+// A previous version of a file: its S3 object is kept until pruned or purged
+const fileVersionSchema = new mongoose.Schema({
+    versionNumber: { type: Number, required: true },
+    s3Key: { type: String, required: true },
+    size: { type: Number, required: true },
+    fileType: { type: String, required: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, required: true },
+    restoredFrom: { type: Number, default: null } // Set when this version was itself a restore
+}, { _id: false });
+
 const fileSchema = new mongoose.Schema({
     
     // --- Core Fields ---    
@@ -65,6 +76,13 @@ const fileSchema = new mongoose.Schema({
         type: String,
         index: true // CRITICAL for performance
     },
+    // --- Versioning ---
+    // s3Key/size/fileType above always describe the current version
+    currentVersion: { type: Number, default: 1 },
+    versionUploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    versionUploadedAt: { type: Date, default: null }, // null = the original upload (createdAt)
+    versionRestoredFrom: { type: Number, default: null },
+    versions: { type: [fileVersionSchema], default: [] }, // Prior versions, oldest first
     // --- Analytics & Metadata ---
     downloadCount: { type: Number, default: 0 },
     tags: [{ type: String, trim: true }],
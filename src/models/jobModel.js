@@ -9,10 +9,30 @@ const jobSchema = new Schema(
     folderId: { type: Schema.Types.ObjectId, ref: 'File', required: false },
     status: { type: String, enum: ['queued', 'processing', 'done', 'failed'], default: 'queued' },
     meta: { type: Schema.Types.Mixed },
+
+    // Worker bookkeeping
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    runAt: { type: Date, default: Date.now }, // earliest time the job may be claimed (backoff)
+    lockedAt: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+
+    progress: {
+      percent: { type: Number, min: 0, max: 100, default: 0 },
+      message: { type: String, default: null },
+    },
+    result: { type: Schema.Types.Mixed, default: null },
+    error: { type: String, default: null },
+    finishedAt: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
+// Claim order for workers
+jobSchema.index({ status: 1, runAt: 1 });
+// User's job list
+jobSchema.index({ user: 1, createdAt: -1 });
+
 const Job = mongoose.model('Job', jobSchema);
 
 export default Job;
@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+/**
+ * LeaveRequest Model (Attendance Domain)
+ *
+ * A student's leave or medical excuse for a range of days. Once approved,
+ * the student's absences in sessions of the covered subjects during the
+ * range are marked 'excused' (see attendance leave.service.js).
+ */
+
+const leaveRequestSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['leave', 'medical'],
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+
+  // --- Period ---
+  // Calendar days (UTC midnight) as entered, and the moments they start and
+  // end in the timetable zone, which is what sessions are matched against
+  fromDate: { type: Date, required: true },
+  toDate: { type: Date, required: true },
+  startsAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true },
+
+  // --- Class Context (copied from the student when filed) ---
+  batch: { type: Number, required: true },
+  semester: { type: Number, required: true },
+  section: { type: String, required: true },
+  subjects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  }],
+  departments: [{ type: String }], // of the subjects, for HOD routing
+
+  // Supporting document uploaded through the files domain (owned by the student)
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    default: null
+  },
+
+  // --- Review ---
+  // 'teacher': one subject, reviewable by its teacher or an HOD; 'hod': HOD only
+  reviewerRole: {
+    type: String,
+    enum: ['teacher', 'hod'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: { type: Date, default: null },
+  reviewComment: { type: String, trim: true, maxlength: 1000 },
+  excusedCount: { type: Number, default: 0 }, // records excused on approval
+  pendingHodCount: { type: Number, default: 0 } // locked records sent to an HOD as late edits
+}, {
+  timestamps: true
+});
+
+// Student's own requests, newest first
+leaveRequestSchema.index({ student: 1, createdAt: -1 });
+
+// Review queues
+leaveRequestSchema.index({ status: 1, batch: 1, semester: 1, section: 1 });
+
+// Approved leave covering a new session
+leaveRequestSchema.index({ student: 1, status: 1, startsAt: 1, endsAt: 1 });
+
+/**
+ * Students (of the given ones) with approved leave covering a moment for a subject
+ * @param {Array} studentIds - Student IDs
+ * @param {string} subjectId - Subject ID
+ * @param {Date} at - Moment (e.g. session start)
+ * @returns {Promise<Array>} [{ student, _id }]
+ */
+leaveRequestSchema.statics.findApprovedCovering = function(studentIds, subjectId, at) {
+  return this.find({
+    student: { $in: studentIds },
+    status: 'approved',
+    subjects: subjectId,
+    startsAt: { $lte: at },
+    endsAt: { $gte: at }
+  }).select('student').lean();
+};
+
+const LeaveRequest = mongoose.model('LeaveRequest', leaveRequestSchema);
+
+export default LeaveRequest;
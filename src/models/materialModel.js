@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Material Model
+ *
+ * Academic metadata for a study-material file. The file itself stays a `File`
+ * (context 'academic_material') owned by the teacher, and reaches students
+ * through `ClassShare`. Downloads are counted on `File.downloadCount`.
+ */
+
+export const MATERIAL_TYPES = ['notes', 'slides', 'reference'];
+
+const ratingSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
+  comment: { type: String, trim: true, maxlength: 500 },
+  ratedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const materialSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'File',
+    required: true,
+    unique: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, trim: true, maxlength: 1000 },
+  unit: { type: Number, min: 1, max: 20, default: null },
+  topic: { type: String, trim: true, maxlength: 200 },
+  type: { type: String, enum: MATERIAL_TYPES, required: true },
+  tags: [{ type: String, trim: true, lowercase: true }],
+
+  // Student ratings (one per student) with a maintained summary for sorting
+  ratings: { type: [ratingSchema], default: [] },
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+// Library browsing: subject → unit → type
+materialSchema.index({ subject: 1, unit: 1, type: 1 });
+materialSchema.index({ title: 'text', topic: 'text', tags: 'text' });
+
+const Material = mongoose.model('Material', materialSchema);
+export default Material;
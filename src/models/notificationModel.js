@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { NOTIFICATION_TYPES } from "../constants/notifications.js";
 
 const notificationSchema = new mongoose.Schema({
     user: { // The user to notify
@@ -14,12 +15,15 @@ const notificationSchema = new mongoose.Schema({
     isRead: { type: Boolean, default: false },
     type: {
         type: String,
-        enum: ['new_material', 'new_assignment', 'assignment_rejected', 'deadline_approaching', 'general']
+        enum: NOTIFICATION_TYPES
     },
 
+    // Set when the recipient receives this type by email; cleared once it is in a digest
+    emailPending: { type: Boolean, default: false },
+
     // --- NEW: Entity fields for grouping, batching, and linking ---
     entity: {
-        model: { type: String, enum: ['Assignment', 'File', 'User'] },
+        model: { type: String, enum: ['Assignment', 'File', 'User', 'Conversation'] },
         id: { type: mongoose.Schema.Types.ObjectId }
     },
     
@@ -45,5 +49,8 @@ notificationSchema.index({ "expiresAt": 1 }, { expireAfterSeconds: 0 });
 // --- NEW: Index to find unread notifications for a user ---
 notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
 
+// Index for collecting notifications that still need to go out in an email digest
+notificationSchema.index({ emailPending: 1, user: 1 });
+
 const Notification = mongoose.model("Notification", notificationSchema);
 export default Notification;
\ No newline at end of file
@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * Leader lock + schedule state for scheduled jobs.
+ * One document per job name. An instance owns the job while `lockedUntil` is
+ * in the future; a scheduled run is only due once `nextRunAt` has passed.
+ * Acquisition is a single atomic findOneAndUpdate, so when the API is scaled
+ * out only one instance executes a given job per interval.
+ */
+const schedulerLockSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  owner: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  acquiredAt: { type: Date, default: null },
+  lastRunAt: { type: Date, default: null },
+  nextRunAt: { type: Date, default: null },
+});
+
+const SchedulerLock = mongoose.model('SchedulerLock', schedulerLockSchema);
+export default SchedulerLock;
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * Run history for scheduled jobs (one document per execution attempt).
+ */
+const schedulerRunSchema = new mongoose.Schema({
+  job: { type: String, required: true, index: true },
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running',
+  },
+  trigger: { type: String, enum: ['schedule', 'manual'], default: 'schedule' },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  instanceId: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+});
+
+// Latest runs per job
+schedulerRunSchema.index({ job: 1, startedAt: -1 });
+
+// TTL Index: keep ~30 days of run history
+schedulerRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const SchedulerRun = mongoose.model('SchedulerRun', schedulerRunSchema);
+export default SchedulerRun;
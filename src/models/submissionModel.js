@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const rubricScoreSchema = new mongoose.Schema({
+  criterion: { type: mongoose.Schema.Types.ObjectId, required: true },
+  score: { type: Number, required: true, min: 0 },
+  comment: { type: String, trim: true, maxlength: 1000 }
+}, { _id: false });
+
+/**
+ * Submission Model
+ *
+ * One per student per assignment. Files are uploaded into the student's draft
+ * folder (File.context 'assignment', owned by the student) and stay a draft
+ * until the student submits. A teacher may return a submission for
+ * resubmission, which makes it editable again.
+ */
+const submissionSchema = new mongoose.Schema(
+  {
+    assignment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Assignment',
+      required: true,
+      index: true
+    },
+
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+
+    // Per-student draft folder inside the assignment's master folder
+    folder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File',
+      required: true
+    },
+
+    status: {
+      type: String,
+      enum: ['draft', 'submitted', 'returned'],
+      default: 'draft',
+      index: true
+    },
+
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Submitted after the due date plus grace period
+    isLate: {
+      type: Boolean,
+      default: false
+    },
+
+    // Late penalty fixed at first submission (kept on resubmission)
+    latePenaltyPercent: {
+      type: Number,
+      default: 0
+    },
+
+    // Return-for-resubmission
+    returnedAt: { type: Date, default: null },
+    returnReason: { type: String, trim: true, maxlength: 1000 },
+    returnCount: { type: Number, default: 0 },
+
+    // Grade; only visible to the student once published
+    grade: {
+      rubricScores: [rubricScoreSchema],
+      rawScore: { type: Number },
+      finalScore: { type: Number },
+      feedback: { type: String, trim: true, maxlength: 5000 },
+      gradedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      gradedAt: { type: Date },
+      isPublished: { type: Boolean, default: false },
+      publishedAt: { type: Date }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+submissionSchema.index({ assignment: 1, student: 1 }, { unique: true });
+
+const Submission = mongoose.model('Submission', submissionSchema);
+export default Submission;
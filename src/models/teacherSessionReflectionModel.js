@@ -1,5 +1,20 @@
 import mongoose from "mongoose";
 
+const reviewCommentSchema = new mongoose.Schema({
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: { type: String, trim: true, required: true, maxlength: 1000 },
+    createdAt: { type: Date, default: Date.now },
+});
+
+const actionItemSchema = new mongoose.Schema({
+    text: { type: String, trim: true, required: true, maxlength: 500 },
+    dueDate: { type: Date, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+    response: { type: String, trim: true, maxlength: 500 }, // teacher's note on what was done
+});
+
 const teacherSessionReflectionSchema = new mongoose.Schema({
     classSession: { 
         type: mongoose.Schema.Types.ObjectId, 
@@ -24,12 +39,23 @@ const teacherSessionReflectionSchema = new mongoose.Schema({
     challengesFaced: { type: String, trim: true, maxlength: 500 },
     improvementsForNextSession: { type: String, trim: true, maxlength: 500 },
     
+    // Submitted -> Reviewed (an HOD reviewed it) -> ActionTaken (the teacher
+    // acknowledged the review and completed every action item). A new review
+    // moves it back to Reviewed.
     status: {
         type: String,
         enum: ['Submitted', 'Reviewed', 'ActionTaken'],
         default: 'Submitted'
-    }    
+    },
+    reviewComments: [reviewCommentSchema],
+    actionItems: [actionItemSchema],
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    acknowledgedAt: { type: Date }, // teacher acknowledged the latest review
 }, { timestamps: true });
 
+// HOD review queue
+teacherSessionReflectionSchema.index({ status: 1, createdAt: 1 });
+
 const TeacherSessionReflection = mongoose.model("TeacherSessionReflection", teacherSessionReflectionSchema);
 export default TeacherSessionReflection;
\ No newline at end of file
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/; // "HH:mm", 24-hour
+
+// One weekly class in a term's timetable: a subject taught to a section by a
+// teacher on a weekday, in a room. Sessions started for it link back through
+// ClassSession.timetableSlot.
+const timetableSlotSchema = new mongoose.Schema({
+    term: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AcademicTerm',
+        required: true,
+    },
+    teacher: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Subject',
+        required: true,
+    },
+    batch: {
+        type: Number,
+        required: true,
+    },
+    semester: {
+        type: Number,
+        required: true,
+    },
+    section: {
+        type: String,
+        enum: ['A', 'B'],
+        required: true,
+    },
+    dayOfWeek: { // 0 = Sunday ... 6 = Saturday
+        type: Number,
+        min: 0,
+        max: 6,
+        required: true,
+    },
+    startTime: { type: String, match: TIME_PATTERN, required: true },
+    endTime: { type: String, match: TIME_PATTERN, required: true },
+    room: { type: String, trim: true },
+    type: {
+        type: String,
+        enum: ['Theory', 'Lab'],
+        default: 'Theory',
+    },
+    // What happens at slot time: nothing ('manual'), a reminder to start the
+    // session ('suggest'), or the session is created automatically ('auto')
+    sessionMode: {
+        type: String,
+        enum: ['manual', 'suggest', 'auto'],
+        default: 'suggest',
+    },
+    // Start of the last occurrence the scheduler handled, so each occurrence
+    // is suggested/created once even with several app instances
+    lastTriggeredFor: { type: Date },
+    // Removed slots are kept so past occurrences still show in reports
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    removedAt: { type: Date },
+}, { timestamps: true });
+
+timetableSlotSchema.index({ term: 1, dayOfWeek: 1, isActive: 1 });
+timetableSlotSchema.index({ teacher: 1, isActive: 1 });
+timetableSlotSchema.index({ batch: 1, semester: 1, section: 1, isActive: 1 });
+
+const TimetableSlot = mongoose.model("TimetableSlot", timetableSlotSchema);
+export default TimetableSlot;
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+/**
+ * A direct-to-S3 multipart upload in progress.
+ * The File record is only created when the upload is completed; sessions that
+ * are never completed are aborted by the `abort-stale-uploads` scheduler job.
+ */
+const uploadSessionSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+    s3Key: { type: String, required: true },
+    uploadId: { type: String, required: true },
+
+    fileName: { type: String, required: true },
+    fileType: { type: String, required: true },
+    size: { type: Number, required: true, min: 1 }, // declared by the client, verified on complete
+    parentId: { type: Schema.Types.ObjectId, ref: 'File', default: null },
+
+    partSize: { type: Number, required: true },
+    partCount: { type: Number, required: true },
+
+    status: { type: String, enum: ['pending', 'completed', 'aborted'], default: 'pending' },
+    expiresAt: { type: Date, required: true },
+    file: { type: Schema.Types.ObjectId, ref: 'File', default: null }, // set on complete
+  },
+  { timestamps: true }
+);
+
+// User's open uploads (also counted against the quota)
+uploadSessionSchema.index({ user: 1, status: 1 });
+// Stale upload cleanup
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
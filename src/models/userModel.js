@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { NOTIFICATION_CHANNELS, DIGEST_FREQUENCIES } from "../constants/notifications.js";
 
 // --- Constants ---
 export const RolesEnum = [ 'user' ,'student', 'teacher', 'admin', 'hod'];
@@ -42,6 +43,18 @@ const userSchema = mongoose.Schema(
       isDiscoverable: { type: Boolean, default: true },
       canRecieveMessages: { type: Boolean, default: true },
       canRecieveFiles: { type: Boolean, default: true },
+      notifications: {
+        // Per notification type: 'in_app' | 'email' | 'none' (missing types default to 'in_app')
+        channels: {
+          type: Map,
+          of: { type: String, enum: NOTIFICATION_CHANNELS },
+          default: {},
+        },
+        digest: {
+          frequency: { type: String, enum: DIGEST_FREQUENCIES, default: 'daily' },
+          lastSentAt: { type: Date },
+        },
+      },
     },
 
     // --- Core Status ---
@@ -111,6 +124,11 @@ const userSchema = mongoose.Schema(
       enrolledSubjects: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Subject' }],
+      // Device bound on the first code mark in a session with device binding
+      attendanceDeviceId: { type: String },
+      attendanceDeviceBoundAt: { type: Date },
+      // Faculty mentor, copied on attendance alerts
+      mentor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     },
     
     teacherDetails: {
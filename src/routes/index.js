@@ -52,11 +52,23 @@ import aiRoutes from '../api/ai/routes/ai.routes.js';
 // Admin module (refactored - Phase 0)
 import adminRoutes from '../api/admin/routes/admin.routes.js';
 
-// Example future refactorings:
-// import academicsRoutes from '../api/academics/routes/materials.routes.js';
-// import assignmentsRoutes from '../api/assignments/routes/assignments.routes.js';
-// import submissionsRoutes from '../api/assignments/routes/submissions.routes.js';
-// import attendanceRoutes from '../api/attendance/routes/attendance.routes.js';
+// Jobs module (background job status)
+import jobsRoutes from '../api/jobs/routes/jobs.routes.js';
+
+// Notifications module (in-app notification center)
+import notificationsRoutes from '../api/notifications/routes/notifications.routes.js';
+
+// Assignments module (assignments & student submissions)
+import assignmentsRoutes from '../api/assignments/routes/assignments.routes.js';
+
+// Academics module (study materials library)
+import academicsRoutes from '../api/academics/academics.routes.js';
+
+// Attendance module (class sessions, code marking, stats)
+import attendanceRoutes from '../api/attendance/attendance.routes.js';
+
+// Feedback module (student feedback forms & teacher reflections)
+import feedbackRoutes from '../api/feedback/feedback.routes.js';
 
 /**
  * Mount all routes to the Express app
@@ -107,12 +119,25 @@ export const mountRoutes = (app) => {
     // Tasks module (refactored) ✅
     app.use('/api/tasks', tasksRoutes);        // Task management
     
+    // Jobs module ✅
+    app.use('/api/jobs', jobsRoutes);          // Background job status polling
+    
+    // Notifications module ✅
+    app.use('/api/notifications', notificationsRoutes); // In-app notification center
+    
+    // Assignments module ✅
+    app.use('/api/assignments', assignmentsRoutes); // Assignments & submissions
+    
+    // Academics module ✅
+    app.use('/api/academics', academicsRoutes);    // Study materials library
+    
+    // Attendance module ✅
+    app.use('/api/attendance', attendanceRoutes);  // Class sessions & attendance marking
+    
+    // Feedback module ✅
+    app.use('/api/feedback', feedbackRoutes);      // Session feedback & reflections
+
     // Mount additional refactored domain routes here as we create them
-    // Example:
-    // app.use('/api/academics', academicsRoutes);
-    // app.use('/api/assignments', assignmentsRoutes);
-    // app.use('/api/submissions', submissionsRoutes);
-    // app.use('/api/attendance', attendanceRoutes);
 
     // 404 handler for undefined routes
     app.use((req, res) => {
@@ -0,0 +1,326 @@
+/**
+ * Table Export
+ *
+ * Streams a table to a writable stream (usually an HTTP response) as CSV,
+ * XLSX or PDF. Rows are read from an async iterable and written as they
+ * arrive, so large tables are never held in memory.
+ *
+ * A table is:
+ * - title, subtitle, notes: text above the table (XLSX and PDF)
+ * - fileName: download name without extension
+ * - columns: [{ header, shortHeader?, width, key?, align? }]
+ *   width is in characters; key columns identify a row: they are frozen in
+ *   XLSX and repeated on every page of columns in PDF
+ * - rows: () => AsyncIterable<Array> of cell values (string, number, null).
+ *   A function, because the PDF writer reads the rows once for each group of
+ *   columns that fits across a page.
+ */
+
+import { PassThrough } from 'stream';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full
+ */
+const write = (stream, chunk) => {
+  if (stream.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Export stream closed before the export finished')); };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+  });
+};
+
+/**
+ * Wait until a stream that is being piped into has drained
+ */
+const waitForDrain = (stream) => (stream.writableNeedDrain
+  ? new Promise((resolve, reject) => {
+    stream.once('drain', resolve);
+    stream.once('close', () => reject(new Error('Export stream closed before the export finished')));
+  })
+  : Promise.resolve());
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * CSV cell. Text that a spreadsheet would read as a formula is prefixed with
+ * an apostrophe.
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (cells) => `${cells.map(csvCell).join(',')}\r\n`;
+
+const writeCsv = async (output, table) => {
+  // BOM so spreadsheet apps read the file as UTF-8
+  await write(output, `\uFEFF${csvLine(table.columns.map(c => c.header))}`);
+
+  for await (const row of table.rows()) {
+    await write(output, csvLine(row));
+  }
+
+  output.end();
+};
+
+// ============================================================================
+// XLSX (SpreadsheetML parts zipped with archiver; cells are inline strings so
+// the sheet can be written row by row)
+// ============================================================================
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+const xmlEscape = (value) => String(value)
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+const xlsxCell = (value, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return `<c${s}/>`;
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c${s}><v>${value}</v></c>`;
+  return `<c t="inlineStr"${s}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+};
+
+const xlsxRow = (cells, style = 0) => `<row>${cells.map(value => xlsxCell(value, style)).join('')}</row>`;
+
+const XLSX_STYLES = `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">`
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+  + '</styleSheet>';
+
+const xlsxStaticParts = (sheetName) => ({
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>`
+    + '</Relationships>',
+  'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">`
+    + `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="${PKG_REL_NS}">`
+    + `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>`
+    + `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>`
+    + '</Relationships>',
+  'xl/styles.xml': XLSX_STYLES,
+});
+
+const writeXlsx = async (output, table) => {
+  const archiver = (await import('archiver')).default;
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const failed = new Promise((resolve, reject) => archive.on('error', reject));
+
+  archive.pipe(output);
+
+  // Sheet names: at most 31 characters, none of []:*?/\
+  const sheetName = (table.sheetName || table.title || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+  Object.entries(xlsxStaticParts(sheetName)).forEach(([name, content]) => archive.append(content, { name }));
+
+  const sheet = new PassThrough();
+  archive.append(sheet, { name: 'xl/worksheets/sheet1.xml' });
+  // Stop writing rows if the client goes away
+  output.once('close', () => sheet.destroy());
+  const finalized = archive.finalize();
+
+  const heading = [table.title, table.subtitle, table.notes].filter(Boolean);
+  const headerRow = heading.length + (heading.length ? 2 : 1); // blank row after the heading
+  const frozenColumns = table.columns.filter(c => c.key).length;
+  const topLeftCell = `${columnLetter(frozenColumns)}${headerRow + 1}`;
+
+  await write(sheet, `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">`
+    + `<sheetViews><sheetView workbookViewId="0"><pane${frozenColumns ? ` xSplit="${frozenColumns}"` : ''} ySplit="${headerRow}" topLeftCell="${topLeftCell}" activePane="bottomRight" state="frozen"/></sheetView></sheetViews>`
+    + `<cols>${table.columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.width || 10}" customWidth="1"/>`).join('')}</cols>`
+    + '<sheetData>');
+
+  for (const [index, line] of heading.entries()) {
+    await write(sheet, xlsxRow([line], index === 0 ? 1 : 0));
+  }
+  if (heading.length) await write(sheet, '<row/>');
+  await write(sheet, xlsxRow(table.columns.map(c => c.header), 1));
+
+  for await (const row of table.rows()) {
+    await write(sheet, xlsxRow(row));
+  }
+
+  sheet.end('</sheetData></worksheet>');
+  await Promise.race([finalized, failed]);
+};
+
+// ============================================================================
+// PDF (landscape A4; columns that do not fit across a page continue on the
+// following pages with the key columns repeated)
+// ============================================================================
+
+const PDF_MARGIN = 30;
+const PDF_FONT_SIZE = 7;
+const PDF_ROW_HEIGHT = 11;
+const PDF_CHAR_WIDTH = 3.8; // average Helvetica glyph width at 7pt
+
+const writePdf = async (output, table) => {
+  const PDFDocument = (await import('pdfkit')).default;
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN, autoFirstPage: false });
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    doc.on('error', reject);
+  });
+  doc.pipe(output);
+
+  const widthOf = (column) => Math.max(column.width || 10, 3) * PDF_CHAR_WIDTH;
+  const pageWidth = 841.89 - 2 * PDF_MARGIN;
+  const pageBottom = 595.28 - PDF_MARGIN;
+
+  // Split the other columns into groups that fit next to the key columns
+  const keyColumns = table.columns.filter(c => c.key);
+  const keyWidth = keyColumns.reduce((sum, c) => sum + widthOf(c), 0);
+  const groups = [];
+  table.columns.forEach((column, index) => {
+    if (column.key) return;
+    const last = groups[groups.length - 1];
+    const used = last ? last.reduce((sum, i) => sum + widthOf(table.columns[i]), keyWidth) : Infinity;
+    if (last && used + widthOf(column) <= pageWidth) last.push(index);
+    else groups.push([index]);
+  });
+  if (groups.length === 0) groups.push([]);
+
+  const keyIndexes = table.columns.map((c, i) => (c.key ? i : -1)).filter(i => i >= 0);
+
+  const drawRow = (cells, indexes, y, { header = false } = {}) => {
+    let x = PDF_MARGIN;
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(PDF_FONT_SIZE);
+    indexes.forEach((i) => {
+      const column = table.columns[i];
+      const width = widthOf(column);
+      const value = cells[i];
+      doc.text(value === null || value === undefined ? '' : String(value), x + 1, y + 2, {
+        width: width - 2,
+        height: header ? PDF_ROW_HEIGHT * 2 : PDF_ROW_HEIGHT,
+        align: column.align || 'left',
+        ellipsis: true,
+        lineGap: 0,
+      });
+      x += width;
+    });
+    return x;
+  };
+
+  for (const [groupIndex, group] of groups.entries()) {
+    const indexes = [...keyIndexes, ...group];
+    const headerCells = table.columns.map(c => c.shortHeader || c.header);
+    let y;
+
+    const startPage = (first) => {
+      doc.addPage();
+      y = PDF_MARGIN;
+      if (first) {
+        doc.font('Helvetica-Bold').fontSize(12).text(table.title || '', PDF_MARGIN, y);
+        y = doc.y + 2;
+        const lines = [
+          table.subtitle,
+          table.notes,
+          groups.length > 1 ? `Columns part ${groupIndex + 1} of ${groups.length}` : null,
+        ].filter(Boolean);
+        lines.forEach((line) => {
+          doc.font('Helvetica').fontSize(8).text(line, PDF_MARGIN, y);
+          y = doc.y + 1;
+        });
+        y += 6;
+      }
+      const right = drawRow(headerCells, indexes, y, { header: true });
+      y += PDF_ROW_HEIGHT * 2 + 2;
+      doc.moveTo(PDF_MARGIN, y - 1).lineTo(right, y - 1).lineWidth(0.5).stroke();
+    };
+
+    startPage(true);
+
+    for await (const row of table.rows()) {
+      if (y + PDF_ROW_HEIGHT > pageBottom) {
+        await waitForDrain(output);
+        startPage(false);
+      }
+      drawRow(row, indexes, y);
+      y += PDF_ROW_HEIGHT;
+    }
+  }
+
+  doc.end();
+  await finished;
+};
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+const WRITERS = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdf };
+
+/**
+ * Stream a table as a file download
+ * @param {Object} res - Express response (or any writable with setHeader)
+ * @param {string} format - 'csv' | 'xlsx' | 'pdf'
+ * @param {Object} table - See the module comment
+ */
+export const streamTable = async (res, format, table) => {
+  const fileName = `${String(table.fileName || 'export').replace(/[^\w.-]+/g, '-')}.${format}`;
+
+  if (typeof res.setHeader === 'function') {
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  }
+
+  await WRITERS[format](res, table);
+};
+
+/**
+ * Wrap an array of rows for streamTable
+ * @param {Array} rows - Rows of cell values
+ * @returns {Function} rows() for a table
+ */
+export const fromArray = (rows) => async function* arrayRows() {
+  yield* rows;
+};
+
+export default { EXPORT_FORMATS, streamTable, fromArray };
@@ -0,0 +1,28 @@
+/**
+ * Conversation history helpers
+ *
+ * Clients keep the history of an AI planning conversation and send it back
+ * with every refinement. It is exchanged in the Gemini `contents` format:
+ * [{ role: 'user' | 'model', parts: [{ text }] }]. Providers work on plain
+ * turns ({ role, text }) and convert to their own format.
+ */
+
+/**
+ * Plain turns from a client history. Also accepts { role, content } turns
+ * and the `assistant` role of OpenAI-style histories.
+ * @param {Array} [history=[]] - Client history
+ * @returns {Array<{ role: string, text: string }>}
+ */
+export const toTurns = (history = []) => history.map((turn) => ({
+  role: turn.role === 'user' ? 'user' : 'model',
+  text: Array.isArray(turn.parts)
+    ? turn.parts.map((part) => part.text || '').join('')
+    : String(turn.content ?? ''),
+}));
+
+/**
+ * Client history (Gemini `contents`) from plain turns
+ * @param {Array<{ role: string, text: string }>} turns
+ * @returns {Array}
+ */
+export const toHistory = (turns) => turns.map(({ role, text }) => ({ role, parts: [{ text }] }));
@@ -0,0 +1,84 @@
+import { createGeminiProvider } from './providers/gemini.provider.js';
+import { createOpenAIProvider } from './providers/openai.provider.js';
+import { createMockProvider } from './providers/mock.provider.js';
+import { toTurns, toHistory } from './history.js';
+
+/**
+ * LLM Provider Layer
+ *
+ * One interface over the language model backends, selected by LLM_PROVIDER:
+ * - `gemini` (default): Google Gemini
+ * - `openai`: any OpenAI-compatible HTTP server, including local ones
+ * - `mock`: deterministic fixtures, no network
+ *
+ * Every provider implements:
+ * - chat({ turns, json }) → reply text; turns are [{ role, text }] ending
+ *   with the user's message
+ * - generate({ prompt, json }) → text
+ * - embed(texts) → one vector per text
+ * `json` asks for JSON output where the backend supports it.
+ */
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAIProvider,
+  mock: createMockProvider,
+};
+
+let provider = null;
+
+/**
+ * Name of the configured provider
+ * @returns {string}
+ */
+export const getProviderName = () => process.env.LLM_PROVIDER || 'gemini';
+
+/**
+ * The configured provider, created on first use
+ * @returns {Object} Provider
+ */
+export const getLLMProvider = () => {
+  const name = getProviderName();
+  if (provider?.name === name) return provider;
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  provider = PROVIDERS[name]();
+  return provider;
+};
+
+/**
+ * Drop the provider so the next call reads the configuration again
+ * (for tests changing LLM_* variables)
+ */
+export const resetLLMProvider = () => {
+  provider = null;
+};
+
+/**
+ * Send a message in a conversation
+ * @param {Object} options - { history, message, json }
+ * @param {Array} [options.history=[]] - Previous turns, Gemini `contents` format
+ * @returns {Promise<{ text: string, history: Array }>} Reply and the history including it
+ */
+export const chat = async ({ history = [], message, json = false }) => {
+  const turns = [...toTurns(history), { role: 'user', text: message }];
+  const text = await getLLMProvider().chat({ turns, json });
+
+  return { text, history: toHistory([...turns, { role: 'model', text }]) };
+};
+
+/**
+ * Single-prompt generation
+ * @param {Object} options - { prompt, json }
+ * @returns {Promise<string>}
+ */
+export const generate = ({ prompt, json = false }) => getLLMProvider().generate({ prompt, json });
+
+/**
+ * Embed texts
+ * @param {Array<string>} texts
+ * @returns {Promise<Array<Array<number>>>}
+ */
+export const embed = (texts) => getLLMProvider().embed(texts);
@@ -0,0 +1,56 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { toHistory } from '../history.js';
+
+/**
+ * Google Gemini provider
+ *
+ * The client is created on first use, so the provider can be selected and
+ * the app started without GEMINI_API_KEY; calls fail until it is set.
+ * @param {Object} [config] - { apiKey, model, embeddingModel }, defaulting to
+ *   GEMINI_API_KEY, GEMINI_MODEL and GEMINI_EMBEDDING_MODEL
+ * @returns {Object} Provider
+ */
+export const createGeminiProvider = (config = {}) => {
+  const apiKey = config.apiKey ?? process.env.GEMINI_API_KEY;
+  const modelName = config.model ?? process.env.GEMINI_MODEL;
+  const embeddingModelName = config.embeddingModel ?? process.env.GEMINI_EMBEDDING_MODEL ?? 'text-embedding-004';
+
+  let client;
+  const getClient = () => {
+    if (!client) {
+      if (!apiKey || !modelName) {
+        throw new Error('GEMINI_API_KEY and GEMINI_MODEL must be set to use the Gemini provider');
+      }
+      client = new GoogleGenerativeAI(apiKey);
+    }
+    return client;
+  };
+
+  const getModel = (json) => getClient().getGenerativeModel({
+    model: modelName,
+    ...(json && { generationConfig: { responseMimeType: 'application/json' } }),
+  });
+
+  return {
+    name: 'gemini',
+
+    async chat({ turns, json }) {
+      const chat = getModel(json).startChat({ history: toHistory(turns.slice(0, -1)) });
+      const result = await chat.sendMessage(turns[turns.length - 1].text);
+      return result.response.text();
+    },
+
+    async generate({ prompt, json }) {
+      const result = await getModel(json).generateContent(prompt);
+      return result.response.text();
+    },
+
+    async embed(texts) {
+      const model = getClient().getGenerativeModel({ model: embeddingModelName });
+      const result = await model.batchEmbedContents({
+        requests: texts.map((text) => ({ content: { role: 'user', parts: [{ text }] } })),
+      });
+      return result.embeddings.map((embedding) => embedding.values);
+    },
+  };
+};
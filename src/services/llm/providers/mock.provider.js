@@ -0,0 +1,66 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+const EMBEDDING_DIMENSIONS = 16;
+
+/**
+ * Unit vector derived from a hash of the text: equal texts get equal
+ * embeddings, nothing more
+ */
+const embedText = (text) => {
+  const hash = createHash('sha256').update(text).digest();
+  const vector = Array.from({ length: EMBEDDING_DIMENSIONS }, (_, i) => hash[i * 2] / 127.5 - 1);
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+  return vector.map((x) => x / norm);
+};
+
+/**
+ * Deterministic fixture-based provider, for tests and offline development
+ *
+ * Fixtures are JSON files `{ "match": ["keyword", ...], "response": ... }`
+ * read in file name order. A prompt gets the response of the first fixture
+ * with a keyword it contains (case-insensitive); a fixture without `match`
+ * is the fallback. Object responses are returned as JSON text.
+ * @param {Object} [config] - { fixturesDir }, defaulting to LLM_MOCK_FIXTURES
+ *   and then the bundled fixtures
+ * @returns {Object} Provider
+ */
+export const createMockProvider = (config = {}) => {
+  const fixturesDir = config.fixturesDir ?? process.env.LLM_MOCK_FIXTURES ?? DEFAULT_FIXTURES_DIR;
+
+  const fixtures = fs.readdirSync(fixturesDir)
+    .filter((file) => file.endsWith('.json'))
+    .sort()
+    .map((file) => JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')));
+
+  const respond = (prompt) => {
+    const text = prompt.toLowerCase();
+    const fixture = fixtures.find((f) => (f.match || []).some((keyword) => text.includes(keyword.toLowerCase())))
+      || fixtures.find((f) => !f.match?.length);
+
+    if (!fixture) {
+      throw new Error(`No mock LLM fixture in ${fixturesDir} matches the prompt`);
+    }
+    return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+  };
+
+  return {
+    name: 'mock',
+
+    async chat({ turns }) {
+      return respond(turns[turns.length - 1].text);
+    },
+
+    async generate({ prompt }) {
+      return respond(prompt);
+    },
+
+    async embed(texts) {
+      return texts.map(embedText);
+    },
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * OpenAI-compatible provider
+ *
+ * Talks to any server implementing the OpenAI `/chat/completions` and
+ * `/embeddings` endpoints: OpenAI itself, or local servers such as Ollama,
+ * llama.cpp, vLLM and LM Studio. Uses the global fetch, no SDK.
+ * @param {Object} [config] - { baseUrl, apiKey, model, embeddingModel,
+ *   timeoutMs, jsonMode }, defaulting to LLM_BASE_URL, LLM_API_KEY,
+ *   LLM_MODEL, LLM_EMBEDDING_MODEL, LLM_TIMEOUT_MS and LLM_JSON_MODE
+ * @returns {Object} Provider
+ */
+export const createOpenAIProvider = (config = {}) => {
+  const baseUrl = (config.baseUrl ?? process.env.LLM_BASE_URL ?? 'http://localhost:11434/v1').replace(/\/+$/, '');
+  const apiKey = config.apiKey ?? process.env.LLM_API_KEY;
+  const model = config.model ?? process.env.LLM_MODEL;
+  const embeddingModel = config.embeddingModel ?? process.env.LLM_EMBEDDING_MODEL ?? model;
+  const timeoutMs = config.timeoutMs ?? (parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000);
+  // Some local servers reject `response_format`; the prompts ask for JSON anyway
+  const jsonMode = config.jsonMode ?? process.env.LLM_JSON_MODE !== 'false';
+
+  const post = async (path, body) => {
+    if (!model) {
+      throw new Error('LLM_MODEL must be set to use the OpenAI-compatible provider');
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`LLM request to ${path} failed with status ${response.status}: ${detail.slice(0, 200)}`);
+    }
+
+    return response.json();
+  };
+
+  const complete = async (messages, json) => {
+    const data = await post('/chat/completions', {
+      model,
+      messages,
+      ...(json && jsonMode && { response_format: { type: 'json_object' } }),
+    });
+    return data.choices?.[0]?.message?.content ?? '';
+  };
+
+  return {
+    name: 'openai',
+
+    chat({ turns, json }) {
+      return complete(
+        turns.map(({ role, text }) => ({ role: role === 'model' ? 'assistant' : 'user', content: text })),
+        json
+      );
+    },
+
+    generate({ prompt, json }) {
+      return complete([{ role: 'user', content: prompt }], json);
+    },
+
+    async embed(texts) {
+      const data = await post('/embeddings', { model: embeddingModel, input: texts });
+      return [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map((item) => item.embedding);
+    },
+  };
+};
@@ -0,0 +1,166 @@
+/**
+ * Job Queue Handlers
+ *
+ * Handlers for the job types processed by the queue worker. Each handler
+ * receives the claimed Job document and a `progress(percent, message)`
+ * callback; its return value is stored as `job.result`.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { registerHandler } from './queue.service.js';
+import File from '../../models/fileModel.js';
+import User from '../../models/userModel.js';
+import { writeFolderZip } from '../zip.service.js';
+import { uploadObject } from '../s3/s3.service.js';
+import { buildKey } from '../s3/keybuilder.js';
+import { getDescendantFilesService } from '../../api/files/services/file.service.js';
+import { bulkPurgeService } from '../../api/trash/services/trash.service.js';
+import { shareFileWithClassService } from '../../api/shares/services/shares.service.js';
+
+export const JOB_TYPES = {
+  FOLDER_ZIP: 'folder-zip',
+  BULK_PURGE: 'bulk-purge',
+  BULK_CLASS_SHARE: 'bulk-class-share',
+};
+
+/** S3 context used for generated export archives */
+export const EXPORT_CONTEXT = 'exports';
+
+const PURGE_CHUNK_SIZE = 10;
+
+/**
+ * Build a ZIP of a folder in a temp file and upload it to S3.
+ * Result: { s3Key, fileName, size, fileCount }
+ */
+const folderZipHandler = async (job, { progress }) => {
+  const { folderId } = job.meta || {};
+
+  const user = await User.findById(job.user);
+  if (!user) throw new Error('User not found.');
+
+  const parentFolder = await File.findById(folderId).select('_id fileName path').lean();
+  if (!parentFolder) throw new Error('Folder not found.');
+
+  const files = (await getDescendantFilesService(folderId, user._id, user)).filter((f) => !f.isFolder);
+  if (files.length === 0) throw new Error('Folder is empty. Cannot download an empty folder.');
+
+  const fileName = `${parentFolder.fileName || 'folder'}.zip`;
+  const tmpPath = path.join(os.tmpdir(), `folder-zip-${job._id}.zip`);
+
+  try {
+    const output = fs.createWriteStream(tmpPath);
+    const closed = once(output, 'close');
+
+    // Archiving is ~90% of the work; uploading is the rest
+    let lastPercent = 0;
+    await writeFolderZip(output, parentFolder, files, {
+      onProgress: (processed, total) => {
+        const percent = Math.floor((processed / total) * 90);
+        if (percent - lastPercent >= 5) {
+          lastPercent = percent;
+          progress(percent, `Archived ${processed} of ${total} files`).catch(() => {});
+        }
+      },
+    });
+    await closed;
+
+    const { size } = await fs.promises.stat(tmpPath);
+    await progress(90, 'Uploading archive');
+
+    const s3Key = buildKey({
+      context: EXPORT_CONTEXT,
+      ownerId: String(job.user),
+      filename: fileName,
+      mimetype: 'application/zip',
+    });
+    await uploadObject({
+      key: s3Key,
+      body: fs.createReadStream(tmpPath),
+      contentType: 'application/zip',
+      contentLength: size,
+    });
+
+    return { s3Key, fileName, size, fileCount: files.length };
+  } finally {
+    await fs.promises.rm(tmpPath, { force: true });
+  }
+};
+
+/**
+ * Permanently delete trashed files in chunks.
+ * Files already purged by an earlier attempt are skipped, so retries are safe.
+ * Result: { purgedCount, s3KeysDeleted }
+ */
+const bulkPurgeHandler = async (job, { progress }) => {
+  const fileIds = job.meta?.fileIds || [];
+
+  const remaining = await File.find({ _id: { $in: fileIds }, user: job.user, isDeleted: true })
+    .select('_id')
+    .lean();
+  const ids = remaining.map((f) => String(f._id));
+
+  let purgedCount = 0;
+  let s3KeysDeleted = 0;
+
+  for (let i = 0; i < ids.length; i += PURGE_CHUNK_SIZE) {
+    const chunk = ids.slice(i, i + PURGE_CHUNK_SIZE);
+    // A folder purged in an earlier chunk may already have removed later ids
+    const stillThere = await File.find({ _id: { $in: chunk }, isDeleted: true }).distinct('_id');
+    if (stillThere.length > 0) {
+      const result = await bulkPurgeService(stillThere.map(String), job.user);
+      purgedCount += result.purgedCount;
+      s3KeysDeleted += result.s3KeysDeleted;
+    }
+    await progress(((i + chunk.length) / ids.length) * 100, `Purged ${i + chunk.length} of ${ids.length} items`);
+  }
+
+  return {
+    message: `${purgedCount} items permanently deleted`,
+    purgedCount,
+    s3KeysDeleted,
+  };
+};
+
+/**
+ * Share many files with the same class(es).
+ * Per-file failures are collected instead of failing the whole job.
+ * Result: { totalFiles, succeeded, failed, results }
+ */
+const bulkClassShareHandler = async (job, { progress }) => {
+  const { fileIds = [], classShares = [], description = null } = job.meta || {};
+
+  const results = [];
+  for (let i = 0; i < fileIds.length; i += 1) {
+    const fileId = fileIds[i];
+    try {
+      const result = await shareFileWithClassService(fileId, job.user, classShares, description);
+      results.push({ fileId, success: true, newShares: result.newShares, updatedShares: result.updatedShares });
+    } catch (err) {
+      results.push({ fileId, success: false, error: err.message });
+    }
+    await progress(((i + 1) / fileIds.length) * 100, `Shared ${i + 1} of ${fileIds.length} files`);
+  }
+
+  const succeeded = results.filter((r) => r.success).length;
+
+  return {
+    totalFiles: fileIds.length,
+    succeeded,
+    failed: fileIds.length - succeeded,
+    results,
+  };
+};
+
+/**
+ * Register all built-in handlers. Safe to call more than once.
+ */
+export const registerDefaultHandlers = () => {
+  registerHandler(JOB_TYPES.FOLDER_ZIP, folderZipHandler);
+  registerHandler(JOB_TYPES.BULK_PURGE, bulkPurgeHandler);
+  registerHandler(JOB_TYPES.BULK_CLASS_SHARE, bulkClassShareHandler);
+};
+
+export default { JOB_TYPES, EXPORT_CONTEXT, registerDefaultHandlers };
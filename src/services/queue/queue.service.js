@@ -0,0 +1,298 @@
+/**
+ * Persistent Job Queue
+ *
+ * Long-running work (folder ZIP export, bulk purge, bulk class share) is
+ * written to the Job collection and processed by an in-process worker
+ * instead of inside the HTTP request. Any number of API instances can run a
+ * worker: jobs are claimed with a single atomic findOneAndUpdate, failed
+ * attempts are retried with exponential backoff, and progress/completion is
+ * pushed to the owner's socket room.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import Job from '../../models/jobModel.js';
+import { emitToUser } from '../../api/_common/socket/sessionRegistry.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('JobQueue');
+
+const DEFAULT_POLL_MS = 2000;
+const DEFAULT_BACKOFF_MS = 5000;
+// A processing job whose lock is older than this is assumed abandoned (worker crashed)
+const STALE_LOCK_MS = 15 * 60 * 1000;
+
+/** Socket events emitted to the job owner */
+export const JOB_EVENTS = {
+  PROGRESS: 'job:progress',
+  COMPLETED: 'job:completed',
+  FAILED: 'job:failed',
+};
+
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// type -> async (job, { progress }) => result
+const handlers = new Map();
+let pollTimer = null;
+let activeCount = 0;
+let concurrencyLimit = 1;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, { progress }) => result
+ */
+export const registerHandler = (type, handler) => {
+  if (typeof handler !== 'function') {
+    throw new Error(`Handler for job type "${type}" must be a function`);
+  }
+  handlers.set(type, handler);
+};
+
+/**
+ * Remove a handler (used by tests)
+ */
+export const unregisterHandler = (type) => handlers.delete(type);
+
+/**
+ * Public shape of a job returned to clients
+ */
+export const serializeJob = (job) => ({
+  id: job._id,
+  type: job.type,
+  status: job.status,
+  progress: job.progress,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  result: job.result,
+  error: job.error,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  finishedAt: job.finishedAt,
+});
+
+/**
+ * Add a job to the queue
+ * @param {Object} options
+ * @param {string} options.type - Registered job type
+ * @param {string} options.user - Owner user ID
+ * @param {string} [options.folderId] - Related folder, if any
+ * @param {Object} [options.meta] - Handler input
+ * @param {number} [options.maxAttempts=3]
+ * @returns {Promise<Object>} The created Job document
+ */
+export const enqueueJob = async ({ type, user, folderId, meta = {}, maxAttempts = 3 }) => {
+  if (!handlers.has(type)) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+
+  const job = await Job.create({ type, user, folderId, meta, maxAttempts, runAt: new Date() });
+
+  // Nudge the worker so short jobs don't wait for the next poll
+  if (pollTimer) setImmediate(poll);
+
+  return job;
+};
+
+const STALE_ERROR = 'Worker stopped while processing the job';
+
+/**
+ * Fail processing jobs whose worker lock went stale with no attempts left,
+ * e.g. jobs that keep killing their worker (out of memory)
+ * @param {Date} staleBefore - Locks older than this are stale
+ * @returns {Promise<number>} Jobs failed
+ */
+export const failExhaustedJobs = async (staleBefore) => {
+  const filter = {
+    type: { $in: Array.from(handlers.keys()) },
+    status: 'processing',
+    lockedAt: { $lte: staleBefore },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] },
+  };
+  let failed = 0;
+
+  // One at a time, so two workers never fail (and report) the same job
+  for (;;) {
+    const job = await Job.findOneAndUpdate(
+      filter,
+      { $set: { status: 'failed', finishedAt: new Date(), lockedAt: null, lockedBy: null, error: STALE_ERROR } },
+      { new: true }
+    );
+    if (!job) return failed;
+
+    failed += 1;
+    logger.error(`Job ${job._id} (${job.type}) failed permanently`, { error: job.error });
+    emitToUser(job.user, JOB_EVENTS.FAILED, serializeJob(job));
+  }
+};
+
+/**
+ * Atomically claim the next runnable job.
+ * Picks queued jobs whose backoff has elapsed, or processing jobs whose
+ * worker lock went stale and that have attempts left (the others are
+ * failed first).
+ * @returns {Promise<Object|null>}
+ */
+export const claimNextJob = async () => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_LOCK_MS);
+
+  await failExhaustedJobs(staleBefore);
+
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: Array.from(handlers.keys()) },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        {
+          status: 'processing',
+          lockedAt: { $lte: staleBefore },
+          $expr: { $lt: ['$attempts', '$maxAttempts'] },
+        },
+      ],
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: WORKER_ID, error: null },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Persist and broadcast job progress
+ * @param {Object} job - Job document
+ * @param {number} percent - 0..100
+ * @param {string} [message]
+ */
+export const updateJobProgress = async (job, percent, message = null) => {
+  const clamped = Math.max(0, Math.min(100, Math.round(percent)));
+  job.progress = { percent: clamped, message };
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: WORKER_ID },
+    { $set: { progress: job.progress, lockedAt: new Date() } }
+  );
+
+  emitToUser(job.user, JOB_EVENTS.PROGRESS, { jobId: job._id, type: job.type, progress: job.progress });
+};
+
+/**
+ * Backoff before the next attempt: base * 2^(attempt-1)
+ */
+export const getBackoffMs = (attempts, baseMs = DEFAULT_BACKOFF_MS) => baseMs * 2 ** Math.max(0, attempts - 1);
+
+/**
+ * Run a claimed job through its handler and record the outcome
+ * @param {Object} job - Claimed Job document
+ * @returns {Promise<Object>} The updated Job document
+ */
+export const processJob = async (job) => {
+  const handler = handlers.get(job.type);
+
+  try {
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+
+    const result = await handler(job, {
+      progress: (percent, message) => updateJobProgress(job, percent, message),
+    });
+
+    job.status = 'done';
+    job.result = result ?? null;
+    job.progress = { percent: 100, message: job.progress?.message || null };
+    job.finishedAt = new Date();
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+
+    emitToUser(job.user, JOB_EVENTS.COMPLETED, serializeJob(job));
+  } catch (err) {
+    job.error = err?.message || String(err);
+    job.lockedAt = null;
+    job.lockedBy = null;
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = 'queued';
+      job.runAt = new Date(Date.now() + getBackoffMs(job.attempts));
+      logger.warn(`Job ${job._id} (${job.type}) failed, retrying`, { attempt: job.attempts, error: job.error });
+    } else {
+      job.status = 'failed';
+      job.finishedAt = new Date();
+      logger.error(`Job ${job._id} (${job.type}) failed permanently`, { error: job.error });
+    }
+    await job.save();
+
+    if (job.status === 'failed') {
+      emitToUser(job.user, JOB_EVENTS.FAILED, serializeJob(job));
+    }
+  }
+
+  return job;
+};
+
+/**
+ * Claim and process a single job, if any is runnable
+ * @returns {Promise<Object|null>} The processed job, or null when the queue is empty
+ */
+export const processNextJob = async () => {
+  const job = await claimNextJob();
+  if (!job) return null;
+  return processJob(job);
+};
+
+const poll = async () => {
+  while (activeCount < concurrencyLimit) {
+    activeCount += 1;
+    let job = null;
+    try {
+      job = await processNextJob();
+    } catch (err) {
+      logger.error('Job worker poll failed', { error: err.message });
+    } finally {
+      activeCount -= 1;
+    }
+    if (!job) break;
+  }
+};
+
+/**
+ * Start the background worker loop
+ * @param {Object} [options]
+ * @param {number} [options.pollMs] - Poll interval when the queue is idle
+ * @param {number} [options.concurrency] - Max jobs processed at once by this instance
+ */
+export const startWorker = ({ pollMs = DEFAULT_POLL_MS, concurrency = 1 } = {}) => {
+  if (pollTimer) return;
+  concurrencyLimit = Math.max(1, concurrency);
+
+  pollTimer = setInterval(poll, pollMs);
+  if (typeof pollTimer.unref === 'function') pollTimer.unref();
+
+  logger.info(`Job worker started (${handlers.size} types, concurrency ${concurrencyLimit}, worker ${WORKER_ID})`);
+};
+
+/**
+ * Stop the background worker loop (in-flight jobs finish normally)
+ */
+export const stopWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+export default {
+  JOB_EVENTS,
+  WORKER_ID,
+  registerHandler,
+  unregisterHandler,
+  serializeJob,
+  enqueueJob,
+  claimNextJob,
+  updateJobProgress,
+  getBackoffMs,
+  processJob,
+  processNextJob,
+  startWorker,
+  stopWorker,
+};
@@ -70,6 +70,7 @@ const getExtension = (filename, mimetype) => {
  * @param {string} options.ownerId - User/owner ID
  * @param {string} options.filename - Original filename
  * @param {string} options.mimetype - File MIME type
+ * @param {number} [options.version] - Version number for a new version of an existing file
  * @returns {string} Structured S3 key
  * 
  * @example
@@ -80,16 +81,20 @@ const getExtension = (filename, mimetype) => {
  *   mimetype: 'application/pdf'
  * })
  * // Returns: "production/personal/507f1f77bcf86cd799439011/2025/10/a3f8b9c2d1e4f5g6h7i8j9k0.pdf"
+ *
+ * buildKey({ ..., version: 3 })
+ * // Returns: "production/personal/507f1f77bcf86cd799439011/2025/10/a3f8b9c2d1e4f5g6h7i8j9k0.v3.pdf"
  */
-export const buildKey = ({ context, ownerId, filename, mimetype }) => {
+export const buildKey = ({ context, ownerId, filename, mimetype, version }) => {
     const now = new Date();
     const year = now.getFullYear();
     const month = String(now.getMonth() + 1).padStart(2, '0');
     
     const uuid = generateUUID();
     const ext = getExtension(filename, mimetype);
+    const versionSuffix = version ? `.v${version}` : '';
 
-    return `${ENV}/${context}/${ownerId}/${year}/${month}/${uuid}.${ext}`;
+    return `${ENV}/${context}/${ownerId}/${year}/${month}/${uuid}${versionSuffix}.${ext}`;
 };
 
 /**
@@ -2,7 +2,13 @@ import {
     S3Client, 
     PutObjectCommand, 
     DeleteObjectCommand,
-    GetObjectCommand 
+    GetObjectCommand,
+    HeadObjectCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
 } from "@aws-sdk/client-s3";
 import { getSignedUrl as awsGetSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { buildKey, buildAvatarKey } from './keybuilder.js';
@@ -13,6 +19,11 @@ const bucketRegion = process.env.AWS_S3_BUCKET_REGION;
 const accessKeyId = process.env.AWS_ACCESS_KEY_ID;
 const secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY;
 
+// Optional: point at an S3-compatible stand-in (MinIO, LocalStack) for local
+// development and tests. Such servers usually need path-style URLs.
+const endpoint = process.env.AWS_S3_ENDPOINT;
+const forcePathStyle = process.env.AWS_S3_FORCE_PATH_STYLE === 'true';
+
 // Create S3 client instance
 const s3Client = new S3Client({
     region: bucketRegion,
@@ -20,6 +31,8 @@ const s3Client = new S3Client({
         accessKeyId,
         secretAccessKey,
     },
+    ...(endpoint && { endpoint }),
+    forcePathStyle,
 });
 
 /**
@@ -29,15 +42,17 @@ const s3Client = new S3Client({
  * @param {Object} options.file - File object from multer (req.file)
  * @param {string} options.context - File context (personal, academic_material, etc.)
  * @param {string} options.ownerId - User/owner ID
+ * @param {number} [options.version] - Version number when uploading a new version of a file
  * @returns {Promise<string>} The S3 key of the uploaded file
  */
-export const uploadFile = async ({ file, context, ownerId }) => {
+export const uploadFile = async ({ file, context, ownerId, version }) => {
     // Generate structured key using keybuilder
     const fileKey = buildKey({
         context,
         ownerId,
         filename: file.originalname,
         mimetype: file.mimetype,
+        version,
     });
 
     const uploadParams = {
@@ -53,6 +68,32 @@ export const uploadFile = async ({ file, context, ownerId }) => {
     return fileKey;
 };
 
+/**
+ * Upload an arbitrary body (buffer or stream) to S3 under a prebuilt key
+ * Used for server-generated objects such as folder ZIP exports
+ * 
+ * @param {Object} options - Upload options
+ * @param {string} options.key - Full S3 key (see keybuilder)
+ * @param {Buffer|ReadableStream} options.body - Object body
+ * @param {string} options.contentType - MIME type
+ * @param {number} [options.contentLength] - Required by S3 when body is a stream
+ * @returns {Promise<string>} The S3 key
+ */
+export const uploadObject = async ({ key, body, contentType, contentLength }) => {
+    const uploadParams = {
+        Bucket: bucketName,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+    };
+    if (contentLength !== undefined) uploadParams.ContentLength = contentLength;
+
+    const command = new PutObjectCommand(uploadParams);
+    await s3Client.send(command);
+
+    return key;
+};
+
 /**
  * Upload avatar image to S3
  * Uses simplified key structure for avatars
@@ -166,16 +207,157 @@ export const deleteMultipleFiles = async (fileKeys) => {
     await Promise.all(deletePromises);
 };
 
+/**
+ * Get an object's metadata without downloading it
+ * 
+ * @param {string} fileKey - The key of the file in S3
+ * @returns {Promise<Object>} { size, contentType, etag }
+ */
+export const headObject = async (fileKey) => {
+    const command = new HeadObjectCommand({
+        Bucket: bucketName,
+        Key: fileKey,
+    });
+    const response = await s3Client.send(command);
+
+    return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        etag: response.ETag,
+    };
+};
+
+// ============================================================================
+// Multipart Uploads (direct-to-S3)
+// ============================================================================
+//
+// The client uploads each part straight to S3 with a presigned URL, so large
+// files never pass through (or are buffered by) the API server.
+
+/**
+ * Start a multipart upload under a prebuilt key
+ * 
+ * @param {Object} options - Upload options
+ * @param {string} options.key - Full S3 key (see keybuilder)
+ * @param {string} options.contentType - MIME type
+ * @returns {Promise<string>} The S3 upload ID
+ */
+export const createMultipartUpload = async ({ key, contentType }) => {
+    const command = new CreateMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: key,
+        ContentType: contentType,
+    });
+    const response = await s3Client.send(command);
+
+    return response.UploadId;
+};
+
+/**
+ * Generate a pre-signed URL for uploading one part (HTTP PUT)
+ * The client must keep the ETag response header of each part to complete the upload.
+ * 
+ * @param {string} fileKey - The key of the object being uploaded
+ * @param {string} uploadId - S3 upload ID
+ * @param {number} partNumber - Part number (1-10000)
+ * @param {number} expiresIn - URL expiration time in seconds (default: 3600)
+ * @returns {Promise<string>} Pre-signed part upload URL
+ */
+export const getUploadPartUrl = async (fileKey, uploadId, partNumber, expiresIn = 3600) => {
+    const command = new UploadPartCommand({
+        Bucket: bucketName,
+        Key: fileKey,
+        UploadId: uploadId,
+        PartNumber: partNumber,
+    });
+
+    return awsGetSignedUrl(s3Client, command, { expiresIn });
+};
+
+/**
+ * List the parts S3 has received so far, used to resume an interrupted upload
+ * 
+ * @param {string} fileKey - The key of the object being uploaded
+ * @param {string} uploadId - S3 upload ID
+ * @returns {Promise<Object[]>} [{ partNumber, etag, size }] ordered by part number
+ */
+export const listUploadedParts = async (fileKey, uploadId) => {
+    const parts = [];
+    let marker;
+
+    do {
+        const command = new ListPartsCommand({
+            Bucket: bucketName,
+            Key: fileKey,
+            UploadId: uploadId,
+            PartNumberMarker: marker,
+        });
+        const response = await s3Client.send(command);
+
+        for (const part of response.Parts || []) {
+            parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+        }
+        marker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+    } while (marker);
+
+    return parts;
+};
+
+/**
+ * Assemble the uploaded parts into the final object
+ * 
+ * @param {string} fileKey - The key of the object being uploaded
+ * @param {string} uploadId - S3 upload ID
+ * @param {Object[]} parts - [{ partNumber, etag }]
+ * @returns {Promise<void>}
+ */
+export const completeMultipartUpload = async (fileKey, uploadId, parts) => {
+    const command = new CompleteMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: fileKey,
+        UploadId: uploadId,
+        MultipartUpload: {
+            Parts: [...parts]
+                .sort((a, b) => a.partNumber - b.partNumber)
+                .map(part => ({ PartNumber: part.partNumber, ETag: part.etag })),
+        },
+    });
+    await s3Client.send(command);
+};
+
+/**
+ * Abort a multipart upload, discarding any parts already uploaded
+ * 
+ * @param {string} fileKey - The key of the object being uploaded
+ * @param {string} uploadId - S3 upload ID
+ * @returns {Promise<void>}
+ */
+export const abortMultipartUpload = async (fileKey, uploadId) => {
+    const command = new AbortMultipartUploadCommand({
+        Bucket: bucketName,
+        Key: fileKey,
+        UploadId: uploadId,
+    });
+    await s3Client.send(command);
+};
+
 // Export S3 client for advanced operations
 export { s3Client };
 
 export default {
     uploadFile,
+    uploadObject,
     uploadAvatar,
     deleteFile,
     deleteMultipleFiles,
     getDownloadUrl,
     getPreviewUrl,
     getFileStream,
+    headObject,
+    createMultipartUpload,
+    getUploadPartUrl,
+    listUploadedParts,
+    completeMultipartUpload,
+    abortMultipartUpload,
     s3Client,
 };
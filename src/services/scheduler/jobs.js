@@ -0,0 +1,151 @@
+/**
+ * Built-in Scheduled Jobs
+ *
+ * Maintenance jobs that keep expired data from piling up. Intervals and
+ * retention windows are configurable through environment variables.
+ */
+
+import { registerJob, getJob } from './scheduler.service.js';
+import { cleanExpiredTrashService } from '../../api/trash/services/trash.service.js';
+import ClassShare from '../../models/classShareModel.js';
+import FileShare from '../../models/fileshareModel.js';
+import AuditLog from '../../models/auditLogModel.js';
+import Job from '../../models/jobModel.js';
+import { deleteMultipleFiles } from '../s3/s3.service.js';
+import { sendNotificationDigests } from '../../api/notifications/services/digest.service.js';
+import { abortStaleUploads } from '../../api/files/services/upload.service.js';
+import timetableService from '../../api/attendance/services/timetable.service.js';
+import eligibilityService from '../../api/attendance/services/eligibility.service.js';
+import feedbackService from '../../api/feedback/services/feedback.service.js';
+import { envNumber } from '../../api/_common/utils/env.js';
+
+const MINUTE = 60 * 1000;
+
+export const JOB_NAMES = {
+  TRASH_PURGE: 'trash-purge',
+  CLASS_SHARE_EXPIRY: 'class-share-expiry',
+  FILE_SHARE_EXPIRY: 'file-share-expiry',
+  AUDIT_CLEANUP: 'audit-cleanup',
+  JOB_QUEUE_CLEANUP: 'job-queue-cleanup',
+  NOTIFICATION_DIGEST: 'notification-digest',
+  STALE_UPLOAD_ABORT: 'abort-stale-uploads',
+  TIMETABLE_SESSIONS: 'timetable-sessions',
+  ATTENDANCE_ELIGIBILITY: 'attendance-eligibility',
+  FEEDBACK_RELEASE: 'feedback-release',
+};
+
+/**
+ * Delete AuditLog entries older than the retention window.
+ * The model's TTL index (~200 days) remains the upper bound; this job allows
+ * a shorter, configurable retention. Retained entries (attendance record
+ * history) are never deleted, as they explain records that are kept.
+ */
+export const cleanOldAuditLogs = async (retentionDays) => {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+  const result = await AuditLog.deleteMany({ timestamp: { $lt: cutoffDate }, retained: { $ne: true } });
+
+  return { deletedCount: result.deletedCount, cutoffDate };
+};
+
+/**
+ * Delete finished queue jobs (done/failed) older than the retention window,
+ * together with any export archives they uploaded to S3.
+ */
+export const cleanFinishedQueueJobs = async (retentionDays) => {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+
+  const query = { status: { $in: ['done', 'failed'] }, finishedAt: { $lt: cutoffDate } };
+  const expired = await Job.find(query).select('result').lean();
+
+  const s3Keys = expired.map((job) => job.result?.s3Key).filter(Boolean);
+  if (s3Keys.length > 0) {
+    await deleteMultipleFiles(s3Keys);
+  }
+
+  const result = await Job.deleteMany({ _id: { $in: expired.map((job) => job._id) } });
+
+  return { deletedCount: result.deletedCount, s3KeysDeleted: s3Keys.length, cutoffDate };
+};
+
+/**
+ * Register the built-in maintenance jobs. Safe to call more than once.
+ */
+export const registerDefaultJobs = () => {
+  const definitions = [
+    {
+      name: JOB_NAMES.TRASH_PURGE,
+      description: 'Permanently delete trashed files older than the retention period',
+      intervalMs: envNumber('SCHEDULER_TRASH_PURGE_INTERVAL_MINUTES', 6 * 60) * MINUTE,
+      handler: () => cleanExpiredTrashService(envNumber('TRASH_RETENTION_DAYS', 30)),
+    },
+    {
+      name: JOB_NAMES.CLASS_SHARE_EXPIRY,
+      description: 'Remove expired class shares',
+      intervalMs: envNumber('SCHEDULER_SHARE_EXPIRY_INTERVAL_MINUTES', 60) * MINUTE,
+      handler: () => ClassShare.cleanExpired(),
+    },
+    {
+      name: JOB_NAMES.FILE_SHARE_EXPIRY,
+      description: 'Remove expired direct file shares',
+      intervalMs: envNumber('SCHEDULER_SHARE_EXPIRY_INTERVAL_MINUTES', 60) * MINUTE,
+      handler: async () => {
+        const result = await FileShare.cleanExpired();
+        return { deletedCount: result.deletedCount, cleanedAt: new Date() };
+      },
+    },
+    {
+      name: JOB_NAMES.AUDIT_CLEANUP,
+      description: 'Delete audit log entries older than the retention period',
+      intervalMs: envNumber('SCHEDULER_AUDIT_CLEANUP_INTERVAL_MINUTES', 24 * 60) * MINUTE,
+      handler: () => cleanOldAuditLogs(envNumber('AUDIT_LOG_RETENTION_DAYS', 180)),
+    },
+    {
+      name: JOB_NAMES.JOB_QUEUE_CLEANUP,
+      description: 'Delete finished background jobs and their export archives',
+      intervalMs: envNumber('SCHEDULER_JOB_QUEUE_CLEANUP_INTERVAL_MINUTES', 6 * 60) * MINUTE,
+      handler: () => cleanFinishedQueueJobs(envNumber('JOB_RETENTION_DAYS', 7)),
+    },
+    {
+      name: JOB_NAMES.NOTIFICATION_DIGEST,
+      description: 'Email daily and weekly notification digests that are due',
+      intervalMs: envNumber('SCHEDULER_NOTIFICATION_DIGEST_INTERVAL_MINUTES', 60) * MINUTE,
+      handler: () => sendNotificationDigests(),
+    },
+    {
+      name: JOB_NAMES.STALE_UPLOAD_ABORT,
+      description: 'Abort expired multipart uploads and discard their parts',
+      intervalMs: envNumber('SCHEDULER_STALE_UPLOAD_INTERVAL_MINUTES', 60) * MINUTE,
+      handler: () => abortStaleUploads(),
+    },
+    {
+      name: JOB_NAMES.TIMETABLE_SESSIONS,
+      description: 'Remind teachers of classes starting now, or start the session for auto slots',
+      intervalMs: envNumber('SCHEDULER_TIMETABLE_INTERVAL_MINUTES', 5) * MINUTE,
+      handler: () => timetableService.triggerDueSlots(),
+    },
+    {
+      name: JOB_NAMES.ATTENDANCE_ELIGIBILITY,
+      description: 'Alert students and mentors whose attendance moved into a warning or shortage band',
+      intervalMs: envNumber('SCHEDULER_ELIGIBILITY_INTERVAL_MINUTES', 60) * MINUTE,
+      // Look back two intervals so a late or failed run does not skip changes
+      handler: () => eligibilityService.runAlerts(
+        new Date(Date.now() - 2 * envNumber('SCHEDULER_ELIGIBILITY_INTERVAL_MINUTES', 60) * MINUTE)
+      ),
+    },
+    {
+      name: JOB_NAMES.FEEDBACK_RELEASE,
+      description: 'Release student feedback of sessions whose feedback window has closed',
+      intervalMs: envNumber('SCHEDULER_FEEDBACK_RELEASE_INTERVAL_MINUTES', 60) * MINUTE,
+      handler: () => feedbackService.releaseDueFeedback(),
+    },
+  ];
+
+  definitions.forEach((definition) => {
+    if (!getJob(definition.name)) registerJob(definition);
+  });
+};
+
+export default { JOB_NAMES, registerDefaultJobs, cleanOldAuditLogs, cleanFinishedQueueJobs };
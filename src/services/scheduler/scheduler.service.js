@@ -0,0 +1,248 @@
+/**
+ * In-process Job Scheduler
+ *
+ * Keeps a registry of named jobs and runs them on a fixed interval. Every run
+ * goes through a MongoDB-backed leader lock (SchedulerLock) so that, when the
+ * API is scaled out to several instances, only one of them executes a job per
+ * interval. Each execution is recorded in SchedulerRun for the admin endpoint.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import SchedulerLock from '../../models/schedulerLockModel.js';
+import SchedulerRun from '../../models/schedulerRunModel.js';
+import { createLogger } from '../../utils/logger.js';
+
+const logger = createLogger('Scheduler');
+
+const DEFAULT_TICK_MS = 60 * 1000;
+const DEFAULT_LOCK_TTL_MS = 15 * 60 * 1000;
+
+/** Identifies this process as a lock owner */
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+// name -> { name, description, intervalMs, lockTtlMs, enabled, handler, running }
+const jobs = new Map();
+let tickTimer = null;
+
+/**
+ * Register a job with the scheduler
+ * @param {Object} definition
+ * @param {string} definition.name - Unique job name
+ * @param {string} definition.description - Human readable description
+ * @param {number} definition.intervalMs - Interval between scheduled runs
+ * @param {Function} definition.handler - Async function; its return value is stored as the run result
+ * @param {number} [definition.lockTtlMs] - Max time a run may hold the lock
+ * @param {boolean} [definition.enabled=true] - Disabled jobs can still be triggered manually
+ */
+export const registerJob = ({ name, description = '', intervalMs, handler, lockTtlMs = DEFAULT_LOCK_TTL_MS, enabled = true }) => {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('A job requires a name and a handler function');
+  }
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    throw new Error(`Invalid interval for job "${name}"`);
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job "${name}" is already registered`);
+  }
+
+  jobs.set(name, { name, description, intervalMs, lockTtlMs, enabled, handler, running: false });
+};
+
+/**
+ * Remove a job from the registry (used by tests)
+ */
+export const unregisterJob = (name) => jobs.delete(name);
+
+/**
+ * Get a registered job definition
+ */
+export const getJob = (name) => jobs.get(name) || null;
+
+/**
+ * List registered job definitions (without handlers)
+ */
+export const getRegisteredJobs = () =>
+  Array.from(jobs.values()).map(({ name, description, intervalMs, lockTtlMs, enabled, running }) => ({
+    name,
+    description,
+    intervalMs,
+    lockTtlMs,
+    enabled,
+    running,
+  }));
+
+/**
+ * Try to take the leader lock for a job.
+ * Scheduled runs additionally require the job to be due (nextRunAt passed);
+ * manual runs only require that nobody else is currently running it.
+ * @returns {Promise<boolean>} true if this instance now owns the lock
+ */
+export const acquireLock = async (job, { requireDue = true } = {}) => {
+  const now = new Date();
+  const filter = {
+    name: job.name,
+    $and: [{ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }],
+  };
+  if (requireDue) {
+    filter.$and.push({ $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] });
+  }
+
+  try {
+    const lock = await SchedulerLock.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          owner: INSTANCE_ID,
+          acquiredAt: now,
+          lockedUntil: new Date(now.getTime() + job.lockTtlMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return !!lock;
+  } catch (err) {
+    // Upsert collided with an existing (locked or not yet due) document
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Release the lock and schedule the next run
+ */
+export const releaseLock = async (job, finishedAt = new Date()) => {
+  await SchedulerLock.updateOne(
+    { name: job.name, owner: INSTANCE_ID },
+    {
+      $set: {
+        owner: null,
+        lockedUntil: null,
+        lastRunAt: finishedAt,
+        nextRunAt: new Date(finishedAt.getTime() + job.intervalMs),
+      },
+    }
+  );
+};
+
+/**
+ * Execute a job under the leader lock and record the run.
+ * @param {string} name - Job name
+ * @param {Object} [options]
+ * @param {'schedule'|'manual'} [options.trigger='schedule']
+ * @param {string} [options.triggeredBy] - User ID for manual runs
+ * @returns {Promise<Object|null>} The SchedulerRun document, or null if a scheduled run was skipped
+ */
+export const runJob = async (name, { trigger = 'schedule', triggeredBy = null } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Job "${name}" is not registered`);
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const isManual = trigger === 'manual';
+
+  if (job.running) {
+    if (!isManual) return null;
+    const error = new Error(`Job "${name}" is already running`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  job.running = true;
+  try {
+    const acquired = await acquireLock(job, { requireDue: !isManual });
+    if (!acquired) {
+      if (!isManual) return null;
+      const error = new Error(`Job "${name}" is currently running on another instance`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    let run;
+    try {
+      run = await SchedulerRun.create({
+        job: name,
+        trigger,
+        triggeredBy,
+        instanceId: INSTANCE_ID,
+        startedAt: new Date(),
+      });
+
+      try {
+        const result = await job.handler();
+        run.status = 'success';
+        run.result = result ?? null;
+      } catch (err) {
+        run.status = 'failed';
+        run.error = err?.message || String(err);
+        logger.error(`Job "${name}" failed`, { error: run.error });
+      }
+
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt.getTime() - run.startedAt.getTime();
+      await run.save();
+    } finally {
+      await releaseLock(job, run?.finishedAt || new Date());
+    }
+
+    return run;
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Run every enabled job that is due. Errors are logged, never thrown.
+ */
+export const tick = async () => {
+  for (const job of jobs.values()) {
+    if (!job.enabled || job.running) continue;
+    try {
+      await runJob(job.name, { trigger: 'schedule' });
+    } catch (err) {
+      logger.error(`Scheduler tick failed for "${job.name}"`, { error: err.message });
+    }
+  }
+};
+
+/**
+ * Start the scheduler loop
+ * @param {Object} [options]
+ * @param {number} [options.tickMs] - How often due jobs are checked
+ */
+export const startScheduler = ({ tickMs = DEFAULT_TICK_MS } = {}) => {
+  if (tickTimer) return;
+
+  tickTimer = setInterval(tick, tickMs);
+  // Don't keep the process alive just for the scheduler
+  if (typeof tickTimer.unref === 'function') tickTimer.unref();
+
+  logger.info(`Scheduler started (${jobs.size} jobs, tick ${tickMs}ms, instance ${INSTANCE_ID})`);
+  tick();
+};
+
+/**
+ * Stop the scheduler loop
+ */
+export const stopScheduler = () => {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+};
+
+export default {
+  registerJob,
+  unregisterJob,
+  getJob,
+  getRegisteredJobs,
+  acquireLock,
+  releaseLock,
+  runJob,
+  tick,
+  startScheduler,
+  stopScheduler,
+  INSTANCE_ID,
+};
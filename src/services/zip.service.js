@@ -1,14 +1,18 @@
 import File from '../api/files/../../models/fileModel.js';
 import * as pathService from '../api/files/services/path.service.js';
 
-// Helper to stream files as a zip preserving folder structure
-export const streamFolderZip = async (res, parentFolder, descendantFiles) => {
+/**
+ * Write a zip of the given files into any writable stream, preserving folder structure.
+ * @param {Writable} output - HTTP response, file stream, etc.
+ * @param {Object} parentFolder - Root folder ({ _id, fileName, path })
+ * @param {Array} descendantFiles - Non-folder File docs under parentFolder
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (processedCount, totalCount) as entries are written
+ */
+export const writeFolderZip = async (output, parentFolder, descendantFiles, { onProgress } = {}) => {
   const archiver = (await import('archiver')).default;
   const { getFileStream } = await import('./s3/s3.service.js');
 
-  res.setHeader('Content-Type', 'application/zip');
-  res.setHeader('Content-Disposition', `attachment; filename="${parentFolder.fileName || 'folder'}.zip"`);
-
   const archive = archiver('zip', { zlib: { level: 9 } });
 
   archive.on('warning', (err) => {
@@ -16,7 +20,15 @@ export const streamFolderZip = async (res, parentFolder, descendantFiles) => {
   });
   archive.on('error', (err) => { throw err; });
 
-  archive.pipe(res);
+  if (typeof onProgress === 'function') {
+    let processed = 0;
+    archive.on('entry', () => {
+      processed += 1;
+      onProgress(processed, descendantFiles.length);
+    });
+  }
+
+  archive.pipe(output);
 
   // Build folder name map
   const folderRegex = (parentFolder && parentFolder.path ? parentFolder.path : ',') + String(parentFolder._id) + ',';
@@ -42,4 +54,12 @@ export const streamFolderZip = async (res, parentFolder, descendantFiles) => {
   await archive.finalize();
 };
 
-export default { streamFolderZip };
+// Helper to stream files as a zip preserving folder structure
+export const streamFolderZip = async (res, parentFolder, descendantFiles) => {
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${parentFolder.fileName || 'folder'}.zip"`);
+
+  await writeFolderZip(res, parentFolder, descendantFiles);
+};
+
+export default { streamFolderZip, writeFolderZip };